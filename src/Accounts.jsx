@@ -0,0 +1,402 @@
+import React, { useState } from 'react';
+import {
+  ACCOUNT_TYPES,
+  ACCOUNT_TYPE_LABELS,
+  getAccountBalances,
+  getAccountLedger,
+  getAccountName,
+  getSelectableAccounts
+} from './accounts';
+import { formatDisplayDate, getTodayDate, isDateInRange } from './dates';
+
+const tabClass = (active) =>
+  `px-3 py-1 rounded-full text-sm font-medium transition ${active ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`;
+
+const money = (amount) => `₹${amount.toFixed(2)}`;
+
+// =========================================================================
+// Main Component
+// =========================================================================
+function AccountsManager({
+  accounts,
+  transactions, // approved transactions only
+  transfers,
+  heads,
+  startDate,
+  endDate,
+  canEdit, // record transfers
+  canManage, // add and change accounts (admins)
+  addAccount,
+  updateAccount,
+  addTransfer,
+  deleteTransfer
+}) {
+  const [tab, setTab] = useState("balances");
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2 mb-4">
+        <button onClick={() => setTab("balances")} className={tabClass(tab === "balances")}>Balances</button>
+        <button onClick={() => setTab("ledger")} className={tabClass(tab === "ledger")}>Account Ledger</button>
+        <button onClick={() => setTab("transfers")} className={tabClass(tab === "transfers")}>Transfers</button>
+        {canManage && <button onClick={() => setTab("manage")} className={tabClass(tab === "manage")}>Manage Accounts</button>}
+      </div>
+
+      {tab === "balances" && (
+        <AccountBalances accounts={accounts} transactions={transactions} transfers={transfers} asOfDate={endDate} />
+      )}
+      {tab === "ledger" && (
+        <AccountLedger
+          accounts={accounts}
+          transactions={transactions}
+          transfers={transfers}
+          heads={heads}
+          startDate={startDate}
+          endDate={endDate}
+        />
+      )}
+      {tab === "transfers" && (
+        <TransferManager
+          accounts={accounts}
+          transfers={transfers}
+          startDate={startDate}
+          endDate={endDate}
+          canEdit={canEdit}
+          addTransfer={addTransfer}
+          deleteTransfer={deleteTransfer}
+        />
+      )}
+      {tab === "manage" && canManage && (
+        <AccountSettings accounts={accounts} addAccount={addAccount} updateAccount={updateAccount} />
+      )}
+    </div>
+  );
+}
+
+// =========================================================================
+// BALANCES (every account as on the end of the report period)
+// =========================================================================
+function AccountBalances({ accounts, transactions, transfers, asOfDate }) {
+  const balances = getAccountBalances(getSelectableAccounts(accounts), transactions, transfers, asOfDate);
+  const total = balances.reduce((acc, b) => acc + b.balance, 0);
+
+  if (balances.length === 0) {
+    return <p className="text-sm text-gray-500">No accounts yet.</p>;
+  }
+
+  return (
+    <table className="min-w-full bg-white border border-gray-200 text-sm">
+      <thead>
+        <tr className="bg-gray-100">
+          <th className="py-2 px-4 border-b text-left">Account</th>
+          <th className="py-2 px-4 border-b text-left">Type</th>
+          <th className="py-2 px-4 border-b text-right">Opening (₹)</th>
+          <th className="py-2 px-4 border-b text-right text-green-600">Money In (₹)</th>
+          <th className="py-2 px-4 border-b text-right text-red-600">Money Out (₹)</th>
+          <th className="py-2 px-4 border-b text-right">Balance on {formatDisplayDate(asOfDate)} (₹)</th>
+        </tr>
+      </thead>
+      <tbody>
+        {balances.map(b => (
+          <tr key={b.account.id} className="hover:bg-gray-50">
+            <td className="py-2 px-4 border-b font-medium">{b.account.name}</td>
+            <td className="py-2 px-4 border-b">{ACCOUNT_TYPE_LABELS[b.account.account_type]}</td>
+            <td className="py-2 px-4 border-b text-right">{money(b.openingBalance)}</td>
+            <td className="py-2 px-4 border-b text-right text-green-600">{money(b.moneyIn)}</td>
+            <td className="py-2 px-4 border-b text-right text-red-600">{money(b.moneyOut)}</td>
+            <td className="py-2 px-4 border-b text-right font-bold" style={{ color: b.balance >= 0 ? '#059669' : '#DC2626' }}>
+              {money(b.balance)}
+            </td>
+          </tr>
+        ))}
+        <tr className="bg-gray-200 font-bold">
+          <td className="py-2 px-4 border-t" colSpan="5">Total Cash & Bank</td>
+          <td className="py-2 px-4 border-t text-right">{money(total)}</td>
+        </tr>
+      </tbody>
+    </table>
+  );
+}
+
+// =========================================================================
+// LEDGER (running balance of one account over the report period)
+// =========================================================================
+function AccountLedger({ accounts, transactions, transfers, heads, startDate, endDate }) {
+  const selectable = getSelectableAccounts(accounts);
+  const [accountId, setAccountId] = useState("");
+  const account = selectable.find(a => a.id === accountId) || selectable[0];
+
+  if (!account) {
+    return <p className="text-sm text-gray-500">No accounts yet.</p>;
+  }
+
+  const ledger = getAccountLedger(account, transactions, transfers, accounts, startDate, endDate);
+  const particulars = (e) => e.kind === 'transfer'
+    ? e.description
+    : `${heads.find(h => h.id === e.head_id)?.name || 'Unknown'}${e.description ? ` · ${e.description}` : ''}`;
+
+  return (
+    <div>
+      <select
+        value={account.id}
+        onChange={(e) => setAccountId(e.target.value)}
+        className="border border-gray-300 p-2 rounded text-sm mb-4"
+      >
+        {selectable.map(a => (
+          <option key={a.id} value={a.id}>{a.name}</option>
+        ))}
+      </select>
+
+      <div className="max-h-96 overflow-y-auto">
+        <table className="min-w-full bg-white border border-gray-200 text-sm">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="py-2 px-4 border-b text-left">Date</th>
+              <th className="py-2 px-4 border-b text-left">Particulars</th>
+              <th className="py-2 px-4 border-b text-right text-green-600">In (₹)</th>
+              <th className="py-2 px-4 border-b text-right text-red-600">Out (₹)</th>
+              <th className="py-2 px-4 border-b text-right">Balance (₹)</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr className="bg-gray-50 font-semibold">
+              <td className="py-2 px-4 border-b">{formatDisplayDate(startDate)}</td>
+              <td className="py-2 px-4 border-b">Balance b/f</td>
+              <td className="py-2 px-4 border-b"></td>
+              <td className="py-2 px-4 border-b"></td>
+              <td className="py-2 px-4 border-b text-right">{money(ledger.openingBalance)}</td>
+            </tr>
+            {ledger.rows.map(r => (
+              <tr key={`${r.entry.kind}-${r.entry.id}`} className="hover:bg-gray-50">
+                <td className="py-2 px-4 border-b">{formatDisplayDate(r.entry.date)}</td>
+                <td className="py-2 px-4 border-b">{particulars(r.entry)}</td>
+                <td className="py-2 px-4 border-b text-right text-green-600">{r.moneyIn ? money(r.moneyIn) : ''}</td>
+                <td className="py-2 px-4 border-b text-right text-red-600">{r.moneyOut ? money(r.moneyOut) : ''}</td>
+                <td className="py-2 px-4 border-b text-right font-semibold">{money(r.balance)}</td>
+              </tr>
+            ))}
+            <tr className="bg-gray-200 font-bold">
+              <td className="py-2 px-4 border-t">{formatDisplayDate(endDate)}</td>
+              <td className="py-2 px-4 border-t">Balance c/f</td>
+              <td className="py-2 px-4 border-t"></td>
+              <td className="py-2 px-4 border-t"></td>
+              <td className="py-2 px-4 border-t text-right">{money(ledger.closingBalance)}</td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// =========================================================================
+// TRANSFERS (deposits, withdrawals, moving money between accounts)
+// =========================================================================
+function TransferManager({ accounts, transfers, startDate, endDate, canEdit, addTransfer, deleteTransfer }) {
+  const [fromAccountId, setFromAccountId] = useState("");
+  const [toAccountId, setToAccountId] = useState("");
+  const [amount, setAmount] = useState("");
+  const [date, setDate] = useState(getTodayDate);
+  const [description, setDescription] = useState("");
+
+  const selectable = getSelectableAccounts(accounts);
+  const periodTransfers = transfers
+    .filter(tr => isDateInRange(tr.date, startDate, endDate))
+    .sort((a, b) => b.date.localeCompare(a.date));
+
+  const handleSubmit = async () => {
+    if (!fromAccountId || !toAccountId || !amount || !date) {
+      alert("Please choose both accounts and fill out Amount and Date.");
+      return;
+    }
+    if (parseFloat(amount) <= 0) {
+      alert("Please enter a positive amount.");
+      return;
+    }
+    const saved = await addTransfer(fromAccountId, toAccountId, amount, date, description.trim());
+    if (saved) {
+      setAmount("");
+      setDescription("");
+    }
+  };
+
+  return (
+    <div>
+      {canEdit && (
+        <div className="grid grid-cols-6 gap-2 mb-4 text-sm">
+          <select value={fromAccountId} onChange={(e) => setFromAccountId(e.target.value)} className="border border-gray-300 p-2 rounded">
+            <option value="">From account</option>
+            {selectable.map(a => (
+              <option key={a.id} value={a.id}>{a.name}</option>
+            ))}
+          </select>
+          <select value={toAccountId} onChange={(e) => setToAccountId(e.target.value)} className="border border-gray-300 p-2 rounded">
+            <option value="">To account</option>
+            {selectable.filter(a => a.id !== fromAccountId).map(a => (
+              <option key={a.id} value={a.id}>{a.name}</option>
+            ))}
+          </select>
+          <input
+            type="number"
+            placeholder="Amount (₹)"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            className="border border-gray-300 p-2 rounded"
+          />
+          <input
+            type="date"
+            value={date}
+            onChange={(e) => setDate(e.target.value)}
+            className="border border-gray-300 p-2 rounded"
+          />
+          <input
+            type="text"
+            placeholder="Note (e.g., Cash deposit)"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            className="border border-gray-300 p-2 rounded"
+          />
+          <button onClick={handleSubmit} className="bg-blue-600 text-white rounded p-2 hover:bg-blue-700 transition">
+            Record Transfer
+          </button>
+        </div>
+      )}
+
+      <h3 className="text-lg font-semibold mb-2">Transfers in Period ({periodTransfers.length})</h3>
+      {periodTransfers.length === 0 ? (
+        <p className="text-sm text-gray-500">No transfers between {formatDisplayDate(startDate)} and {formatDisplayDate(endDate)}.</p>
+      ) : (
+        <table className="min-w-full bg-white border border-gray-200 text-sm">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="py-2 px-4 border-b text-left">Date</th>
+              <th className="py-2 px-4 border-b text-left">From</th>
+              <th className="py-2 px-4 border-b text-left">To</th>
+              <th className="py-2 px-4 border-b text-left">Note</th>
+              <th className="py-2 px-4 border-b text-right">Amount (₹)</th>
+              {canEdit && <th className="py-2 px-4 border-b text-right">Actions</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {periodTransfers.map(tr => (
+              <tr key={tr.id} className="hover:bg-gray-50">
+                <td className="py-2 px-4 border-b">{formatDisplayDate(tr.date)}</td>
+                <td className="py-2 px-4 border-b">{getAccountName(accounts, tr.from_account_id)}</td>
+                <td className="py-2 px-4 border-b">{getAccountName(accounts, tr.to_account_id)}</td>
+                <td className="py-2 px-4 border-b">{tr.description || 'N/A'}</td>
+                <td className="py-2 px-4 border-b text-right font-semibold">{money(Number(tr.amount))}</td>
+                {canEdit && (
+                  <td className="py-2 px-4 border-b text-right">
+                    <button
+                      onClick={() => deleteTransfer(tr.id)}
+                      className="text-xs bg-red-100 text-red-700 px-2 py-1 rounded-full hover:bg-red-200"
+                    >
+                      Delete
+                    </button>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+// =========================================================================
+// MANAGE ACCOUNTS (admins)
+// =========================================================================
+function AccountSettings({ accounts, addAccount, updateAccount }) {
+  const [name, setName] = useState("");
+  const [accountType, setAccountType] = useState("bank");
+  const [openingBalance, setOpeningBalance] = useState("");
+
+  const sorted = [...accounts].sort((a, b) => Number(a.archived) - Number(b.archived) || a.name.localeCompare(b.name));
+
+  const handleAdd = () => {
+    if (!name.trim()) {
+      alert("Please enter the account name.");
+      return;
+    }
+    addAccount(name.trim(), accountType, openingBalance);
+    setName("");
+    setOpeningBalance("");
+  };
+
+  const handleRename = (a) => {
+    const newName = window.prompt("Account name:", a.name);
+    if (newName && newName.trim() && newName.trim() !== a.name) {
+      updateAccount(a.id, { name: newName.trim() });
+    }
+  };
+
+  const handleOpeningBalance = (a) => {
+    const value = window.prompt(`Opening balance of ${a.name} (₹):`, String(a.opening_balance));
+    if (value === null) return;
+    const amount = parseFloat(value);
+    if (isNaN(amount)) {
+      alert("Please enter a valid amount.");
+      return;
+    }
+    updateAccount(a.id, { opening_balance: amount });
+  };
+
+  return (
+    <div>
+      <div className="grid grid-cols-4 gap-2 mb-4 text-sm">
+        <input
+          type="text"
+          placeholder="Account name (e.g., SBI Current A/c)"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className="border border-gray-300 p-2 rounded"
+        />
+        <select value={accountType} onChange={(e) => setAccountType(e.target.value)} className="border border-gray-300 p-2 rounded">
+          {ACCOUNT_TYPES.map(t => (
+            <option key={t} value={t}>{ACCOUNT_TYPE_LABELS[t]}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          placeholder="Opening balance (₹)"
+          value={openingBalance}
+          onChange={(e) => setOpeningBalance(e.target.value)}
+          className="border border-gray-300 p-2 rounded"
+        />
+        <button onClick={handleAdd} className="bg-blue-600 text-white rounded p-2 hover:bg-blue-700 transition">
+          Add Account
+        </button>
+      </div>
+
+      <ul className="divide-y divide-gray-200 text-sm">
+        {sorted.map(a => (
+          <li key={a.id} className={`flex justify-between items-center py-2 px-1 ${a.archived ? 'opacity-60' : ''}`}>
+            <span>
+              <span className="font-medium">{a.name}</span>
+              <span className="text-xs ml-2 px-2 py-0.5 rounded-full bg-gray-100 text-gray-700">{ACCOUNT_TYPE_LABELS[a.account_type]}</span>
+              <span className="text-gray-500 ml-2">opening {money(Number(a.opening_balance))}</span>
+              {a.archived && <span className="text-xs ml-2 px-2 py-0.5 rounded-full bg-gray-200 text-gray-700">ARCHIVED</span>}
+            </span>
+            <span className="space-x-2">
+              <button onClick={() => handleRename(a)} className="text-xs bg-blue-100 text-blue-700 px-2 py-1 rounded-full hover:bg-blue-200">
+                Rename
+              </button>
+              <button onClick={() => handleOpeningBalance(a)} className="text-xs bg-yellow-100 text-yellow-700 px-2 py-1 rounded-full hover:bg-yellow-200">
+                Opening Balance
+              </button>
+              <button
+                onClick={() => updateAccount(a.id, { archived: !a.archived })}
+                className="text-xs bg-gray-100 text-gray-700 px-2 py-1 rounded-full hover:bg-gray-200"
+              >
+                {a.archived ? 'Unarchive' : 'Archive'}
+              </button>
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default AccountsManager;
@@ -1,177 +1,234 @@
-import React, { useEffect, useState, useCallback } from "react";
+import React, { useEffect, useMemo, useRef, useState, useCallback } from "react";
 import { supabase } from "./supabase";
+import { db } from "./db";
+import { downloadCSV } from "./csvExport";
+import { downloadWorkbook, getHeadSheets, getPLSummarySheet, getTransactionsSheet } from "./xlsxExport";
+import PLSummaryTable from "./Reports";
+import { getMonthlyPLSummaryData, getPLSummaryData, getPLTotals, getTransactionExportRows } from "./reports";
+import { LEDGER_PAGE_SIZE, getLedgerPage, getLoadedRangeStart, getPageCount } from "./ledger";
+import StudentFeeManager, { ClassFeeReport } from "./StudentFees";
+import { getClassFeeReportData } from "./fees";
+import BudgetManager, { BudgetVarianceReport } from "./Budgets";
+import { getBudgetVarianceData } from "./budgets";
+import PeriodSelector from "./PeriodSelector";
+import ChartsDashboard from "./Charts";
+import { getPreviousPeriod } from "./charts";
+import ComparativePLReport from "./Comparative";
+import { COMPARATIVE_VIEWS, getComparativePLData, getYearOverYearData, getYearOverYearExportRows, getYearOverYearRange } from "./comparative";
+import YearEndClose from "./YearEndClose";
+import { formatDateForInput, formatDisplayDate, getFinancialYear, getMonthStart, getTodayDate, isDateInRange } from "./dates";
+import { getFinancialYearSummary, getNextYearToClose, getOpeningBalance, isDateInClosedYear } from "./yearEnd";
+import SchoolMembers, { CreateSchool, SchoolSettings, SchoolSwitcher } from "./Schools";
+import { canRecord, isAdmin } from "./schools";
+import ApprovalQueue from "./Approvals";
+import BankReconciliation from "./BankReconciliation";
+import { getLineAmount, getLineType } from "./reconciliation";
+import TransactionImport from "./TransactionImport";
+import { headKey } from "./transactionImport";
+import ReceiptAttachments from "./Attachments";
+import TransactionForm, { TransactionEditDialog } from "./TransactionForm";
+import TransactionFilters from "./TransactionFilters";
+import { DEFAULT_SORT, EMPTY_FILTERS, getFilterCriteria, hasActiveCriteria, matchesCriteria } from "./transactionFilters";
+import { EMPTY_ENTRY, getChangedFields, getDuplicateEntry, getEditBlocker, getEntryFields } from "./transactionForm";
+import { RECEIPT_BUCKET, SIGNED_URL_TTL_SECONDS, buildAttachmentPath } from "./attachments";
+import { LETTERHEAD_BUCKET, buildLogoPath, downloadReportPdf, getPLSummaryPdfTable, getTransactionsPdfTable, readImageAsDataUrl, validateLogoFile } from "./pdfReports";
+import AuditLogReport, { RecordHistory } from "./AuditLog";
+import TrashBin, { UndoToast } from "./Trash";
+import { countHeadTransactions, getSelectableHeads, isArchivedHead } from "./trash";
+import { findDuplicateHeadName, getMergeTargets, getTypeChangeBlocker } from "./headEdits";
+import { flattenPLTree, getDescendantIds, getHeadPath, getHeadTreeRows, getParentOptions, getPLTree, getPLTreeExportRows, isGroupHead } from "./headTree";
+import AccountsManager from "./Accounts";
+import { describePayment, getAccountName, withEarlierTotals } from "./accounts";
+import DayBookReport from "./Books";
+import { BOOK_TITLES, getDayBook, getDayBookExportRows } from "./books";
+import RecurringManager from "./Recurring";
+import { isOccurrencePosted } from "./recurring";
+import SyncStatus, { SyncIssues } from "./Sync";
+import { getVersionMatch } from "./offlineSync";
+import { HIGHLIGHT_MS, applyRealtimeChange, getChangedId, isChangeFromOthers } from "./realtime";
+import { STATUS_APPROVED, STATUS_PENDING, STATUS_REJECTED, getTransactionStatus, isCountedInReports, needsApproval } from "./approvals";
 import "./index.css";
 
-// =========================================================================
-// HELPER FUNCTIONS
-// =========================================================================
-
-// Utility to get today's date in YYYY-MM-DD format
-const getTodayDate = () => {
-  return new Date().toISOString().split('T')[0];
-};
-
-// Utility to format date to YYYY-MM-DD for input default values
-const formatDateForInput = (date) => {
-  const d = new Date(date);
-  let month = '' + (d.getMonth() + 1);
-  let day = '' + d.getDate();
-  const year = d.getFullYear();
-
-  if (month.length < 2) month = '0' + month;
-  if (day.length < 2) day = '0' + day;
-
-  return [year, month, day].join('-');
-};
-
-/**
- * Reusable function to calculate P&L summaries
- * Note: Adapted for Supabase snake_case fields (head_type, head_id)
- */
-const getPLSummaryData = (transactionList, headList) => {
-  const summary = {};
-
-  // Initialize summary with all known heads
-  headList.forEach(h => {
-    // Supabase returns 'head_type', make sure to fallback correctly if needed
-    summary[h.name] = { income: 0, expense: 0, type: h.head_type }; 
-  });
-
-  // Process transactions
-  transactionList.forEach(t => {
-    const head = headList.find(h => h.id === t.head_id);
-    const headName = head ? head.name : 'Uncategorized'; 
-    
-    if (!summary[headName]) {
-      summary[headName] = { income: 0, expense: 0, type: t.type }; 
-    }
-
-    if (t.type === 'income') {
-      summary[headName].income += t.amount;
-    } else {
-      summary[headName].expense += t.amount;
-    }
-  });
-
-  return Object.keys(summary).map(headName => ({
-    Head: headName,
-    Type: summary[headName].type,
-    Income: summary[headName].income,
-    Expense: summary[headName].expense,
-    Net: summary[headName].income - summary[headName].expense,
-  }))
-  .filter(item => item.Income > 0 || item.Expense > 0)
-  .sort((a, b) => a.Head.localeCompare(b.Head));
-};
-
-/**
- * Converts an array of objects into a CSV string.
- */
-const convertArrayOfObjectsToCSV = (array) => {
-  if (!array || array.length === 0) {
-    return "";
-  }
-  
-  const keys = Object.keys(array[0]);
-  const csvHeader = keys.join(',') + '\n';
-  
-  const csvRows = array.map(row => {
-    return keys.map(key => {
-      let cell = row[key] === null || row[key] === undefined ? '' : row[key];
-      cell = cell.toString().replace(/"/g, '""'); 
-      if (cell.search(/("|,|\n)/g) >= 0) {
-        cell = `"${cell}"`; 
-      }
-      return cell;
-    }).join(',');
-  }).join('\n');
-  
-  return csvHeader + csvRows;
-};
-
-/**
- * Triggers a browser download for the given CSV string.
- */
-const downloadCSV = (data, filename) => {
-  const csvString = convertArrayOfObjectsToCSV(data);
-  if (!csvString) {
-      alert("No data to export.");
-      return;
-  }
-  
-  const blob = new Blob([csvString], { type: 'text/csv;charset=utf-8;' });
-  const link = document.createElement('a');
-  
-  if (link.download !== undefined) {
-    const url = URL.createObjectURL(blob);
-    link.setAttribute('href', url);
-    link.setAttribute('download', filename);
-    link.style.visibility = 'hidden';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-  } else {
-      alert("Your browser does not support automatic CSV downloads.");
-  }
-};
+// How often queued offline changes are retried
+const SYNC_RETRY_MS = 30000;
+// Saves and live changes come in bursts (an import, a recurring run), so
+// the server reports are asked again once they have been quiet this long
+const REPORTS_REFRESH_MS = 500;
 
+const EDITED_ELSEWHERE_MESSAGE = "This transaction was changed on another device. The latest version has been loaded; please make your change again.";
 
 // =========================================================================
 // MAIN APP COMPONENT
 // =========================================================================
 function App() {
   const [session, setSession] = useState(null);
+  const [schools, setSchools] = useState([]);
+  const [currentSchoolId, setCurrentSchoolId] = useState(() => localStorage.getItem('currentSchoolId') || "");
+  const [members, setMembers] = useState([]);
+  const [invitations, setInvitations] = useState([]);
   const [heads, setHeads] = useState([]);
   const [allTransactions, setAllTransactions] = useState([]);
+  const [trashedHeads, setTrashedHeads] = useState([]);
+  const [trashedTransactions, setTrashedTransactions] = useState([]);
+  // Transactions are held from loadedFrom on (see getLoadedRangeStart); the
+  // older ones are summed up by the database instead
+  const [loadedFrom, setLoadedFrom] = useState("");
+  const [firstTransactionDate, setFirstTransactionDate] = useState(null);
+  const [earlierAccountTotals, setEarlierAccountTotals] = useState([]); // money in and out before loadedFrom
+  const [headUsage, setHeadUsage] = useState([]); // transactions per head and type (see countHeadTransactions)
+  const [lastDeleted, setLastDeleted] = useState(null); // { kind, id, label } for the undo notice
+  const [classes, setClasses] = useState([]);
+  const [students, setStudents] = useState([]);
+  const [feeStructures, setFeeStructures] = useState([]);
+  const [feeInstallments, setFeeInstallments] = useState([]);
+  const [budgets, setBudgets] = useState([]);
+  const [yearClosings, setYearClosings] = useState([]);
+  const [statementLines, setStatementLines] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [transfers, setTransfers] = useState([]);
+  const [recurringTemplates, setRecurringTemplates] = useState([]);
+  const [attachments, setAttachments] = useState([]);
+  const [auditLog, setAuditLog] = useState([]);
+  const [historyRecordId, setHistoryRecordId] = useState(null);
+  const [editingTransactionId, setEditingTransactionId] = useState(null);
+  const [transactionDraft, setTransactionDraft] = useState(null); // { key, entry } from "Duplicate"
+  const recordFormRef = useRef(null);
+  const ledgerSectionRef = useRef(null);
   const [loading, setLoading] = useState(true);
+  const [syncStatus, setSyncStatus] = useState(db.getSyncStatus);
+  const [liveChangedIds, setLiveChangedIds] = useState([]); // rows just changed by someone else, highlighted briefly
+  const [logoUrl, setLogoUrl] = useState(""); // signed URL of the letterhead logo
+  const liveRowsRef = useRef({ heads: [], transactions: [] });
+
+  // Answers from the database for the P&L and the transactions list; each
+  // records what it was asked (see isServerResultCurrent)
+  const [serverPlSummaries, setServerPlSummaries] = useState(null);
+  const [serverLedger, setServerLedger] = useState(null);
+  const [serverYearEnd, setServerYearEnd] = useState(null); // P&L of the year to close next
+  const [reportsVersion, setReportsVersion] = useState(0); // goes up to ask again after rows were saved
+  const reportsRefreshRef = useRef(null);
+  const [transactionFilters, setTransactionFilters] = useState(EMPTY_FILTERS);
+  const [ledgerSort, setLedgerSort] = useState(DEFAULT_SORT);
+  const [includeHeadSheets, setIncludeHeadSheets] = useState(false); // Excel workbook: one sheet per head
+  const [comparativeView, setComparativeView] = useState("month");
+  const [ledgerPageState, setLedgerPageState] = useState({ key: "", index: 0 });
 
   // State for date filtering
   const [startDate, setStartDate] = useState(getTodayDate);
   const [endDate, setEndDate] = useState(getTodayDate);
 
+  // Whether reports also count expenses still waiting for approval
+  const [includePending, setIncludePending] = useState(false);
+
+  const loadFrom = getLoadedRangeStart(formatDateForInput(startDate), formatDateForInput(endDate));
+
+
+  const currentSchool = schools.find(s => s.id === currentSchoolId);
+  const role = currentSchool?.role;
+  const logoPath = currentSchool?.logo_path;
+  const userId = session?.user?.id;
+
+  // ===== SCHOOL WORKSPACES =====
+  // Accepts pending invitations for the signed-in email, then loads the
+  // schools the user belongs to and picks the current one.
+  const loadSchools = useCallback(async () => {
+    try {
+      const { error: inviteError } = await db.rpc('accept_pending_invitations');
+      if (inviteError) console.error("Error accepting invitations:", inviteError);
+
+      // The stored session, so the app still opens offline
+      const { data: { session } } = await supabase.auth.getSession();
+      const { data, error } = await db.listMemberships(session.user.id);
+
+      if (error) throw error;
+
+      const memberships = data
+        .filter(m => m.schools)
+        .map(m => ({ ...m.schools, role: m.role }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+      setSchools(memberships);
+      setCurrentSchoolId(current => {
+        const next = memberships.some(s => s.id === current) ? current : (memberships[0]?.id || "");
+        localStorage.setItem('currentSchoolId', next);
+        return next;
+      });
+    } catch (error) {
+      console.error("Error loading schools:", error);
+    }
+  }, []);
+
+  // ===== AUDIT TRAIL =====
+  // Written by database triggers, so it is re-read rather than updated locally
+  const fetchAuditLog = useCallback(async () => {
+    if (!currentSchoolId) return;
+    const { data, error } = await db.listAuditLog(currentSchoolId);
+
+    if (error) {
+      console.error("Error fetching audit log:", error);
+      return;
+    }
+    setAuditLog(data);
+  }, [currentSchoolId]);
 
   // ===== DATA FETCHING (Wrapped in useCallback for stability) =====
   // Wrap fetchData in useCallback so it's stable
+  // Everything is scoped to the current school
   const fetchData = useCallback(async () => {
+    if (!currentSchoolId) return;
     try {
-      // 1. Fetch Heads
-      const { data: headsData, error: headsError } = await supabase
-        .from('heads')
-        .select('*');
-      
-      if (headsError) throw headsError;
-      setHeads(headsData);
-
-      // 2. Fetch Transactions
-      const { data: transData, error: transError } = await supabase
-        .from('transactions')
-        .select('*');
-      
-      if (transError) throw transError;
-      setAllTransactions(transData);
-
-      // 3. Auto-set Date Range logic
-      if (transData.length > 0 && startDate === getTodayDate()) {
-        const sortedData = transData.sort((a, b) => new Date(a.date) - new Date(b.date));
-        const firstDate = new Date(sortedData[0].date); 
-        const initialStartDate = new Date(firstDate.getFullYear(), firstDate.getMonth(), 1).toISOString().split('T')[0];
-        
-        if (initialStartDate !== startDate) {
-            setStartDate(initialStartDate);
-        }
+      // 0. Send changes queued while offline first, so they are part of what we read
+      await db.sync();
+
+      // 1. Fetch everything the school's screens show (trashed heads and
+      //    transactions are kept apart; transactions from loadFrom on)
+      const { data: schoolData, error } = await db.loadSchoolData(currentSchoolId, { from: loadFrom });
+      if (error) throw error;
+
+      setHeads(schoolData.heads);
+      setTrashedHeads(schoolData.trashedHeads);
+      setAllTransactions(schoolData.transactions);
+      setTrashedTransactions(schoolData.trashedTransactions);
+      setLoadedFrom(loadFrom);
+      setFirstTransactionDate(schoolData.firstTransactionDate);
+      setEarlierAccountTotals(schoolData.earlierAccountTotals);
+      setHeadUsage(schoolData.headUsage);
+      setClasses(schoolData.classes);
+      setStudents(schoolData.students);
+      setFeeStructures(schoolData.feeStructures);
+      setFeeInstallments(schoolData.feeInstallments);
+      setBudgets(schoolData.budgets);
+      setYearClosings(schoolData.yearClosings);
+      setStatementLines(schoolData.statementLines);
+      setAccounts(schoolData.accounts);
+      setTransfers(schoolData.transfers);
+      setRecurringTemplates(schoolData.recurringTemplates);
+      setAttachments(schoolData.attachments);
+      setMembers(schoolData.members);
+      setInvitations(schoolData.invitations);
+
+      // 2. Fetch Audit Trail
+      await fetchAuditLog();
+
+      // 3. Auto-set Date Range logic: from the first transaction's month,
+      //    but no earlier than this financial year, so nothing more is loaded
+      if (schoolData.firstTransactionDate) {
+        const yearStart = getFinancialYear(getTodayDate()).startDate;
+        const firstMonth = getMonthStart(schoolData.firstTransactionDate);
+        const initialStartDate = firstMonth > yearStart ? firstMonth : yearStart;
+        setStartDate(current => (current === getTodayDate() ? initialStartDate : current));
       }
     } catch (error) {
       console.error("Error fetching data:", error);
     }
-  }, [startDate]); // <--- Dependency array for useCallback
+  }, [loadFrom, currentSchoolId, fetchAuditLog]); // <--- Dependency array for useCallback
 
   // ===== AUTH & SUBSCRIPTION =====
   useEffect(() => {
     // 1. Get initial session
-    supabase.auth.getSession().then(({ data: { session } }) => {
+    supabase.auth.getSession().then(async ({ data: { session } }) => {
       setSession(session);
       if (session) {
-        fetchData();
+        await loadSchools();
       }
       setLoading(false);
     });
@@ -182,35 +239,265 @@ function App() {
     } = supabase.auth.onAuthStateChange((_event, session) => {
       setSession(session);
       if (session) {
-        fetchData();
+        loadSchools();
       } else {
+        setSchools([]);
+        setMembers([]);
+        setInvitations([]);
         setHeads([]);
         setAllTransactions([]);
+        setClasses([]);
+        setStudents([]);
+        setFeeStructures([]);
+        setFeeInstallments([]);
+        setBudgets([]);
+        setYearClosings([]);
+        setStatementLines([]);
       }
     });
 
     return () => subscription.unsubscribe();
-  }, [fetchData]); // Dependent on fetchData now
+  }, [loadSchools]);
+
+  // Load the current school's data whenever the user or school changes
+  useEffect(() => {
+    if (userId && currentSchoolId) {
+      fetchData();
+    }
+  }, [userId, currentSchoolId, fetchData]);
+
+  // Signed URL of the school's logo (the letterheads bucket is private)
+  useEffect(() => {
+    setLogoUrl("");
+    if (!logoPath) return;
+    let cancelled = false;
+    db.signUrls(LETTERHEAD_BUCKET, [logoPath], SIGNED_URL_TTL_SECONDS).then(({ data, error }) => {
+      if (error) console.error("Error signing logo URL:", error);
+      else if (!cancelled) setLogoUrl(data[0]?.signedUrl || "");
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [logoPath]);
+
+  // ===== OFFLINE SYNC =====
+  // Queued changes go out when the browser comes back online, and on a
+  // timer in case the connection returned without an 'online' event
+  useEffect(() => {
+    const unsubscribe = db.subscribeSync(setSyncStatus);
+    const syncNow = async () => {
+      if (await db.sync()) fetchData();
+    };
+    window.addEventListener('online', syncNow);
+    const timer = setInterval(syncNow, SYNC_RETRY_MS);
+
+    return () => {
+      unsubscribe();
+      window.removeEventListener('online', syncNow);
+      clearInterval(timer);
+    };
+  }, [fetchData]);
+
+  // ===== REPORT REFRESHES =====
+  // Our own saves and live changes from others move the server reports on
+  // once, after the burst they come in
+  const scheduleReportsRefresh = useCallback(() => {
+    clearTimeout(reportsRefreshRef.current);
+    reportsRefreshRef.current = setTimeout(() => setReportsVersion(v => v + 1), REPORTS_REFRESH_MS);
+  }, []);
+
+  useEffect(() => {
+    const unsubscribe = db.subscribeWrites(scheduleReportsRefresh);
+    return () => {
+      unsubscribe();
+      clearTimeout(reportsRefreshRef.current);
+    };
+  }, [scheduleReportsRefresh]);
+
+  // ===== LIVE UPDATES =====
+  // Other users' changes to heads and transactions are applied as they
+  // happen; the subscription reads the current rows through a ref
+  useEffect(() => {
+    liveRowsRef.current = { heads: [...heads, ...trashedHeads], transactions: [...allTransactions, ...trashedTransactions] };
+  }, [heads, trashedHeads, allTransactions, trashedTransactions]);
+
+  useEffect(() => {
+    if (!userId || !currentSchoolId) return;
+    const isActive = (row) => !row.deleted_at;
+    const isTrashed = (row) => Boolean(row.deleted_at);
+
+    const highlight = (id) => {
+      setLiveChangedIds(prev => [...prev, id]);
+      setTimeout(() => setLiveChangedIds(prev => prev.filter(x => x !== id)), HIGHLIGHT_MS);
+    };
+    const handleChange = (table, setActive, setTrashed) => (change) => {
+      if (isChangeFromOthers(liveRowsRef.current[table], change, userId)) highlight(getChangedId(change));
+      setActive(prev => applyRealtimeChange(prev, change, isActive));
+      setTrashed(prev => applyRealtimeChange(prev, change, isTrashed));
+      scheduleReportsRefresh();
+    };
+
+    const match = { school_id: currentSchoolId };
+    const unsubscribers = [
+      db.subscribe('heads', match, handleChange('heads', setHeads, setTrashedHeads)),
+      db.subscribe('transactions', match, handleChange('transactions', setAllTransactions, setTrashedTransactions)),
+    ];
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [userId, currentSchoolId, scheduleReportsRefresh]);
+
+  // ===== SERVER-SIDE REPORTS =====
+  // The database works out the P&L and pages through the transactions list.
+  // Changes still queued offline are not there yet, so then (and while an
+  // answer is on its way) the browser works them out from the loaded rows.
+  const useServerReports = syncStatus.online && syncStatus.pending === 0;
+  const periodStart = formatDateForInput(startDate);
+  const periodEnd = formatDateForInput(endDate);
+  // Kept by value, so a head change that leaves the criteria as they were
+  // does not ask the database again
+  const criteriaKey = JSON.stringify(getFilterCriteria(transactionFilters, heads));
+  const filterCriteria = useMemo(() => JSON.parse(criteriaKey), [criteriaKey]);
+  const filtersActive = hasActiveCriteria(filterCriteria);
+  const reportKey = JSON.stringify([currentSchoolId, periodStart, periodEnd, includePending, filterCriteria]);
+  // Growth on the dashboard is against the period of the same length before
+  // this one; the year-over-year report covers this FY and the one before
+  const { startDate: previousStart, endDate: previousEnd } = getPreviousPeriod(periodStart, periodEnd);
+  const { startDate: yearsStart, endDate: yearsEnd } = getYearOverYearRange(periodStart);
+  const ledgerKey = JSON.stringify([reportKey, ledgerSort]);
+  const ledgerPageIndex = ledgerPageState.key === ledgerKey ? ledgerPageState.index : 0;
+
+  // An answer stays on screen while the one asked after a save is on its
+  // way, so the reports do not flicker back to the browser's figures
+  const isServerResultCurrent = (result, key) => useServerReports && result?.key === key;
+
+  useEffect(() => {
+    if (!currentSchoolId || !useServerReports) return;
+    let cancelled = false;
+    const asked = { key: reportKey };
+
+    const filtered = { includePending, criteria: filterCriteria };
+
+    Promise.all([
+      db.getPLSummary(currentSchoolId, { startDate: periodStart, endDate: periodEnd, ...filtered }),
+      db.getPLSummary(currentSchoolId, filtered),
+      // Budgets are compared with the whole period, whatever the filters
+      filtersActive ? db.getPLSummary(currentSchoolId, { startDate: periodStart, endDate: periodEnd, includePending }) : null,
+      db.getPLSummary(currentSchoolId, { startDate: previousStart, endDate: previousEnd, ...filtered }),
+      // Month by month, for the charts and the comparative reports
+      db.getMonthlyPLSummary(currentSchoolId, { startDate: periodStart, endDate: periodEnd, ...filtered }),
+      db.getMonthlyPLSummary(currentSchoolId, { startDate: yearsStart, endDate: yearsEnd, ...filtered }),
+    ]).then(([periodRes, allTimeRes, unfilteredRes, previousRes, periodMonthlyRes, yearsMonthlyRes]) => {
+      const error = [periodRes, allTimeRes, unfilteredRes, previousRes, periodMonthlyRes, yearsMonthlyRes].find(res => res?.error)?.error;
+      if (error) console.error("Error loading P&L summary:", error);
+      if (!cancelled && !error) {
+        setServerPlSummaries({
+          ...asked,
+          period: periodRes.data,
+          allTime: allTimeRes.data,
+          unfiltered: (unfilteredRes || periodRes).data,
+          previous: previousRes.data,
+          periodMonthly: periodMonthlyRes.data,
+          yearsMonthly: yearsMonthlyRes.data,
+        });
+      }
+    });
+    return () => { cancelled = true; };
+  }, [currentSchoolId, useServerReports, reportKey, reportsVersion, periodStart, periodEnd, previousStart, previousEnd, yearsStart, yearsEnd, includePending, filterCriteria, filtersActive]);
+
+  useEffect(() => {
+    if (!currentSchoolId || !useServerReports) return;
+    let cancelled = false;
+    const asked = { key: `${ledgerKey}#${ledgerPageIndex}` };
+    const filter = { startDate: periodStart, endDate: periodEnd, includePending, criteria: filterCriteria, sort: ledgerSort };
+
+    db.listLedgerPage(currentSchoolId, filter, { offset: ledgerPageIndex * LEDGER_PAGE_SIZE, limit: LEDGER_PAGE_SIZE })
+      .then(({ data, count, error }) => {
+        if (error) console.error("Error loading transactions page:", error);
+        if (!cancelled && !error) setServerLedger({ ...asked, rows: data, count });
+      });
+    return () => { cancelled = true; };
+  }, [currentSchoolId, useServerReports, ledgerKey, ledgerPageIndex, reportsVersion, periodStart, periodEnd, includePending, filterCriteria, ledgerSort]);
+
+  const setLedgerPage = (index) => setLedgerPageState({ key: ledgerKey, index });
+
+  // The year to close next is often older than the transactions held, so
+  // its totals are asked for too
+  const nextYearToClose = getNextYearToClose(firstTransactionDate, yearClosings);
+  const yearToCloseStart = nextYearToClose?.startDate;
+  const yearToCloseEnd = nextYearToClose?.endDate;
+  const yearEndKey = JSON.stringify([currentSchoolId, yearToCloseStart]);
+
+  useEffect(() => {
+    if (!currentSchoolId || !useServerReports || !yearToCloseStart) return;
+    let cancelled = false;
+    const asked = { key: yearEndKey };
+
+    db.getPLSummary(currentSchoolId, { startDate: yearToCloseStart, endDate: yearToCloseEnd })
+      .then(({ data, error }) => {
+        if (error) console.error("Error loading the year-end totals:", error);
+        if (!cancelled && !error) setServerYearEnd({ ...asked, pl: data });
+      });
+    return () => { cancelled = true; };
+  }, [currentSchoolId, useServerReports, yearEndKey, yearToCloseStart, yearToCloseEnd, reportsVersion]);
+
+  // Head usage and the totals brought forward move with saves as well
+  useEffect(() => {
+    if (!currentSchoolId || !loadedFrom || reportsVersion === 0) return;
+    let cancelled = false;
+
+    Promise.all([db.getHeadUsage(currentSchoolId), db.getAccountTotalsBefore(currentSchoolId, loadedFrom)])
+      .then(([usageRes, earlierRes]) => {
+        const error = usageRes.error || earlierRes.error;
+        if (error) console.error("Error loading head usage and earlier totals:", error);
+        if (cancelled || error) return;
+        setHeadUsage(usageRes.data);
+        setEarlierAccountTotals(earlierRes.data);
+      });
+    return () => { cancelled = true; };
+  }, [currentSchoolId, loadedFrom, reportsVersion]);
+
+  const resolveSyncConflict = async (seq, keepMine) => {
+    await db.resolveConflict(seq, keepMine);
+    await fetchData();
+  };
+
+  const switchSchool = (schoolId) => {
+    localStorage.setItem('currentSchoolId', schoolId);
+    setCurrentSchoolId(schoolId);
+    setLastDeleted(null);
+  };
 
 
   // ===== SUPABASE OPERATIONS =====
+
+  // Transactions dated inside a closed financial year cannot be changed
+  const isLockedDate = (date) => {
+    if (!date || !isDateInClosedYear(yearClosings, date)) return false;
+    alert(`FY ${getFinancialYear(date).label} is closed. Reopen it to make changes.`);
+    return true;
+  };
   
-  const addHead = async (name, headType) => {
-    if (!session || !name) return;
+  // parentId: the group the new head sits under (empty for the top level)
+  const addHead = async (name, headType, parentId = "") => {
+    if (!session || !canRecord(role) || !name) return;
+    const duplicate = findDuplicateHeadName(heads, name);
+    if (duplicate) {
+        alert(`A head named "${duplicate.name}" already exists.`);
+        return;
+    }
     
-    const { data, error } = await supabase
-        .from('heads')
-        .insert([
-            { 
-                user_id: session.user.id,
-                name, 
-                head_type: headType 
-            }
-        ])
-        .select();
+    const { data, error } = await db.insert('heads', [
+        { 
+            school_id: currentSchoolId,
+            user_id: session.user.id,
+            name, 
+            head_type: headType,
+            parent_id: parentId || null
+        }
+    ]);
 
     if (error) {
         console.error("Error adding head:", error);
+        alert(`Failed to add head: ${error.message}`);
         return;
     }
     
@@ -219,59 +506,213 @@ function App() {
     }
   };
 
-  const deleteHead = async (id) => {
-    if (!session) return;
-    
-    const { error } = await supabase
-        .from('heads')
-        .delete()
-        .eq('id', id);
+  const renameHead = async (id, newName) => {
+    if (!session || !canRecord(role)) return false;
+    const name = newName.trim();
+    if (!name) {
+        alert("Please enter a head name.");
+        return false;
+    }
+    const duplicate = findDuplicateHeadName(heads, name, id);
+    if (duplicate) {
+        alert(`A head named "${duplicate.name}" already exists. Merge into it instead.`);
+        return false;
+    }
+
+    const { error } = await db.update('heads', { id }, { name });
+
+    if (error) {
+        console.error("Error renaming head:", error);
+        alert(`Failed to rename head: ${error.message}`);
+        return false;
+    }
+    setHeads(prev => prev.map(h => h.id === id ? { ...h, name } : h));
+    return true;
+  };
+
+  // Switches a head between income and expense while nothing depends on its type
+  const changeHeadType = async (id) => {
+    if (!session || !canRecord(role)) return;
+    const head = heads.find(h => h.id === id);
+    if (!head) return;
+
+    const blocker = getTypeChangeBlocker(head, heads, { headUsage, feeStructures, recurringTemplates });
+    if (blocker) {
+        alert(blocker);
+        return;
+    }
+    const headType = head.head_type === 'income' ? 'expense' : 'income';
+    if (!window.confirm(`Change "${head.name}" to an ${headType} head?`)) return;
+
+    const { error } = await db.update('heads', { id }, { head_type: headType });
+
+    if (error) {
+        console.error("Error changing head type:", error);
+        alert(`Failed to change the head type: ${error.message}`);
+        return;
+    }
+    setHeads(prev => prev.map(h => h.id === id ? { ...h, head_type: headType } : h));
+  };
+
+  // Moves everything recorded under one head to another and trashes the
+  // emptied head (merge_heads does it in one database transaction)
+  const mergeHead = async (fromId, intoId) => {
+    if (!session || !canRecord(role)) return false;
+    const from = heads.find(h => h.id === fromId);
+    const into = heads.find(h => h.id === intoId);
+    if (!from || !into) return false;
+
+    // Transactions of a closed year are refused by the database
+    const moving = countHeadTransactions(headUsage, fromId);
+    if (!window.confirm(`Merge "${from.name}" into "${into.name}"? Its ${moving} transactions, fee structures, recurring templates and budgets move to "${into.name}", and "${from.name}" goes to the trash.`)) return false;
+
+    const { error } = await db.rpc('merge_heads', { p_from_head_id: fromId, p_into_head_id: intoId });
+
+    if (error) {
+        console.error("Error merging heads:", error);
+        alert(`Failed to merge heads: ${error.message}`);
+        return false;
+    }
+    await fetchData();
+    return true;
+  };
+
+  // Places a head under another group (or at the top level when parentId is empty)
+  const moveHead = async (id, parentId) => {
+    if (!session || !canRecord(role)) return;
+    if (parentId && (parentId === id || getDescendantIds(heads, id).includes(parentId))) {
+        alert("A head cannot be placed under itself or one of its sub-heads.");
+        return;
+    }
+
+    const { error } = await db.update('heads', { id }, { parent_id: parentId || null });
+
+    if (error) {
+        console.error("Error moving head:", error);
+        alert(`Failed to move head: ${error.message}`);
+        return;
+    }
+    setHeads(prev => prev.map(h => h.id === id ? { ...h, parent_id: parentId || null } : h));
+  };
+
+  // Moves a head to the trash. A head still in use needs reassignToId: its
+  // transactions (trashed ones included) are moved there first (delete_head
+  // does both in one database transaction).
+  const deleteHead = async (id, reassignToId = "") => {
+    if (!session || !canRecord(role)) return;
+    const head = heads.find(h => h.id === id);
+    if (!head) return;
+
+    if (isGroupHead(heads, id)) {
+        alert(`"${head.name}" has sub-heads. Move or delete them first.`);
+        return;
+    }
+    const feeStructureNames = feeStructures.filter(fs => fs.head_id === id).map(fs => fs.name);
+    if (feeStructureNames.length > 0) {
+        alert(`"${head.name}" is used by fee structures (${feeStructureNames.join(", ")}). Archive it instead.`);
+        return;
+    }
+    if (recurringTemplates.some(rt => rt.head_id === id)) {
+        alert(`"${head.name}" is used by recurring templates. Change or delete them first, or archive the head.`);
+        return;
+    }
+
+    // Transactions of a closed year are refused by the database
+    const inUse = countHeadTransactions(headUsage, id);
+    if (inUse > 0 && !reassignToId) {
+        alert(`"${head.name}" has ${inUse} transactions. Reassign them to another head or archive it.`);
+        return;
+    }
+
+    const { data, error } = await db.rpc('delete_head', { p_head_id: id, p_reassign_to_id: reassignToId || null });
 
     if (error) {
         console.error("Error deleting head:", error);
+        alert(`Failed to delete head: ${error.message}`);
         return;
     }
-    setHeads(heads.filter(h => h.id !== id));
+    if (reassignToId) {
+        const moveHead = (t) => t.head_id === id ? { ...t, head_id: reassignToId } : t;
+        setAllTransactions(prev => prev.map(moveHead));
+        setTrashedTransactions(prev => prev.map(moveHead));
+        setHeadUsage(prev => prev.map(moveHead));
+    }
+    setHeads(prev => prev.filter(h => h.id !== id));
+    setTrashedHeads(prev => [...prev, data[0]]);
+    setLastDeleted({ kind: 'head', id, label: `Head "${head.name}" moved to trash.` });
   };
 
-  const addTransaction = async (amount, type, headId, date, description = "", receiptUrl = "") => {
-    if (!session || !amount || !headId || !date) return;
+  // Archived heads stay in reports but are not offered for new entries
+  const archiveHead = async (id, archived) => {
+    if (!session || !canRecord(role)) return;
+
+    const { error } = await db.update('heads', { id }, { archived });
+
+    if (error) {
+        console.error("Error archiving head:", error);
+        alert("Failed to update head.");
+        return;
+    }
+    setHeads(prev => prev.map(h => h.id === id ? { ...h, archived } : h));
+  };
+
+  // extraFields: other columns of the transaction; account_id (the cash or bank
+  // account it hit) is required, payment_mode / reference_number say how it
+  // was paid, student_id links fee receipts
+  const addTransaction = async (amount, type, headId, date, description = "", receiptUrl = "", extraFields = {}) => {
+    if (!session || !canRecord(role) || !amount || !headId || !date) return;
+    if (!extraFields.account_id) {
+        alert("Please choose the cash or bank account for this transaction.");
+        return;
+    }
+    if (isLockedDate(date)) return;
     
-    const { data, error } = await supabase
-        .from('transactions')
-        .insert([
-            {
-                user_id: session.user.id,
-                amount: parseFloat(amount),
-                type,
-                head_id: headId, // mapped to head_id
-                date, 
-                description,
-                receipt_url: receiptUrl
-            }
-        ])
-        .select();
+    const { data, error } = await db.insert('transactions', [
+        {
+            school_id: currentSchoolId,
+            user_id: session.user.id,
+            amount: parseFloat(amount),
+            type,
+            head_id: headId, // mapped to head_id
+            date, 
+            description,
+            receipt_url: receiptUrl,
+            // The database trigger makes the final call on the status
+            status: needsApproval(type, amount, currentSchool?.approval_threshold) ? STATUS_PENDING : STATUS_APPROVED,
+            ...extraFields
+        }
+    ]);
 
     if (error) {
         console.error("Error adding transaction:", error);
+        if (error.code === '23505' && extraFields.recurring_template_id) {
+            alert("This occurrence has already been posted.");
+        } else {
+            alert("Failed to add transaction.");
+        }
         return;
     }
 
     if (data) {
-        setAllTransactions([...allTransactions, data[0]]);
+        setAllTransactions(prev => [...prev, data[0]]);
+        if (getTransactionStatus(data[0]) === STATUS_PENDING) {
+            alert("This expense is above the approval limit and has been sent for approval.");
+        }
+        return data[0];
     }
   };
 
+  // Moves a transaction to the trash (undo is offered right away)
   const deleteTransaction = async (id) => {
-    if (!session || !id) return;
-    if (!window.confirm("Are you sure you want to delete this transaction?")) {
-      return; 
+    if (!session || !canRecord(role) || !id) return;
+    const transaction = allTransactions.find(t => t.id === id);
+    if (!transaction || isLockedDate(transaction.date)) return;
+    if (transaction.reconciled) {
+      alert("This transaction is matched to a bank statement line. Unmatch it before deleting.");
+      return;
     }
     
-    const { error } = await supabase
-        .from('transactions')
-        .delete()
-        .eq('id', id);
+    const { data, error } = await db.moveToTrash('transactions', id, session.user.id);
         
     if (error) {
       console.error("Error deleting transaction: ", error);
@@ -279,48 +720,799 @@ function App() {
       return;
     }
     
-    setAllTransactions(allTransactions.filter(t => t.id !== id));
+    setAllTransactions(prev => prev.filter(t => t.id !== id));
+    setTrashedTransactions(prev => [...prev, data[0]]);
+    setLastDeleted({ kind: 'transaction', id, label: `Transaction of ₹${transaction.amount.toFixed(2)} moved to trash.` });
   };
 
-  const updateTransactionAmount = async (id, newAmountString) => {
-    if (!session || !id) return;
-    
-    const newAmount = parseFloat(newAmountString);
-    if (isNaN(newAmount) || newAmount <= 0) {
-      alert("Please enter a valid, positive amount.");
-      return; 
+  // ===== TRASH =====
+
+  const restoreHead = async (id) => {
+    if (!session || !canRecord(role)) return false;
+
+    const { data, error } = await db.restoreFromTrash('heads', id);
+
+    if (error) {
+        console.error("Error restoring head:", error);
+        alert("Failed to restore head.");
+        return false;
+    }
+    setTrashedHeads(prev => prev.filter(h => h.id !== id));
+    setHeads(prev => [...prev, data[0]]);
+    return true;
+  };
+
+  // Restores the head too when it was trashed as well
+  const restoreTransaction = async (id) => {
+    if (!session || !canRecord(role)) return;
+    const transaction = trashedTransactions.find(t => t.id === id);
+    if (!transaction || isLockedDate(transaction.date)) return;
+    if (trashedHeads.some(h => h.id === transaction.head_id) && !(await restoreHead(transaction.head_id))) return;
+
+    const { data, error } = await db.restoreFromTrash('transactions', id);
+
+    if (error) {
+        console.error("Error restoring transaction:", error);
+        alert("Failed to restore transaction.");
+        return;
+    }
+    setTrashedTransactions(prev => prev.filter(t => t.id !== id));
+    setAllTransactions(prev => [...prev, data[0]]);
+  };
+
+  const undoLastDelete = async () => {
+    if (!lastDeleted) return;
+    const { kind, id } = lastDeleted;
+    setLastDeleted(null);
+    if (kind === 'head') await restoreHead(id);
+    else await restoreTransaction(id);
+  };
+
+  const dismissUndo = useCallback(() => setLastDeleted(null), []);
+
+  // Permanent removal from the trash (admins only)
+  const purgeTransaction = async (id) => {
+    if (!session || !isAdmin(role)) return;
+    if (!window.confirm("Delete this transaction permanently? This cannot be undone.")) return;
+
+    const { error } = await db.remove('transactions', { id });
+
+    if (error) {
+        console.error("Error purging transaction:", error);
+        alert("Failed to delete transaction.");
+        return;
+    }
+    setTrashedTransactions(prev => prev.filter(t => t.id !== id));
+
+    // Attachment rows go with the transaction; the stored files must be removed separately
+    const paths = attachments.filter(a => a.transaction_id === id).map(a => a.file_path);
+    if (paths.length > 0) {
+      const { error: storageError } = await db.removeFiles(RECEIPT_BUCKET, paths);
+      if (storageError) console.error("Error removing receipt files:", storageError);
+      setAttachments(prev => prev.filter(a => a.transaction_id !== id));
+    }
+  };
+
+  const purgeHead = async (id) => {
+    if (!session || !isAdmin(role)) return;
+    if (countHeadTransactions(headUsage, id) > 0) {
+        alert("Transactions in the trash still use this head. Delete or restore them first.");
+        return;
     }
+    if (!window.confirm("Delete this head permanently? This cannot be undone.")) return;
 
-    const { error } = await supabase
-        .from('transactions')
-        .update({ amount: newAmount })
-        .eq('id', id);
+    const { error } = await db.remove('heads', { id });
 
     if (error) {
-      console.error("Error updating amount: ", error);
-      alert("Failed to update amount.");
+        console.error("Error purging head:", error);
+        alert("Failed to delete head.");
+        return;
+    }
+    setTrashedHeads(prev => prev.filter(h => h.id !== id));
+    setBudgets(prev => prev.filter(b => b.head_id !== id));
+  };
+
+  // Saves every changed field of a transaction in one update (entry: the
+  // edit form's values, see transactionForm.js). True when saved.
+  const updateTransaction = async (id, entry) => {
+    if (!session || !canRecord(role) || !id) return false;
+    const transaction = allTransactions.find(t => t.id === id);
+    if (!transaction || isLockedDate(transaction.date) || isLockedDate(entry.date)) return false;
+    const blocker = getEditBlocker(transaction);
+    if (blocker) {
+      alert(blocker);
+      return false;
+    }
+
+    const changes = getChangedFields(transaction, getEntryFields(entry));
+    if (Object.keys(changes).length === 0) return true;
+
+    const { data, error } = await db.update('transactions', getVersionMatch(transaction), changes);
+
+    if (error) {
+      console.error("Error updating transaction: ", error);
+      alert("Failed to update transaction.");
+      return false;
+    }
+    if (data.length === 0) {
+      alert(EDITED_ELSEWHERE_MESSAGE);
+      await fetchData();
+      return false;
+    }
+
+    // Use the saved row: raising an expense over the limit sends it back for approval
+    setAllTransactions(prev => prev.map(t => t.id === id ? data[0] : t));
+    return true;
+  };
+
+  // Starts a new entry in the record form from an existing transaction, dated today
+  const duplicateTransaction = (t) => {
+    setTransactionDraft({ key: `${t.id}:${Date.now()}`, entry: getDuplicateEntry(t, heads, accounts, getTodayDate()) });
+    recordFormRef.current?.scrollIntoView({ behavior: 'smooth' });
+  };
+
+  // ===== EXPENSE APPROVALS =====
+
+  const setTransactionStatus = async (id, status, rejectionReason = null) => {
+    if (!session || !isAdmin(role) || !id) return;
+
+    const { data, error } = await db.update('transactions', { id }, { status, rejection_reason: rejectionReason });
+
+    if (error) {
+      console.error("Error updating approval status: ", error);
+      alert("Failed to update approval status.");
       return;
     }
-    
-    // Optimistic update locally
-    setAllTransactions(allTransactions.map(t => t.id === id ? { ...t, amount: newAmount } : t));
+
+    setAllTransactions(allTransactions.map(t => t.id === id ? (data?.[0] || { ...t, status, rejection_reason: rejectionReason }) : t));
   };
 
-  const updateTransactionDescription = async (id, newDescription) => {
-    if (!session || !id) return;
-    
-    const { error } = await supabase
-        .from('transactions')
-        .update({ description: newDescription })
-        .eq('id', id);
+  const approveTransaction = (id) => setTransactionStatus(id, STATUS_APPROVED);
+
+  const rejectTransaction = (id, reason) => setTransactionStatus(id, STATUS_REJECTED, reason);
+
+  const updateApprovalThreshold = async (threshold) => {
+    if (!session || !isAdmin(role)) return;
+
+    const { error } = await db.update('schools', { id: currentSchoolId }, { approval_threshold: threshold });
 
     if (error) {
-      console.error("Error updating description: ", error);
-      alert("Failed to update description.");
+      console.error("Error updating approval threshold: ", error);
+      alert("Failed to update approval limit.");
       return;
     }
+    setSchools(schools.map(s => s.id === currentSchoolId ? { ...s, approval_threshold: threshold } : s));
+  };
+
+  // ===== SCHOOL SETTINGS (letterhead for PDF reports) =====
+
+  const saveSchoolSettings = async (fields) => {
+    if (!session || !isAdmin(role)) return false;
+
+    const { error } = await db.update('schools', { id: currentSchoolId }, fields);
+
+    if (error) {
+      console.error("Error saving school settings: ", error);
+      alert("Failed to save school settings.");
+      return false;
+    }
+    setSchools(prev => prev
+      .map(s => s.id === currentSchoolId ? { ...s, ...fields } : s)
+      .sort((a, b) => a.name.localeCompare(b.name)));
+    return true;
+  };
+
+  const uploadLogo = async (file) => {
+    if (!session || !isAdmin(role)) return;
+    if (!syncStatus.online) {
+      alert("The logo can only be changed while online.");
+      return;
+    }
+    const problem = validateLogoFile(file);
+    if (problem) {
+      alert(problem);
+      return;
+    }
+
+    const newPath = buildLogoPath(currentSchoolId, file.name);
+    const { error: uploadError } = await db.uploadFile(LETTERHEAD_BUCKET, newPath, file, { contentType: file.type });
+    if (uploadError) {
+      console.error("Error uploading logo:", uploadError);
+      alert("Failed to upload the logo.");
+      return;
+    }
+
+    const previousPath = logoPath;
+    if (!(await saveSchoolSettings({ logo_path: newPath }))) {
+      await db.removeFiles(LETTERHEAD_BUCKET, [newPath]);
+      return;
+    }
+    if (previousPath) await db.removeFiles(LETTERHEAD_BUCKET, [previousPath]);
+  };
+
+  const removeLogo = async () => {
+    if (!session || !isAdmin(role) || !logoPath) return;
+    if (!window.confirm("Remove the logo from the letterhead?")) return;
+
+    const previousPath = logoPath;
+    if (await saveSchoolSettings({ logo_path: null })) {
+      await db.removeFiles(LETTERHEAD_BUCKET, [previousPath]);
+    }
+  };
+
+  // ===== BANK RECONCILIATION =====
+  // Uses functional state updates so several matches can run back to back
+
+  const importStatementLines = async (lines) => {
+    if (!session || !canRecord(role) || lines.length === 0) return false;
+
+    const { data, error } = await db.insert('bank_statement_lines', lines.map(l => ({
+        school_id: currentSchoolId,
+        user_id: session.user.id,
+        ...l
+    })));
+
+    if (error) {
+        console.error("Error importing statement:", error);
+        alert("Failed to import bank statement.");
+        return false;
+    }
+    setStatementLines(prev => [...prev, ...data]);
+    return true;
+  };
+
+  // entry: a transaction, or a transfer leg from getAccountEntries (kind 'transfer')
+  const matchStatementLine = async (lineId, entry) => {
+    if (!session || !canRecord(role) || !lineId || !entry) return;
+
+    if (entry.kind === 'transfer') {
+        const { error } = await db.update('bank_statement_lines', { id: lineId }, { matched_transfer_id: entry.id });
+
+        if (error) {
+            console.error("Error matching statement line:", error);
+            alert("Failed to match statement line.");
+            return;
+        }
+        setStatementLines(prev => prev.map(l => l.id === lineId ? { ...l, matched_transfer_id: entry.id } : l));
+        return;
+    }
+
+    const transactionId = entry.id;
+
+    const { error: lineError } = await db.update('bank_statement_lines', { id: lineId }, { matched_transaction_id: transactionId });
+
+    if (lineError) {
+        console.error("Error matching statement line:", lineError);
+        alert("Failed to match statement line.");
+        return;
+    }
+
+    const reconciledAt = new Date().toISOString();
+    const { error: transError } = await db.update('transactions', { id: transactionId }, { reconciled: true, reconciled_at: reconciledAt });
+
+    if (transError) {
+        console.error("Error marking transaction reconciled:", transError);
+    }
+
+    setStatementLines(prev => prev.map(l => l.id === lineId ? { ...l, matched_transaction_id: transactionId } : l));
+    setAllTransactions(prev => prev.map(t => t.id === transactionId ? { ...t, reconciled: true, reconciled_at: reconciledAt } : t));
+  };
+
+  const unmatchStatementLine = async (line) => {
+    if (!session || !canRecord(role) || !line) return;
+
+    if (line.matched_transfer_id) {
+        const { error } = await db.update('bank_statement_lines', { id: line.id }, { matched_transfer_id: null });
+
+        if (error) {
+            console.error("Error unmatching statement line:", error);
+            alert("Failed to unmatch statement line.");
+            return;
+        }
+        setStatementLines(prev => prev.map(l => l.id === line.id ? { ...l, matched_transfer_id: null } : l));
+        return;
+    }
+    if (!line.matched_transaction_id) return;
+
+    const { error: lineError } = await db.update('bank_statement_lines', { id: line.id }, { matched_transaction_id: null });
+
+    if (lineError) {
+        console.error("Error unmatching statement line:", lineError);
+        alert("Failed to unmatch statement line.");
+        return;
+    }
+
+    const { error: transError } = await db.update('transactions', { id: line.matched_transaction_id }, { reconciled: false, reconciled_at: null });
+
+    if (transError) {
+        console.error("Error clearing reconciled flag:", transError);
+    }
+
+    setStatementLines(prev => prev.map(l => l.id === line.id ? { ...l, matched_transaction_id: null } : l));
+    setAllTransactions(prev => prev.map(t => t.id === line.matched_transaction_id ? { ...t, reconciled: false, reconciled_at: null } : t));
+  };
+
+  // Records a statement line that is missing from the books, then matches it
+  const createTransactionFromLine = async (line, headId) => {
+    const created = await addTransaction(getLineAmount(line), getLineType(line), headId, line.txn_date, line.narration, "", { account_id: line.account_id });
+    if (created) {
+        await matchStatementLine(line.id, created);
+    }
+  };
+
+  // ===== MONEY ACCOUNTS & TRANSFERS =====
+
+  const addAccount = async (name, accountType, openingBalance) => {
+    if (!session || !isAdmin(role) || !name) return;
+
+    const { data, error } = await db.insert('accounts', [{
+        school_id: currentSchoolId,
+        user_id: session.user.id,
+        name,
+        account_type: accountType,
+        opening_balance: parseFloat(openingBalance) || 0
+    }]);
+
+    if (error) {
+        console.error("Error adding account:", error);
+        alert(error.code === '23505' ? "An account with this name already exists." : "Failed to add account.");
+        return;
+    }
+    setAccounts(prev => [...prev, data[0]]);
+  };
+
+  // fields: any of name, opening_balance, archived
+  const updateAccount = async (id, fields) => {
+    if (!session || !isAdmin(role) || !id) return;
+
+    const { data, error } = await db.update('accounts', { id }, fields);
+
+    if (error) {
+        console.error("Error updating account:", error);
+        alert("Failed to update account.");
+        return;
+    }
+    setAccounts(prev => prev.map(a => a.id === id ? data[0] : a));
+  };
+
+  const addTransfer = async (fromAccountId, toAccountId, amount, date, description = "") => {
+    if (!session || !canRecord(role) || !fromAccountId || !toAccountId || !amount || !date) return false;
+    if (fromAccountId === toAccountId) {
+        alert("Choose two different accounts for a transfer.");
+        return false;
+    }
+    if (isLockedDate(date)) return false;
+
+    const { data, error } = await db.insert('account_transfers', [{
+        school_id: currentSchoolId,
+        user_id: session.user.id,
+        from_account_id: fromAccountId,
+        to_account_id: toAccountId,
+        amount: parseFloat(amount),
+        date,
+        description
+    }]);
+
+    if (error) {
+        console.error("Error recording transfer:", error);
+        alert("Failed to record transfer.");
+        return false;
+    }
+    setTransfers(prev => [...prev, data[0]]);
+    return true;
+  };
+
+  const deleteTransfer = async (id) => {
+    if (!session || !canRecord(role) || !id) return;
+    const transfer = transfers.find(tr => tr.id === id);
+    if (!transfer || isLockedDate(transfer.date)) return;
+    if (statementLines.some(l => l.matched_transfer_id === id)) {
+        alert("This transfer is matched to a bank statement line. Unmatch it before deleting.");
+        return;
+    }
+    if (!window.confirm("Delete this transfer?")) return;
+
+    const { error } = await db.remove('account_transfers', { id });
+
+    if (error) {
+        console.error("Error deleting transfer:", error);
+        alert("Failed to delete transfer.");
+        return;
+    }
+    setTransfers(prev => prev.filter(tr => tr.id !== id));
+  };
+
+  // ===== RECURRING TRANSACTIONS =====
+
+  // fields: type, head_id, account_id, payment_mode, amount, description,
+  // frequency, day_of_month, start_date, end_date
+  const addRecurringTemplate = async (fields) => {
+    if (!session || !canRecord(role)) return false;
+
+    const { data, error } = await db.insert('recurring_templates', [{ school_id: currentSchoolId, user_id: session.user.id, ...fields }]);
+
+    if (error) {
+        console.error("Error adding recurring template:", error);
+        alert("Failed to add recurring template.");
+        return false;
+    }
+    setRecurringTemplates(prev => [...prev, data[0]]);
+    return true;
+  };
+
+  const updateRecurringTemplate = async (id, fields) => {
+    if (!session || !canRecord(role) || !id) return;
+
+    const { data, error } = await db.update('recurring_templates', { id }, fields);
+
+    if (error) {
+        console.error("Error updating recurring template:", error);
+        alert("Failed to update recurring template.");
+        return;
+    }
+    setRecurringTemplates(prev => prev.map(rt => rt.id === id ? data[0] : rt));
+  };
+
+  // Posted transactions stay; they just lose the link to the template
+  const deleteRecurringTemplate = async (id) => {
+    if (!session || !canRecord(role) || !id) return;
+    if (!window.confirm("Delete this recurring template? Entries already posted are kept.")) return;
+
+    const { error } = await db.remove('recurring_templates', { id });
+
+    if (error) {
+        console.error("Error deleting recurring template:", error);
+        alert("Failed to delete recurring template.");
+        return;
+    }
+    setRecurringTemplates(prev => prev.filter(rt => rt.id !== id));
+  };
+
+  // Posts one occurrence as a normal transaction; entry holds the amount, date
+  // and description the accountant confirmed
+  const postRecurringOccurrence = async (template, occurrenceDate, entry) => {
+    if (!session || !canRecord(role)) return false;
+    if (isOccurrencePosted([...allTransactions, ...trashedTransactions], template.id, occurrenceDate)) {
+        alert("This occurrence has already been posted. Look for it in the transactions or the trash.");
+        return false;
+    }
+
+    const created = await addTransaction(entry.amount, template.type, template.head_id, entry.date, entry.description, "", {
+        account_id: template.account_id,
+        payment_mode: template.payment_mode,
+        recurring_template_id: template.id,
+        occurrence_date: occurrenceDate
+    });
+    return Boolean(created);
+  };
+
+  // ===== RECEIPT ATTACHMENTS =====
+
+  // Uploads files to the school's folder in the receipts bucket, then records them
+  const uploadAttachments = async (transactionId, files) => {
+    if (!session || !canRecord(role) || !transactionId || files.length === 0) return false;
+    if (!syncStatus.online || syncStatus.pending > 0) {
+      alert("Receipts can only be attached while online, once queued changes have synced.");
+      return false;
+    }
+
+    const uploaded = [];
+    for (const file of files) {
+      const filePath = buildAttachmentPath(currentSchoolId, transactionId, file.name);
+      const { error } = await db.uploadFile(RECEIPT_BUCKET, filePath, file, { contentType: file.type });
+
+      if (error) {
+          console.error("Error uploading receipt:", error);
+          alert(`Failed to upload ${file.name}.`);
+          continue;
+      }
+      uploaded.push({
+          school_id: currentSchoolId,
+          transaction_id: transactionId,
+          user_id: session.user.id,
+          file_path: filePath,
+          file_name: file.name,
+          mime_type: file.type,
+          size_bytes: file.size
+      });
+    }
+    if (uploaded.length === 0) return false;
+
+    const { data, error } = await db.insert('transaction_attachments', uploaded);
+
+    if (error) {
+        console.error("Error saving attachments:", error);
+        alert("Failed to save the uploaded receipts.");
+        await db.removeFiles(RECEIPT_BUCKET, uploaded.map(a => a.file_path));
+        return false;
+    }
+    const signed = await db.signAttachments(data);
+    setAttachments(prev => [...prev, ...signed]);
+    return true;
+  };
+
+  const deleteAttachment = async (attachment) => {
+    if (!session || !canRecord(role) || !attachment) return;
+    if (!window.confirm(`Remove ${attachment.file_name}?`)) return;
+
+    const { error } = await db.remove('transaction_attachments', { id: attachment.id });
+
+    if (error) {
+        console.error("Error deleting attachment:", error);
+        alert("Failed to remove attachment.");
+        return;
+    }
+
+    const { error: storageError } = await db.removeFiles(RECEIPT_BUCKET, [attachment.file_path]);
+    if (storageError) console.error("Error removing receipt file:", storageError);
+    setAttachments(prev => prev.filter(a => a.id !== attachment.id));
+  };
+
+  // ===== BULK TRANSACTION IMPORT =====
+
+  // Transactions already recorded between two dates, to flag duplicates in
+  // an import; read from the database when they are older than those held
+  const listRecordedTransactions = async (from, to) => {
+    if (from >= loadedFrom) return allTransactions.filter(t => isDateInRange(t.date, from, to));
+
+    const { data, error } = await db.list('transactions', { school_id: currentSchoolId, deleted_at: null }, {
+      filters: [{ column: 'date', op: 'gte', value: from }, { column: 'date', op: 'lte', value: to }],
+    });
+    if (error) {
+      console.error("Error reading recorded transactions:", error);
+      return null;
+    }
+    return data;
+  };
+
+  // rows: validated import rows; newHeads: { name, type } heads to create first.
+  // All transactions go in one insert so a failure leaves nothing half-imported.
+  const importTransactions = async (rows, newHeads = []) => {
+    if (!session || !canRecord(role) || rows.length === 0) return false;
+    const lockedRow = rows.find(r => isDateInClosedYear(yearClosings, r.date));
+    if (lockedRow && isLockedDate(lockedRow.date)) return false;
+
+    let createdHeads = [];
+    if (newHeads.length > 0) {
+        const { data, error } = await db.insert('heads', newHeads.map(h => ({
+            school_id: currentSchoolId,
+            user_id: session.user.id,
+            name: h.name,
+            head_type: h.type
+        })));
+
+        if (error) {
+            console.error("Error creating heads for import:", error);
+            alert("Failed to create the new heads. Nothing was imported.");
+            return false;
+        }
+        createdHeads = data;
+        setHeads(prev => [...prev, ...data]);
+    }
+
+    const createdHeadId = (row) =>
+        createdHeads.find(h => headKey(h.name, h.head_type) === headKey(row.headName, row.type))?.id;
+
+    const { data, error } = await db.insert('transactions', rows.map(r => ({
+        school_id: currentSchoolId,
+        user_id: session.user.id,
+        amount: r.amount,
+        type: r.type,
+        head_id: r.headId || createdHeadId(r),
+        account_id: r.accountId,
+        date: r.date,
+        description: r.description,
+        receipt_url: r.receiptUrl,
+        payment_mode: r.paymentMode,
+        reference_number: r.referenceNumber,
+        status: needsApproval(r.type, r.amount, currentSchool?.approval_threshold) ? STATUS_PENDING : STATUS_APPROVED
+    })));
+
+    if (error) {
+        console.error("Error importing transactions:", error);
+        // Take back the heads made for this import, so a retry does not find them already there
+        const trashed = await Promise.all(createdHeads.map(h => db.moveToTrash('heads', h.id, session.user.id)));
+        trashed.filter(r => r.error).forEach(r => console.error("Error trashing imported head:", r.error));
+        const trashedRows = trashed.filter(r => !r.error).map(r => r.data[0]);
+        setHeads(prev => prev.filter(h => !trashedRows.some(t => t.id === h.id)));
+        setTrashedHeads(prev => [...prev, ...trashedRows]);
+        alert(`Failed to import transactions: ${error.message}. Nothing was imported${trashedRows.length > 0 ? ', and the new heads were moved to the trash' : ''}.`);
+        return false;
+    }
+
+    setAllTransactions(prev => [...prev, ...data]);
+    const pendingCount = data.filter(t => getTransactionStatus(t) === STATUS_PENDING).length;
+    alert(`Imported ${data.length} transactions.${pendingCount > 0 ? ` ${pendingCount} expenses are above the approval limit and have been sent for approval.` : ''}`);
+    return true;
+  };
+
+  // ===== STUDENT FEE OPERATIONS =====
+
+  const addClass = async (name, section = "") => {
+    if (!session || !canRecord(role) || !name) return;
+
+    const { data, error } = await db.insert('classes', [{ school_id: currentSchoolId, user_id: session.user.id, name, section }]);
+
+    if (error) {
+        console.error("Error adding class:", error);
+        alert("Failed to add class.");
+        return;
+    }
+    setClasses([...classes, data[0]]);
+  };
+
+  const addStudent = async (student) => {
+    if (!session || !canRecord(role) || !student.name || !student.admission_no) return;
+
+    const { data, error } = await db.insert('students', [{ school_id: currentSchoolId, user_id: session.user.id, ...student }]);
+
+    if (error) {
+        console.error("Error adding student:", error);
+        alert("Failed to add student. Check that the admission number is unique.");
+        return;
+    }
+    setStudents([...students, data[0]]);
+  };
 
-    setAllTransactions(allTransactions.map(t => t.id === id ? { ...t, description: newDescription } : t));
+  const addFeeStructure = async (classId, headId, name, installments) => {
+    if (!session || !canRecord(role) || !classId || !headId || !name || installments.length === 0) return;
+
+    // One database call, so a structure is never saved without its installments
+    const { data, error } = await db.rpc('add_fee_structure', {
+        p_school_id: currentSchoolId,
+        p_class_id: classId,
+        p_head_id: headId,
+        p_name: name,
+        p_installments: installments.map(i => ({ term: i.term, due_date: i.due_date, amount: i.amount }))
+    });
+
+    if (error) {
+        console.error("Error adding fee structure:", error);
+        alert(`Failed to add fee structure: ${error.message}`);
+        return;
+    }
+    setFeeStructures([...feeStructures, data.structure]);
+    setFeeInstallments([...feeInstallments, ...data.installments]);
+  };
+
+  // Fee collection goes through the normal addTransaction path as income
+  // payment: { account_id, payment_mode, reference_number }
+  const collectFee = async (student, amount, headId, date, description, payment) => {
+    if (!student) return;
+    await addTransaction(amount, 'income', headId, date, description, "", { student_id: student.id, ...payment });
+  };
+
+  // ===== BUDGET OPERATIONS =====
+
+  // Replaces the head's budget for the financial year with the given rows
+  // (month 0 = annual amount, 1-12 = month-wise split)
+  const saveBudget = async (headId, financialYear, rows) => {
+    if (!session || !isAdmin(role) || !headId || !financialYear) return;
+
+    // One database call, so a failed save never leaves the head without a budget
+    const { data: saved, error } = await db.rpc('save_head_budget', {
+        p_school_id: currentSchoolId,
+        p_head_id: headId,
+        p_financial_year: financialYear,
+        p_rows: rows.map(r => ({ month: r.month, amount: r.amount }))
+    });
+
+    if (error) {
+        console.error("Error saving budget:", error);
+        alert("Failed to save budget.");
+        return;
+    }
+
+    setBudgets([
+        ...budgets.filter(b => !(b.head_id === headId && b.financial_year === financialYear)),
+        ...saved
+    ]);
+  };
+
+  // ===== YEAR-END CLOSING =====
+
+  const closeFinancialYear = async (summary) => {
+    if (!session || !isAdmin(role) || !summary) return;
+
+    const { data, error } = await db.insert('year_closings', [{
+        school_id: currentSchoolId,
+        user_id: session.user.id,
+        financial_year: summary.financialYear,
+        total_income: summary.totalIncome,
+        total_expense: summary.totalExpense,
+        net_surplus: summary.netSurplus,
+        opening_balance: summary.openingBalance,
+        closing_balance: summary.closingBalance
+    }]);
+
+    if (error) {
+        console.error("Error closing financial year:", error);
+        alert("Failed to close the financial year.");
+        return;
+    }
+    setYearClosings([...yearClosings, data[0]]);
+  };
+
+  const reopenFinancialYear = async (id) => {
+    if (!session || !isAdmin(role) || !id) return;
+
+    const { error } = await db.remove('year_closings', { id });
+
+    if (error) {
+        console.error("Error reopening financial year:", error);
+        alert("Failed to reopen the financial year.");
+        return;
+    }
+    setYearClosings(yearClosings.filter(c => c.id !== id));
+  };
+
+  // ===== SCHOOL MEMBERSHIP OPERATIONS =====
+
+  const createSchool = async (name) => {
+    if (!session || !name) return;
+
+    const { data: schoolId, error } = await db.rpc('create_school', { p_name: name });
+
+    if (error) {
+        console.error("Error creating school:", error);
+        alert("Failed to create school.");
+        return;
+    }
+    localStorage.setItem('currentSchoolId', schoolId);
+    setCurrentSchoolId(schoolId);
+    await loadSchools();
+  };
+
+  const inviteMember = async (email, memberRole) => {
+    if (!session || !isAdmin(role) || !email) return;
+
+    const { data, error } = await db.insert('school_invitations', [{ school_id: currentSchoolId, email, role: memberRole, invited_by: session.user.id }]);
+
+    if (error) {
+        console.error("Error inviting member:", error);
+        alert("Failed to send invitation. This email may already be invited.");
+        return;
+    }
+    setInvitations([...invitations, data[0]]);
+  };
+
+  const revokeInvitation = async (id) => {
+    if (!session || !isAdmin(role)) return;
+
+    const { error } = await db.remove('school_invitations', { id });
+
+    if (error) {
+        console.error("Error revoking invitation:", error);
+        alert("Failed to revoke invitation.");
+        return;
+    }
+    setInvitations(invitations.filter(i => i.id !== id));
+  };
+
+  const updateMemberRole = async (memberUserId, memberRole) => {
+    if (!session || !isAdmin(role)) return;
+
+    const { error } = await db.update('school_members', { school_id: currentSchoolId, user_id: memberUserId }, { role: memberRole });
+
+    if (error) {
+        console.error("Error updating member role:", error);
+        alert(`Failed to update role: ${error.message}`);
+        return;
+    }
+    setMembers(members.map(m => m.user_id === memberUserId ? { ...m, role: memberRole } : m));
+  };
+
+  const removeMember = async (memberUserId) => {
+    if (!session || !isAdmin(role)) return;
+
+    const { error } = await db.remove('school_members', { school_id: currentSchoolId, user_id: memberUserId });
+
+    if (error) {
+        console.error("Error removing member:", error);
+        alert(`Failed to remove member: ${error.message}`);
+        return;
+    }
+    setMembers(members.filter(m => m.user_id !== memberUserId));
   };
 
   // ===== AUTH ACTIONS =====
@@ -336,103 +1528,254 @@ function App() {
 
   // ===== DATA FILTERING AND COMPUTATION =====
   
-  // 1. Filter Transactions based on the Date Range
-  const start = new Date(startDate);
-  const end = new Date(endDate);
-  end.setDate(end.getDate() + 1); 
-
-  const filteredTransactions = allTransactions.filter(t => {
-    const tDate = new Date(t.date);
-    return t.date && !isNaN(tDate) && tDate >= start && tDate < end; 
-  });
+  // 1. Filter Transactions based on the Date Range (inclusive, IST calendar days)
+  // Only approved entries count (plus pending ones when asked for); rejected never do
+  const reportTransactions = allTransactions.filter(t => isCountedInReports(t, includePending));
+  const approvedTransactions = allTransactions.filter(t => isCountedInReports(t));
+  const editingTransaction = allTransactions.find(t => t.id === editingTransactionId);
+
+  // Balances and books: older transactions held for other screens (pending,
+  // recurring, fees) are already in the totals brought forward
+  const bookTransactions = approvedTransactions.filter(t => t.date >= loadedFrom);
+  const bookAccounts = withEarlierTotals(accounts, earlierAccountTotals);
+
+  const filteredTransactions = reportTransactions.filter(t =>
+    isDateInRange(t.date, formatDateForInput(startDate), formatDateForInput(endDate))
+  );
 
+  // ...and narrowed down by the transaction filters (heads, type, amount,
+  // description, receipts) for the list, the summary cards and the P&L
+  const matchesFilters = (t) => matchesCriteria(t, filterCriteria, attachments);
+  const matchingTransactions = filteredTransactions.filter(matchesFilters);
 
-  // 2. Compute Totals for the top Summary Cards
-  const totalIncome = filteredTransactions
-    .filter((t) => t.type === "income")
-    .reduce((acc, t) => acc + t.amount, 0);
-  const totalExpense = filteredTransactions
-    .filter((t) => t.type === "expense")
-    .reduce((acc, t) => acc + t.amount, 0);
-  const balance = totalIncome - totalExpense;
 
+  // 2. Calculate P&L Summaries (from the database when it has answered)
+  const serverPl = isServerResultCurrent(serverPlSummaries, reportKey) ? serverPlSummaries : null;
 
-  // 3. Calculate P&L Summaries
   // FILTERED data
-  const filteredPlSummary = getPLSummaryData(filteredTransactions, heads);
-  const filteredTotalNet = filteredPlSummary.reduce((acc, item) => acc + item.Net, 0);
-  const filteredTotalIncome = filteredPlSummary.reduce((acc, item) => acc + item.Income, 0);
-  const filteredTotalExpense = filteredPlSummary.reduce((acc, item) => acc + item.Expense, 0);
+  const filteredPlSummary = serverPl ? serverPl.period : getPLSummaryData(matchingTransactions, heads);
 
-  // ALL-TIME data
-  const allTimePlSummary = getPLSummaryData(allTransactions, heads);
-  const allTimeTotalIncome = allTimePlSummary.reduce((acc, item) => acc + item.Income, 0);
-  const allTimeTotalExpense = allTimePlSummary.reduce((acc, item) => acc + item.Expense, 0);
-  const allTimeTotalNet = allTimeTotalIncome - allTimeTotalExpense;
+  // ALL-TIME data (transaction filters still apply)
+  const allTimeMatchingTransactions = reportTransactions.filter(matchesFilters);
+  const allTimePlSummary = serverPl ? serverPl.allTime : getPLSummaryData(allTimeMatchingTransactions, heads);
 
-  // 4. Edit Handler (for transaction description)
-  const handleEditDescription = (id, currentDescription) => {
-    const newDescription = window.prompt("Enter new description:", currentDescription);
-    if (newDescription !== null && newDescription !== currentDescription) {
-      updateTransactionDescription(id, newDescription);
-    }
+  // The period of the same length before this one, for growth on the dashboard
+  const previousPlSummary = serverPl ? serverPl.previous : getPLSummaryData(
+    allTimeMatchingTransactions.filter(t => isDateInRange(t.date, previousStart, previousEnd)),
+    heads
+  );
+
+  // Month by month, for the charts and the comparative reports: the period,
+  // and this FY and the one before
+  const periodMonthlyPl = serverPl ? serverPl.periodMonthly : getMonthlyPLSummaryData(matchingTransactions, heads);
+  const yearsMonthlyPl = serverPl ? serverPl.yearsMonthly : getMonthlyPLSummaryData(
+    allTimeMatchingTransactions.filter(t => isDateInRange(t.date, yearsStart, yearsEnd)),
+    heads
+  );
+
+  // The whole period, for comparing with budgets
+  const periodPlSummary = serverPl ? serverPl.unfiltered : (filtersActive ? getPLSummaryData(filteredTransactions, heads) : filteredPlSummary);
+
+  // 3. Totals for the top Summary Cards
+  const { income: totalIncome, expense: totalExpense, net: balance } = getPLTotals(filteredPlSummary);
+
+  // One page of the Filtered Transactions list
+  const ledger = isServerResultCurrent(serverLedger, `${ledgerKey}#${ledgerPageIndex}`)
+    ? serverLedger
+    : getLedgerPage(
+        allTransactions,
+        { startDate: periodStart, endDate: periodEnd, includePending, criteria: filterCriteria, sort: ledgerSort },
+        { offset: ledgerPageIndex * LEDGER_PAGE_SIZE, limit: LEDGER_PAGE_SIZE },
+        { heads, accounts, attachments }
+      );
+
+  // Comparative P&L: columns per month or quarter of the period, and this
+  // FY (the one the period starts in) against the previous one
+  const comparativePL = getComparativePLData(periodMonthlyPl, periodStart, periodEnd, comparativeView === 'quarter' ? 'quarter' : 'month');
+  const yearOverYearPL = getYearOverYearData(yearsMonthlyPl, periodStart);
+
+  // Opening balance carried forward into the financial year the period starts in
+  const periodFinancialYear = getFinancialYear(formatDateForInput(startDate));
+  const openingBalance = getOpeningBalance(yearClosings, periodFinancialYear.label);
+
+
+  // Budget vs actual for the report period (actuals from the period's P&L
+  // summary; a group's actual is the subtotal of its sub-heads)
+  const budgetVariance = getBudgetVarianceData(flattenPLTree(getPLTree(periodPlSummary, heads)), heads, budgets, formatDateForInput(startDate), formatDateForInput(endDate));
+
+  // Class-wise fee collection (collected vs due) for the report period
+  const classFeeReport = getClassFeeReportData(classes, students, feeStructures, feeInstallments, filteredTransactions, startDate, endDate);
+
+  // Day-wise Cash Book and Bank Book (money that actually moved, so approved only)
+  const cashBook = getDayBook('cash', bookAccounts, bookTransactions, transfers, heads, formatDateForInput(startDate), formatDateForInput(endDate));
+  const bankBook = getDayBook('bank', bookAccounts, bookTransactions, transfers, heads, formatDateForInput(startDate), formatDateForInput(endDate));
+
+  // The year to close next: its P&L from the database, or from the rows held
+  // when they cover the whole year
+  const yearEndPl = isServerResultCurrent(serverYearEnd, yearEndKey)
+    ? serverYearEnd.pl
+    : (nextYearToClose && nextYearToClose.startDate >= loadedFrom
+      ? getPLSummaryData(approvedTransactions.filter(t => isDateInRange(t.date, nextYearToClose.startDate, nextYearToClose.endDate)), heads)
+      : null);
+  const yearEndSummary = yearEndPl ? getFinancialYearSummary(getPLTotals(yearEndPl), yearClosings, nextYearToClose.label) : null;
+
+  // 4. Dashboard drill-down: a month becomes the report period, a head the
+  // transactions filter; either way the list below shows what was clicked
+  const drillIntoMonth = (month) => {
+    setStartDate(month.startDate);
+    setEndDate(month.endDate);
+    ledgerSectionRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
 
-  const handleEditAmount = (id, currentAmount) => {
-    const newAmountString = window.prompt("Enter new amount:", currentAmount);
-    if (newAmountString !== null && newAmountString !== String(currentAmount)) {
-      updateTransactionAmount(id, newAmountString);
-    }
+  const drillIntoHead = (headId) => {
+    setTransactionFilters(prev => ({ ...prev, headIds: [headId] }));
+    ledgerSectionRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
 
   // 5. Export Handler
-  const handleExport = (reportType) => {
+  // The filtered list comes from the database when it answers for the
+  // period, so an export never depends on the rows held here
+  const listMatchingTransactions = async () => {
+    if (!useServerReports) return matchingTransactions;
+    const { data, error } = await db.listFilteredTransactions(currentSchoolId, { startDate: periodStart, endDate: periodEnd, includePending, criteria: filterCriteria });
+    if (error) {
+      console.error("Error reading transactions to export:", error);
+      alert("Failed to read the transactions to export.");
+      return null;
+    }
+    return data;
+  };
+
+  const handleExport = async (reportType) => {
     let dataToExport = [];
     let filename = 'report.csv';
     const formattedStartDate = formatDateForInput(startDate);
     const formattedEndDate = formatDateForInput(endDate);
 
     switch (reportType) {
-      case "Filtered Transactions List": { 
-        dataToExport = filteredTransactions
-          .sort((a, b) => new Date(a.date) - new Date(b.date))
-          .map(t => {
-            const head = heads.find((h) => h.id === t.head_id);
-            return {
-              Date: t.date,
-              Type: t.type,
-              Head: head ? head.name : "Unknown",
-              Description: t.description || "",
-              Amount: t.amount,
-              ReceiptURL: t.receipt_url || ""
-            };
-          });
-        filename = `Transactions_${formattedStartDate}_to_${formattedEndDate}.csv`;
+      case "Filtered Transactions List": { 
+        const transactionList = await listMatchingTransactions();
+        if (!transactionList) return;
+        dataToExport = getTransactionExportRows(transactionList, heads, accounts);
+        filename = `Transactions_${formattedStartDate}_to_${formattedEndDate}.csv`;
+        break;
+      } 
+
+      case "Filtered P&L Head Summary": { 
+        dataToExport = getPLTreeExportRows(filteredPlSummary, heads);
+        filename = `PL_Summary_${formattedStartDate}_to_${formattedEndDate}.csv`;
+        break;
+      } 
+
+      case "All-Time P&L Head Summary": { 
+        dataToExport = getPLTreeExportRows(allTimePlSummary, heads);
+        filename = 'PL_Summary_All_Time.csv';
+        break;
+      } 
+
+      case "Comparative P&L": {
+        if (comparativeView === 'yoy') {
+          dataToExport = getYearOverYearExportRows(yearOverYearPL);
+          filename = `PL_FY_${yearOverYearPL.current.label}_vs_${yearOverYearPL.previous.label}.csv`;
+        } else {
+          dataToExport = [...comparativePL.rows, ...comparativePL.totals];
+          filename = `PL_${comparativeView === 'quarter' ? 'Quarterly' : 'Monthly'}_${formattedStartDate}_to_${formattedEndDate}.csv`;
+        }
+        break;
+      }
+
+      case "Budget vs Actual": {
+        dataToExport = budgetVariance;
+        filename = `Budget_vs_Actual_${formattedStartDate}_to_${formattedEndDate}.csv`;
+        break;
+      }
+
+      case "Class-wise Fee Collection": {
+        dataToExport = classFeeReport;
+        filename = `Fee_Collection_${formattedStartDate}_to_${formattedEndDate}.csv`;
+        break;
+      }
+
+      case "Cash Book": {
+        dataToExport = getDayBookExportRows(cashBook, formattedStartDate, formattedEndDate);
+        filename = `Cash_Book_${formattedStartDate}_to_${formattedEndDate}.csv`;
+        break;
+      }
+
+      case "Bank Book": {
+        dataToExport = getDayBookExportRows(bankBook, formattedStartDate, formattedEndDate);
+        filename = `Bank_Book_${formattedStartDate}_to_${formattedEndDate}.csv`;
+        break;
+      }
+      
+      default:
+        alert("Unknown report type.");
+        return;
+    }
+    downloadCSV(dataToExport, filename);
+  };
+
+  // One Excel workbook with the transactions list and both P&L summaries,
+  // plus a sheet per head when asked for
+  const handleWorkbookExport = async () => {
+    const transactionList = await listMatchingTransactions();
+    if (!transactionList) return;
+    const transactionRows = getTransactionExportRows(transactionList, heads, accounts);
+    const sheets = [
+      getTransactionsSheet("Transactions", transactionRows),
+      getPLSummarySheet("P&L Summary", getPLTreeExportRows(filteredPlSummary, heads)),
+      getPLSummarySheet("All-Time Summary", getPLTreeExportRows(allTimePlSummary, heads)),
+      ...(includeHeadSheets ? getHeadSheets(transactionRows) : []),
+    ];
+
+    try {
+      await downloadWorkbook(sheets, `Reports_${formatDateForInput(startDate)}_to_${formatDateForInput(endDate)}.xlsx`);
+    } catch (error) {
+      console.error("Error creating workbook:", error);
+      alert("Failed to create the Excel workbook.");
+    }
+  };
+
+  // Printable PDFs on the school letterhead, from the same data as the CSVs
+  const handlePdfExport = async (reportType) => {
+    const formattedStartDate = formatDateForInput(startDate);
+    const formattedEndDate = formatDateForInput(endDate);
+    const period = `${formatDisplayDate(startDate)} to ${formatDisplayDate(endDate)}${filtersActive ? ' (filtered)' : ''}`;
+    let report;
+    let filename;
+
+    switch (reportType) {
+      case "P&L Head Summary":
+        report = { title: "P&L Head Summary", period, table: getPLSummaryPdfTable(getPLTreeExportRows(filteredPlSummary, heads)) };
+        filename = `PL_Summary_${formattedStartDate}_to_${formattedEndDate}.pdf`;
         break;
-      } 
-
-      case "Filtered P&L Head Summary": { 
-        // Get totals for the filtered data
-        const totalsRowF = { Head: "TOTALS", Type: "", Income: filteredTotalIncome, Expense: filteredTotalExpense, Net: filteredTotalNet };
-        
-        dataToExport = [...filteredPlSummary, totalsRowF]; 
-        filename = `PL_Summary_${formattedStartDate}_to_${formattedEndDate}.csv`;
+      case "Transactions List": {
+        const transactionList = await listMatchingTransactions();
+        if (!transactionList) return;
+        report = { title: "Transactions List", period, table: getTransactionsPdfTable(transactionList, heads, accounts) };
+        filename = `Transactions_${formattedStartDate}_to_${formattedEndDate}.pdf`;
         break;
-      } 
-
-      case "All-Time P&L Head Summary": { 
-        const totalsRowA = { Head: "TOTALS", Type: "", Income: allTimeTotalIncome, Expense: allTimeTotalExpense, Net: allTimeTotalNet };
-
-        dataToExport = [...allTimePlSummary, totalsRowA];
-        filename = 'PL_Summary_All_Time.csv';
+      }
+      case "All-Time P&L Head Summary":
+        report = {
+          title: "All-Time P&L Head Summary",
+          period: `All time${filtersActive ? ' (filtered)' : ''}`,
+          table: getPLSummaryPdfTable(getPLTreeExportRows(allTimePlSummary, heads)),
+        };
+        filename = "PL_Summary_All_Time.pdf";
         break;
-      } 
-      
       default:
         alert("Unknown report type.");
         return;
     }
-    downloadCSV(dataToExport, filename);
+
+    try {
+      const logo = await readImageAsDataUrl(logoUrl);
+      await downloadReportPdf(currentSchool, logo, report, filename);
+    } catch (error) {
+      console.error("Error creating PDF:", error);
+      alert("Failed to create the PDF.");
+    }
   };
 
   // ===== UI RENDER (Loading and Login) =====
@@ -453,14 +1796,15 @@ function App() {
     );
   }
 
-  // ===== MAIN APP RENDER =====
-  return (
-    <div className="min-h-screen bg-gray-100 p-6 font-sans">
-      {/* Header */}
-      <div className="flex justify-between items-center mb-6 border-b pb-4">
-        <h1 className="text-2xl font-semibold text-gray-800">
-            Welcome, {session.user.user_metadata.full_name || session.user.email}
-        </h1>
+  // ===== HEADER (shared by onboarding and main app) =====
+  const header = (
+    <div className="flex justify-between items-center mb-6 border-b pb-4">
+      <h1 className="text-2xl font-semibold text-gray-800">
+          Welcome, {session.user.user_metadata.full_name || session.user.email}
+      </h1>
+      <div className="flex items-center gap-4">
+        <SyncStatus status={syncStatus} onSync={fetchData} />
+        <SchoolSwitcher schools={schools} currentSchoolId={currentSchoolId} switchSchool={switchSchool} />
         <button
           onClick={handleLogout}
           className="bg-red-500 text-white px-4 py-2 rounded-lg hover:bg-red-600 transition"
@@ -468,6 +1812,40 @@ function App() {
           Logout
         </button>
       </div>
+    </div>
+  );
+
+  // ===== ONBOARDING (no school yet) =====
+  if (!currentSchool) {
+    return (
+      <div className="min-h-screen bg-gray-100 p-6 font-sans">
+        {header}
+        <CreateSchool email={session.user.email} createSchool={createSchool} />
+      </div>
+    );
+  }
+
+  // ===== MAIN APP RENDER =====
+  return (
+    <div className="min-h-screen bg-gray-100 p-6 font-sans">
+      {/* Header */}
+      {header}
+
+      <SyncIssues status={syncStatus} resolveConflict={resolveSyncConflict} dismissRejected={db.dismissRejected} />
+
+      {/* Charts Dashboard (same FILTERED data as the summary) */}
+      <ChartsDashboard
+        monthlyPl={periodMonthlyPl}
+        yearsMonthlyPl={yearsMonthlyPl}
+        plSummary={filteredPlSummary}
+        previousPlSummary={previousPlSummary}
+        previousPeriod={{ startDate: previousStart, endDate: previousEnd }}
+        heads={heads}
+        startDate={periodStart}
+        endDate={periodEnd}
+        onSelectMonth={drillIntoMonth}
+        onSelectHead={drillIntoHead}
+      />
 
       {/* Summary (Uses FILTERED totals) */}
       <div className="grid md:grid-cols-3 gap-4 mb-6">
@@ -482,24 +1860,175 @@ function App() {
         <div className="bg-white shadow-md rounded-lg p-4 text-center">
           <h2 className="text-sm font-medium text-gray-500">Balance (Filtered)</h2>
           <p className="text-blue-600 font-bold text-2xl">₹{balance.toFixed(2)}</p>
+          {openingBalance !== 0 && (
+            <p className="text-xs text-gray-500 mt-1">
+              Opening balance b/f for FY {periodFinancialYear.label}: ₹{openingBalance.toFixed(2)}
+            </p>
+          )}
         </div>
       </div>
 
-      {/* Heads Section */}
-      <div className="bg-white shadow-lg rounded-lg p-4 mb-6">
-        <h2 className="text-xl font-semibold mb-3 text-gray-700">Manage P&L Heads</h2>
-        <HeadManager heads={heads} addHead={addHead} deleteHead={deleteHead} />
-      </div>
-
-      {/* Transactions Recording Section */}
+      {/* Cash & Bank Accounts (balances visible to everyone) */}
       <div className="bg-white shadow-lg rounded-lg p-4 mb-6">
-        <h2 className="text-xl font-semibold mb-3 text-gray-700">Record New Transaction</h2>
-        <TransactionManager
+        <h2 className="text-xl font-semibold mb-3 text-gray-700">Cash & Bank Accounts</h2>
+        <AccountsManager
+          accounts={bookAccounts}
+          transactions={bookTransactions}
+          transfers={transfers}
           heads={heads}
-          addTransaction={addTransaction}
+          startDate={startDate}
+          endDate={endDate}
+          canEdit={canRecord(role)}
+          canManage={isAdmin(role)}
+          addAccount={addAccount}
+          updateAccount={updateAccount}
+          addTransfer={addTransfer}
+          deleteTransfer={deleteTransfer}
         />
       </div>
 
+      {/* School Members Section (admin only) */}
+      {isAdmin(role) && (
+        <div className="bg-white shadow-lg rounded-lg p-4 mb-6">
+          <h2 className="text-xl font-semibold mb-3 text-gray-700">School Members & Roles</h2>
+          <SchoolMembers
+            members={members}
+            invitations={invitations}
+            currentUserId={session.user.id}
+            inviteMember={inviteMember}
+            updateMemberRole={updateMemberRole}
+            removeMember={removeMember}
+            revokeInvitation={revokeInvitation}
+            createSchool={createSchool}
+          />
+        </div>
+      )}
+
+      {/* School Settings Section (admin only) */}
+      {isAdmin(role) && (
+        <div className="bg-white shadow-lg rounded-lg p-4 mb-6">
+          <h2 className="text-xl font-semibold mb-3 text-gray-700">School Settings (Letterhead)</h2>
+          <SchoolSettings
+            key={currentSchoolId}
+            school={currentSchool}
+            logoUrl={logoUrl}
+            saveSchoolSettings={saveSchoolSettings}
+            uploadLogo={uploadLogo}
+            removeLogo={removeLogo}
+          />
+        </div>
+      )}
+
+      {/* Heads Section */}
+      {canRecord(role) && (
+        <div className="bg-white shadow-lg rounded-lg p-4 mb-6">
+          <h2 className="text-xl font-semibold mb-3 text-gray-700">Manage P&L Heads</h2>
+          <HeadManager
+            heads={heads}
+            headUsage={headUsage}
+            highlightedIds={liveChangedIds}
+            addHead={addHead}
+            renameHead={renameHead}
+            changeHeadType={changeHeadType}
+            mergeHead={mergeHead}
+            moveHead={moveHead}
+            deleteHead={deleteHead}
+            archiveHead={archiveHead}
+          />
+        </div>
+      )}
+
+      {/* Budgets Section (admin only) */}
+      {isAdmin(role) && (
+        <div className="bg-white shadow-lg rounded-lg p-4 mb-6">
+          <h2 className="text-xl font-semibold mb-3 text-gray-700">Annual Budgets by P&L Head</h2>
+          <BudgetManager heads={heads} budgets={budgets} saveBudget={saveBudget} />
+        </div>
+      )}
+
+      {/* Transactions Recording Section */}
+      {canRecord(role) && (
+        <div ref={recordFormRef} className="bg-white shadow-lg rounded-lg p-4 mb-6">
+          <h2 className="text-xl font-semibold mb-3 text-gray-700">Record New Transaction</h2>
+          <TransactionManager
+            heads={heads}
+            accounts={accounts}
+            draft={transactionDraft}
+            addTransaction={addTransaction}
+            uploadAttachments={uploadAttachments}
+          />
+        </div>
+      )}
+
+      {/* Recurring Transactions Section */}
+      {canRecord(role) && (
+        <div className="bg-white shadow-lg rounded-lg p-4 mb-6">
+          <h2 className="text-xl font-semibold mb-3 text-gray-700">Recurring Transactions</h2>
+          <RecurringManager
+            templates={recurringTemplates}
+            heads={heads}
+            accounts={accounts}
+            transactions={[...allTransactions, ...trashedTransactions]}
+            addTemplate={addRecurringTemplate}
+            updateTemplate={updateRecurringTemplate}
+            deleteTemplate={deleteRecurringTemplate}
+            postOccurrence={postRecurringOccurrence}
+          />
+        </div>
+      )}
+
+      {/* Bulk Import Section */}
+      {canRecord(role) && (
+        <div className="bg-white shadow-lg rounded-lg p-4 mb-6">
+          <h2 className="text-xl font-semibold mb-3 text-gray-700">Import Transactions (CSV / Excel)</h2>
+          <TransactionImport
+            key={currentSchoolId}
+            heads={heads}
+            accounts={accounts}
+            listRecorded={listRecordedTransactions}
+            yearClosings={yearClosings}
+            importTransactions={importTransactions}
+          />
+        </div>
+      )}
+
+      {/* Approvals Section */}
+      {canRecord(role) && (
+        <div className="bg-white shadow-lg rounded-lg p-4 mb-6">
+          <h2 className="text-xl font-semibold mb-3 text-gray-700">Expense Approvals</h2>
+          <ApprovalQueue
+            key={currentSchoolId}
+            transactions={allTransactions}
+            heads={heads}
+            canApprove={isAdmin(role)}
+            threshold={currentSchool.approval_threshold}
+            approveTransaction={approveTransaction}
+            rejectTransaction={rejectTransaction}
+            updateApprovalThreshold={updateApprovalThreshold}
+          />
+        </div>
+      )}
+
+      {/* Student Fees Section */}
+      {canRecord(role) && (
+        <div className="bg-white shadow-lg rounded-lg p-4 mb-6">
+          <h2 className="text-xl font-semibold mb-3 text-gray-700">Student Fees</h2>
+          <StudentFeeManager
+            classes={classes}
+            students={students}
+            heads={heads}
+            accounts={accounts}
+            feeStructures={feeStructures}
+            feeInstallments={feeInstallments}
+            transactions={allTransactions}
+            addClass={addClass}
+            addStudent={addStudent}
+            addFeeStructure={addFeeStructure}
+            collectFee={collectFee}
+          />
+        </div>
+      )}
+
       {/* ===================================================================
           REPORTING SECTION
           =================================================================== */}
@@ -507,33 +2036,24 @@ function App() {
         <h2 className="text-xl font-bold mb-4 text-gray-700">Reporting & Exports</h2>
 
         {/* Select Report Period UI */}
-        <div className="mb-4">
-          <h3 className="text-lg font-semibold text-blue-700 mb-2">Select Report Period</h3>
-          <div className="grid grid-cols-2 gap-4">
-            <div>
-              <label className="text-sm font-medium block mb-1">Start Date</label>
-              <input
-                type="date"
-                value={formatDateForInput(startDate)}
-                onChange={(e) => setStartDate(e.target.value)}
-                className="border border-gray-300 p-2 rounded w-full"
-              />
-            </div>
-            <div>
-              <label className="text-sm font-medium block mb-1">End Date</label>
-              <input
-                type="date"
-                value={formatDateForInput(endDate)}
-                onChange={(e) => setEndDate(e.target.value)}
-                className="border border-gray-300 p-2 rounded w-full"
-              />
-            </div>
-          </div>
-        </div>
+        <PeriodSelector
+          startDate={startDate}
+          endDate={endDate}
+          setStartDate={setStartDate}
+          setEndDate={setEndDate}
+        />
+
+        <label className="flex items-center text-sm text-gray-700 mb-4">
+          <input
+            type="checkbox"
+            checked={includePending}
+            onChange={(e) => setIncludePending(e.target.checked)}
+            className="mr-2"
+          />
+          Include expenses pending approval in reports
+        </label>
 
-        <p className="text-sm mb-4 text-gray-600">
-          Current Report Period: {formatDateForInput(startDate)} to {formatDateForInput(endDate)}
-        </p>
+        <TransactionFilters filters={transactionFilters} setFilters={setTransactionFilters} heads={heads} />
 
         {/* Export Buttons */}
         <div className="flex flex-wrap gap-3">
@@ -555,155 +2075,338 @@ function App() {
           >
             All-Time P&L Head Summary
           </button>
+          <button
+            onClick={() => handleExport("Comparative P&L")}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition"
+          >
+            Comparative P&L ({COMPARATIVE_VIEWS[comparativeView]})
+          </button>
+          <button
+            onClick={() => handleExport("Budget vs Actual")}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition"
+          >
+            Budget vs Actual
+          </button>
+          <button
+            onClick={() => handleExport("Class-wise Fee Collection")}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition"
+          >
+            Class-wise Fee Collection
+          </button>
+          <button
+            onClick={() => handleExport("Cash Book")}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition"
+          >
+            Cash Book
+          </button>
+          <button
+            onClick={() => handleExport("Bank Book")}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition"
+          >
+            Bank Book
+          </button>
+        </div>
+        <div className="flex flex-wrap items-center gap-3 mt-3">
+          <span className="text-sm font-medium text-gray-600">Print (PDF):</span>
+          <button
+            onClick={() => handlePdfExport("P&L Head Summary")}
+            className="bg-gray-100 px-4 py-2 rounded-lg hover:bg-gray-200 transition"
+          >
+            P&L Head Summary
+          </button>
+          <button
+            onClick={() => handlePdfExport("Transactions List")}
+            className="bg-gray-100 px-4 py-2 rounded-lg hover:bg-gray-200 transition"
+          >
+            Transactions List
+          </button>
+          <button
+            onClick={() => handlePdfExport("All-Time P&L Head Summary")}
+            className="bg-gray-100 px-4 py-2 rounded-lg hover:bg-gray-200 transition"
+          >
+            All-Time P&L Head Summary
+          </button>
+        </div>
+        <div className="flex flex-wrap items-center gap-3 mt-3">
+          <span className="text-sm font-medium text-gray-600">Excel:</span>
+          <button
+            onClick={handleWorkbookExport}
+            className="bg-green-700 text-white px-4 py-2 rounded-lg hover:bg-green-800 transition"
+          >
+            All Reports Workbook (.xlsx)
+          </button>
+          <label className="flex items-center text-sm">
+            <input
+              type="checkbox"
+              checked={includeHeadSheets}
+              onChange={(e) => setIncludeHeadSheets(e.target.checked)}
+              className="mr-2"
+            />
+            Add a sheet per head
+          </label>
         </div>
 
         {/* P&L Head Summary Dashboard (Filtered) */}
         <div className="mt-8 overflow-x-auto">
-          <h3 className="text-xl font-semibold mb-3">P&L Head Summary (Filtered: {formatDateForInput(startDate)} to {formatDateForInput(endDate)})</h3>
-          <table className="min-w-full bg-white border border-gray-200">
-            <thead>
-              <tr className="bg-gray-100">
-                <th className="py-2 px-4 border-b text-left">Head</th>
-                <th className="py-2 px-4 border-b text-left">Type</th>
-                <th className="py-2 px-4 border-b text-right text-green-600">Income (₹)</th>
-                <th className="py-2 px-4 border-b text-right text-red-600">Expense (₹)</th>
-                <th className="py-2 px-4 border-b text-right text-blue-600">Net (₹)</th>
-              </tr>
-            </thead>
-            <tbody>
-              {filteredPlSummary.map((item, index) => (
-                <tr key={index} className="hover:bg-gray-50">
-                  <td className="py-2 px-4 border-b">{item.Head}</td>
-                  <td className="py-2 px-4 border-b">
-                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${item.Type === 'income' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
-                      {item.Type}
-                    </span>
-                  </td>
-                  <td className="py-2 px-4 border-b text-right text-green-600">₹{item.Income.toFixed(2)}</td>
-                  <td className="py-2 px-4 border-b text-right text-red-600">₹{item.Expense.toFixed(2)}</td>
-                  <td className="py-2 px-4 border-b text-right font-bold" style={{ color: item.Net >= 0 ? '#059669' : '#DC2626' }}>
-                    ₹{item.Net.toFixed(2)}
-                  </td>
-                </tr>
-              ))}
-            </tbody>
-            <tfoot>
-              <tr className="bg-gray-200 font-bold">
-                <td className="py-2 px-4 border-t" colSpan="2">TOTALS</td>
-                <td className="py-2 px-4 border-t text-right text-green-600">₹{filteredTotalIncome.toFixed(2)}</td>
-                <td className="py-2 px-4 border-t text-right text-red-600">₹{filteredTotalExpense.toFixed(2)}</td>
-                <td className="py-2 px-4 border-t text-right" style={{ color: filteredTotalNet >= 0 ? '#059669' : '#DC2626' }}>
-                  ₹{filteredTotalNet.toFixed(2)}
-                </td>
-              </tr>
-            </tfoot>
-          </table>
+          <h3 className="text-xl font-semibold mb-3">
+            P&L Head Summary (Filtered: {formatDateForInput(startDate)} to {formatDateForInput(endDate)}{filtersActive && ', matching the transaction filters'})
+          </h3>
+          <PLSummaryTable summary={filteredPlSummary} heads={heads} />
         </div>
 
+        {/* Comparative P&L (Filtered) */}
+        <ComparativePLReport
+          view={comparativeView}
+          setView={setComparativeView}
+          comparative={comparativePL}
+          yearOverYear={yearOverYearPL}
+          startDate={periodStart}
+          endDate={periodEnd}
+        />
+
+        {/* Budget vs Actual (Filtered) */}
+        <BudgetVarianceReport
+          reportData={budgetVariance}
+          startDate={formatDateForInput(startDate)}
+          endDate={formatDateForInput(endDate)}
+        />
+
+        {/* Class-wise Fee Collection (Filtered) */}
+        <ClassFeeReport
+          reportData={classFeeReport}
+          startDate={formatDateForInput(startDate)}
+          endDate={formatDateForInput(endDate)}
+        />
+
+        {/* Cash Book and Bank Book (Filtered) */}
+        <DayBookReport
+          title={BOOK_TITLES.cash}
+          book={cashBook}
+          startDate={formatDateForInput(startDate)}
+          endDate={formatDateForInput(endDate)}
+        />
+        <DayBookReport
+          title={BOOK_TITLES.bank}
+          book={bankBook}
+          startDate={formatDateForInput(startDate)}
+          endDate={formatDateForInput(endDate)}
+        />
+
         {/* Filtered Transactions List */}
-        <div className="mt-8 overflow-x-auto">
-          <h3 className="text-xl font-semibold mb-3">Filtered Transactions ({filteredTransactions.length})</h3>
+        <div ref={ledgerSectionRef} className="mt-8 overflow-x-auto">
+          <h3 className="text-xl font-semibold mb-3">Filtered Transactions ({ledger.count})</h3>
           <table className="min-w-full bg-white border border-gray-200">
             <thead>
               <tr className="bg-gray-100">
-                <th className="py-2 px-4 border-b text-left">Date</th>
-                <th className="py-2 px-4 border-b text-left">Head</th>
-                <th className="py-2 px-4 border-b text-left">Description</th>
+                <SortableHeader label="Date" column="date" sort={ledgerSort} setSort={setLedgerSort} />
+                <SortableHeader label="Head" column="head" sort={ledgerSort} setSort={setLedgerSort} />
+                <SortableHeader label="Account" column="account" sort={ledgerSort} setSort={setLedgerSort} />
+                <SortableHeader label="Description" column="description" sort={ledgerSort} setSort={setLedgerSort} />
                 <th className="py-2 px-4 border-b text-left">Receipt</th>
-                <th className="py-2 px-4 border-b text-right">Amount (₹)</th>
+                <SortableHeader label="Amount (₹)" column="amount" sort={ledgerSort} setSort={setLedgerSort} align="right" />
                 <th className="py-2 px-4 border-b text-right">Actions</th>
               </tr>
             </thead>
             <tbody>
-              {filteredTransactions.sort((a, b) => new Date(b.date) - new Date(a.date)).map((t) => {
+              {ledger.rows.map((t) => {
                 const head = heads.find((h) => h.id === t.head_id);
                 return (
-                  <tr key={t.id} className="hover:bg-gray-50 text-sm">
-                    <td className="py-2 px-4 border-b">{new Date(t.date).toLocaleDateString()}</td>
+                  <tr key={t.id} className={`${liveChangedIds.includes(t.id) ? 'bg-yellow-50' : ''} hover:bg-gray-50 text-sm transition-colors`}>
+                    <td className="py-2 px-4 border-b">{formatDisplayDate(t.date)}</td>
                     <td className="py-2 px-4 border-b">
                       <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${t.type === 'income' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
                         {head?.name || "Unknown"}
                       </span>
                     </td>
-                    <td className="py-2 px-4 border-b">{t.description || 'N/A'}</td>
                     <td className="py-2 px-4 border-b">
-                      {t.receipt_url ? <a href={t.receipt_url} target="_blank" rel="noopener noreferrer" className="text-blue-500 hover:underline">View</a> : 'N/A'}
+                      {getAccountName(accounts, t.account_id)}
+                      {t.payment_mode && <div className="text-xs text-gray-500">{describePayment(t)}</div>}
+                    </td>
+                    <td className="py-2 px-4 border-b">
+                      {t.description || 'N/A'}
+                      {getTransactionStatus(t) === STATUS_PENDING && (
+                        <span className="text-xs ml-2 px-2 py-0.5 rounded-full bg-yellow-100 text-yellow-800 font-medium">PENDING</span>
+                      )}
+                    </td>
+                    <td className="py-2 px-4 border-b">
+                      <ReceiptAttachments
+                        transaction={t}
+                        attachments={attachments}
+                        canEdit={canRecord(role)}
+                        uploadAttachments={uploadAttachments}
+                        deleteAttachment={deleteAttachment}
+                      />
                     </td>
                     <td className={`py-2 px-4 border-b text-right font-semibold ${t.type === 'income' ? 'text-green-600' : 'text-red-600'}`}>
                       {t.type === 'income' ? '' : '-'}₹{t.amount.toFixed(2)}
                     </td>
                   
-                  <td className="py-2 px-4 border-b text-right space-x-2">
-                    <button
-                      onClick={() => handleEditDescription(t.id, t.description)}
-                      className="text-xs bg-blue-100 text-blue-700 px-2 py-1 rounded-full hover:bg-blue-200"
-                    >
-                      Edit Desc
-                    </button>
-                    <button
-                      onClick={() => handleEditAmount(t.id, t.amount)}
-                      className="text-xs bg-yellow-100 text-yellow-700 px-2 py-1 rounded-full hover:bg-yellow-200"
-                    >
-                      Edit Amt
-                    </button>
-                    <button
-                      onClick={() => deleteTransaction(t.id)}
-                      className="text-xs bg-red-100 text-red-700 px-2 py-1 rounded-full hover:bg-red-200"
-                    >
-                      Delete
-                    </button>
-                  </td>
+                    <td className="py-2 px-4 border-b text-right space-x-2">
+                      <button
+                        onClick={async () => { await fetchAuditLog(); setHistoryRecordId(t.id); }}
+                        className="text-xs bg-gray-100 text-gray-700 px-2 py-1 rounded-full hover:bg-gray-200"
+                      >
+                        History
+                      </button>
+                      {canRecord(role) && (
+                        <>
+                          <button
+                            onClick={() => setEditingTransactionId(t.id)}
+                            className="text-xs bg-blue-100 text-blue-700 px-2 py-1 rounded-full hover:bg-blue-200"
+                          >
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => duplicateTransaction(t)}
+                            className="text-xs bg-yellow-100 text-yellow-700 px-2 py-1 rounded-full hover:bg-yellow-200"
+                          >
+                            Duplicate
+                          </button>
+                          <button
+                            onClick={() => deleteTransaction(t.id)}
+                            className="text-xs bg-red-100 text-red-700 px-2 py-1 rounded-full hover:bg-red-200"
+                          >
+                            Delete
+                          </button>
+                        </>
+                      )}
+                    </td>
                   </tr>
                 );
               })}
             </tbody>
           </table>
+          {ledger.count > LEDGER_PAGE_SIZE && (
+            <div className="flex justify-end items-center gap-3 mt-3 text-sm">
+              <button
+                onClick={() => setLedgerPage(ledgerPageIndex - 1)}
+                disabled={ledgerPageIndex === 0}
+                className="px-3 py-1 rounded bg-gray-100 hover:bg-gray-200 disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <span>Page {ledgerPageIndex + 1} of {getPageCount(ledger.count)}</span>
+              <button
+                onClick={() => setLedgerPage(ledgerPageIndex + 1)}
+                disabled={ledgerPageIndex + 1 >= getPageCount(ledger.count)}
+                className="px-3 py-1 rounded bg-gray-100 hover:bg-gray-200 disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          )}
         </div>
       </div>
       
+      {/* ===================================================================
+          BANK RECONCILIATION SECTION
+          =================================================================== */}
+      <div className="bg-white shadow rounded-lg p-6 mb-6">
+        <h2 className="text-xl font-bold mb-4 text-gray-700">Bank Reconciliation</h2>
+        <BankReconciliation
+          statementLines={statementLines}
+          transactions={bookTransactions}
+          transfers={transfers}
+          accounts={bookAccounts}
+          heads={heads}
+          canEdit={canRecord(role)}
+          importStatementLines={importStatementLines}
+          matchStatementLine={matchStatementLine}
+          unmatchStatementLine={unmatchStatementLine}
+          createTransactionFromLine={createTransactionFromLine}
+          exportCSV={downloadCSV}
+        />
+      </div>
+
+      {/* ===================================================================
+          YEAR-END CLOSING SECTION
+          =================================================================== */}
+      <div className="bg-white shadow rounded-lg p-6 mb-6">
+        <h2 className="text-xl font-bold mb-4 text-gray-700">Year-End Closing</h2>
+        <YearEndClose
+          nextYear={nextYearToClose}
+          summary={yearEndSummary}
+          closings={yearClosings}
+          closeFinancialYear={closeFinancialYear}
+          reopenFinancialYear={reopenFinancialYear}
+          readOnly={!isAdmin(role)}
+        />
+      </div>
+
+      {/* ===================================================================
+          AUDIT TRAIL SECTION
+          =================================================================== */}
+      <div className="bg-white shadow rounded-lg p-6 mb-6">
+        <h2 className="text-xl font-bold mb-4 text-gray-700">Audit Trail</h2>
+        <AuditLogReport
+          entries={auditLog}
+          heads={heads}
+          members={members}
+          startDate={formatDateForInput(startDate)}
+          endDate={formatDateForInput(endDate)}
+          onRefresh={fetchAuditLog}
+          exportCSV={downloadCSV}
+        />
+      </div>
+
+      {historyRecordId && (
+        <RecordHistory
+          recordId={historyRecordId}
+          entries={auditLog}
+          heads={heads}
+          members={members}
+          onClose={() => setHistoryRecordId(null)}
+        />
+      )}
+
+      {editingTransaction && (
+        <TransactionEditDialog
+          key={editingTransaction.id}
+          transaction={editingTransaction}
+          heads={heads}
+          accounts={accounts}
+          attachments={attachments}
+          saveTransaction={updateTransaction}
+          uploadAttachments={uploadAttachments}
+          deleteAttachment={deleteAttachment}
+          onClose={() => setEditingTransactionId(null)}
+        />
+      )}
+
+      {/* ===================================================================
+          TRASH SECTION
+          =================================================================== */}
+      {canRecord(role) && (
+        <div className="bg-white shadow rounded-lg p-6 mb-6">
+          <h2 className="text-xl font-bold mb-4 text-gray-700">Trash</h2>
+          <TrashBin
+            trashedHeads={trashedHeads}
+            trashedTransactions={trashedTransactions}
+            heads={heads}
+            canEdit={canRecord(role)}
+            canPurge={isAdmin(role)}
+            restoreHead={restoreHead}
+            restoreTransaction={restoreTransaction}
+            purgeHead={purgeHead}
+            purgeTransaction={purgeTransaction}
+          />
+        </div>
+      )}
+
+      {lastDeleted && (
+        <UndoToast
+          message={lastDeleted.label}
+          onUndo={undoLastDelete}
+          onDismiss={dismissUndo}
+        />
+      )}
+
       {/* ===================================================================
           ALL-TIME SUMMARY SECTION
           =================================================================== */}
       <div className="bg-white shadow rounded-lg p-6 mb-6">
         <h2 className="text-xl font-bold mb-4 text-gray-700">All-Time Financial Performance by P&L Head</h2>
-        <table className="min-w-full bg-white border border-gray-200">
-          <thead>
-            <tr className="bg-gray-100">
-              <th className="py-2 px-4 border-b text-left">Head</th>
-              <th className="py-2 px-4 border-b text-left">Type</th>
-              <th className="py-2 px-4 border-b text-right text-green-600">Income (₹)</th>
-              <th className="py-2 px-4 border-b text-right text-red-600">Expense (₹)</th>
-              <th className="py-2 px-4 border-b text-right text-blue-600">Net (₹)</th>
-            </tr>
-          </thead>
-          <tbody>
-            {allTimePlSummary.map((item, index) => (
-              <tr key={index} className="hover:bg-gray-50">
-                <td className="py-2 px-4 border-b">{item.Head}</td>
-                <td className="py-2 px-4 border-b">
-                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${item.Type === 'income' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
-                    {item.Type}
-                  </span>
-                </td>
-                <td className="py-2 px-4 border-b text-right text-green-600">₹{item.Income.toFixed(2)}</td>
-                <td className="py-2 px-4 border-b text-right text-red-600">₹{item.Expense.toFixed(2)}</td>
-                <td className="py-2 px-4 border-b text-right font-bold" style={{ color: item.Net >= 0 ? '#059669' : '#DC2626' }}>
-                  ₹{item.Net.toFixed(2)}
-                </td>
-              </tr>
-            ))}
-          </tbody>
-          <tfoot>
-              <tr className="bg-gray-200 font-bold">
-                <td className="py-2 px-4 border-t" colSpan="2">TOTALS (All-Time)</td>
-                <td className="py-2 px-4 border-t text-right text-green-600">₹{allTimeTotalIncome.toFixed(2)}</td>
-                <td className="py-2 px-4 border-t text-right text-red-600">₹{allTimeTotalExpense.toFixed(2)}</td>
-                <td className="py-2 px-4 border-t text-right" style={{ color: allTimeTotalNet >= 0 ? '#059669' : '#DC2626' }}>
-                  ₹{allTimeTotalNet.toFixed(2)}
-                </td>
-              </tr>
-          </tfoot>
-        </table>
+        <PLSummaryTable summary={allTimePlSummary} heads={heads} totalsLabel="TOTALS (All-Time)" />
       </div>
 
     </div> // End of main app div
@@ -713,11 +2416,57 @@ function App() {
 // =========================================================================
 // HEAD MANAGER COMPONENT (Sub-component, stays in App.jsx)
 // =========================================================================
-function HeadManager({ heads, addHead, deleteHead }) {
+function HeadManager({ heads, headUsage, highlightedIds, addHead, renameHead, changeHeadType, mergeHead, moveHead, deleteHead, archiveHead }) {
   const [newHead, setNewHead] = useState("");
   const [headType, setHeadType] = useState("expense"); 
+  const [parentId, setParentId] = useState(""); // group for the new head
+  const [deletingHeadId, setDeletingHeadId] = useState(null); // head in use, waiting for a reassignment choice
+  const [reassignToId, setReassignToId] = useState("");
+  const [movingHeadId, setMovingHeadId] = useState(null);
+  const [moveToId, setMoveToId] = useState("");
+  const [renamingHeadId, setRenamingHeadId] = useState(null);
+  const [renameTo, setRenameTo] = useState("");
+  const [mergingHeadId, setMergingHeadId] = useState(null);
+  const [mergeIntoId, setMergeIntoId] = useState("");
+
+  const usageCount = (id) => countHeadTransactions(headUsage, id);
+  const isUsed = (id) => usageCount(id) > 0;
+  const parentOptionLabel = ({ head, depth }) => `${'— '.repeat(depth)}${head.name}`;
+
+  const handleDelete = (h) => {
+    if (usageCount(h.id) === 0) {
+      deleteHead(h.id);
+      return;
+    }
+    setDeletingHeadId(h.id);
+    setReassignToId("");
+  };
+
+  const handleRename = async (id) => {
+    if (await renameHead(id, renameTo)) setRenamingHeadId(null);
+  };
 
-  const filteredHeads = heads.sort((a, b) => a.name.localeCompare(b.name));
+  const handleMerge = async (id) => {
+    if (!mergeIntoId) {
+      alert("Please choose the head to merge into.");
+      return;
+    }
+    if (await mergeHead(id, mergeIntoId)) setMergingHeadId(null);
+  };
+
+  const handleMove = async (id) => {
+    await moveHead(id, moveToId);
+    setMovingHeadId(null);
+  };
+
+  const handleReassignAndDelete = async (id) => {
+    if (!reassignToId) {
+      alert("Please choose the head to move the transactions to.");
+      return;
+    }
+    await deleteHead(id, reassignToId);
+    setDeletingHeadId(null);
+  };
 
   return (
     <div>
@@ -729,7 +2478,7 @@ function HeadManager({ heads, addHead, deleteHead }) {
             name="headType"
             value="income"
             checked={headType === "income"}
-            onChange={() => setHeadType("income")}
+            onChange={() => { setHeadType("income"); setParentId(""); }}
             className="mr-1 accent-green-500"
           />
           Income Head
@@ -740,7 +2489,7 @@ function HeadManager({ heads, addHead, deleteHead }) {
             name="headType"
             value="expense"
             checked={headType === "expense"}
-            onChange={() => setHeadType("expense")}
+            onChange={() => { setHeadType("expense"); setParentId(""); }}
             className="mr-1 accent-red-500"
           />
           Expense Head
@@ -755,12 +2504,24 @@ function HeadManager({ heads, addHead, deleteHead }) {
           onChange={(e) => setNewHead(e.target.value)}
           className="flex-1 border border-gray-300 rounded-l-lg p-2 focus:ring-blue-500 focus:border-blue-500"
         />
+        <select
+          value={parentId}
+          onChange={(e) => setParentId(e.target.value)}
+          title="Group heads have no entries of their own; heads with entries are not offered"
+          className="border-y border-gray-300 p-2 text-sm max-w-[40%]"
+        >
+          <option value="">Top level (no group)</option>
+          {getParentOptions(heads, headType, null, isUsed).map(row => (
+            <option key={row.head.id} value={row.head.id}>{parentOptionLabel(row)}</option>
+          ))}
+        </select>
         <button
           onClick={() => {
             if (newHead.trim()) {
-                addHead(newHead.trim(), headType); 
+                addHead(newHead.trim(), headType, parentId); 
                 setNewHead("");
                 setHeadType("expense"); 
+                setParentId("");
             }
           }}
           className="bg-blue-600 text-white px-4 rounded-r-lg hover:bg-blue-700 transition"
@@ -771,22 +2532,178 @@ function HeadManager({ heads, addHead, deleteHead }) {
       
       <div className="max-h-60 overflow-y-auto">
         <ul className="divide-y divide-gray-200">
-            {filteredHeads.map((h) => (
-            <li key={h.id} className="flex justify-between items-center py-2 px-1 hover:bg-gray-50 transition">
-                <span className={`font-medium ${h.head_type === 'income' ? 'text-green-700' : 'text-red-700'}`}>
+            {getHeadTreeRows(heads).map(({ head: h, depth }) => (
+            <li key={h.id} className={`py-2 px-1 ${highlightedIds.includes(h.id) ? 'bg-yellow-50' : ''} hover:bg-gray-50 transition`}>
+              <div className="flex justify-between items-center" style={{ paddingLeft: `${depth * 1.5}rem` }}>
+                <span className={`${isGroupHead(heads, h.id) ? 'font-bold' : 'font-medium'} ${h.head_type === 'income' ? 'text-green-700' : 'text-red-700'} ${isArchivedHead(h) ? 'opacity-60' : ''}`}>
+                    {depth > 0 && <span className="text-gray-400 mr-1">└</span>}
                     {h.name} 
                     <span className="text-xs ml-2 px-2 py-0.5 rounded-full"
                           style={{ backgroundColor: h.head_type === 'income' ? '#d1e7dd' : '#f8d7da', 
                                   color: h.head_type === 'income' ? '#0f5132' : '#842029' }}>
                         {(h.head_type || 'UNCATEGORIZED').toUpperCase()}
                     </span>
+                    {isGroupHead(heads, h.id) && (
+                      <span className="text-xs ml-2 px-2 py-0.5 rounded-full bg-blue-100 text-blue-800">GROUP</span>
+                    )}
+                    {isArchivedHead(h) && (
+                      <span className="text-xs ml-2 px-2 py-0.5 rounded-full bg-gray-200 text-gray-700">ARCHIVED</span>
+                    )}
+                </span>
+                <span className="space-x-1 whitespace-nowrap">
+                  <button
+                    onClick={() => { setRenamingHeadId(h.id); setRenameTo(h.name); }}
+                    className="text-xs bg-blue-100 text-blue-700 px-2 py-1 rounded-full hover:bg-blue-200"
+                  >
+                    Rename
+                  </button>
+                  <button
+                    onClick={() => changeHeadType(h.id)}
+                    className="text-xs bg-blue-100 text-blue-700 px-2 py-1 rounded-full hover:bg-blue-200"
+                  >
+                    Make {h.head_type === 'income' ? 'Expense' : 'Income'}
+                  </button>
+                  <button
+                    onClick={() => { setMovingHeadId(h.id); setMoveToId(h.parent_id || ""); }}
+                    className="text-xs bg-blue-100 text-blue-700 px-2 py-1 rounded-full hover:bg-blue-200"
+                  >
+                    Move
+                  </button>
+                  {!isGroupHead(heads, h.id) && (
+                    <button
+                      onClick={() => { setMergingHeadId(h.id); setMergeIntoId(""); }}
+                      className="text-xs bg-yellow-100 text-yellow-700 px-2 py-1 rounded-full hover:bg-yellow-200"
+                    >
+                      Merge
+                    </button>
+                  )}
+                  <button
+                    onClick={() => archiveHead(h.id, !isArchivedHead(h))}
+                    className="text-xs bg-gray-100 text-gray-600 px-2 py-1 rounded-full hover:bg-gray-200"
+                  >
+                    {isArchivedHead(h) ? 'Unarchive' : 'Archive'}
+                  </button>
+                  <button
+                    onClick={() => handleDelete(h)}
+                    className="text-xs bg-red-100 text-red-600 px-2 py-1 rounded-full hover:bg-red-200"
+                  >
+                    Delete
+                  </button>
                 </span>
-                <button
-                onClick={() => deleteHead(h.id)}
-                className="text-sm bg-red-100 text-red-600 px-3 py-1 rounded-full hover:bg-red-200"
-                >
-                Delete
-                </button>
+              </div>
+
+              {renamingHeadId === h.id && (
+                <div className="mt-2 p-2 bg-blue-50 border border-blue-200 rounded text-sm flex flex-wrap gap-2">
+                  <input
+                    type="text"
+                    value={renameTo}
+                    onChange={(e) => setRenameTo(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') handleRename(h.id);
+                      if (e.key === 'Escape') setRenamingHeadId(null);
+                    }}
+                    autoFocus
+                    className="flex-1 border border-gray-300 p-1 rounded"
+                  />
+                  <button
+                    onClick={() => handleRename(h.id)}
+                    className="bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700"
+                  >
+                    Save
+                  </button>
+                  <button onClick={() => setRenamingHeadId(null)} className="text-gray-600 hover:underline">
+                    Cancel
+                  </button>
+                </div>
+              )}
+
+              {mergingHeadId === h.id && (
+                <div className="mt-2 p-2 bg-yellow-50 border border-yellow-200 rounded text-sm">
+                  <p className="mb-2">
+                    Move all {usageCount(h.id)} transactions of "{h.name}" (with its fee structures, recurring templates and budgets) to another head, then delete "{h.name}".
+                  </p>
+                  <div className="flex flex-wrap gap-2">
+                    <select
+                      value={mergeIntoId}
+                      onChange={(e) => setMergeIntoId(e.target.value)}
+                      className="border border-gray-300 p-1 rounded"
+                    >
+                      <option value="">Merge into...</option>
+                      {getMergeTargets(heads, h).map(o => (
+                        <option key={o.id} value={o.id}>{getHeadPath(heads, o.id)}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={() => handleMerge(h.id)}
+                      className="bg-yellow-600 text-white px-3 py-1 rounded hover:bg-yellow-700"
+                    >
+                      Merge
+                    </button>
+                    <button onClick={() => setMergingHeadId(null)} className="text-gray-600 hover:underline">
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {movingHeadId === h.id && (
+                <div className="mt-2 p-2 bg-blue-50 border border-blue-200 rounded text-sm flex flex-wrap gap-2">
+                  <select
+                    value={moveToId}
+                    onChange={(e) => setMoveToId(e.target.value)}
+                    className="border border-gray-300 p-1 rounded"
+                  >
+                    <option value="">Top level (no group)</option>
+                    {getParentOptions(heads, h.head_type, h.id, isUsed).map(row => (
+                      <option key={row.head.id} value={row.head.id}>{parentOptionLabel(row)}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => handleMove(h.id)}
+                    className="bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700"
+                  >
+                    Move Here
+                  </button>
+                  <button onClick={() => setMovingHeadId(null)} className="text-gray-600 hover:underline">
+                    Cancel
+                  </button>
+                </div>
+              )}
+
+              {deletingHeadId === h.id && (
+                <div className="mt-2 p-2 bg-red-50 border border-red-200 rounded text-sm">
+                  <p className="mb-2">
+                    {usageCount(h.id)} transactions use this head. Move them to another head before deleting, or archive it instead.
+                  </p>
+                  <div className="flex flex-wrap gap-2">
+                    <select
+                      value={reassignToId}
+                      onChange={(e) => setReassignToId(e.target.value)}
+                      className="border border-gray-300 p-1 rounded"
+                    >
+                      <option value="">Move transactions to...</option>
+                      {getSelectableHeads(heads, h.head_type).filter(o => o.id !== h.id).map(o => (
+                        <option key={o.id} value={o.id}>{o.name}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={() => handleReassignAndDelete(h.id)}
+                      className="bg-red-600 text-white px-3 py-1 rounded hover:bg-red-700"
+                    >
+                      Move & Delete
+                    </button>
+                    <button
+                      onClick={() => { archiveHead(h.id, true); setDeletingHeadId(null); }}
+                      className="bg-gray-600 text-white px-3 py-1 rounded hover:bg-gray-700"
+                    >
+                      Archive Instead
+                    </button>
+                    <button onClick={() => setDeletingHeadId(null)} className="text-gray-600 hover:underline">
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              )}
             </li>
             ))}
         </ul>
@@ -796,104 +2713,47 @@ function HeadManager({ heads, addHead, deleteHead }) {
 }
 
 // =========================================================================
-// TRANSACTIONS COMPONENT (Sub-component, stays in App.jsx)
+// SORTABLE COLUMN HEADER for the transactions list: a click sorts by the
+// column, a second click reverses it. Dates and amounts start largest first.
 // =========================================================================
-function TransactionManager({ heads, addTransaction }) {
-  const [amount, setAmount] = useState("");
-  const [type, setType] = useState("expense"); 
-  const [headId, setHeadId] = useState("");
-  const [date, setDate] = useState(getTodayDate);
-  const [description, setDescription] = useState("");
-  const [receiptUrl, setReceiptUrl] = useState("");
-
-  const filteredHeads = heads
-    .filter(h => h.head_type === type)
-    .sort((a, b) => a.name.localeCompare(b.name));
-
-
-  const handleSubmit = () => {
-    if (!amount || !headId || !date) {
-        alert("Please fill out Amount, Head, and Date.");
-        return;
-    }
-    
-    addTransaction(amount, type, headId, date, description, receiptUrl);
-    setAmount("");
-    setHeadId("");
-    setDescription("");
-    setReceiptUrl("");
-  };
-
+function SortableHeader({ label, column, sort, setSort, align = "left" }) {
+  const active = sort.column === column;
   return (
-    <div>
-      {/* Input Fields */}
-      <div className="grid grid-cols-4 gap-2 mb-4">
-        <input
-          type="date"
-          value={date}
-          onChange={(e) => setDate(e.target.value)}
-          className="border border-gray-300 p-2 rounded"
-        />
-        <input
-          type="number"
-          placeholder="Amount (₹)"
-          value={amount}
-          onChange={(e) => setAmount(e.target.value)}
-          className="border border-gray-300 p-2 rounded"
-        />
-        <select
-          value={type}
-          onChange={(e) => {
-            setType(e.target.value);
-            setHeadId(""); 
-          }}
-          className="border border-gray-300 p-2 rounded"
-        >
-          <option value="income">Income</option>
-          <option value="expense">Expense</option>
-        </select>
-        <select
-          value={headId}
-          onChange={(e) => setHeadId(e.target.value)}
-          className="border border-gray-300 p-2 rounded"
-        >
-          <option value="">Select Head ({type})</option>
-          {filteredHeads.map((h) => (
-            <option key={h.id} value={h.id}>
-              {h.name}
-            </option>
-          ))}
-        </select>
-      </div>
-
-      <div className="grid grid-cols-3 gap-2 mb-4">
-        <input
-          type="text"
-          placeholder="Description (e.g., Electricity bill)"
-          value={description}
-          onChange={(e) => setDescription(e.target.value)}
-          className="border border-gray-300 p-2 rounded col-span-2"
-        />
-        <input
-          type="url"
-          placeholder="Optional: Receipt Image URL"
-          value={receiptUrl}
-          onChange={(e) => setReceiptUrl(e.target.value)}
-          className="border border-gray-300 p-2 rounded"
-        />
-      </div>
-
-      {/* Add Button */}
+    <th className={`py-2 px-4 border-b text-${align}`}>
       <button
-        onClick={handleSubmit}
-        className={`w-full text-white font-semibold rounded p-2 transition ${
-            type === 'income' ? 'bg-green-600 hover:bg-green-700' : 'bg-red-600 hover:bg-red-700'
-        }`}
+        onClick={() => setSort(active ? { column, ascending: !sort.ascending } : { column, ascending: column !== 'date' && column !== 'amount' })}
+        className={`font-bold hover:text-blue-700 ${active ? 'text-blue-700' : ''}`}
       >
-        Record {type === 'income' ? 'Income' : 'Expense'}
+        {label}{active && (sort.ascending ? ' ▲' : ' ▼')}
       </button>
+    </th>
+  );
+}
 
-    </div>
+// =========================================================================
+// TRANSACTIONS COMPONENT (Sub-component, stays in App.jsx)
+// =========================================================================
+function TransactionManager({ heads, accounts, draft, addTransaction, uploadAttachments }) {
+  // A duplicated transaction arrives as a new draft and restarts the form with its values
+  const initial = draft?.entry || { ...EMPTY_ENTRY, date: getTodayDate() };
+
+  const handleSubmit = async (entry, files) => {
+    const { account_id, payment_mode, reference_number } = getEntryFields(entry);
+    const created = await addTransaction(entry.amount, entry.type, entry.headId, entry.date, entry.description, "", { account_id, payment_mode, reference_number });
+    if (created && files.length > 0) {
+        await uploadAttachments(created.id, files);
+    }
+    return Boolean(created);
+  };
+
+  return (
+    <TransactionForm
+      key={draft?.key || 'new'}
+      heads={heads}
+      accounts={accounts}
+      initial={initial}
+      onSubmit={handleSubmit}
+    />
   );
 }
 
@@ -0,0 +1,151 @@
+import React, { useState } from 'react';
+import { STATUS_PENDING, STATUS_REJECTED, getTransactionStatus } from './approvals';
+import { formatDisplayDate } from './dates';
+
+// =========================================================================
+// APPROVALS QUEUE (pending expenses over the threshold)
+// =========================================================================
+function ApprovalQueue({
+  transactions, // This is the FULL list
+  heads,
+  canApprove,
+  threshold,
+  approveTransaction,
+  rejectTransaction,
+  updateApprovalThreshold
+}) {
+  const [thresholdInput, setThresholdInput] = useState(threshold === null || threshold === undefined ? "" : String(threshold));
+  const [rejectReasons, setRejectReasons] = useState({});
+
+  const pending = transactions
+    .filter(t => getTransactionStatus(t) === STATUS_PENDING)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+  const rejected = transactions
+    .filter(t => getTransactionStatus(t) === STATUS_REJECTED)
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  const handleReject = (id) => {
+    const reason = (rejectReasons[id] || "").trim();
+    if (!reason) {
+      alert("Please enter a reason for rejecting this expense.");
+      return;
+    }
+    rejectTransaction(id, reason);
+    setRejectReasons({ ...rejectReasons, [id]: "" });
+  };
+
+  const headName = (t) => heads.find(h => h.id === t.head_id)?.name || "Unknown";
+
+  return (
+    <div>
+      {canApprove && (
+        <div className="flex items-center gap-2 mb-4 text-sm">
+          <label className="font-medium text-gray-700">Expenses above</label>
+          <input
+            type="number"
+            placeholder="No limit"
+            value={thresholdInput}
+            onChange={(e) => setThresholdInput(e.target.value)}
+            className="border border-gray-300 p-2 rounded w-40"
+          />
+          <span className="text-gray-700">need approval</span>
+          <button
+            onClick={() => {
+              const value = thresholdInput === "" ? null : parseFloat(thresholdInput);
+              if (value !== null && (isNaN(value) || value < 0)) {
+                alert("Please enter a valid, non-negative amount.");
+                return;
+              }
+              updateApprovalThreshold(value);
+            }}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition"
+          >
+            Save
+          </button>
+        </div>
+      )}
+
+      <h3 className="text-lg font-semibold mb-2">Pending Approval ({pending.length})</h3>
+      {pending.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-4">No expenses waiting for approval.</p>
+      ) : (
+        <table className="min-w-full bg-white border border-gray-200 text-sm mb-4">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="py-2 px-4 border-b text-left">Date</th>
+              <th className="py-2 px-4 border-b text-left">Head</th>
+              <th className="py-2 px-4 border-b text-left">Description</th>
+              <th className="py-2 px-4 border-b text-right">Amount (₹)</th>
+              {canApprove && <th className="py-2 px-4 border-b text-right">Actions</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {pending.map(t => (
+              <tr key={t.id} className="hover:bg-gray-50">
+                <td className="py-2 px-4 border-b">{formatDisplayDate(t.date)}</td>
+                <td className="py-2 px-4 border-b">{headName(t)}</td>
+                <td className="py-2 px-4 border-b">{t.description || 'N/A'}</td>
+                <td className="py-2 px-4 border-b text-right font-semibold text-red-600">₹{t.amount.toFixed(2)}</td>
+                {canApprove && (
+                  <td className="py-2 px-4 border-b text-right">
+                    <div className="flex justify-end items-center gap-2">
+                      <button
+                        onClick={() => approveTransaction(t.id)}
+                        className="text-xs bg-green-100 text-green-700 px-2 py-1 rounded-full hover:bg-green-200"
+                      >
+                        Approve
+                      </button>
+                      <input
+                        type="text"
+                        placeholder="Reason"
+                        value={rejectReasons[t.id] || ""}
+                        onChange={(e) => setRejectReasons({ ...rejectReasons, [t.id]: e.target.value })}
+                        className="border border-gray-300 p-1 rounded text-xs w-32"
+                      />
+                      <button
+                        onClick={() => handleReject(t.id)}
+                        className="text-xs bg-red-100 text-red-700 px-2 py-1 rounded-full hover:bg-red-200"
+                      >
+                        Reject
+                      </button>
+                    </div>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {rejected.length > 0 && (
+        <>
+          <h3 className="text-lg font-semibold mb-2">Rejected ({rejected.length})</h3>
+          <table className="min-w-full bg-white border border-gray-200 text-sm">
+            <thead>
+              <tr className="bg-gray-100">
+                <th className="py-2 px-4 border-b text-left">Date</th>
+                <th className="py-2 px-4 border-b text-left">Head</th>
+                <th className="py-2 px-4 border-b text-left">Description</th>
+                <th className="py-2 px-4 border-b text-left">Reason</th>
+                <th className="py-2 px-4 border-b text-right">Amount (₹)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rejected.map(t => (
+                <tr key={t.id} className="hover:bg-gray-50 text-gray-500">
+                  <td className="py-2 px-4 border-b">{formatDisplayDate(t.date)}</td>
+                  <td className="py-2 px-4 border-b">{headName(t)}</td>
+                  <td className="py-2 px-4 border-b">{t.description || 'N/A'}</td>
+                  <td className="py-2 px-4 border-b">{t.rejection_reason}</td>
+                  <td className="py-2 px-4 border-b text-right">₹{t.amount.toFixed(2)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ApprovalQueue;
@@ -0,0 +1,134 @@
+import React, { useRef, useState } from 'react';
+import { ACCEPTED_ATTACHMENT_TYPES, getTransactionAttachments, isImageAttachment, validateAttachmentFile } from './attachments';
+
+// Keeps the valid files and reports the rest
+const pickValidFiles = (fileList) => {
+  const files = Array.from(fileList || []);
+  const problems = files.map(validateAttachmentFile).filter(Boolean);
+  if (problems.length > 0) alert(problems.join('\n'));
+  return files.filter(f => !validateAttachmentFile(f));
+};
+
+function Thumbnail({ attachment }) {
+  if (isImageAttachment(attachment)) {
+    return (
+      <img
+        src={attachment.url}
+        alt={attachment.file_name}
+        className="h-10 w-10 object-cover rounded border border-gray-200"
+      />
+    );
+  }
+  return (
+    <span className="h-10 w-10 flex items-center justify-center rounded border border-gray-200 bg-gray-50 text-xs font-semibold text-gray-600">
+      {attachment.legacy ? 'Link' : 'PDF'}
+    </span>
+  );
+}
+
+// =========================================================================
+// Main Component: thumbnails for one transaction, with add/remove
+// =========================================================================
+function ReceiptAttachments({ transaction, attachments, canEdit, uploadAttachments, deleteAttachment }) {
+  const inputRef = useRef(null);
+  const [uploading, setUploading] = useState(false);
+  const items = getTransactionAttachments(transaction, attachments);
+
+  const handleAdd = async (fileList) => {
+    const files = pickValidFiles(fileList);
+    if (files.length === 0) return;
+    setUploading(true);
+    await uploadAttachments(transaction.id, files);
+    setUploading(false);
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-1">
+      {items.map(a => (
+        <span key={a.id} className="relative group">
+          <a href={a.url} target="_blank" rel="noopener noreferrer" title={a.file_name}>
+            <Thumbnail attachment={a} />
+          </a>
+          {canEdit && !a.legacy && (
+            <button
+              onClick={() => deleteAttachment(a)}
+              title="Remove attachment"
+              className="absolute -top-1 -right-1 hidden group-hover:block bg-red-600 text-white rounded-full w-4 h-4 text-xs leading-4"
+            >
+              ×
+            </button>
+          )}
+        </span>
+      ))}
+      {items.length === 0 && !canEdit && 'N/A'}
+      {canEdit && (
+        <>
+          <button
+            onClick={() => inputRef.current?.click()}
+            disabled={uploading}
+            title="Attach receipt"
+            className="h-10 w-10 rounded border border-dashed border-gray-300 text-gray-500 hover:bg-gray-50 disabled:opacity-50"
+          >
+            {uploading ? '…' : '+'}
+          </button>
+          <input
+            ref={inputRef}
+            type="file"
+            multiple
+            accept={ACCEPTED_ATTACHMENT_TYPES}
+            onChange={(e) => { handleAdd(e.target.files); e.target.value = ""; }}
+            className="hidden"
+          />
+        </>
+      )}
+    </div>
+  );
+}
+
+// =========================================================================
+// File picker for the transaction form (files or phone camera)
+// =========================================================================
+export function AttachmentPicker({ files, setFiles }) {
+  const addFiles = (fileList) => setFiles([...files, ...pickValidFiles(fileList)]);
+
+  return (
+    <div className="border border-gray-300 p-2 rounded text-sm">
+      <div className="flex flex-wrap gap-2">
+        <label className="cursor-pointer text-blue-600 hover:underline">
+          Attach receipts
+          <input
+            type="file"
+            multiple
+            accept={ACCEPTED_ATTACHMENT_TYPES}
+            onChange={(e) => { addFiles(e.target.files); e.target.value = ""; }}
+            className="hidden"
+          />
+        </label>
+        <label className="cursor-pointer text-blue-600 hover:underline">
+          Take photo
+          <input
+            type="file"
+            accept="image/*"
+            capture="environment"
+            onChange={(e) => { addFiles(e.target.files); e.target.value = ""; }}
+            className="hidden"
+          />
+        </label>
+      </div>
+      {files.length > 0 && (
+        <ul className="mt-1 text-xs text-gray-600">
+          {files.map((f, index) => (
+            <li key={`${f.name}-${index}`} className="flex justify-between gap-2">
+              <span className="truncate">{f.name}</span>
+              <button onClick={() => setFiles(files.filter((_, i) => i !== index))} className="text-red-500 hover:underline">
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default ReceiptAttachments;
@@ -0,0 +1,177 @@
+import React, { useState } from 'react';
+import {
+  AUDIT_ACTIONS,
+  AUDIT_ACTION_LABELS,
+  AUDIT_TABLE_LABELS,
+  describeChanges,
+  describeRecord,
+  filterAuditLog,
+  formatAuditTime,
+  getAuditExportRows,
+  getAuditHeads,
+  getUserLabel
+} from './audit';
+
+const actionClass = {
+  insert: 'bg-green-100 text-green-800',
+  update: 'bg-blue-100 text-blue-800',
+  delete: 'bg-red-100 text-red-800',
+};
+
+function ChangeList({ entry, heads }) {
+  const changes = describeChanges(entry, heads);
+  if (changes.length === 0) return null;
+  return (
+    <ul className="text-xs text-gray-700">
+      {changes.map(c => (
+        <li key={c.field}>
+          <span className="font-medium">{c.label}:</span>{' '}
+          {entry.action === 'update' ? (
+            <>
+              <span className="line-through text-red-600">{c.oldValue || '(blank)'}</span>
+              {' → '}
+              <span className="text-green-700">{c.newValue || '(blank)'}</span>
+            </>
+          ) : (
+            <span>{entry.action === 'delete' ? c.oldValue : c.newValue}</span>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// =========================================================================
+// Main Component: filterable audit log report
+// =========================================================================
+function AuditLogReport({ entries, heads, members, startDate, endDate, onRefresh, exportCSV }) {
+  const [filters, setFilters] = useState({ table: "", action: "", userId: "", search: "", usePeriod: true });
+
+  const auditHeads = getAuditHeads(heads, entries);
+  const filtered = filterAuditLog(
+    entries,
+    { ...filters, startDate: filters.usePeriod ? startDate : "", endDate: filters.usePeriod ? endDate : "" },
+    auditHeads
+  );
+  const users = [...new Map(entries.filter(e => e.user_id).map(e => [e.user_id, getUserLabel(e, members)])).entries()];
+
+  const setFilter = (key, value) => setFilters({ ...filters, [key]: value });
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 mb-4 text-sm">
+        <select value={filters.table} onChange={(e) => setFilter('table', e.target.value)} className="border border-gray-300 p-2 rounded">
+          <option value="">Heads & Transactions</option>
+          {Object.entries(AUDIT_TABLE_LABELS).map(([table, label]) => (
+            <option key={table} value={table}>{label}s</option>
+          ))}
+        </select>
+        <select value={filters.action} onChange={(e) => setFilter('action', e.target.value)} className="border border-gray-300 p-2 rounded">
+          <option value="">All actions</option>
+          {AUDIT_ACTIONS.map(a => (
+            <option key={a} value={a}>{AUDIT_ACTION_LABELS[a]}</option>
+          ))}
+        </select>
+        <select value={filters.userId} onChange={(e) => setFilter('userId', e.target.value)} className="border border-gray-300 p-2 rounded">
+          <option value="">All users</option>
+          {users.map(([id, label]) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          placeholder="Search values"
+          value={filters.search}
+          onChange={(e) => setFilter('search', e.target.value)}
+          className="border border-gray-300 p-2 rounded"
+        />
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={filters.usePeriod} onChange={(e) => setFilter('usePeriod', e.target.checked)} />
+          Only the report period
+        </label>
+        <button onClick={onRefresh} className="bg-gray-200 text-gray-700 px-3 py-2 rounded hover:bg-gray-300 transition">
+          Refresh
+        </button>
+        <button
+          onClick={() => exportCSV(getAuditExportRows(filtered, auditHeads, members), `audit_log_${startDate}_to_${endDate}.csv`)}
+          className="bg-purple-600 text-white px-3 py-2 rounded hover:bg-purple-700 transition"
+        >
+          Export Audit Log
+        </button>
+      </div>
+
+      {filtered.length === 0 ? (
+        <p className="text-sm text-gray-500">No changes match these filters.</p>
+      ) : (
+        <div className="max-h-96 overflow-y-auto">
+          <table className="min-w-full bg-white border border-gray-200 text-sm">
+            <thead>
+              <tr className="bg-gray-100">
+                <th className="py-2 px-4 border-b text-left">When</th>
+                <th className="py-2 px-4 border-b text-left">User</th>
+                <th className="py-2 px-4 border-b text-left">Action</th>
+                <th className="py-2 px-4 border-b text-left">Record</th>
+                <th className="py-2 px-4 border-b text-left">Changes</th>
+              </tr>
+            </thead>
+            <tbody>
+              {filtered.map(e => (
+                <tr key={e.id} className="hover:bg-gray-50 align-top">
+                  <td className="py-2 px-4 border-b whitespace-nowrap">{formatAuditTime(e)}</td>
+                  <td className="py-2 px-4 border-b">{getUserLabel(e, members)}</td>
+                  <td className="py-2 px-4 border-b">
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${actionClass[e.action]}`}>
+                      {AUDIT_ACTION_LABELS[e.action]}
+                    </span>
+                  </td>
+                  <td className="py-2 px-4 border-b">
+                    {AUDIT_TABLE_LABELS[e.table_name]}: {describeRecord(e, auditHeads)}
+                  </td>
+                  <td className="py-2 px-4 border-b"><ChangeList entry={e} heads={auditHeads} /></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// =========================================================================
+// History of a single record (opened from the transactions table)
+// =========================================================================
+export function RecordHistory({ recordId, entries, heads, members, onClose }) {
+  const auditHeads = getAuditHeads(heads, entries);
+  const history = filterAuditLog(entries.filter(e => e.record_id === recordId), {}, auditHeads);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50" onClick={onClose}>
+      <div className="bg-white rounded-lg shadow-xl p-4 w-full max-w-lg max-h-[80vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="flex justify-between items-center mb-3">
+          <h3 className="text-lg font-semibold">Change History</h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">Close</button>
+        </div>
+        {history.length === 0 ? (
+          <p className="text-sm text-gray-500">No recorded changes for this transaction.</p>
+        ) : (
+          <ol className="space-y-3">
+            {history.map(e => (
+              <li key={e.id} className="border-l-4 border-gray-200 pl-3">
+                <div className="text-sm mb-1">
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium mr-2 ${actionClass[e.action]}`}>
+                    {AUDIT_ACTION_LABELS[e.action]}
+                  </span>
+                  {formatAuditTime(e)} by {getUserLabel(e, members)}
+                </div>
+                <ChangeList entry={e} heads={auditHeads} />
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AuditLogReport;
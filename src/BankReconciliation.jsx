@@ -0,0 +1,478 @@
+import React, { useState } from 'react';
+import { parseCSVToObjects } from './csvParser';
+import { IMPORT_DATE_FORMATS, formatDisplayDate, getTodayDate } from './dates';
+import { getAccountEntries, getBankAccounts, getStartingBalance } from './accounts';
+import {
+  getLineAmount,
+  getLineType,
+  getMatchedEntryId,
+  getReconciliationExportRows,
+  getReconciliationSummary,
+  mapStatementRecords,
+  removeDuplicateLines,
+  suggestMatches
+} from './reconciliation';
+import { getSelectableHeads } from './trash';
+
+const MAPPING_FIELDS = [
+  { key: 'date', label: 'Date', required: true, hints: ['date', 'txn date', 'transaction date', 'value date'] },
+  { key: 'narration', label: 'Narration', required: true, hints: ['narration', 'description', 'particulars', 'details', 'remarks'] },
+  { key: 'debit', label: 'Debit (Withdrawal)', required: true, hints: ['debit', 'withdrawal', 'withdrawals', 'dr'] },
+  { key: 'credit', label: 'Credit (Deposit)', required: true, hints: ['credit', 'deposit', 'deposits', 'cr'] },
+  { key: 'balance', label: 'Balance', required: false, hints: ['balance', 'closing balance'] },
+];
+
+const MAPPING_STORAGE_KEY = 'bankStatementMapping';
+
+// Last mapping used, or a best guess from the header names
+const getInitialMapping = (headers) => {
+  const saved = JSON.parse(localStorage.getItem(MAPPING_STORAGE_KEY) || 'null');
+  return MAPPING_FIELDS.reduce((acc, field) => {
+    if (saved && headers.includes(saved[field.key])) {
+      return { ...acc, [field.key]: saved[field.key] };
+    }
+    const guess = headers.find(h => field.hints.some(hint => h.toLowerCase().startsWith(hint)));
+    return { ...acc, [field.key]: guess || "" };
+  }, {});
+};
+
+const tabClass = (active) =>
+  `px-3 py-1 rounded-full text-sm font-medium transition ${active ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`;
+
+// =========================================================================
+// Main Component
+// =========================================================================
+function BankReconciliation({
+  statementLines,
+  transactions, // approved transactions only
+  transfers,
+  accounts,
+  heads,
+  canEdit,
+  importStatementLines,
+  matchStatementLine,
+  unmatchStatementLine,
+  createTransactionFromLine,
+  exportCSV
+}) {
+  const [tab, setTab] = useState("reconcile");
+  const [accountId, setAccountId] = useState("");
+
+  const bankAccounts = getBankAccounts(accounts);
+  // Falls back to the first bank account until one is picked (accounts load after mount)
+  const account = bankAccounts.find(a => a.id === accountId) || bankAccounts[0];
+
+  if (!account) {
+    return <p className="text-sm text-gray-500">Add a bank account under Cash & Bank Accounts to reconcile its statement.</p>;
+  }
+
+  // Reconciliation is per bank account: its statement lines against its book entries
+  const accountLines = statementLines.filter(l => l.account_id === account.id);
+  const bookEntries = getAccountEntries(account.id, transactions, transfers, accounts, statementLines);
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <select
+          value={account.id}
+          onChange={(e) => setAccountId(e.target.value)}
+          className="border border-gray-300 p-1 rounded text-sm mr-2"
+        >
+          {bankAccounts.map(a => (
+            <option key={a.id} value={a.id}>{a.name}</option>
+          ))}
+        </select>
+        <button onClick={() => setTab("reconcile")} className={tabClass(tab === "reconcile")}>Reconcile</button>
+        {canEdit && <button onClick={() => setTab("import")} className={tabClass(tab === "import")}>Import Statement</button>}
+        <button onClick={() => setTab("summary")} className={tabClass(tab === "summary")}>Reconciliation Summary</button>
+      </div>
+
+      {tab === "import" && canEdit && (
+        <StatementImport
+          key={account.id}
+          accountId={account.id}
+          statementLines={accountLines}
+          importStatementLines={importStatementLines}
+          onImported={() => setTab("reconcile")}
+        />
+      )}
+      {tab === "reconcile" && (
+        <StatementMatcher
+          statementLines={accountLines}
+          transactions={bookEntries}
+          heads={heads}
+          canEdit={canEdit}
+          matchStatementLine={matchStatementLine}
+          unmatchStatementLine={unmatchStatementLine}
+          createTransactionFromLine={createTransactionFromLine}
+        />
+      )}
+      {tab === "summary" && (
+        <ReconciliationSummary
+          account={account}
+          statementLines={accountLines}
+          transactions={bookEntries}
+          heads={heads}
+          exportCSV={exportCSV}
+        />
+      )}
+    </div>
+  );
+}
+
+// =========================================================================
+// IMPORT (CSV with configurable column mapping)
+// =========================================================================
+function StatementImport({ accountId, statementLines, importStatementLines, onImported }) {
+  const [fileName, setFileName] = useState("");
+  const [headers, setHeaders] = useState([]);
+  const [records, setRecords] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [dateFormat, setDateFormat] = useState(() => localStorage.getItem(`${MAPPING_STORAGE_KEY}.dateFormat`) || IMPORT_DATE_FORMATS[0]);
+
+  const handleFile = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const parsed = parseCSVToObjects(reader.result);
+      setFileName(file.name);
+      setHeaders(parsed.headers);
+      setRecords(parsed.records);
+      setMapping(getInitialMapping(parsed.headers));
+    };
+    reader.readAsText(file);
+  };
+
+  const mappingComplete = MAPPING_FIELDS.every(f => !f.required || mapping[f.key]);
+  const { lines, errors } = mappingComplete ? mapStatementRecords(records, mapping, dateFormat) : { lines: [], errors: [] };
+  const newLines = removeDuplicateLines(lines, statementLines);
+
+  const handleImport = async () => {
+    if (newLines.length === 0) {
+      alert("No new statement lines to import.");
+      return;
+    }
+    localStorage.setItem(MAPPING_STORAGE_KEY, JSON.stringify(mapping));
+    localStorage.setItem(`${MAPPING_STORAGE_KEY}.dateFormat`, dateFormat);
+    const imported = await importStatementLines(newLines.map(l => ({ ...l, account_id: accountId })));
+    if (imported) {
+      setHeaders([]);
+      setRecords([]);
+      setFileName("");
+      onImported();
+    }
+  };
+
+  return (
+    <div>
+      <input
+        type="file"
+        accept=".csv,text/csv"
+        onChange={(e) => handleFile(e.target.files[0])}
+        className="mb-4 text-sm"
+      />
+
+      {headers.length > 0 && (
+        <>
+          <h3 className="text-lg font-semibold mb-2">Column Mapping ({fileName})</h3>
+          <div className="grid grid-cols-3 gap-2 mb-4 text-sm">
+            {MAPPING_FIELDS.map(field => (
+              <label key={field.key} className="flex flex-col">
+                <span className="font-medium mb-1">{field.label}{field.required ? ' *' : ''}</span>
+                <select
+                  value={mapping[field.key] || ""}
+                  onChange={(e) => setMapping({ ...mapping, [field.key]: e.target.value })}
+                  className="border border-gray-300 p-2 rounded"
+                >
+                  <option value="">{field.required ? 'Select column' : 'Not in file'}</option>
+                  {headers.map(h => (
+                    <option key={h} value={h}>{h}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+            <label className="flex flex-col">
+              <span className="font-medium mb-1">Date Format</span>
+              <select
+                value={dateFormat}
+                onChange={(e) => setDateFormat(e.target.value)}
+                className="border border-gray-300 p-2 rounded"
+              >
+                {IMPORT_DATE_FORMATS.map(f => (
+                  <option key={f} value={f}>{f}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          {errors.length > 0 && (
+            <ul className="text-sm text-red-600 mb-4 max-h-32 overflow-y-auto">
+              {errors.map(e => (
+                <li key={e.row}>Row {e.row}: {e.message}</li>
+              ))}
+            </ul>
+          )}
+
+          <p className="text-sm text-gray-600 mb-2">
+            {lines.length} lines read, {lines.length - newLines.length} already imported, {newLines.length} new.
+          </p>
+
+          <div className="max-h-60 overflow-y-auto mb-4">
+            <table className="min-w-full bg-white border border-gray-200 text-sm">
+              <thead>
+                <tr className="bg-gray-100">
+                  <th className="py-2 px-4 border-b text-left">Date</th>
+                  <th className="py-2 px-4 border-b text-left">Narration</th>
+                  <th className="py-2 px-4 border-b text-right text-red-600">Debit (₹)</th>
+                  <th className="py-2 px-4 border-b text-right text-green-600">Credit (₹)</th>
+                  <th className="py-2 px-4 border-b text-right">Balance (₹)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {newLines.map((l, index) => (
+                  <tr key={index} className="hover:bg-gray-50">
+                    <td className="py-2 px-4 border-b">{formatDisplayDate(l.txn_date)}</td>
+                    <td className="py-2 px-4 border-b">{l.narration}</td>
+                    <td className="py-2 px-4 border-b text-right text-red-600">{l.debit ? `₹${l.debit.toFixed(2)}` : ''}</td>
+                    <td className="py-2 px-4 border-b text-right text-green-600">{l.credit ? `₹${l.credit.toFixed(2)}` : ''}</td>
+                    <td className="py-2 px-4 border-b text-right">{l.balance === null ? '' : `₹${l.balance.toFixed(2)}`}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <button
+            onClick={handleImport}
+            disabled={!mappingComplete || newLines.length === 0}
+            className="w-full bg-blue-600 text-white font-semibold rounded p-2 hover:bg-blue-700 transition disabled:opacity-50"
+          >
+            Import {newLines.length} Lines
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+// =========================================================================
+// MATCHING (statement lines vs the account's transactions and transfers)
+// =========================================================================
+function StatementMatcher({
+  statementLines,
+  transactions,
+  heads,
+  canEdit,
+  matchStatementLine,
+  unmatchStatementLine,
+  createTransactionFromLine
+}) {
+  const [windowDays, setWindowDays] = useState(3);
+  const [showMatched, setShowMatched] = useState(false);
+  const [newHeadIds, setNewHeadIds] = useState({});
+
+  const suggestions = suggestMatches(statementLines, transactions, Number(windowDays) || 0);
+  const visibleLines = statementLines
+    .filter(l => showMatched || !getMatchedEntryId(l))
+    .sort((a, b) => b.txn_date.localeCompare(a.txn_date));
+  const unmatchedCount = statementLines.filter(l => !getMatchedEntryId(l)).length;
+
+  const headName = (id) => heads.find(h => h.id === id)?.name || "Unknown";
+  const describe = (t) => t.kind === 'transfer'
+    ? `${formatDisplayDate(t.date)} · ₹${t.amount.toFixed(2)} · ${t.description}`
+    : `${formatDisplayDate(t.date)} · ${headName(t.head_id)} · ₹${t.amount.toFixed(2)}${t.description ? ` · ${t.description}` : ''}`;
+
+  const matchAllSuggested = async () => {
+    for (const [lineId, t] of Object.entries(suggestions)) {
+      await matchStatementLine(lineId, t);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-4 mb-4 text-sm">
+        <label className="flex items-center gap-2">
+          Match within
+          <input
+            type="number"
+            min="0"
+            value={windowDays}
+            onChange={(e) => setWindowDays(e.target.value)}
+            className="border border-gray-300 p-1 rounded w-16"
+          />
+          days
+        </label>
+        <label className="flex items-center">
+          <input
+            type="checkbox"
+            checked={showMatched}
+            onChange={(e) => setShowMatched(e.target.checked)}
+            className="mr-2"
+          />
+          Show matched lines
+        </label>
+        <span className="text-gray-600">{unmatchedCount} unmatched of {statementLines.length}</span>
+        {canEdit && Object.keys(suggestions).length > 0 && (
+          <button
+            onClick={matchAllSuggested}
+            className="bg-green-600 text-white px-4 py-1 rounded-lg hover:bg-green-700 transition"
+          >
+            Accept {Object.keys(suggestions).length} Suggested Matches
+          </button>
+        )}
+      </div>
+
+      <div className="max-h-96 overflow-y-auto">
+        <table className="min-w-full bg-white border border-gray-200 text-sm">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="py-2 px-4 border-b text-left">Date</th>
+              <th className="py-2 px-4 border-b text-left">Narration</th>
+              <th className="py-2 px-4 border-b text-right">Amount (₹)</th>
+              <th className="py-2 px-4 border-b text-left">Match</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visibleLines.map(l => {
+              const type = getLineType(l);
+              const matchedId = getMatchedEntryId(l);
+              const matched = matchedId ? transactions.find(t => t.id === matchedId) : null;
+              const suggestion = suggestions[l.id];
+              const newTypeHeads = getSelectableHeads(heads, type);
+
+              return (
+                <tr key={l.id} className={`hover:bg-gray-50 ${matchedId ? 'bg-green-50' : ''}`}>
+                  <td className="py-2 px-4 border-b">{formatDisplayDate(l.txn_date)}</td>
+                  <td className="py-2 px-4 border-b">{l.narration}</td>
+                  <td className={`py-2 px-4 border-b text-right font-semibold ${type === 'income' ? 'text-green-600' : 'text-red-600'}`}>
+                    {type === 'income' ? '' : '-'}₹{getLineAmount(l).toFixed(2)}
+                  </td>
+                  <td className="py-2 px-4 border-b">
+                    {matchedId ? (
+                      <div className="flex items-center gap-2">
+                        <span className="text-green-700">✓ {matched ? describe(matched) : 'Matched'}</span>
+                        {canEdit && (
+                          <button
+                            onClick={() => unmatchStatementLine(l)}
+                            className="text-xs bg-gray-100 text-gray-700 px-2 py-1 rounded-full hover:bg-gray-200"
+                          >
+                            Unmatch
+                          </button>
+                        )}
+                      </div>
+                    ) : suggestion ? (
+                      <div className="flex items-center gap-2">
+                        <span className="text-gray-700">{describe(suggestion)}</span>
+                        {canEdit && (
+                          <button
+                            onClick={() => matchStatementLine(l.id, suggestion)}
+                            className="text-xs bg-green-100 text-green-700 px-2 py-1 rounded-full hover:bg-green-200"
+                          >
+                            Match
+                          </button>
+                        )}
+                      </div>
+                    ) : canEdit ? (
+                      <div className="flex items-center gap-2">
+                        <select
+                          value={newHeadIds[l.id] || ""}
+                          onChange={(e) => setNewHeadIds({ ...newHeadIds, [l.id]: e.target.value })}
+                          className="border border-gray-300 p-1 rounded text-xs"
+                        >
+                          <option value="">Select Head ({type})</option>
+                          {newTypeHeads.map(h => (
+                            <option key={h.id} value={h.id}>{h.name}</option>
+                          ))}
+                        </select>
+                        <button
+                          onClick={() => {
+                            if (!newHeadIds[l.id]) {
+                              alert("Please select a Head for the new transaction.");
+                              return;
+                            }
+                            createTransactionFromLine(l, newHeadIds[l.id]);
+                          }}
+                          className="text-xs bg-blue-100 text-blue-700 px-2 py-1 rounded-full hover:bg-blue-200"
+                        >
+                          Create Transaction
+                        </button>
+                      </div>
+                    ) : (
+                      <span className="text-gray-400">Unmatched</span>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// =========================================================================
+// RECONCILIATION SUMMARY (book balance vs bank balance)
+// =========================================================================
+function ReconciliationSummary({ account, statementLines, transactions, heads, exportCSV }) {
+  const [asOfDate, setAsOfDate] = useState(getTodayDate);
+  const openingBalance = getStartingBalance(account);
+
+  const summary = getReconciliationSummary(transactions, statementLines, asOfDate, openingBalance);
+
+  const line = (label, amount, className = "") => (
+    <tr className={className}>
+      <td className="py-2 px-4 border-b">{label}</td>
+      <td className="py-2 px-4 border-b text-right">₹{amount.toFixed(2)}</td>
+    </tr>
+  );
+
+  return (
+    <div>
+      <div className="grid grid-cols-3 gap-2 mb-4 text-sm">
+        <label className="flex flex-col">
+          <span className="font-medium mb-1">As on</span>
+          <input
+            type="date"
+            value={asOfDate}
+            onChange={(e) => setAsOfDate(e.target.value)}
+            className="border border-gray-300 p-2 rounded"
+          />
+        </label>
+        <div className="flex flex-col">
+          <span className="font-medium mb-1">Book opening balance</span>
+          <span className="p-2">₹{openingBalance.toFixed(2)} ({account.name})</span>
+        </div>
+        <div className="flex items-end">
+          <button
+            onClick={() => exportCSV(getReconciliationExportRows(summary, heads), `Bank_Reconciliation_${account.name.replace(/\W+/g, '_')}_${asOfDate}.csv`)}
+            className="w-full bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition"
+          >
+            Export Reconciliation
+          </button>
+        </div>
+      </div>
+
+      <table className="min-w-full bg-white border border-gray-200 text-sm">
+        <tbody>
+          {line("Balance as per bank statement", summary.bankBalance, "font-semibold")}
+          {line(`Add: Receipts not yet credited by bank (${summary.receiptsNotCredited.length})`, summary.totals.receiptsNotCredited)}
+          {line(`Less: Payments not yet debited by bank (${summary.paymentsNotDebited.length})`, summary.totals.paymentsNotDebited)}
+          {line("Adjusted bank balance", summary.adjustedBankBalance, "bg-gray-100 font-bold")}
+          {line("Balance as per books", summary.bookBalance, "font-semibold")}
+          {line(`Add: Bank credits not in books (${summary.creditsNotInBooks.length})`, summary.totals.creditsNotInBooks)}
+          {line(`Less: Bank debits not in books (${summary.debitsNotInBooks.length})`, summary.totals.debitsNotInBooks)}
+          {line("Adjusted book balance", summary.adjustedBookBalance, "bg-gray-100 font-bold")}
+          <tr className="bg-gray-200 font-bold">
+            <td className="py-2 px-4 border-t">Difference</td>
+            <td className="py-2 px-4 border-t text-right" style={{ color: Math.abs(summary.difference) < 0.005 ? '#059669' : '#DC2626' }}>
+              ₹{summary.difference.toFixed(2)}
+            </td>
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default BankReconciliation;
@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { formatDisplayDate } from './dates';
+
+// =========================================================================
+// Cash Book / Bank Book for the report period: one row per day with opening
+// balance, receipts, payments and closing balance; click a day for entries.
+// =========================================================================
+function DayBookReport({ title, book, startDate, endDate }) {
+  const [openDate, setOpenDate] = useState("");
+
+  return (
+    <div className="mt-8 overflow-x-auto">
+      <h3 className="text-xl font-semibold mb-3">{title} (Filtered: {startDate} to {endDate})</h3>
+      <table className="min-w-full bg-white border border-gray-200">
+        <thead>
+          <tr className="bg-gray-100">
+            <th className="py-2 px-4 border-b text-left">Date</th>
+            <th className="py-2 px-4 border-b text-right">Opening (₹)</th>
+            <th className="py-2 px-4 border-b text-right text-green-600">Receipts (₹)</th>
+            <th className="py-2 px-4 border-b text-right text-red-600">Payments (₹)</th>
+            <th className="py-2 px-4 border-b text-right">Closing (₹)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {book.days.length === 0 && (
+            <tr>
+              <td className="py-2 px-4 border-b text-gray-500" colSpan="5">No receipts or payments in this period.</td>
+            </tr>
+          )}
+          {book.days.map(day => (
+            <React.Fragment key={day.date}>
+              <tr
+                onClick={() => setOpenDate(openDate === day.date ? "" : day.date)}
+                className="hover:bg-gray-50 cursor-pointer"
+              >
+                <td className="py-2 px-4 border-b">
+                  {openDate === day.date ? '▾' : '▸'} {formatDisplayDate(day.date)}
+                  <span className="text-xs text-gray-500 ml-2">({day.entries.length})</span>
+                </td>
+                <td className="py-2 px-4 border-b text-right">₹{day.opening.toFixed(2)}</td>
+                <td className="py-2 px-4 border-b text-right text-green-600">₹{day.receipts.toFixed(2)}</td>
+                <td className="py-2 px-4 border-b text-right text-red-600">₹{day.payments.toFixed(2)}</td>
+                <td className="py-2 px-4 border-b text-right font-bold">₹{day.closing.toFixed(2)}</td>
+              </tr>
+              {openDate === day.date && day.entries.map((e, index) => (
+                <tr key={index} className="bg-gray-50 text-sm text-gray-700">
+                  <td className="py-1 px-4 border-b pl-8">{e.account}</td>
+                  <td className="py-1 px-4 border-b">
+                    {e.particulars}
+                    {e.payment && <span className="text-xs ml-2 px-2 py-0.5 rounded-full bg-gray-200">{e.payment}</span>}
+                  </td>
+                  <td className="py-1 px-4 border-b text-right text-green-600">{e.receipt ? `₹${e.receipt.toFixed(2)}` : ''}</td>
+                  <td className="py-1 px-4 border-b text-right text-red-600">{e.paymentOut ? `₹${e.paymentOut.toFixed(2)}` : ''}</td>
+                  <td className="py-1 px-4 border-b"></td>
+                </tr>
+              ))}
+            </React.Fragment>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr className="bg-gray-200 font-bold">
+            <td className="py-2 px-4 border-t">TOTALS</td>
+            <td className="py-2 px-4 border-t text-right">₹{book.openingBalance.toFixed(2)}</td>
+            <td className="py-2 px-4 border-t text-right text-green-600">₹{book.totalReceipts.toFixed(2)}</td>
+            <td className="py-2 px-4 border-t text-right text-red-600">₹{book.totalPayments.toFixed(2)}</td>
+            <td className="py-2 px-4 border-t text-right">₹{book.closingBalance.toFixed(2)}</td>
+          </tr>
+        </tfoot>
+      </table>
+    </div>
+  );
+}
+
+export default DayBookReport;
@@ -0,0 +1,218 @@
+import React, { useState } from 'react';
+import { FY_MONTHS, MONTH_NAMES } from './budgets';
+import { getFinancialYear, getFinancialYearByStartYear, getTodayDate } from './dates';
+
+const emptyMonths = () => FY_MONTHS.reduce((acc, m) => ({ ...acc, [m]: "" }), {});
+
+// Current financial year and its neighbours, e.g. ["2024-25", "2025-26", "2026-27"]
+const getFinancialYearOptions = () => {
+  const { startYear } = getFinancialYear(getTodayDate());
+  return [startYear - 1, startYear, startYear + 1].map(y => getFinancialYearByStartYear(y).label);
+};
+
+// =========================================================================
+// BUDGET MANAGER (set annual or month-wise budget per head)
+// =========================================================================
+function BudgetManager({ heads, budgets, saveBudget }) {
+  const financialYears = getFinancialYearOptions();
+  const [financialYear, setFinancialYear] = useState(financialYears[1]);
+  const [headId, setHeadId] = useState("");
+  const [splitMonthly, setSplitMonthly] = useState(false);
+  const [annualAmount, setAnnualAmount] = useState("");
+  const [monthlyAmounts, setMonthlyAmounts] = useState(emptyMonths);
+
+  const sortedHeads = [...heads].sort((a, b) => a.name.localeCompare(b.name));
+
+  // Prefill the form with whatever is already saved for this head and year
+  const loadExisting = (selectedHeadId, selectedYear) => {
+    const existing = budgets.filter(b => b.head_id === selectedHeadId && b.financial_year === selectedYear);
+    const monthly = existing.filter(b => b.month > 0);
+    const annual = existing.find(b => b.month === 0);
+
+    setSplitMonthly(monthly.length > 0);
+    setAnnualAmount(annual ? String(annual.amount) : "");
+    setMonthlyAmounts(FY_MONTHS.reduce((acc, m) => {
+      const row = monthly.find(b => b.month === m);
+      return { ...acc, [m]: row ? String(row.amount) : "" };
+    }, {}));
+  };
+
+  const handleSubmit = () => {
+    if (!headId) {
+      alert("Please select a Head.");
+      return;
+    }
+
+    let rows;
+    if (splitMonthly) {
+      rows = FY_MONTHS
+        .filter(m => monthlyAmounts[m] !== "")
+        .map(m => ({ month: m, amount: parseFloat(monthlyAmounts[m]) }));
+    } else {
+      rows = annualAmount === "" ? [] : [{ month: 0, amount: parseFloat(annualAmount) }];
+    }
+
+    if (rows.some(r => isNaN(r.amount) || r.amount < 0)) {
+      alert("Please enter valid, non-negative amounts.");
+      return;
+    }
+
+    saveBudget(headId, financialYear, rows);
+  };
+
+  const yearTotals = sortedHeads
+    .map(h => {
+      const rows = budgets.filter(b => b.head_id === h.id && b.financial_year === financialYear);
+      const monthly = rows.filter(b => b.month > 0);
+      const total = monthly.length > 0
+        ? monthly.reduce((acc, b) => acc + Number(b.amount), 0)
+        : rows.reduce((acc, b) => acc + Number(b.amount), 0);
+      return { head: h, total, split: monthly.length > 0, hasBudget: rows.length > 0 };
+    })
+    .filter(item => item.hasBudget);
+
+  return (
+    <div>
+      <div className="grid grid-cols-3 gap-2 mb-2">
+        <select
+          value={financialYear}
+          onChange={(e) => {
+            setFinancialYear(e.target.value);
+            if (headId) loadExisting(headId, e.target.value);
+          }}
+          className="border border-gray-300 p-2 rounded"
+        >
+          {financialYears.map(fy => (
+            <option key={fy} value={fy}>FY {fy}</option>
+          ))}
+        </select>
+        <select
+          value={headId}
+          onChange={(e) => {
+            setHeadId(e.target.value);
+            loadExisting(e.target.value, financialYear);
+          }}
+          className="border border-gray-300 p-2 rounded"
+        >
+          <option value="">Select Head</option>
+          {sortedHeads.map(h => (
+            <option key={h.id} value={h.id}>{h.name} ({h.head_type})</option>
+          ))}
+        </select>
+        <label className="flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={splitMonthly}
+            onChange={(e) => setSplitMonthly(e.target.checked)}
+            className="mr-2"
+          />
+          Split by month
+        </label>
+      </div>
+
+      {splitMonthly ? (
+        <div className="grid grid-cols-6 gap-2 mb-4">
+          {FY_MONTHS.map(m => (
+            <input
+              key={m}
+              type="number"
+              placeholder={`${MONTH_NAMES[m]} (₹)`}
+              value={monthlyAmounts[m]}
+              onChange={(e) => setMonthlyAmounts({ ...monthlyAmounts, [m]: e.target.value })}
+              className="border border-gray-300 p-2 rounded"
+            />
+          ))}
+        </div>
+      ) : (
+        <input
+          type="number"
+          placeholder="Annual Budget (₹)"
+          value={annualAmount}
+          onChange={(e) => setAnnualAmount(e.target.value)}
+          className="border border-gray-300 p-2 rounded w-full mb-4"
+        />
+      )}
+
+      <button
+        onClick={handleSubmit}
+        className="w-full bg-blue-600 text-white font-semibold rounded p-2 mb-4 hover:bg-blue-700 transition"
+      >
+        Save Budget
+      </button>
+
+      <ul className="divide-y divide-gray-200 max-h-60 overflow-y-auto text-sm">
+        {yearTotals.map(item => (
+          <li key={item.head.id} className="flex justify-between py-2 px-1">
+            <span className={`font-medium ${item.head.head_type === 'income' ? 'text-green-700' : 'text-red-700'}`}>
+              {item.head.name}
+              {item.split && <span className="text-xs ml-2 px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">MONTHLY</span>}
+            </span>
+            <span>₹{item.total.toFixed(2)}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// =========================================================================
+// BUDGET VS ACTUAL VARIANCE REPORT
+// =========================================================================
+export function BudgetVarianceReport({ reportData, startDate, endDate }) {
+  const totalBudget = reportData.reduce((acc, item) => acc + (item.Type === 'expense' ? item.Budget : 0), 0);
+  const totalActual = reportData.reduce((acc, item) => acc + (item.Type === 'expense' ? item.Actual : 0), 0);
+  const totalVariance = totalBudget - totalActual;
+
+  return (
+    <div className="mt-8 overflow-x-auto">
+      <h3 className="text-xl font-semibold mb-3">Budget vs Actual (Filtered: {startDate} to {endDate})</h3>
+      <table className="min-w-full bg-white border border-gray-200">
+        <thead>
+          <tr className="bg-gray-100">
+            <th className="py-2 px-4 border-b text-left">Head</th>
+            <th className="py-2 px-4 border-b text-left">Type</th>
+            <th className="py-2 px-4 border-b text-right">Budget (₹)</th>
+            <th className="py-2 px-4 border-b text-right">Actual (₹)</th>
+            <th className="py-2 px-4 border-b text-right">Variance (₹)</th>
+            <th className="py-2 px-4 border-b text-right">% Used</th>
+          </tr>
+        </thead>
+        <tbody>
+          {reportData.map((item, index) => (
+            <tr key={index} className="hover:bg-gray-50">
+              <td className="py-2 px-4 border-b">{item.Head}</td>
+              <td className="py-2 px-4 border-b">
+                <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${item.Type === 'income' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
+                  {item.Type}
+                </span>
+              </td>
+              <td className="py-2 px-4 border-b text-right">₹{item.Budget.toFixed(2)}</td>
+              <td className="py-2 px-4 border-b text-right">₹{item.Actual.toFixed(2)}</td>
+              <td className="py-2 px-4 border-b text-right font-bold" style={{ color: item.Variance >= 0 ? '#059669' : '#DC2626' }}>
+                ₹{item.Variance.toFixed(2)}
+              </td>
+              <td className="py-2 px-4 border-b text-right">
+                {item.PercentUsed === null ? 'N/A' : `${item.PercentUsed.toFixed(1)}%`}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr className="bg-gray-200 font-bold">
+            <td className="py-2 px-4 border-t" colSpan="2">TOTALS (Expense Heads)</td>
+            <td className="py-2 px-4 border-t text-right">₹{totalBudget.toFixed(2)}</td>
+            <td className="py-2 px-4 border-t text-right">₹{totalActual.toFixed(2)}</td>
+            <td className="py-2 px-4 border-t text-right" style={{ color: totalVariance >= 0 ? '#059669' : '#DC2626' }}>
+              ₹{totalVariance.toFixed(2)}
+            </td>
+            <td className="py-2 px-4 border-t text-right">
+              {totalBudget > 0 ? `${((totalActual / totalBudget) * 100).toFixed(1)}%` : 'N/A'}
+            </td>
+          </tr>
+        </tfoot>
+      </table>
+    </div>
+  );
+}
+
+export default BudgetManager;
@@ -0,0 +1,212 @@
+import React from 'react';
+import { getExpenseBreakdown, getMonthlyTotals, getNetSurplusTrend, getTopGrowingHeads } from './charts';
+import { formatDisplayDate, getFinancialYear } from './dates';
+
+// =========================================================================
+// CHARTS DASHBOARD (plain SVG, no chart library)
+// Clicking a month opens that month as the report period; clicking a head
+// filters the transactions list to it.
+// =========================================================================
+
+const SLICE_COLOURS = ['#2563eb', '#dc2626', '#d97706', '#059669', '#7c3aed', '#db2777', '#6b7280'];
+
+const formatRupees = (value) => `₹${Math.round(value).toLocaleString('en-IN')}`;
+
+// Rounded-up axis maximum so bars and lines keep some headroom
+const getAxisMax = (values) => {
+  const max = Math.max(0, ...values);
+  if (max === 0) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(max));
+  return Math.ceil(max / magnitude) * magnitude;
+};
+
+function ChartCard({ title, children }) {
+  return (
+    <div className="bg-white shadow-md rounded-lg p-4">
+      <h3 className="text-sm font-semibold text-gray-600 mb-2">{title}</h3>
+      {children}
+    </div>
+  );
+}
+
+const EmptyChart = () => <p className="text-sm text-gray-500 py-10 text-center">No transactions for this period.</p>;
+
+// Monthly income vs expense, side by side for each month
+function MonthlyBars({ months, onSelectMonth }) {
+  if (months.every(m => m.income === 0 && m.expense === 0)) return <EmptyChart />;
+
+  const width = 600;
+  const height = 220;
+  const bottom = 24;
+  const max = getAxisMax(months.flatMap(m => [m.income, m.expense]));
+  const slot = width / months.length;
+  const barWidth = Math.min(28, slot / 3);
+  const barHeight = (value) => (value / max) * (height - bottom - 10);
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-56">
+      <line x1="0" y1={height - bottom} x2={width} y2={height - bottom} stroke="#d1d5db" />
+      {months.map((m, i) => {
+        const centre = slot * i + slot / 2;
+        return (
+          <g key={m.key} onClick={() => onSelectMonth(m)} className="cursor-pointer">
+            <title>{`${m.label}: income ${formatRupees(m.income)}, expense ${formatRupees(m.expense)}`}</title>
+            <rect x={slot * i} y="0" width={slot} height={height} fill="transparent" />
+            <rect x={centre - barWidth} y={height - bottom - barHeight(m.income)} width={barWidth} height={barHeight(m.income)} fill="#16a34a" />
+            <rect x={centre} y={height - bottom - barHeight(m.expense)} width={barWidth} height={barHeight(m.expense)} fill="#dc2626" />
+            <text x={centre} y={height - 8} textAnchor="middle" fontSize="11" fill="#4b5563">{m.label.slice(0, 3)}</text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+// Running net surplus since the start of the financial year
+function SurplusLine({ trend, onSelectMonth }) {
+  if (trend.every(m => m.income === 0 && m.expense === 0)) return <EmptyChart />;
+
+  const width = 600;
+  const height = 220;
+  const bottom = 24;
+  const max = getAxisMax(trend.map(m => Math.abs(m.cumulative)));
+  const plotHeight = height - bottom - 10;
+  const zeroY = 5 + plotHeight / 2;
+  const slot = width / trend.length;
+  const x = (i) => slot * i + slot / 2;
+  const y = (value) => zeroY - (value / max) * (plotHeight / 2);
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-56">
+      <line x1="0" y1={zeroY} x2={width} y2={zeroY} stroke="#d1d5db" strokeDasharray="4 4" />
+      <polyline
+        points={trend.map((m, i) => `${x(i)},${y(m.cumulative)}`).join(' ')}
+        fill="none"
+        stroke="#2563eb"
+        strokeWidth="2"
+      />
+      {trend.map((m, i) => (
+        <g key={m.key} onClick={() => onSelectMonth(m)} className="cursor-pointer">
+          <title>{`${m.label}: net ${formatRupees(m.net)}, year to date ${formatRupees(m.cumulative)}`}</title>
+          <circle cx={x(i)} cy={y(m.cumulative)} r="5" fill={m.cumulative < 0 ? '#dc2626' : '#2563eb'} />
+          <text x={x(i)} y={height - 8} textAnchor="middle" fontSize="11" fill="#4b5563">{m.label.slice(0, 3)}</text>
+        </g>
+      ))}
+    </svg>
+  );
+}
+
+// Expense by head as a pie, with a clickable legend
+function ExpensePie({ slices, onSelectHead }) {
+  if (slices.length === 0) return <EmptyChart />;
+
+  const radius = 80;
+  let angle = -Math.PI / 2;
+  const arcs = slices.map((slice, i) => {
+    const start = angle;
+    angle += slice.share * 2 * Math.PI;
+    const point = (a) => `${100 + radius * Math.cos(a)},${100 + radius * Math.sin(a)}`;
+    const path = slice.share >= 0.9999
+      ? `M 100 ${100 - radius} A ${radius} ${radius} 0 1 1 99.99 ${100 - radius} Z`
+      : `M 100 100 L ${point(start)} A ${radius} ${radius} 0 ${slice.share > 0.5 ? 1 : 0} 1 ${point(angle)} Z`;
+    return { ...slice, path, colour: SLICE_COLOURS[i % SLICE_COLOURS.length] };
+  });
+
+  return (
+    <div className="flex items-center gap-4">
+      <svg viewBox="0 0 200 200" className="w-44 h-44 flex-shrink-0">
+        {arcs.map(arc => (
+          <path
+            key={arc.label}
+            d={arc.path}
+            fill={arc.colour}
+            stroke="#fff"
+            onClick={() => arc.headId && onSelectHead(arc.headId)}
+            className={arc.headId ? 'cursor-pointer' : ''}
+          >
+            <title>{`${arc.label}: ${formatRupees(arc.value)} (${(arc.share * 100).toFixed(1)}%)`}</title>
+          </path>
+        ))}
+      </svg>
+      <ul className="text-sm space-y-1">
+        {arcs.map(arc => (
+          <li key={arc.label}>
+            <button
+              onClick={() => arc.headId && onSelectHead(arc.headId)}
+              disabled={!arc.headId}
+              className="flex items-center text-left hover:underline disabled:no-underline"
+            >
+              <span className="inline-block w-3 h-3 rounded-sm mr-2" style={{ backgroundColor: arc.colour }} />
+              {arc.label} — {(arc.share * 100).toFixed(1)}%
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// Heads that grew the most against the previous period
+function GrowthBars({ rows, onSelectHead }) {
+  if (rows.length === 0) return <p className="text-sm text-gray-500 py-10 text-center">No head grew against the previous period.</p>;
+
+  const max = Math.max(...rows.map(r => r.change));
+  return (
+    <ul className="space-y-2 text-sm">
+      {rows.map(row => (
+        <li key={row.label}>
+          <button onClick={() => row.headId && onSelectHead(row.headId)} disabled={!row.headId} className="w-full text-left group">
+            <div className="flex justify-between">
+              <span className="group-hover:underline">{row.label}</span>
+              <span className={row.type === 'income' ? 'text-green-700' : 'text-red-700'}>
+                +{formatRupees(row.change)}{row.percent !== null && ` (${row.percent.toFixed(0)}%)`}
+              </span>
+            </div>
+            <div className="h-2 bg-gray-100 rounded">
+              <div
+                className={`h-2 rounded ${row.type === 'income' ? 'bg-green-500' : 'bg-red-500'}`}
+                style={{ width: `${(row.change / max) * 100}%` }}
+              />
+            </div>
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// =========================================================================
+// Main Component. monthlyPl / yearsMonthlyPl: the monthly P&L (counted,
+// filtered transactions) of the report period and of its financial year
+// and the one before; plSummary / previousPlSummary: the P&L of the report
+// period and of the period of the same length before it.
+// =========================================================================
+function ChartsDashboard({ monthlyPl, yearsMonthlyPl, plSummary, previousPlSummary, previousPeriod, heads, startDate, endDate, onSelectMonth, onSelectHead }) {
+  const months = getMonthlyTotals(monthlyPl, startDate, endDate);
+  const trend = getNetSurplusTrend(yearsMonthlyPl, startDate);
+  const slices = getExpenseBreakdown(plSummary, heads);
+  const growth = getTopGrowingHeads(plSummary, previousPlSummary, heads);
+
+  return (
+    <div className="grid md:grid-cols-2 gap-4 mb-6">
+      <ChartCard title="Income vs Expense by Month">
+        <MonthlyBars months={months} onSelectMonth={onSelectMonth} />
+        <p className="text-xs text-gray-500">
+          <span className="inline-block w-2 h-2 bg-green-600 mr-1" />Income
+          <span className="inline-block w-2 h-2 bg-red-600 ml-3 mr-1" />Expense
+        </p>
+      </ChartCard>
+      <ChartCard title={`Net Surplus over FY ${getFinancialYear(startDate).label} (running total)`}>
+        <SurplusLine trend={trend} onSelectMonth={onSelectMonth} />
+      </ChartCard>
+      <ChartCard title="Expense by Head">
+        <ExpensePie slices={slices} onSelectHead={onSelectHead} />
+      </ChartCard>
+      <ChartCard title={`Top Heads by Growth (vs ${formatDisplayDate(previousPeriod.startDate)} to ${formatDisplayDate(previousPeriod.endDate)})`}>
+        <GrowthBars rows={growth} onSelectHead={onSelectHead} />
+      </ChartCard>
+    </div>
+  );
+}
+
+export default ChartsDashboard;
@@ -0,0 +1,142 @@
+import React from 'react';
+import { COMPARATIVE_VIEWS } from './comparative';
+
+// =========================================================================
+// COMPARATIVE P&L: one column per month or quarter of the report period,
+// or this financial year against the previous one
+// =========================================================================
+
+const formatAmount = (value) => `₹${value.toFixed(2)}`;
+
+const typeBadge = (type) => type && (
+  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${type === 'income' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
+    {type}
+  </span>
+);
+
+function PeriodColumnsTable({ report }) {
+  if (report.rows.length === 0) return <p className="text-gray-500">No transactions for this period.</p>;
+
+  return (
+    <table className="min-w-full bg-white border border-gray-200 text-sm">
+      <thead>
+        <tr className="bg-gray-100">
+          <th className="py-2 px-4 border-b text-left">Head</th>
+          <th className="py-2 px-4 border-b text-left">Type</th>
+          {report.columns.map(c => (
+            <th key={c.key} className="py-2 px-4 border-b text-right whitespace-nowrap">{c.label}</th>
+          ))}
+          <th className="py-2 px-4 border-b text-right">Total</th>
+        </tr>
+      </thead>
+      <tbody>
+        {report.rows.map(row => (
+          <tr key={row.Head} className="hover:bg-gray-50">
+            <td className="py-2 px-4 border-b">{row.Head}</td>
+            <td className="py-2 px-4 border-b">{typeBadge(row.Type)}</td>
+            {report.columns.map(c => (
+              <td key={c.key} className="py-2 px-4 border-b text-right">{row[c.label] ? formatAmount(row[c.label]) : '—'}</td>
+            ))}
+            <td className="py-2 px-4 border-b text-right font-semibold">{formatAmount(row.Total)}</td>
+          </tr>
+        ))}
+      </tbody>
+      <tfoot>
+        {report.totals.map(row => (
+          <tr key={row.Head} className="bg-gray-200 font-bold">
+            <td className="py-2 px-4 border-t" colSpan="2">{row.Head}</td>
+            {report.columns.map(c => (
+              <td key={c.key} className={`py-2 px-4 border-t text-right ${row[c.label] < 0 ? 'text-red-600' : ''}`}>{formatAmount(row[c.label])}</td>
+            ))}
+            <td className={`py-2 px-4 border-t text-right ${row.Total < 0 ? 'text-red-600' : ''}`}>{formatAmount(row.Total)}</td>
+          </tr>
+        ))}
+      </tfoot>
+    </table>
+  );
+}
+
+function YearOverYearTable({ report }) {
+  if (report.rows.length === 0) return <p className="text-gray-500">No transactions in either year.</p>;
+
+  // More income is good, more expense is not
+  const changeColour = (row) => {
+    if (row.Change === 0) return '';
+    const better = row.Type === 'expense' || row.Head === 'Total Expense' ? row.Change < 0 : row.Change > 0;
+    return better ? 'text-green-600' : 'text-red-600';
+  };
+  const cells = (row, border) => (
+    <>
+      <td className={`py-2 px-4 ${border} text-right`}>{formatAmount(row.Current)}</td>
+      <td className={`py-2 px-4 ${border} text-right`}>{formatAmount(row.Previous)}</td>
+      <td className={`py-2 px-4 ${border} text-right ${changeColour(row)}`}>{row.Change > 0 ? '+' : ''}{formatAmount(row.Change)}</td>
+      <td className={`py-2 px-4 ${border} text-right ${changeColour(row)}`}>
+        {row.ChangePercent === null ? 'N/A' : `${row.ChangePercent > 0 ? '+' : ''}${row.ChangePercent.toFixed(1)}%`}
+      </td>
+    </>
+  );
+
+  return (
+    <table className="min-w-full bg-white border border-gray-200 text-sm">
+      <thead>
+        <tr className="bg-gray-100">
+          <th className="py-2 px-4 border-b text-left">Head</th>
+          <th className="py-2 px-4 border-b text-left">Type</th>
+          <th className="py-2 px-4 border-b text-right">FY {report.current.label} (₹)</th>
+          <th className="py-2 px-4 border-b text-right">FY {report.previous.label} (₹)</th>
+          <th className="py-2 px-4 border-b text-right">Change (₹)</th>
+          <th className="py-2 px-4 border-b text-right">Change %</th>
+        </tr>
+      </thead>
+      <tbody>
+        {report.rows.map(row => (
+          <tr key={row.Head} className="hover:bg-gray-50">
+            <td className="py-2 px-4 border-b">{row.Head}</td>
+            <td className="py-2 px-4 border-b">{typeBadge(row.Type)}</td>
+            {cells(row, 'border-b')}
+          </tr>
+        ))}
+      </tbody>
+      <tfoot>
+        {report.totals.map(row => (
+          <tr key={row.Head} className="bg-gray-200 font-bold">
+            <td className="py-2 px-4 border-t" colSpan="2">{row.Head}</td>
+            {cells(row, 'border-t')}
+          </tr>
+        ))}
+      </tfoot>
+    </table>
+  );
+}
+
+// =========================================================================
+// Main Component. view: a key of COMPARATIVE_VIEWS; comparative and
+// yearOverYear come from getComparativePLData and getYearOverYearData.
+// =========================================================================
+function ComparativePLReport({ view, setView, comparative, yearOverYear, startDate, endDate }) {
+  return (
+    <div className="mt-8 overflow-x-auto">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="text-xl font-semibold">
+          Comparative P&L ({view === 'yoy'
+            ? `FY ${yearOverYear.current.label} vs FY ${yearOverYear.previous.label}`
+            : `Filtered: ${startDate} to ${endDate}`})
+        </h3>
+        <div className="flex gap-2">
+          {Object.entries(COMPARATIVE_VIEWS).map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setView(key)}
+              className={`px-3 py-1 rounded-full text-sm font-medium transition ${view === key ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+      {view === 'yoy' ? <YearOverYearTable report={yearOverYear} /> : <PeriodColumnsTable report={comparative} />}
+    </div>
+  );
+}
+
+export default ComparativePLReport;
@@ -0,0 +1,62 @@
+import React from 'react';
+import { formatDateForInput, formatDisplayDate, getPeriodPresets } from './dates';
+
+// =========================================================================
+// REPORT PERIOD SELECTOR (quick presets + custom start/end dates)
+// =========================================================================
+function PeriodSelector({ startDate, endDate, setStartDate, setEndDate }) {
+  const presets = getPeriodPresets();
+  const start = formatDateForInput(startDate);
+  const end = formatDateForInput(endDate);
+
+  return (
+    <div className="mb-4">
+      <h3 className="text-lg font-semibold text-blue-700 mb-2">Select Report Period</h3>
+
+      <div className="flex flex-wrap gap-2 mb-3">
+        {presets.map((p) => {
+          const active = p.startDate === start && p.endDate === end;
+          return (
+            <button
+              key={p.key}
+              onClick={() => {
+                setStartDate(p.startDate);
+                setEndDate(p.endDate);
+              }}
+              className={`px-3 py-1 rounded-full text-sm font-medium transition ${active ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+            >
+              {p.label}
+            </button>
+          );
+        })}
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <label className="text-sm font-medium block mb-1">Start Date</label>
+          <input
+            type="date"
+            value={start}
+            onChange={(e) => setStartDate(e.target.value)}
+            className="border border-gray-300 p-2 rounded w-full"
+          />
+        </div>
+        <div>
+          <label className="text-sm font-medium block mb-1">End Date</label>
+          <input
+            type="date"
+            value={end}
+            onChange={(e) => setEndDate(e.target.value)}
+            className="border border-gray-300 p-2 rounded w-full"
+          />
+        </div>
+      </div>
+
+      <p className="text-sm mt-4 text-gray-600">
+        Current Report Period: {formatDisplayDate(start)} to {formatDisplayDate(end)}
+      </p>
+    </div>
+  );
+}
+
+export default PeriodSelector;
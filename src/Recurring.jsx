@@ -0,0 +1,308 @@
+import React, { useState } from 'react';
+import { PAYMENT_MODES, PAYMENT_MODE_LABELS, getAccountName, getDefaultPaymentMode, getSelectableAccounts } from './accounts';
+import { formatDisplayDate, getTodayDate } from './dates';
+import { FREQUENCIES, FREQUENCY_LABELS, getDueOccurrences, getNextOccurrence } from './recurring';
+import { getSelectableHeads } from './trash';
+
+const headName = (heads, id) => heads.find(h => h.id === id)?.name || 'Unknown';
+
+// =========================================================================
+// Main Component
+// Templates for salaries, rent and subscriptions, and the list of
+// occurrences due this month for the accountant to confirm and post.
+// =========================================================================
+function RecurringManager({
+  templates,
+  heads,
+  accounts,
+  transactions, // all transactions including trashed, to know what is posted
+  addTemplate,
+  updateTemplate,
+  deleteTemplate,
+  postOccurrence
+}) {
+  const today = getTodayDate();
+  const due = getDueOccurrences(templates, transactions, today);
+
+  return (
+    <div>
+      <h3 className="text-lg font-semibold mb-2">Due This Month ({due.length})</h3>
+      {due.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-6">Nothing due. Every occurrence up to the end of this month is posted.</p>
+      ) : (
+        <table className="min-w-full bg-white border border-gray-200 text-sm mb-6">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="py-2 px-4 border-b text-left">Due</th>
+              <th className="py-2 px-4 border-b text-left">Head / Account</th>
+              <th className="py-2 px-4 border-b text-left">Post on</th>
+              <th className="py-2 px-4 border-b text-left">Description</th>
+              <th className="py-2 px-4 border-b text-right">Amount (₹)</th>
+              <th className="py-2 px-4 border-b text-right">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {due.map(o => (
+              <DueOccurrenceRow
+                key={`${o.template.id}-${o.occurrenceDate}`}
+                occurrence={o}
+                heads={heads}
+                accounts={accounts}
+                postOccurrence={postOccurrence}
+              />
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <TemplateForm heads={heads} accounts={accounts} addTemplate={addTemplate} />
+
+      <h3 className="text-lg font-semibold mb-2">Templates ({templates.length})</h3>
+      <ul className="divide-y divide-gray-200 text-sm">
+        {[...templates]
+          .sort((a, b) => Number(b.active) - Number(a.active) || a.description.localeCompare(b.description))
+          .map(rt => {
+            const next = rt.active ? getNextOccurrence(rt, today) : null;
+            return (
+              <li key={rt.id} className={`flex justify-between items-center py-2 px-1 ${rt.active ? '' : 'opacity-60'}`}>
+                <span>
+                  <span className="font-medium">{rt.description || headName(heads, rt.head_id)}</span>
+                  <span className={`ml-2 ${rt.type === 'income' ? 'text-green-600' : 'text-red-600'}`}>₹{Number(rt.amount).toFixed(2)}</span>
+                  <span className="text-gray-500 ml-2">
+                    {FREQUENCY_LABELS[rt.frequency]} on day {rt.day_of_month} · {headName(heads, rt.head_id)} · {getAccountName(accounts, rt.account_id)}
+                    {rt.end_date && ` · until ${formatDisplayDate(rt.end_date)}`}
+                  </span>
+                  {rt.active
+                    ? next && <span className="text-xs ml-2 px-2 py-0.5 rounded-full bg-blue-100 text-blue-800">Next: {formatDisplayDate(next)}</span>
+                    : <span className="text-xs ml-2 px-2 py-0.5 rounded-full bg-gray-200 text-gray-700">PAUSED</span>}
+                </span>
+                <span className="space-x-2 whitespace-nowrap">
+                  <button
+                    onClick={() => {
+                      const value = window.prompt("New amount for future entries (₹):", String(rt.amount));
+                      if (value === null) return;
+                      const amount = parseFloat(value);
+                      if (isNaN(amount) || amount <= 0) {
+                        alert("Please enter a valid, positive amount.");
+                        return;
+                      }
+                      updateTemplate(rt.id, { amount });
+                    }}
+                    className="text-xs bg-yellow-100 text-yellow-700 px-2 py-1 rounded-full hover:bg-yellow-200"
+                  >
+                    Amount
+                  </button>
+                  <button
+                    onClick={() => updateTemplate(rt.id, { active: !rt.active })}
+                    className="text-xs bg-gray-100 text-gray-700 px-2 py-1 rounded-full hover:bg-gray-200"
+                  >
+                    {rt.active ? 'Pause' : 'Resume'}
+                  </button>
+                  <button
+                    onClick={() => deleteTemplate(rt.id)}
+                    className="text-xs bg-red-100 text-red-700 px-2 py-1 rounded-full hover:bg-red-200"
+                  >
+                    Delete
+                  </button>
+                </span>
+              </li>
+            );
+          })}
+      </ul>
+    </div>
+  );
+}
+
+// =========================================================================
+// DUE OCCURRENCE (amount, date and description can be adjusted before posting)
+// =========================================================================
+function DueOccurrenceRow({ occurrence, heads, accounts, postOccurrence }) {
+  const { template, occurrenceDate, overdue } = occurrence;
+  const [amount, setAmount] = useState(String(template.amount));
+  const [date, setDate] = useState(occurrenceDate);
+  const [description, setDescription] = useState(template.description);
+  const [posting, setPosting] = useState(false);
+
+  const handlePost = async () => {
+    if (!amount || parseFloat(amount) <= 0 || !date) {
+      alert("Please fill out a positive Amount and the Date.");
+      return;
+    }
+    setPosting(true);
+    const posted = await postOccurrence(template, occurrenceDate, { amount, date, description });
+    // A posted row leaves the list; only reset when it stays
+    if (!posted) setPosting(false);
+  };
+
+  return (
+    <tr className={overdue ? 'bg-orange-50' : 'hover:bg-gray-50'}>
+      <td className="py-2 px-4 border-b">
+        {formatDisplayDate(occurrenceDate)}
+        {overdue && <span className="text-xs ml-2 px-2 py-0.5 rounded-full bg-orange-100 text-orange-800">OVERDUE</span>}
+      </td>
+      <td className="py-2 px-4 border-b">
+        <span className={template.type === 'income' ? 'text-green-700' : 'text-red-700'}>{headName(heads, template.head_id)}</span>
+        <div className="text-xs text-gray-500">
+          {getAccountName(accounts, template.account_id)}
+          {template.payment_mode && ` · ${PAYMENT_MODE_LABELS[template.payment_mode]}`}
+        </div>
+      </td>
+      <td className="py-2 px-4 border-b">
+        <input type="date" value={date} onChange={(e) => setDate(e.target.value)} className="border border-gray-300 p-1 rounded" />
+      </td>
+      <td className="py-2 px-4 border-b">
+        <input type="text" value={description} onChange={(e) => setDescription(e.target.value)} className="border border-gray-300 p-1 rounded w-full" />
+      </td>
+      <td className="py-2 px-4 border-b text-right">
+        <input type="number" value={amount} onChange={(e) => setAmount(e.target.value)} className="border border-gray-300 p-1 rounded w-28 text-right" />
+      </td>
+      <td className="py-2 px-4 border-b text-right">
+        <button
+          onClick={handlePost}
+          disabled={posting}
+          className="text-xs bg-green-100 text-green-700 px-2 py-1 rounded-full hover:bg-green-200 disabled:opacity-50"
+        >
+          {posting ? 'Posting...' : 'Confirm & Post'}
+        </button>
+      </td>
+    </tr>
+  );
+}
+
+// =========================================================================
+// NEW TEMPLATE
+// =========================================================================
+function TemplateForm({ heads, accounts, addTemplate }) {
+  const [type, setType] = useState("expense");
+  const [headId, setHeadId] = useState("");
+  const [accountId, setAccountId] = useState("");
+  const [paymentMode, setPaymentMode] = useState("");
+  const [amount, setAmount] = useState("");
+  const [description, setDescription] = useState("");
+  const [frequency, setFrequency] = useState("monthly");
+  const [dayOfMonth, setDayOfMonth] = useState("1");
+  const [startDate, setStartDate] = useState(getTodayDate);
+  const [endDate, setEndDate] = useState("");
+
+  const handleSubmit = async () => {
+    const day = parseInt(dayOfMonth, 10);
+    if (!headId || !accountId || !paymentMode || !amount || !description.trim() || !startDate) {
+      alert("Please fill out Head, Account, Payment Mode, Amount, Description and Start Date.");
+      return;
+    }
+    if (parseFloat(amount) <= 0 || isNaN(day) || day < 1 || day > 31) {
+      alert("Please enter a positive amount and a day of month between 1 and 31.");
+      return;
+    }
+    if (endDate && endDate < startDate) {
+      alert("End date cannot be before the start date.");
+      return;
+    }
+
+    const added = await addTemplate({
+      type,
+      head_id: headId,
+      account_id: accountId,
+      payment_mode: paymentMode,
+      amount: parseFloat(amount),
+      description: description.trim(),
+      frequency,
+      day_of_month: day,
+      start_date: startDate,
+      end_date: endDate || null
+    });
+    if (added) {
+      setHeadId("");
+      setAmount("");
+      setDescription("");
+      setEndDate("");
+    }
+  };
+
+  return (
+    <div className="mb-6 p-3 bg-gray-50 rounded">
+      <h3 className="text-lg font-semibold mb-2">New Recurring Template</h3>
+      <div className="grid grid-cols-5 gap-2 mb-2 text-sm">
+        <select
+          value={type}
+          onChange={(e) => { setType(e.target.value); setHeadId(""); }}
+          className="border border-gray-300 p-2 rounded"
+        >
+          <option value="expense">Expense</option>
+          <option value="income">Income</option>
+        </select>
+        <select value={headId} onChange={(e) => setHeadId(e.target.value)} className="border border-gray-300 p-2 rounded">
+          <option value="">Select Head ({type})</option>
+          {getSelectableHeads(heads, type).map(h => (
+            <option key={h.id} value={h.id}>{h.name}</option>
+          ))}
+        </select>
+        <select
+          value={accountId}
+          onChange={(e) => {
+            setAccountId(e.target.value);
+            const mode = getDefaultPaymentMode(accounts.find(a => a.id === e.target.value));
+            if (mode) setPaymentMode(mode);
+          }}
+          className="border border-gray-300 p-2 rounded"
+        >
+          <option value="">{type === 'income' ? 'Received into' : 'Paid from'} (account)</option>
+          {getSelectableAccounts(accounts).map(a => (
+            <option key={a.id} value={a.id}>{a.name}</option>
+          ))}
+        </select>
+        <select value={paymentMode} onChange={(e) => setPaymentMode(e.target.value)} className="border border-gray-300 p-2 rounded">
+          <option value="">Payment Mode</option>
+          {PAYMENT_MODES.map(m => (
+            <option key={m} value={m}>{PAYMENT_MODE_LABELS[m]}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          placeholder="Amount (₹)"
+          value={amount}
+          onChange={(e) => setAmount(e.target.value)}
+          className="border border-gray-300 p-2 rounded"
+        />
+      </div>
+      <div className="grid grid-cols-5 gap-2 text-sm">
+        <input
+          type="text"
+          placeholder="Description (e.g., Building rent)"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          className="border border-gray-300 p-2 rounded"
+        />
+        <select value={frequency} onChange={(e) => setFrequency(e.target.value)} className="border border-gray-300 p-2 rounded">
+          {FREQUENCIES.map(f => (
+            <option key={f} value={f}>{FREQUENCY_LABELS[f]}</option>
+          ))}
+        </select>
+        <label className="flex items-center gap-1">
+          Day
+          <input
+            type="number"
+            min="1"
+            max="31"
+            value={dayOfMonth}
+            onChange={(e) => setDayOfMonth(e.target.value)}
+            className="border border-gray-300 p-2 rounded w-full"
+          />
+        </label>
+        <label className="flex items-center gap-1">
+          From
+          <input type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} className="border border-gray-300 p-2 rounded w-full" />
+        </label>
+        <label className="flex items-center gap-1">
+          Until
+          <input type="date" value={endDate} onChange={(e) => setEndDate(e.target.value)} className="border border-gray-300 p-2 rounded w-full" />
+        </label>
+      </div>
+      <button onClick={handleSubmit} className="mt-2 w-full bg-blue-600 text-white font-semibold rounded p-2 hover:bg-blue-700 transition">
+        Add Template
+      </button>
+    </div>
+  );
+}
+
+export default RecurringManager;
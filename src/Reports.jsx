@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import { flattenPLTree, getPLTree } from './headTree';
+import { getPLTotals } from './reports';
+
+// =========================================================================
+// P&L Head Summary table (rows from getPLSummaryData) with a totals footer.
+// Used for both the report period and the all-time summary. Heads are
+// shown under their groups; a group row carries the subtotal of its
+// sub-heads and can be collapsed.
+// =========================================================================
+function PLSummaryTable({ summary, heads, totalsLabel = "TOTALS" }) {
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const totals = getPLTotals(summary);
+  const tree = getPLTree(summary, heads);
+  const groupKeys = flattenPLTree(tree).filter(node => node.isGroup).map(node => node.key);
+
+  const toggle = (key) => setCollapsed(prev => {
+    const next = new Set(prev);
+    if (next.has(key)) next.delete(key);
+    else next.add(key);
+    return next;
+  });
+
+  return (
+    <table className="min-w-full bg-white border border-gray-200">
+      <thead>
+        <tr className="bg-gray-100">
+          <th className="py-2 px-4 border-b text-left">
+            Head
+            {groupKeys.length > 0 && (
+              <span className="ml-3 text-xs font-normal space-x-2">
+                <button onClick={() => setCollapsed(new Set())} className="text-blue-600 hover:underline">Expand all</button>
+                <button onClick={() => setCollapsed(new Set(groupKeys))} className="text-blue-600 hover:underline">Collapse all</button>
+              </span>
+            )}
+          </th>
+          <th className="py-2 px-4 border-b text-left">Type</th>
+          <th className="py-2 px-4 border-b text-right text-green-600">Income (₹)</th>
+          <th className="py-2 px-4 border-b text-right text-red-600">Expense (₹)</th>
+          <th className="py-2 px-4 border-b text-right text-blue-600">Net (₹)</th>
+        </tr>
+      </thead>
+      <tbody>
+        {flattenPLTree(tree, collapsed).map(item => (
+          <tr key={item.key} className={item.isGroup ? 'bg-gray-50 font-semibold hover:bg-gray-100' : 'hover:bg-gray-50'}>
+            <td className="py-2 px-4 border-b" style={{ paddingLeft: `${1 + item.depth * 1.5}rem` }}>
+              {item.isGroup ? (
+                <button onClick={() => toggle(item.key)} className="text-left hover:underline">
+                  <span className="inline-block w-4 text-gray-500">{collapsed.has(item.key) ? '▸' : '▾'}</span>
+                  {item.Head}
+                </button>
+              ) : (
+                <span className={item.depth > 0 ? 'ml-4' : ''}>{item.Head}</span>
+              )}
+            </td>
+            <td className="py-2 px-4 border-b">
+              <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${item.Type === 'income' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
+                {item.isGroup ? `${item.Type} group` : item.Type}
+              </span>
+            </td>
+            <td className="py-2 px-4 border-b text-right text-green-600">₹{item.Income.toFixed(2)}</td>
+            <td className="py-2 px-4 border-b text-right text-red-600">₹{item.Expense.toFixed(2)}</td>
+            <td className="py-2 px-4 border-b text-right font-bold" style={{ color: item.Net >= 0 ? '#059669' : '#DC2626' }}>
+              ₹{item.Net.toFixed(2)}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+      <tfoot>
+        <tr className="bg-gray-200 font-bold">
+          <td className="py-2 px-4 border-t" colSpan="2">{totalsLabel}</td>
+          <td className="py-2 px-4 border-t text-right text-green-600">₹{totals.income.toFixed(2)}</td>
+          <td className="py-2 px-4 border-t text-right text-red-600">₹{totals.expense.toFixed(2)}</td>
+          <td className="py-2 px-4 border-t text-right" style={{ color: totals.net >= 0 ? '#059669' : '#DC2626' }}>
+            ₹{totals.net.toFixed(2)}
+          </td>
+        </tr>
+      </tfoot>
+    </table>
+  );
+}
+
+export default PLSummaryTable;
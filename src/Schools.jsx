@@ -0,0 +1,282 @@
+import React, { useState } from 'react';
+import { ROLES, ROLE_LABELS } from './schools';
+
+// =========================================================================
+// SCHOOL SWITCHER (header)
+// =========================================================================
+export function SchoolSwitcher({ schools, currentSchoolId, switchSchool }) {
+  const current = schools.find(s => s.id === currentSchoolId);
+  if (!current) return null;
+
+  return (
+    <div className="flex items-center gap-2">
+      {schools.length > 1 ? (
+        <select
+          value={currentSchoolId}
+          onChange={(e) => switchSchool(e.target.value)}
+          className="border border-gray-300 p-2 rounded font-medium"
+        >
+          {schools.map(s => (
+            <option key={s.id} value={s.id}>{s.name}</option>
+          ))}
+        </select>
+      ) : (
+        <span className="font-medium text-gray-700">{current.name}</span>
+      )}
+      <span className="text-xs px-2 py-0.5 rounded-full bg-blue-100 text-blue-800 font-medium">
+        {ROLE_LABELS[current.role] || current.role}
+      </span>
+    </div>
+  );
+}
+
+// =========================================================================
+// CREATE SCHOOL (shown when the user belongs to no school yet)
+// =========================================================================
+export function CreateSchool({ email, createSchool }) {
+  const [name, setName] = useState("");
+
+  return (
+    <div className="bg-white shadow-lg rounded-lg p-6 max-w-lg mx-auto mt-10">
+      <h2 className="text-xl font-semibold mb-2 text-gray-700">Set up your school</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        You are not a member of any school yet. Ask your school admin to invite <strong>{email}</strong>,
+        or create a new school workspace below.
+      </p>
+      <div className="flex">
+        <input
+          type="text"
+          placeholder="School name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className="flex-1 border border-gray-300 rounded-l-lg p-2"
+        />
+        <button
+          onClick={() => {
+            if (name.trim()) {
+              createSchool(name.trim());
+              setName("");
+            }
+          }}
+          className="bg-blue-600 text-white px-4 rounded-r-lg hover:bg-blue-700 transition"
+        >
+          Create
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// =========================================================================
+// MEMBERS & INVITATIONS (admin only)
+// =========================================================================
+function SchoolMembers({
+  members,
+  invitations,
+  currentUserId,
+  inviteMember,
+  updateMemberRole,
+  removeMember,
+  revokeInvitation,
+  createSchool
+}) {
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState("accountant");
+  const [newSchoolName, setNewSchoolName] = useState("");
+
+  const pendingInvitations = invitations.filter(i => !i.accepted_at);
+  const sortedMembers = [...members].sort((a, b) => (a.email || '').localeCompare(b.email || ''));
+
+  return (
+    <div>
+      <div className="flex mb-4">
+        <input
+          type="email"
+          placeholder="Invite by email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          className="flex-1 border border-gray-300 rounded-l-lg p-2"
+        />
+        <select
+          value={role}
+          onChange={(e) => setRole(e.target.value)}
+          className="border-t border-b border-gray-300 p-2"
+        >
+          {ROLES.map(r => (
+            <option key={r} value={r}>{ROLE_LABELS[r]}</option>
+          ))}
+        </select>
+        <button
+          onClick={() => {
+            if (email.trim()) {
+              inviteMember(email.trim().toLowerCase(), role);
+              setEmail("");
+            }
+          }}
+          className="bg-blue-600 text-white px-4 rounded-r-lg hover:bg-blue-700 transition"
+        >
+          Invite
+        </button>
+      </div>
+
+      <ul className="divide-y divide-gray-200 mb-4">
+        {sortedMembers.map(m => (
+          <li key={m.user_id} className="flex justify-between items-center py-2 px-1">
+            <span className="font-medium">
+              {m.email || m.user_id}
+              {m.user_id === currentUserId && <span className="text-xs ml-2 text-gray-500">(you)</span>}
+            </span>
+            <span className="flex items-center gap-2">
+              <select
+                value={m.role}
+                onChange={(e) => updateMemberRole(m.user_id, e.target.value)}
+                disabled={m.user_id === currentUserId}
+                className="border border-gray-300 p-1 rounded text-sm"
+              >
+                {ROLES.map(r => (
+                  <option key={r} value={r}>{ROLE_LABELS[r]}</option>
+                ))}
+              </select>
+              {m.user_id !== currentUserId && (
+                <button
+                  onClick={() => {
+                    if (window.confirm(`Remove ${m.email || 'this member'} from the school?`)) {
+                      removeMember(m.user_id);
+                    }
+                  }}
+                  className="text-sm bg-red-100 text-red-600 px-3 py-1 rounded-full hover:bg-red-200"
+                >
+                  Remove
+                </button>
+              )}
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      {pendingInvitations.length > 0 && (
+        <>
+          <h3 className="text-lg font-semibold mb-2">Pending Invitations</h3>
+          <ul className="divide-y divide-gray-200 mb-4 text-sm">
+            {pendingInvitations.map(i => (
+              <li key={i.id} className="flex justify-between items-center py-2 px-1">
+                <span>{i.email} <span className="text-gray-500">as {ROLE_LABELS[i.role]}</span></span>
+                <button
+                  onClick={() => revokeInvitation(i.id)}
+                  className="text-xs bg-red-100 text-red-700 px-2 py-1 rounded-full hover:bg-red-200"
+                >
+                  Revoke
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      <div className="flex">
+        <input
+          type="text"
+          placeholder="Create another school"
+          value={newSchoolName}
+          onChange={(e) => setNewSchoolName(e.target.value)}
+          className="flex-1 border border-gray-300 rounded-l-lg p-2"
+        />
+        <button
+          onClick={() => {
+            if (newSchoolName.trim()) {
+              createSchool(newSchoolName.trim());
+              setNewSchoolName("");
+            }
+          }}
+          className="bg-gray-600 text-white px-4 rounded-r-lg hover:bg-gray-700 transition"
+        >
+          Create School
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// =========================================================================
+// SCHOOL SETTINGS (admin only): the letterhead printed on PDF reports
+// =========================================================================
+export function SchoolSettings({ school, logoUrl, saveSchoolSettings, uploadLogo, removeLogo }) {
+  const [name, setName] = useState(school.name);
+  const [address, setAddress] = useState(school.address || "");
+  const [registrationNumber, setRegistrationNumber] = useState(school.registration_number || "");
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async () => {
+    if (!name.trim()) {
+      alert("Please enter the school name.");
+      return;
+    }
+    setSaving(true);
+    await saveSchoolSettings({ name: name.trim(), address: address.trim(), registration_number: registrationNumber.trim() });
+    setSaving(false);
+  };
+
+  return (
+    <div className="grid md:grid-cols-3 gap-4">
+      <div className="md:col-span-2 space-y-2">
+        <input
+          type="text"
+          placeholder="School name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className="w-full border border-gray-300 p-2 rounded"
+        />
+        <textarea
+          placeholder="Address (one line per row on the letterhead)"
+          value={address}
+          onChange={(e) => setAddress(e.target.value)}
+          rows={3}
+          className="w-full border border-gray-300 p-2 rounded"
+        />
+        <input
+          type="text"
+          placeholder="Registration number"
+          value={registrationNumber}
+          onChange={(e) => setRegistrationNumber(e.target.value)}
+          className="w-full border border-gray-300 p-2 rounded"
+        />
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+        >
+          {saving ? "Saving..." : "Save Settings"}
+        </button>
+      </div>
+
+      <div>
+        <p className="text-sm font-medium mb-2">Logo</p>
+        {logoUrl ? (
+          <img src={logoUrl} alt="School logo" className="h-20 mb-2 object-contain border rounded p-1" />
+        ) : (
+          <p className="text-sm text-gray-500 mb-2">No logo yet.</p>
+        )}
+        <div className="flex items-center gap-2 text-sm">
+          <label className="cursor-pointer bg-gray-100 px-3 py-1 rounded hover:bg-gray-200">
+            {school.logo_path ? "Replace" : "Upload"}
+            <input
+              type="file"
+              accept="image/png,image/jpeg"
+              onChange={(e) => {
+                if (e.target.files[0]) uploadLogo(e.target.files[0]);
+                e.target.value = "";
+              }}
+              className="hidden"
+            />
+          </label>
+          {school.logo_path && (
+            <button onClick={removeLogo} className="text-red-600 hover:underline">Remove</button>
+          )}
+        </div>
+        <p className="text-xs text-gray-500 mt-2">PNG or JPEG, up to 2 MB.</p>
+      </div>
+    </div>
+  );
+}
+
+export default SchoolMembers;
@@ -0,0 +1,571 @@
+import React, { useState } from 'react';
+import { getClassLabel, getStudentLedger } from './fees';
+import { formatDisplayDate, getTodayDate } from './dates';
+import { getSelectableHeads } from './trash';
+import { PAYMENT_MODES, PAYMENT_MODE_LABELS, REFERENCE_LABELS, getDefaultPaymentMode, getSelectableAccounts } from './accounts';
+
+const tabClass = (active) =>
+  `px-3 py-1 rounded-full text-sm font-medium transition ${active ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`;
+
+// =========================================================================
+// Main Component
+// =========================================================================
+function StudentFeeManager({
+  classes,
+  students,
+  heads,
+  accounts,
+  feeStructures,
+  feeInstallments,
+  transactions, // This is the FULL list
+  addClass,
+  addStudent,
+  addFeeStructure,
+  collectFee
+}) {
+  const [tab, setTab] = useState("collect");
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2 mb-4">
+        <button onClick={() => setTab("collect")} className={tabClass(tab === "collect")}>Collect Fee & Ledger</button>
+        <button onClick={() => setTab("students")} className={tabClass(tab === "students")}>Student Register</button>
+        <button onClick={() => setTab("classes")} className={tabClass(tab === "classes")}>Classes & Sections</button>
+        <button onClick={() => setTab("structures")} className={tabClass(tab === "structures")}>Fee Structures</button>
+      </div>
+
+      {tab === "collect" && (
+        <FeeCollection
+          classes={classes}
+          students={students}
+          feeStructures={feeStructures}
+          feeInstallments={feeInstallments}
+          transactions={transactions}
+          accounts={accounts}
+          collectFee={collectFee}
+        />
+      )}
+      {tab === "students" && <StudentRegister classes={classes} students={students} addStudent={addStudent} />}
+      {tab === "classes" && <ClassManager classes={classes} students={students} addClass={addClass} />}
+      {tab === "structures" && (
+        <FeeStructureManager
+          classes={classes}
+          heads={heads}
+          feeStructures={feeStructures}
+          feeInstallments={feeInstallments}
+          addFeeStructure={addFeeStructure}
+        />
+      )}
+    </div>
+  );
+}
+
+// =========================================================================
+// CLASSES & SECTIONS
+// =========================================================================
+function ClassManager({ classes, students, addClass }) {
+  const [name, setName] = useState("");
+  const [section, setSection] = useState("");
+
+  const sortedClasses = [...classes].sort((a, b) => getClassLabel(a).localeCompare(getClassLabel(b)));
+
+  return (
+    <div>
+      <div className="flex mb-4">
+        <input
+          type="text"
+          placeholder="Class (e.g., Class 5)"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className="flex-1 border border-gray-300 rounded-l-lg p-2"
+        />
+        <input
+          type="text"
+          placeholder="Section (optional)"
+          value={section}
+          onChange={(e) => setSection(e.target.value)}
+          className="w-40 border-t border-b border-gray-300 p-2"
+        />
+        <button
+          onClick={() => {
+            if (name.trim()) {
+              addClass(name.trim(), section.trim());
+              setName("");
+              setSection("");
+            }
+          }}
+          className="bg-blue-600 text-white px-4 rounded-r-lg hover:bg-blue-700 transition"
+        >
+          Add
+        </button>
+      </div>
+
+      <ul className="divide-y divide-gray-200 max-h-60 overflow-y-auto">
+        {sortedClasses.map((c) => (
+          <li key={c.id} className="flex justify-between py-2 px-1">
+            <span className="font-medium">{getClassLabel(c)}</span>
+            <span className="text-sm text-gray-500">
+              {students.filter(s => s.class_id === c.id && s.active).length} students
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// =========================================================================
+// STUDENT REGISTER
+// =========================================================================
+function StudentRegister({ classes, students, addStudent }) {
+  const [admissionNo, setAdmissionNo] = useState("");
+  const [name, setName] = useState("");
+  const [classId, setClassId] = useState("");
+  const [guardianName, setGuardianName] = useState("");
+  const [phone, setPhone] = useState("");
+
+  const handleSubmit = () => {
+    if (!admissionNo.trim() || !name.trim() || !classId) {
+      alert("Please fill out Admission No, Name and Class.");
+      return;
+    }
+
+    addStudent({
+      admission_no: admissionNo.trim(),
+      name: name.trim(),
+      class_id: classId,
+      guardian_name: guardianName.trim(),
+      phone: phone.trim(),
+    });
+    setAdmissionNo("");
+    setName("");
+    setGuardianName("");
+    setPhone("");
+  };
+
+  const sortedStudents = [...students].sort((a, b) => a.name.localeCompare(b.name));
+
+  return (
+    <div>
+      <div className="grid grid-cols-5 gap-2 mb-4">
+        <input
+          type="text"
+          placeholder="Admission No"
+          value={admissionNo}
+          onChange={(e) => setAdmissionNo(e.target.value)}
+          className="border border-gray-300 p-2 rounded"
+        />
+        <input
+          type="text"
+          placeholder="Student Name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className="border border-gray-300 p-2 rounded"
+        />
+        <select
+          value={classId}
+          onChange={(e) => setClassId(e.target.value)}
+          className="border border-gray-300 p-2 rounded"
+        >
+          <option value="">Select Class</option>
+          {classes.map((c) => (
+            <option key={c.id} value={c.id}>{getClassLabel(c)}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          placeholder="Guardian Name"
+          value={guardianName}
+          onChange={(e) => setGuardianName(e.target.value)}
+          className="border border-gray-300 p-2 rounded"
+        />
+        <input
+          type="tel"
+          placeholder="Phone"
+          value={phone}
+          onChange={(e) => setPhone(e.target.value)}
+          className="border border-gray-300 p-2 rounded"
+        />
+      </div>
+      <button
+        onClick={handleSubmit}
+        className="w-full bg-blue-600 text-white font-semibold rounded p-2 mb-4 hover:bg-blue-700 transition"
+      >
+        Add Student
+      </button>
+
+      <div className="max-h-72 overflow-y-auto">
+        <table className="min-w-full bg-white border border-gray-200 text-sm">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="py-2 px-4 border-b text-left">Adm. No</th>
+              <th className="py-2 px-4 border-b text-left">Name</th>
+              <th className="py-2 px-4 border-b text-left">Class</th>
+              <th className="py-2 px-4 border-b text-left">Guardian</th>
+              <th className="py-2 px-4 border-b text-left">Phone</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sortedStudents.map((s) => (
+              <tr key={s.id} className={`hover:bg-gray-50 ${s.active ? '' : 'text-gray-400'}`}>
+                <td className="py-2 px-4 border-b">{s.admission_no}</td>
+                <td className="py-2 px-4 border-b">{s.name}</td>
+                <td className="py-2 px-4 border-b">{getClassLabel(classes.find(c => c.id === s.class_id))}</td>
+                <td className="py-2 px-4 border-b">{s.guardian_name || 'N/A'}</td>
+                <td className="py-2 px-4 border-b">{s.phone || 'N/A'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// =========================================================================
+// FEE STRUCTURES (per class, term-wise installments)
+// =========================================================================
+function FeeStructureManager({ classes, heads, feeStructures, feeInstallments, addFeeStructure }) {
+  const [classId, setClassId] = useState("");
+  const [headId, setHeadId] = useState("");
+  const [name, setName] = useState("");
+  const [installments, setInstallments] = useState([{ term: "Term 1", due_date: getTodayDate(), amount: "" }]);
+
+  const incomeHeads = getSelectableHeads(heads, 'income');
+
+  const updateInstallment = (index, field, value) => {
+    setInstallments(installments.map((i, idx) => idx === index ? { ...i, [field]: value } : i));
+  };
+
+  const handleSubmit = () => {
+    if (!classId || !headId || !name.trim()) {
+      alert("Please fill out Class, Income Head and Name.");
+      return;
+    }
+    const validInstallments = installments.filter(i => i.term.trim() && i.due_date && parseFloat(i.amount) > 0);
+    if (validInstallments.length === 0) {
+      alert("Please add at least one installment with a positive amount.");
+      return;
+    }
+
+    addFeeStructure(classId, headId, name.trim(), validInstallments.map(i => ({ ...i, amount: parseFloat(i.amount) })));
+    setName("");
+    setInstallments([{ term: "Term 1", due_date: getTodayDate(), amount: "" }]);
+  };
+
+  return (
+    <div>
+      <div className="grid grid-cols-3 gap-2 mb-2">
+        <select value={classId} onChange={(e) => setClassId(e.target.value)} className="border border-gray-300 p-2 rounded">
+          <option value="">Select Class</option>
+          {classes.map((c) => (
+            <option key={c.id} value={c.id}>{getClassLabel(c)}</option>
+          ))}
+        </select>
+        <select value={headId} onChange={(e) => setHeadId(e.target.value)} className="border border-gray-300 p-2 rounded">
+          <option value="">Select Income Head</option>
+          {incomeHeads.map((h) => (
+            <option key={h.id} value={h.id}>{h.name}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          placeholder="Name (e.g., Tuition Fee 2025-26)"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className="border border-gray-300 p-2 rounded"
+        />
+      </div>
+
+      {installments.map((i, index) => (
+        <div key={index} className="grid grid-cols-4 gap-2 mb-2">
+          <input
+            type="text"
+            placeholder="Term"
+            value={i.term}
+            onChange={(e) => updateInstallment(index, "term", e.target.value)}
+            className="border border-gray-300 p-2 rounded"
+          />
+          <input
+            type="date"
+            value={i.due_date}
+            onChange={(e) => updateInstallment(index, "due_date", e.target.value)}
+            className="border border-gray-300 p-2 rounded"
+          />
+          <input
+            type="number"
+            placeholder="Amount (₹)"
+            value={i.amount}
+            onChange={(e) => updateInstallment(index, "amount", e.target.value)}
+            className="border border-gray-300 p-2 rounded"
+          />
+          <button
+            onClick={() => setInstallments(installments.filter((_, idx) => idx !== index))}
+            disabled={installments.length === 1}
+            className="text-sm bg-red-100 text-red-600 px-3 py-1 rounded-full hover:bg-red-200 disabled:opacity-50"
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+
+      <div className="flex gap-2 mb-4">
+        <button
+          onClick={() => setInstallments([...installments, { term: `Term ${installments.length + 1}`, due_date: getTodayDate(), amount: "" }])}
+          className="bg-gray-200 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-300 transition"
+        >
+          + Installment
+        </button>
+        <button
+          onClick={handleSubmit}
+          className="flex-1 bg-blue-600 text-white font-semibold rounded-lg p-2 hover:bg-blue-700 transition"
+        >
+          Save Fee Structure
+        </button>
+      </div>
+
+      <ul className="divide-y divide-gray-200 max-h-72 overflow-y-auto text-sm">
+        {feeStructures.map((fs) => {
+          const cls = classes.find(c => c.id === fs.class_id);
+          const head = heads.find(h => h.id === fs.head_id);
+          const items = feeInstallments
+            .filter(i => i.fee_structure_id === fs.id)
+            .sort((a, b) => new Date(a.due_date) - new Date(b.due_date));
+          return (
+            <li key={fs.id} className="py-2 px-1">
+              <div className="font-medium">
+                {getClassLabel(cls)}: {fs.name}
+                <span className="text-xs ml-2 px-2 py-0.5 rounded-full bg-green-100 text-green-800">{head?.name || "Unknown"}</span>
+              </div>
+              <div className="text-gray-600">
+                {items.map(i => `${i.term} (due ${formatDisplayDate(i.due_date)}): ₹${Number(i.amount).toFixed(2)}`).join(' | ')}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+// =========================================================================
+// FEE COLLECTION & PER-STUDENT LEDGER
+// =========================================================================
+function FeeCollection({ classes, students, feeStructures, feeInstallments, transactions, accounts, collectFee }) {
+  const [studentId, setStudentId] = useState("");
+  const [amount, setAmount] = useState("");
+  const [date, setDate] = useState(getTodayDate);
+  const [installmentId, setInstallmentId] = useState("");
+  const [accountId, setAccountId] = useState("");
+  const [paymentMode, setPaymentMode] = useState("");
+  const [referenceNumber, setReferenceNumber] = useState("");
+
+  const activeStudents = students
+    .filter(s => s.active)
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const student = students.find(s => s.id === studentId);
+  const ledger = student ? getStudentLedger(student, feeStructures, feeInstallments, transactions) : null;
+
+  const handleSubmit = () => {
+    if (!student || !amount || !date || !installmentId || !accountId || !paymentMode) {
+      alert("Please select Student, Installment, Account, Payment Mode and fill out Amount and Date.");
+      return;
+    }
+    const installment = ledger.installments.find(i => i.id === installmentId);
+    const payment = {
+      account_id: accountId,
+      payment_mode: paymentMode,
+      reference_number: paymentMode === 'cash' ? "" : referenceNumber.trim()
+    };
+
+    collectFee(student, amount, installment.head_id, date, `Fee: ${student.name} (${student.admission_no}) - ${installment.structure_name} ${installment.term}`, payment);
+    setAmount("");
+    setInstallmentId("");
+    setReferenceNumber("");
+  };
+
+  return (
+    <div>
+      <div className="grid grid-cols-4 gap-2 mb-2">
+        <select
+          value={studentId}
+          onChange={(e) => {
+            setStudentId(e.target.value);
+            setInstallmentId("");
+          }}
+          className="border border-gray-300 p-2 rounded"
+        >
+          <option value="">Select Student</option>
+          {activeStudents.map((s) => (
+            <option key={s.id} value={s.id}>
+              {s.name} ({s.admission_no}) - {getClassLabel(classes.find(c => c.id === s.class_id))}
+            </option>
+          ))}
+        </select>
+        <select
+          value={installmentId}
+          onChange={(e) => {
+            setInstallmentId(e.target.value);
+            const installment = ledger?.installments.find(i => i.id === e.target.value);
+            if (installment && installment.balance > 0) setAmount(String(installment.balance));
+          }}
+          className="border border-gray-300 p-2 rounded"
+        >
+          <option value="">Select Installment</option>
+          {(ledger?.installments || []).map((i) => (
+            <option key={i.id} value={i.id}>
+              {i.structure_name} - {i.term} (₹{i.balance.toFixed(2)} due)
+            </option>
+          ))}
+        </select>
+        <input
+          type="date"
+          value={date}
+          onChange={(e) => setDate(e.target.value)}
+          className="border border-gray-300 p-2 rounded"
+        />
+        <input
+          type="number"
+          placeholder="Amount (₹)"
+          value={amount}
+          onChange={(e) => setAmount(e.target.value)}
+          className="border border-gray-300 p-2 rounded"
+        />
+      </div>
+      <div className="grid grid-cols-3 gap-2 mb-4">
+        <select
+          value={accountId}
+          onChange={(e) => {
+            setAccountId(e.target.value);
+            const mode = getDefaultPaymentMode(accounts.find(a => a.id === e.target.value));
+            if (mode) setPaymentMode(mode);
+          }}
+          className="border border-gray-300 p-2 rounded"
+        >
+          <option value="">Received into (account)</option>
+          {getSelectableAccounts(accounts).map((a) => (
+            <option key={a.id} value={a.id}>{a.name}</option>
+          ))}
+        </select>
+        <select
+          value={paymentMode}
+          onChange={(e) => setPaymentMode(e.target.value)}
+          className="border border-gray-300 p-2 rounded"
+        >
+          <option value="">Payment Mode</option>
+          {PAYMENT_MODES.map((m) => (
+            <option key={m} value={m}>{PAYMENT_MODE_LABELS[m]}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          placeholder={REFERENCE_LABELS[paymentMode] || "Reference no."}
+          value={paymentMode === 'cash' ? "" : referenceNumber}
+          onChange={(e) => setReferenceNumber(e.target.value)}
+          disabled={paymentMode === 'cash'}
+          className="border border-gray-300 p-2 rounded disabled:bg-gray-100"
+        />
+      </div>
+      <button
+        onClick={handleSubmit}
+        className="w-full bg-green-600 text-white font-semibold rounded p-2 mb-4 hover:bg-green-700 transition"
+      >
+        Collect Fee
+      </button>
+
+      {ledger && (
+        <div className="overflow-x-auto">
+          <div className="grid grid-cols-3 gap-4 mb-4">
+            <div className="bg-gray-50 rounded-lg p-3 text-center">
+              <h4 className="text-sm font-medium text-gray-500">Total Charged</h4>
+              <p className="font-bold text-lg">₹{ledger.totalCharged.toFixed(2)}</p>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-3 text-center">
+              <h4 className="text-sm font-medium text-gray-500">Total Paid</h4>
+              <p className="text-green-600 font-bold text-lg">₹{ledger.totalPaid.toFixed(2)}</p>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-3 text-center">
+              <h4 className="text-sm font-medium text-gray-500">Outstanding</h4>
+              <p className="text-red-600 font-bold text-lg">₹{ledger.outstanding.toFixed(2)}</p>
+            </div>
+          </div>
+
+          <h3 className="text-lg font-semibold mb-2">Student Ledger: {student.name}</h3>
+          <table className="min-w-full bg-white border border-gray-200 text-sm">
+            <thead>
+              <tr className="bg-gray-100">
+                <th className="py-2 px-4 border-b text-left">Date</th>
+                <th className="py-2 px-4 border-b text-left">Particulars</th>
+                <th className="py-2 px-4 border-b text-right text-red-600">Due (₹)</th>
+                <th className="py-2 px-4 border-b text-right text-green-600">Paid (₹)</th>
+                <th className="py-2 px-4 border-b text-right">Balance (₹)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {ledger.ledger.map((e, index) => (
+                <tr key={index} className="hover:bg-gray-50">
+                  <td className="py-2 px-4 border-b">{formatDisplayDate(e.date)}</td>
+                  <td className="py-2 px-4 border-b">{e.particulars}</td>
+                  <td className="py-2 px-4 border-b text-right text-red-600">{e.debit ? `₹${e.debit.toFixed(2)}` : ''}</td>
+                  <td className="py-2 px-4 border-b text-right text-green-600">{e.credit ? `₹${e.credit.toFixed(2)}` : ''}</td>
+                  <td className="py-2 px-4 border-b text-right font-semibold">₹{e.balance.toFixed(2)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// =========================================================================
+// CLASS-WISE COLLECTED VS DUE REPORT
+// =========================================================================
+export function ClassFeeReport({ reportData, startDate, endDate }) {
+  const totalDue = reportData.reduce((acc, item) => acc + item.Due, 0);
+  const totalCollected = reportData.reduce((acc, item) => acc + item.Collected, 0);
+  const totalOutstanding = totalDue - totalCollected;
+
+  return (
+    <div className="mt-8 overflow-x-auto">
+      <h3 className="text-xl font-semibold mb-3">Class-wise Fee Collection (Collected vs Due: {startDate} to {endDate})</h3>
+      <table className="min-w-full bg-white border border-gray-200">
+        <thead>
+          <tr className="bg-gray-100">
+            <th className="py-2 px-4 border-b text-left">Class</th>
+            <th className="py-2 px-4 border-b text-right">Students</th>
+            <th className="py-2 px-4 border-b text-right text-blue-600">Due (₹)</th>
+            <th className="py-2 px-4 border-b text-right text-green-600">Collected (₹)</th>
+            <th className="py-2 px-4 border-b text-right text-red-600">Outstanding (₹)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {reportData.map((item, index) => (
+            <tr key={index} className="hover:bg-gray-50">
+              <td className="py-2 px-4 border-b">{item.Class}</td>
+              <td className="py-2 px-4 border-b text-right">{item.Students}</td>
+              <td className="py-2 px-4 border-b text-right text-blue-600">₹{item.Due.toFixed(2)}</td>
+              <td className="py-2 px-4 border-b text-right text-green-600">₹{item.Collected.toFixed(2)}</td>
+              <td className="py-2 px-4 border-b text-right font-bold" style={{ color: item.Outstanding > 0 ? '#DC2626' : '#059669' }}>
+                ₹{item.Outstanding.toFixed(2)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr className="bg-gray-200 font-bold">
+            <td className="py-2 px-4 border-t" colSpan="2">TOTALS</td>
+            <td className="py-2 px-4 border-t text-right text-blue-600">₹{totalDue.toFixed(2)}</td>
+            <td className="py-2 px-4 border-t text-right text-green-600">₹{totalCollected.toFixed(2)}</td>
+            <td className="py-2 px-4 border-t text-right" style={{ color: totalOutstanding > 0 ? '#DC2626' : '#059669' }}>
+              ₹{totalOutstanding.toFixed(2)}
+            </td>
+          </tr>
+        </tfoot>
+      </table>
+    </div>
+  );
+}
+
+export default StudentFeeManager;
@@ -0,0 +1,129 @@
+import React from 'react';
+import { formatDisplayDate, getDateInAppZone } from './dates';
+
+const FIELD_LABELS = { amount: 'Amount', description: 'Description', name: 'Name', date: 'Date' };
+
+const formatValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (field === 'amount') return `₹${Number(value).toFixed(2)}`;
+  if (field === 'date') return formatDisplayDate(value);
+  return String(value);
+};
+
+const describeRow = (row) => row.name || row.description || (row.date ? formatDisplayDate(row.date) : 'Record');
+
+// =========================================================================
+// Main Component: sync status pill for the header
+// =========================================================================
+function SyncStatus({ status, onSync }) {
+  const issues = status.conflicts.length + status.rejected.length;
+  let label = 'Online';
+  let style = 'bg-green-100 text-green-800';
+
+  if (!status.online) {
+    label = status.pending > 0 ? `Offline · ${status.pending} queued` : 'Offline';
+    style = 'bg-gray-200 text-gray-700';
+  } else if (status.syncing) {
+    label = `Syncing ${status.pending}...`;
+    style = 'bg-blue-100 text-blue-800';
+  } else if (status.pending > 0) {
+    label = `${status.pending} waiting to sync`;
+    style = 'bg-yellow-100 text-yellow-800';
+  }
+
+  return (
+    <span className="flex items-center gap-2 text-sm">
+      <button
+        onClick={onSync}
+        disabled={!status.online || status.syncing || status.pending === 0}
+        title={status.pending > 0 ? 'Send queued changes now' : 'Everything is saved'}
+        className={`px-3 py-1 rounded-full ${style}`}
+      >
+        {label}
+      </button>
+      {issues > 0 && (
+        <span className="px-3 py-1 rounded-full bg-red-100 text-red-800">
+          {issues} to review
+        </span>
+      )}
+    </span>
+  );
+}
+
+// =========================================================================
+// QUEUED CHANGES THAT NEED A DECISION
+// Conflicts: the record was edited on another device while this one was
+// offline. Rejected: the server refused the change (e.g. a closed year).
+// =========================================================================
+export function SyncIssues({ status, resolveConflict, dismissRejected }) {
+  const { conflicts, rejected } = status;
+  if (conflicts.length === 0 && rejected.length === 0) return null;
+
+  return (
+    <div className="bg-white shadow-lg rounded-lg p-4 mb-6 border-l-4 border-red-400">
+      <h2 className="text-xl font-semibold mb-3 text-gray-700">Offline Changes to Review</h2>
+
+      {conflicts.map(op => (
+        <div key={op.seq} className="mb-3 p-3 bg-red-50 rounded text-sm">
+          <p className="mb-2">
+            <span className="font-medium">{describeRow(op.theirs)}</span> was changed on another device
+            {op.theirs.updated_at && ` at ${formatDisplayDate(getDateInAppZone(op.theirs.updated_at))}`} while you were offline.
+          </p>
+          <table className="min-w-full bg-white border border-gray-200 mb-2">
+            <thead>
+              <tr className="bg-gray-100">
+                <th className="py-1 px-3 border-b text-left">Field</th>
+                <th className="py-1 px-3 border-b text-left">Your change</th>
+                <th className="py-1 px-3 border-b text-left">Other device</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.keys(op.fields).map(field => (
+                <tr key={field}>
+                  <td className="py-1 px-3 border-b">{FIELD_LABELS[field] || field}</td>
+                  <td className="py-1 px-3 border-b">{formatValue(field, op.fields[field])}</td>
+                  <td className="py-1 px-3 border-b">{formatValue(field, op.theirs[field])}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <span className="space-x-2">
+            <button
+              onClick={() => resolveConflict(op.seq, true)}
+              className="text-xs bg-blue-100 text-blue-700 px-2 py-1 rounded-full hover:bg-blue-200"
+            >
+              Keep Mine
+            </button>
+            <button
+              onClick={() => resolveConflict(op.seq, false)}
+              className="text-xs bg-gray-100 text-gray-700 px-2 py-1 rounded-full hover:bg-gray-200"
+            >
+              Keep Theirs
+            </button>
+          </span>
+        </div>
+      ))}
+
+      {rejected.length > 0 && (
+        <ul className="divide-y divide-gray-200 text-sm">
+          {rejected.map(op => (
+            <li key={op.seq} className="flex justify-between items-center py-2 px-1">
+              <span>
+                {op.kind === 'insert' ? 'New entry' : 'Edit'}: {describeRow(op.rows?.[0] || op.fields)}
+                <span className="text-red-600 ml-2">{op.error}</span>
+              </span>
+              <button
+                onClick={() => dismissRejected(op.seq)}
+                className="text-xs bg-gray-100 text-gray-700 px-2 py-1 rounded-full hover:bg-gray-200"
+              >
+                Dismiss
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default SyncStatus;
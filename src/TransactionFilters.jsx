@@ -0,0 +1,98 @@
+import React from 'react';
+import { getHeadTreeRows } from './headTree';
+import { EMPTY_FILTERS } from './transactionFilters';
+
+// =========================================================================
+// TRANSACTION FILTERS (heads, type, amount range, description search and
+// receipts), applied on top of the report period
+// =========================================================================
+function TransactionFilters({ filters, setFilters, heads }) {
+  const setFilter = (field, value) => setFilters(prev => ({ ...prev, [field]: value }));
+
+  const toggleHead = (id) => setFilters(prev => ({
+    ...prev,
+    headIds: prev.headIds.includes(id) ? prev.headIds.filter(h => h !== id) : [...prev.headIds, id],
+  }));
+
+  const headRows = getHeadTreeRows(heads).filter(({ head }) => !filters.type || head.head_type === filters.type);
+  const selectedNames = heads.filter(h => filters.headIds.includes(h.id)).map(h => h.name);
+
+  return (
+    <div className="mb-4">
+      <h3 className="text-lg font-semibold text-blue-700 mb-2">Filter Transactions</h3>
+
+      <div className="grid grid-cols-6 gap-2 text-sm">
+        <details className="relative col-span-2">
+          <summary className="border border-gray-300 p-2 rounded cursor-pointer truncate">
+            {selectedNames.length === 0 ? 'All Heads' : selectedNames.join(', ')}
+          </summary>
+          <div className="absolute z-10 mt-1 w-full max-h-64 overflow-y-auto bg-white border border-gray-200 rounded shadow-lg p-2">
+            {headRows.length === 0 && <p className="text-gray-500">No heads.</p>}
+            {headRows.map(({ head, depth }) => (
+              <label key={head.id} className="flex items-center py-0.5" style={{ paddingLeft: `${depth * 1.25}rem` }}>
+                <input
+                  type="checkbox"
+                  checked={filters.headIds.includes(head.id)}
+                  onChange={() => toggleHead(head.id)}
+                  className="mr-2"
+                />
+                {head.name}
+                <span className="ml-1 text-xs text-gray-400">({head.head_type})</span>
+              </label>
+            ))}
+          </div>
+        </details>
+        <select
+          value={filters.type}
+          onChange={(e) => setFilter('type', e.target.value)}
+          className="border border-gray-300 p-2 rounded"
+        >
+          <option value="">Income and Expense</option>
+          <option value="income">Income only</option>
+          <option value="expense">Expense only</option>
+        </select>
+        <input
+          type="number"
+          placeholder="Min amount (₹)"
+          value={filters.minAmount}
+          onChange={(e) => setFilter('minAmount', e.target.value)}
+          className="border border-gray-300 p-2 rounded"
+        />
+        <input
+          type="number"
+          placeholder="Max amount (₹)"
+          value={filters.maxAmount}
+          onChange={(e) => setFilter('maxAmount', e.target.value)}
+          className="border border-gray-300 p-2 rounded"
+        />
+        <select
+          value={filters.receipt}
+          onChange={(e) => setFilter('receipt', e.target.value)}
+          className="border border-gray-300 p-2 rounded"
+        >
+          <option value="">With or without receipt</option>
+          <option value="with">Has a receipt</option>
+          <option value="without">No receipt</option>
+        </select>
+      </div>
+
+      <div className="flex gap-2 mt-2 text-sm">
+        <input
+          type="text"
+          placeholder="Search descriptions (e.g., diesel)"
+          value={filters.search}
+          onChange={(e) => setFilter('search', e.target.value)}
+          className="border border-gray-300 p-2 rounded flex-1"
+        />
+        <button
+          onClick={() => setFilters(EMPTY_FILTERS)}
+          className="px-4 py-2 rounded bg-gray-100 text-gray-700 hover:bg-gray-200"
+        >
+          Clear Filters
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default TransactionFilters;
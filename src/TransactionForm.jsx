@@ -0,0 +1,205 @@
+import React, { useState } from 'react';
+import { PAYMENT_MODES, PAYMENT_MODE_LABELS, REFERENCE_LABELS, getDefaultPaymentMode, getSelectableAccounts } from './accounts';
+import ReceiptAttachments, { AttachmentPicker } from './Attachments';
+import { getHeadPath } from './headTree';
+import { getSelectableHeads } from './trash';
+import { getEntryFromTransaction, submitRecordEntry, validateEntry } from './transactionForm';
+
+// =========================================================================
+// Main Component: the transaction fields (see transactionForm.js for the
+// values). mode 'record' adds a receipt picker and clears the per-entry
+// fields once an entry is saved; mode 'edit' saves changes to one transaction.
+// onSubmit(entry, files) resolves truthy when saved.
+// =========================================================================
+function TransactionForm({ heads, accounts, initial, mode = 'record', currentHeadId = "", onSubmit, onCancel }) {
+  const [entry, setEntry] = useState(initial);
+  const [receiptFiles, setReceiptFiles] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const setField = (field, value) => setEntry(prev => ({ ...prev, [field]: value }));
+
+  // Only heads without sub-heads take entries; shown with their group path.
+  // An edited entry keeps its head even if that has been archived since.
+  const kept = mode === 'edit' ? { headId: currentHeadId, accountId: initial.accountId } : {};
+  const selectableHeads = getSelectableHeads(heads, entry.type);
+  const headOptions = selectableHeads
+    .concat(heads.filter(h => h.id === currentHeadId && h.head_type === entry.type && !selectableHeads.includes(h)))
+    .map(h => ({ ...h, path: getHeadPath(heads, h.id) }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+
+  const handleSubmit = async () => {
+    const problem = validateEntry(entry, heads, accounts, kept);
+    if (problem) {
+        alert(problem);
+        return;
+    }
+
+    setSaving(true);
+    if (mode === 'record') {
+        // Cleared only once saved: a failed save keeps what was typed
+        const result = await submitRecordEntry(entry, receiptFiles, onSubmit);
+        if (result.saved) {
+            setEntry(result.entry);
+            setReceiptFiles([]);
+        }
+        setSaving(false);
+        return;
+    }
+    const saved = await onSubmit(entry, receiptFiles);
+    if (!saved) setSaving(false);
+  };
+
+  return (
+    <div>
+      {/* Input Fields */}
+      <div className="grid grid-cols-4 gap-2 mb-4">
+        <input
+          type="date"
+          value={entry.date}
+          onChange={(e) => setField('date', e.target.value)}
+          className="border border-gray-300 p-2 rounded"
+        />
+        <input
+          type="number"
+          placeholder="Amount (₹)"
+          value={entry.amount}
+          onChange={(e) => setField('amount', e.target.value)}
+          className="border border-gray-300 p-2 rounded"
+        />
+        <select
+          value={entry.type}
+          onChange={(e) => setEntry(prev => ({ ...prev, type: e.target.value, headId: "" }))}
+          className="border border-gray-300 p-2 rounded"
+        >
+          <option value="income">Income</option>
+          <option value="expense">Expense</option>
+        </select>
+        <select
+          value={entry.headId}
+          onChange={(e) => setField('headId', e.target.value)}
+          className="border border-gray-300 p-2 rounded"
+        >
+          <option value="">Select Head ({entry.type})</option>
+          {headOptions.map((h) => (
+            <option key={h.id} value={h.id}>
+              {h.path}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className={`grid ${mode === 'record' ? 'grid-cols-6' : 'grid-cols-5'} gap-2 mb-4`}>
+        <input
+          type="text"
+          placeholder="Description (e.g., Electricity bill)"
+          value={entry.description}
+          onChange={(e) => setField('description', e.target.value)}
+          className="border border-gray-300 p-2 rounded col-span-2"
+        />
+        <select
+          value={entry.accountId}
+          onChange={(e) => {
+            const paymentMode = getDefaultPaymentMode(accounts.find(a => a.id === e.target.value));
+            setEntry(prev => ({ ...prev, accountId: e.target.value, ...(paymentMode && { paymentMode }) }));
+          }}
+          className="border border-gray-300 p-2 rounded"
+        >
+          <option value="">{entry.type === 'income' ? 'Received into' : 'Paid from'} (account)</option>
+          {getSelectableAccounts(accounts).concat(accounts.filter(a => a.id === kept.accountId && a.archived)).map((a) => (
+            <option key={a.id} value={a.id}>
+              {a.name}
+            </option>
+          ))}
+        </select>
+        <select
+          value={entry.paymentMode}
+          onChange={(e) => setField('paymentMode', e.target.value)}
+          className="border border-gray-300 p-2 rounded"
+        >
+          <option value="">Payment Mode</option>
+          {PAYMENT_MODES.map((m) => (
+            <option key={m} value={m}>
+              {PAYMENT_MODE_LABELS[m]}
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          placeholder={REFERENCE_LABELS[entry.paymentMode] || "Reference no."}
+          value={entry.paymentMode === 'cash' ? "" : entry.referenceNumber}
+          onChange={(e) => setField('referenceNumber', e.target.value)}
+          disabled={entry.paymentMode === 'cash'}
+          className="border border-gray-300 p-2 rounded disabled:bg-gray-100"
+        />
+        {mode === 'record' && <AttachmentPicker files={receiptFiles} setFiles={setReceiptFiles} />}
+      </div>
+
+      {mode === 'record' ? (
+        <button
+          onClick={handleSubmit}
+          disabled={saving}
+          className={`w-full text-white font-semibold rounded p-2 transition disabled:opacity-50 ${
+              entry.type === 'income' ? 'bg-green-600 hover:bg-green-700' : 'bg-red-600 hover:bg-red-700'
+          }`}
+        >
+          Record {entry.type === 'income' ? 'Income' : 'Expense'}
+        </button>
+      ) : (
+        <div className="flex justify-end gap-2">
+          <button onClick={onCancel} className="px-4 py-2 rounded text-gray-700 hover:bg-gray-100">
+            Cancel
+          </button>
+          <button
+            onClick={handleSubmit}
+            disabled={saving}
+            className="px-4 py-2 rounded bg-blue-600 text-white font-semibold hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save Changes'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// =========================================================================
+// EDIT DIALOG: every field of one transaction, saved in a single update,
+// with its receipts managed in place
+// =========================================================================
+export function TransactionEditDialog({ transaction, heads, accounts, attachments, saveTransaction, uploadAttachments, deleteAttachment, onClose }) {
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50" onClick={onClose}>
+      <div className="bg-white rounded-lg shadow-xl p-4 w-full max-w-4xl max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="flex justify-between items-center mb-3">
+          <h3 className="text-lg font-semibold">Edit Transaction</h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">Close</button>
+        </div>
+        <TransactionForm
+          heads={heads}
+          accounts={accounts}
+          initial={getEntryFromTransaction(transaction)}
+          mode="edit"
+          currentHeadId={transaction.head_id}
+          onSubmit={async (entry) => {
+            const saved = await saveTransaction(transaction.id, entry);
+            if (saved) onClose();
+            return saved;
+          }}
+          onCancel={onClose}
+        />
+        <div className="mt-4 pt-3 border-t text-sm">
+          <span className="font-medium mr-2">Receipts:</span>
+          <ReceiptAttachments
+            transaction={transaction}
+            attachments={attachments}
+            canEdit
+            uploadAttachments={uploadAttachments}
+            deleteAttachment={deleteAttachment}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TransactionForm;
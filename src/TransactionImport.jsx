@@ -0,0 +1,201 @@
+import React, { useState } from 'react';
+import { describePayment, getAccountName, getSelectableAccounts } from './accounts';
+import { formatDisplayDate } from './dates';
+import { IMPORT_COLUMNS, getImportDateRange, headKey, isRowImportable, readImportFile, validateImportRecords } from './transactionImport';
+
+// =========================================================================
+// Main Component
+// Reads a CSV or Excel file in the "Filtered Transactions List" layout,
+// shows every row with its problems, then inserts the valid rows together.
+// listRecorded(startDate, endDate) resolves to the transactions already
+// recorded between the file's dates (null when they could not be read).
+// =========================================================================
+function TransactionImport({ heads, accounts, listRecorded, yearClosings, importTransactions }) {
+  const [fileName, setFileName] = useState("");
+  const [parsed, setParsed] = useState(null); // { headers, records }
+  const [recorded, setRecorded] = useState([]); // transactions already in the books, for duplicates
+  const [headsToCreate, setHeadsToCreate] = useState(new Set());
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+  const [importing, setImporting] = useState(false);
+  const [defaultAccountId, setDefaultAccountId] = useState("");
+
+  const selectableAccounts = getSelectableAccounts(accounts);
+  const defaultAccount = selectableAccounts.find(a => a.id === defaultAccountId) || selectableAccounts[0];
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    try {
+      const result = await readImportFile(file);
+      const range = getImportDateRange(validateImportRecords(result.headers, result.records, heads, [], yearClosings, accounts).rows);
+      const existing = range ? await listRecorded(range.startDate, range.endDate) : [];
+      if (!existing) alert("Could not read the transactions already recorded, so duplicates are not flagged.");
+      setFileName(file.name);
+      setParsed(result);
+      setRecorded(existing || []);
+      setHeadsToCreate(new Set());
+    } catch (error) {
+      console.error("Error reading import file:", error);
+      alert("Could not read the file. Use a .csv or .xlsx file.");
+    }
+  };
+
+  const reset = () => {
+    setFileName("");
+    setParsed(null);
+    setRecorded([]);
+    setHeadsToCreate(new Set());
+  };
+
+  const { rows, unknownHeads, missingColumns } = parsed
+    ? validateImportRecords(parsed.headers, parsed.records, heads, recorded, yearClosings, accounts, defaultAccount?.id)
+    : { rows: [], unknownHeads: [], missingColumns: [] };
+
+  const importableRows = rows.filter(r => isRowImportable(r, headsToCreate, skipDuplicates));
+  const errorCount = rows.filter(r => r.errors.length > 0).length;
+  const duplicateCount = rows.filter(r => r.duplicate).length;
+
+  const toggleHead = (key) => {
+    const next = new Set(headsToCreate);
+    if (next.has(key)) next.delete(key);
+    else next.add(key);
+    setHeadsToCreate(next);
+  };
+
+  const handleImport = async () => {
+    if (importableRows.length === 0) {
+      alert("No valid rows to import.");
+      return;
+    }
+    // Only create heads that at least one imported row uses
+    const newHeads = unknownHeads.filter(h =>
+      headsToCreate.has(headKey(h.name, h.type)) && importableRows.some(r => r.unknownHead && headKey(r.headName, r.type) === headKey(h.name, h.type))
+    );
+    setImporting(true);
+    const imported = await importTransactions(importableRows, newHeads);
+    setImporting(false);
+    if (imported) reset();
+  };
+
+  const rowStatus = (row) => {
+    if (row.errors.length > 0) return <span className="text-red-600">{row.errors.join('; ')}</span>;
+    if (row.unknownHead && !headsToCreate.has(headKey(row.headName, row.type))) {
+      return <span className="text-orange-600">New head "{row.headName}" — tick it above to create</span>;
+    }
+    if (row.duplicate) {
+      return <span className="text-yellow-700">{skipDuplicates ? 'Already recorded, will be skipped' : 'Already recorded'}</span>;
+    }
+    return <span className="text-green-600">OK</span>;
+  };
+
+  return (
+    <div>
+      <p className="text-sm text-gray-600 mb-2">
+        Columns: {IMPORT_COLUMNS.join(', ')}. A file exported from "Filtered Transactions List" can be imported as is.
+        Dates as YYYY-MM-DD or DD/MM/YYYY.
+      </p>
+      <label className="flex items-center gap-2 text-sm mb-2">
+        Account for rows without one:
+        <select
+          value={defaultAccount?.id || ""}
+          onChange={(e) => setDefaultAccountId(e.target.value)}
+          className="border border-gray-300 p-1 rounded"
+        >
+          {selectableAccounts.map(a => (
+            <option key={a.id} value={a.id}>{a.name}</option>
+          ))}
+        </select>
+      </label>
+      <input
+        type="file"
+        accept=".csv,text/csv,.xlsx,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+        onChange={(e) => { handleFile(e.target.files[0]); e.target.value = ""; }}
+        className="mb-4 text-sm"
+      />
+
+      {parsed && missingColumns.length > 0 && (
+        <p className="text-sm text-red-600 mb-4">
+          {fileName} is missing the column(s): {missingColumns.join(', ')}.
+        </p>
+      )}
+
+      {parsed && missingColumns.length === 0 && (
+        <>
+          {unknownHeads.length > 0 && (
+            <div className="mb-4 p-3 bg-orange-50 border border-orange-200 rounded text-sm">
+              <p className="font-medium mb-2">These heads do not exist yet. Tick the ones to create:</p>
+              <div className="flex flex-wrap gap-4">
+                {unknownHeads.map(h => {
+                  const key = headKey(h.name, h.type);
+                  return (
+                    <label key={key} className="flex items-center gap-1">
+                      <input type="checkbox" checked={headsToCreate.has(key)} onChange={() => toggleHead(key)} />
+                      {h.name} <span className={h.type === 'income' ? 'text-green-600' : 'text-red-600'}>({h.type})</span>
+                    </label>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-2 text-sm">
+            <p className="text-gray-600">
+              {fileName}: {rows.length} rows, {errorCount} with errors, {duplicateCount} already recorded, {importableRows.length} ready to import.
+            </p>
+            <label className="flex items-center gap-1">
+              <input type="checkbox" checked={skipDuplicates} onChange={(e) => setSkipDuplicates(e.target.checked)} />
+              Skip rows already recorded
+            </label>
+          </div>
+
+          <div className="max-h-80 overflow-y-auto mb-4">
+            <table className="min-w-full bg-white border border-gray-200 text-sm">
+              <thead>
+                <tr className="bg-gray-100">
+                  <th className="py-2 px-4 border-b text-left">Row</th>
+                  <th className="py-2 px-4 border-b text-left">Date</th>
+                  <th className="py-2 px-4 border-b text-left">Type</th>
+                  <th className="py-2 px-4 border-b text-left">Head</th>
+                  <th className="py-2 px-4 border-b text-left">Account</th>
+                  <th className="py-2 px-4 border-b text-left">Mode</th>
+                  <th className="py-2 px-4 border-b text-left">Description</th>
+                  <th className="py-2 px-4 border-b text-right">Amount (₹)</th>
+                  <th className="py-2 px-4 border-b text-left">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(r => (
+                  <tr key={r.rowNumber} className={r.errors.length > 0 ? 'bg-red-50' : 'hover:bg-gray-50'}>
+                    <td className="py-2 px-4 border-b">{r.rowNumber}</td>
+                    <td className="py-2 px-4 border-b">{r.date ? formatDisplayDate(r.date) : ''}</td>
+                    <td className="py-2 px-4 border-b capitalize">{r.type}</td>
+                    <td className="py-2 px-4 border-b">{r.headName}</td>
+                    <td className="py-2 px-4 border-b">{r.accountId ? getAccountName(accounts, r.accountId) : ''}</td>
+                    <td className="py-2 px-4 border-b">{describePayment({ payment_mode: r.paymentMode, reference_number: r.referenceNumber })}</td>
+                    <td className="py-2 px-4 border-b">{r.description}</td>
+                    <td className="py-2 px-4 border-b text-right">{r.amount > 0 ? `₹${r.amount.toFixed(2)}` : ''}</td>
+                    <td className="py-2 px-4 border-b">{rowStatus(r)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex gap-2">
+            <button
+              onClick={handleImport}
+              disabled={importing || importableRows.length === 0}
+              className="flex-1 bg-blue-600 text-white font-semibold rounded p-2 hover:bg-blue-700 transition disabled:opacity-50"
+            >
+              {importing ? 'Importing...' : `Import ${importableRows.length} Transactions`}
+            </button>
+            <button onClick={reset} className="bg-gray-200 text-gray-700 rounded p-2 px-4 hover:bg-gray-300 transition">
+              Cancel
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default TransactionImport;
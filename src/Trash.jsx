@@ -0,0 +1,124 @@
+import React, { useEffect } from 'react';
+import { formatDisplayDate, getDateInAppZone } from './dates';
+import { sortByDeletedAt } from './trash';
+
+const UNDO_SECONDS = 10;
+
+// =========================================================================
+// Main Component: trashed heads and transactions
+// =========================================================================
+function TrashBin({
+  trashedHeads,
+  trashedTransactions,
+  heads,
+  canEdit,
+  canPurge, // admins only
+  restoreHead,
+  restoreTransaction,
+  purgeHead,
+  purgeTransaction
+}) {
+  const headName = (t) =>
+    heads.find(h => h.id === t.head_id)?.name || trashedHeads.find(h => h.id === t.head_id)?.name || "Unknown";
+
+  if (trashedHeads.length === 0 && trashedTransactions.length === 0) {
+    return <p className="text-sm text-gray-500">The trash is empty.</p>;
+  }
+
+  return (
+    <div>
+      {trashedHeads.length > 0 && (
+        <>
+          <h3 className="text-lg font-semibold mb-2">Heads ({trashedHeads.length})</h3>
+          <ul className="divide-y divide-gray-200 mb-4 text-sm">
+            {sortByDeletedAt(trashedHeads).map(h => (
+              <li key={h.id} className="flex justify-between items-center py-2 px-1">
+                <span className={h.head_type === 'income' ? 'text-green-700' : 'text-red-700'}>
+                  {h.name} <span className="text-xs text-gray-500">({h.head_type}) deleted {formatDisplayDate(getDateInAppZone(h.deleted_at))}</span>
+                </span>
+                <span className="space-x-2">
+                  {canEdit && (
+                    <button onClick={() => restoreHead(h.id)} className="text-xs bg-blue-100 text-blue-700 px-2 py-1 rounded-full hover:bg-blue-200">
+                      Restore
+                    </button>
+                  )}
+                  {canPurge && (
+                    <button onClick={() => purgeHead(h.id)} className="text-xs bg-red-100 text-red-700 px-2 py-1 rounded-full hover:bg-red-200">
+                      Delete Forever
+                    </button>
+                  )}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {trashedTransactions.length > 0 && (
+        <>
+          <h3 className="text-lg font-semibold mb-2">Transactions ({trashedTransactions.length})</h3>
+          <div className="max-h-80 overflow-y-auto">
+            <table className="min-w-full bg-white border border-gray-200 text-sm">
+              <thead>
+                <tr className="bg-gray-100">
+                  <th className="py-2 px-4 border-b text-left">Date</th>
+                  <th className="py-2 px-4 border-b text-left">Head</th>
+                  <th className="py-2 px-4 border-b text-left">Description</th>
+                  <th className="py-2 px-4 border-b text-right">Amount (₹)</th>
+                  <th className="py-2 px-4 border-b text-left">Deleted</th>
+                  <th className="py-2 px-4 border-b text-right">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {sortByDeletedAt(trashedTransactions).map(t => (
+                  <tr key={t.id} className="hover:bg-gray-50">
+                    <td className="py-2 px-4 border-b">{formatDisplayDate(t.date)}</td>
+                    <td className="py-2 px-4 border-b">{headName(t)}</td>
+                    <td className="py-2 px-4 border-b">{t.description || 'N/A'}</td>
+                    <td className={`py-2 px-4 border-b text-right ${t.type === 'income' ? 'text-green-600' : 'text-red-600'}`}>
+                      {t.type === 'income' ? '' : '-'}₹{Number(t.amount).toFixed(2)}
+                    </td>
+                    <td className="py-2 px-4 border-b">{formatDisplayDate(getDateInAppZone(t.deleted_at))}</td>
+                    <td className="py-2 px-4 border-b text-right space-x-2">
+                      {canEdit && (
+                        <button onClick={() => restoreTransaction(t.id)} className="text-xs bg-blue-100 text-blue-700 px-2 py-1 rounded-full hover:bg-blue-200">
+                          Restore
+                        </button>
+                      )}
+                      {canPurge && (
+                        <button onClick={() => purgeTransaction(t.id)} className="text-xs bg-red-100 text-red-700 px-2 py-1 rounded-full hover:bg-red-200">
+                          Delete Forever
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// =========================================================================
+// "Deleted. Undo" notice shown right after a delete
+// onDismiss must be stable (it drives the auto-hide timer)
+// =========================================================================
+export function UndoToast({ message, onUndo, onDismiss }) {
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, UNDO_SECONDS * 1000);
+    return () => clearTimeout(timer);
+  }, [message, onDismiss]);
+
+  return (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 bg-gray-800 text-white text-sm rounded-lg shadow-lg px-4 py-3 flex items-center gap-4 z-50">
+      <span>{message}</span>
+      <button onClick={onUndo} className="font-semibold text-yellow-300 hover:underline">Undo</button>
+      <button onClick={onDismiss} className="text-gray-400 hover:text-white">×</button>
+    </div>
+  );
+}
+
+export default TrashBin;
@@ -0,0 +1,107 @@
+import React from 'react';
+import { formatDisplayDate, getTodayDate } from './dates';
+
+// =========================================================================
+// YEAR-END CLOSE (carry net surplus forward as next year's opening balance)
+// nextYear: the year to close next (see getNextYearToClose); summary: its
+// getFinancialYearSummary, null until its totals are known
+// =========================================================================
+function YearEndClose({ nextYear, summary, closings, closeFinancialYear, reopenFinancialYear, readOnly }) {
+  const today = getTodayDate();
+  const canClose = nextYear && nextYear.endDate < today;
+
+  const sortedClosings = [...closings].sort((a, b) => b.financial_year.localeCompare(a.financial_year));
+
+  return (
+    <div>
+      {nextYear && !summary && (
+        <p className="text-sm text-gray-500 mb-4">
+          The totals for FY {nextYear.label} are read from the database, which needs a connection.
+        </p>
+      )}
+
+      {summary && (
+        <div className="mb-4">
+          <h3 className="text-lg font-semibold mb-2">
+            FY {summary.financialYear} ({formatDisplayDate(summary.startDate)} to {formatDisplayDate(summary.endDate)})
+          </h3>
+          <div className="grid grid-cols-5 gap-2 mb-3 text-center text-sm">
+            <div className="bg-gray-50 rounded-lg p-2">
+              <div className="text-gray-500">Opening Balance</div>
+              <div className="font-bold">₹{summary.openingBalance.toFixed(2)}</div>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-2">
+              <div className="text-gray-500">Income</div>
+              <div className="font-bold text-green-600">₹{summary.totalIncome.toFixed(2)}</div>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-2">
+              <div className="text-gray-500">Expense</div>
+              <div className="font-bold text-red-600">₹{summary.totalExpense.toFixed(2)}</div>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-2">
+              <div className="text-gray-500">Net Surplus</div>
+              <div className="font-bold" style={{ color: summary.netSurplus >= 0 ? '#059669' : '#DC2626' }}>₹{summary.netSurplus.toFixed(2)}</div>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-2">
+              <div className="text-gray-500">Closing Balance (c/f)</div>
+              <div className="font-bold text-blue-600">₹{summary.closingBalance.toFixed(2)}</div>
+            </div>
+          </div>
+          {!readOnly && (
+            <button
+              onClick={() => {
+                if (window.confirm(`Close FY ${summary.financialYear}? Transactions dated in this year will be locked and ₹${summary.closingBalance.toFixed(2)} will be carried forward as the opening balance of the next year.`)) {
+                  closeFinancialYear(summary);
+                }
+              }}
+              disabled={!canClose}
+              className="w-full bg-gray-800 text-white font-semibold rounded p-2 hover:bg-gray-900 transition disabled:opacity-50"
+            >
+              {canClose ? `Close FY ${summary.financialYear}` : `FY ${summary.financialYear} can be closed after ${formatDisplayDate(summary.endDate)}`}
+            </button>
+          )}
+        </div>
+      )}
+
+      {sortedClosings.length > 0 && (
+        <table className="min-w-full bg-white border border-gray-200 text-sm">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="py-2 px-4 border-b text-left">Financial Year</th>
+              <th className="py-2 px-4 border-b text-right">Opening (₹)</th>
+              <th className="py-2 px-4 border-b text-right">Net Surplus (₹)</th>
+              <th className="py-2 px-4 border-b text-right">Closing c/f (₹)</th>
+              <th className="py-2 px-4 border-b text-right">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sortedClosings.map((c, index) => (
+              <tr key={c.id} className="hover:bg-gray-50">
+                <td className="py-2 px-4 border-b">FY {c.financial_year}</td>
+                <td className="py-2 px-4 border-b text-right">₹{Number(c.opening_balance).toFixed(2)}</td>
+                <td className="py-2 px-4 border-b text-right">₹{Number(c.net_surplus).toFixed(2)}</td>
+                <td className="py-2 px-4 border-b text-right font-bold">₹{Number(c.closing_balance).toFixed(2)}</td>
+                <td className="py-2 px-4 border-b text-right">
+                  {index === 0 && !readOnly && (
+                    <button
+                      onClick={() => {
+                        if (window.confirm(`Reopen FY ${c.financial_year}? Its transactions will be editable again.`)) {
+                          reopenFinancialYear(c.id);
+                        }
+                      }}
+                      className="text-xs bg-yellow-100 text-yellow-700 px-2 py-1 rounded-full hover:bg-yellow-200"
+                    >
+                      Reopen
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default YearEndClose;
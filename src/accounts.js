@@ -0,0 +1,128 @@
+import { isDateInRange } from './dates';
+
+// =========================================================================
+// MONEY ACCOUNTS (cash in hand, bank accounts, petty cash)
+// An account's balance is its opening balance plus the income and minus the
+// expenses recorded against it, plus transfers in and minus transfers out.
+// Transfers are never income or expense.
+// The browser holds the recent transactions only (see getLoadedRangeStart in
+// ledger.js); what older ones moved comes with each account as earlier_in
+// and earlier_out and counts before everything else.
+// =========================================================================
+
+export const ACCOUNT_TYPES = ['cash', 'bank'];
+export const ACCOUNT_TYPE_LABELS = { cash: 'Cash', bank: 'Bank' };
+
+// How a receipt or payment was made; every mode but cash carries a reference
+// (cheque number, UTR, card slip)
+export const PAYMENT_MODES = ['cash', 'upi', 'cheque', 'neft', 'card'];
+export const PAYMENT_MODE_LABELS = { cash: 'Cash', upi: 'UPI', cheque: 'Cheque', neft: 'NEFT / RTGS', card: 'Card' };
+export const REFERENCE_LABELS = { upi: 'UPI ref. no.', cheque: 'Cheque no.', neft: 'UTR no.', card: 'Card slip no.' };
+
+// Mode to pre-select for an account: cash accounts only take cash
+export const getDefaultPaymentMode = (account) => (account?.account_type === 'cash' ? 'cash' : '');
+
+/**
+ * "Cheque #004512", "Cash", or '' when the transaction has no mode
+ */
+export const describePayment = (transaction) => {
+  const label = PAYMENT_MODE_LABELS[transaction.payment_mode];
+  if (!label) return '';
+  return transaction.reference_number ? `${label} #${transaction.reference_number}` : label;
+};
+
+export const getSelectableAccounts = (accounts) =>
+  accounts
+    .filter(a => !a.archived)
+    .sort((a, b) => a.account_type.localeCompare(b.account_type) || a.name.localeCompare(b.name));
+
+export const getBankAccounts = (accounts) => getSelectableAccounts(accounts).filter(a => a.account_type === 'bank');
+
+export const getAccountName = (accounts, id) => accounts.find(a => a.id === id)?.name || 'Unknown';
+
+/**
+ * Everything that moved money in or out of one account, as entries shaped
+ * like transactions: { id, kind, date, type ('income' = in, 'expense' = out),
+ * amount, head_id, description, reconciled }.
+ * Transfer legs count as reconciled when a statement line of this account
+ * is matched to them.
+ */
+export const getAccountEntries = (accountId, transactions, transfers, accounts = [], statementLines = []) => {
+  const transactionEntries = transactions
+    .filter(t => t.account_id === accountId)
+    .map(t => ({ ...t, kind: 'transaction' }));
+
+  const transferEntries = transfers
+    .filter(tr => tr.from_account_id === accountId || tr.to_account_id === accountId)
+    .map(tr => {
+      const incoming = tr.to_account_id === accountId;
+      const other = getAccountName(accounts, incoming ? tr.from_account_id : tr.to_account_id);
+      return {
+        id: tr.id,
+        kind: 'transfer',
+        date: tr.date,
+        type: incoming ? 'income' : 'expense',
+        amount: Number(tr.amount),
+        head_id: null,
+        description: `${incoming ? 'Transfer from' : 'Transfer to'} ${other}${tr.description ? ` · ${tr.description}` : ''}`,
+        reconciled: statementLines.some(l => l.account_id === accountId && l.matched_transfer_id === tr.id),
+      };
+    });
+
+  return [...transactionEntries, ...transferEntries];
+};
+
+/**
+ * Accounts with earlier_in and earlier_out set from earlierTotals
+ * ([{ accountId, moneyIn, moneyOut }], see db.getAccountTotalsBefore)
+ */
+export const withEarlierTotals = (accounts, earlierTotals) => accounts.map(account => {
+  const earlier = earlierTotals.find(e => e.accountId === account.id);
+  return { ...account, earlier_in: earlier?.moneyIn || 0, earlier_out: earlier?.moneyOut || 0 };
+});
+
+/**
+ * Balance before the first transaction held: the opening balance plus what
+ * the older transactions moved
+ */
+export const getStartingBalance = (account) =>
+  (Number(account.opening_balance) || 0) + (Number(account.earlier_in) || 0) - (Number(account.earlier_out) || 0);
+
+const signedAmount = (entry) => (entry.type === 'income' ? Number(entry.amount) : -Number(entry.amount));
+
+/**
+ * Balance of every account on a date (inclusive), with the money in and out
+ * up to then. asOfDate blank means all time.
+ */
+export const getAccountBalances = (accounts, transactions, transfers, asOfDate = '') =>
+  accounts.map(account => {
+    const entries = getAccountEntries(account.id, transactions, transfers, accounts)
+      .filter(e => !asOfDate || e.date <= asOfDate);
+    const moneyIn = entries.filter(e => e.type === 'income').reduce((acc, e) => acc + Number(e.amount), Number(account.earlier_in) || 0);
+    const moneyOut = entries.filter(e => e.type === 'expense').reduce((acc, e) => acc + Number(e.amount), Number(account.earlier_out) || 0);
+    const openingBalance = Number(account.opening_balance) || 0;
+    return { account, openingBalance, moneyIn, moneyOut, balance: openingBalance + moneyIn - moneyOut };
+  });
+
+/**
+ * Account statement for a period: balance brought forward at startDate and
+ * one row per entry with the running balance.
+ */
+export const getAccountLedger = (account, transactions, transfers, accounts, startDate, endDate) => {
+  const entries = getAccountEntries(account.id, transactions, transfers, accounts)
+    .sort((a, b) => a.date.localeCompare(b.date) || String(a.created_at || '').localeCompare(String(b.created_at || '')));
+
+  const openingBalance = entries
+    .filter(e => e.date < startDate)
+    .reduce((acc, e) => acc + signedAmount(e), getStartingBalance(account));
+
+  let balance = openingBalance;
+  const rows = entries
+    .filter(e => isDateInRange(e.date, startDate, endDate))
+    .map(e => {
+      balance += signedAmount(e);
+      return { entry: e, moneyIn: e.type === 'income' ? Number(e.amount) : 0, moneyOut: e.type === 'expense' ? Number(e.amount) : 0, balance };
+    });
+
+  return { openingBalance, rows, closingBalance: balance };
+};
@@ -0,0 +1,29 @@
+// =========================================================================
+// EXPENSE APPROVAL HELPERS
+// The database trigger (enforce_expense_approval) is the source of truth;
+// these mirror it so the UI can show the right status straight away.
+// =========================================================================
+
+export const STATUS_APPROVED = 'approved';
+export const STATUS_PENDING = 'pending';
+export const STATUS_REJECTED = 'rejected';
+
+// Rows created before the workflow existed have no status and count as approved
+export const getTransactionStatus = (t) => t.status || STATUS_APPROVED;
+
+/**
+ * True when an expense of this amount has to wait for approval
+ */
+export const needsApproval = (type, amount, threshold) => {
+  if (type !== 'expense' || threshold === null || threshold === undefined || threshold === '') return false;
+  return parseFloat(amount) > Number(threshold);
+};
+
+/**
+ * Whether a transaction counts in the summary cards and P&L reports.
+ * Approved always count, pending only when asked for, rejected never.
+ */
+export const isCountedInReports = (t, includePending = false) => {
+  const status = getTransactionStatus(t);
+  return status === STATUS_APPROVED || (includePending && status === STATUS_PENDING);
+};
@@ -0,0 +1,59 @@
+// =========================================================================
+// RECEIPT ATTACHMENTS
+// Files are kept in the private "receipts" storage bucket and shown through
+// short-lived signed URLs. Older transactions may still carry a pasted
+// receipt_url; it is treated as one more attachment.
+// =========================================================================
+
+export const RECEIPT_BUCKET = 'receipts';
+
+// Signed URLs are refreshed on every data load, so a working day is plenty
+export const SIGNED_URL_TTL_SECONDS = 12 * 60 * 60;
+
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+export const ACCEPTED_ATTACHMENT_TYPES = 'image/*,application/pdf';
+
+/**
+ * Returns an error message for files that cannot be attached, or null
+ */
+export const validateAttachmentFile = (file) => {
+  if (!file.type.startsWith('image/') && file.type !== 'application/pdf') {
+    return `${file.name}: only images and PDFs can be attached`;
+  }
+  if (file.size > MAX_ATTACHMENT_BYTES) {
+    return `${file.name}: larger than ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB`;
+  }
+  return null;
+};
+
+/**
+ * Storage path <school_id>/<transaction_id>/<timestamp>-<safe file name>.
+ * The storage policies read the school id from the first folder.
+ */
+export const buildAttachmentPath = (schoolId, transactionId, fileName, now = Date.now()) => {
+  const safeName = String(fileName).replace(/[^A-Za-z0-9._-]+/g, '_').slice(-80) || 'receipt';
+  return `${schoolId}/${transactionId}/${now}-${safeName}`;
+};
+
+export const isImageAttachment = (attachment) =>
+  attachment.mime_type
+    ? attachment.mime_type.startsWith('image/')
+    : /\.(png|jpe?g|gif|webp|bmp)(\?|$)/i.test(attachment.url || '');
+
+/**
+ * Everything attached to a transaction, uploaded files first and the legacy
+ * receipt_url (if any) last. Each item has { id, url, file_name, mime_type, legacy }.
+ */
+export const getTransactionAttachments = (transaction, attachments) => {
+  const uploaded = attachments
+    .filter(a => a.transaction_id === transaction.id)
+    .sort((a, b) => String(a.created_at || '').localeCompare(String(b.created_at || '')))
+    .map(a => ({ ...a, url: a.signed_url, legacy: false }));
+
+  if (!transaction.receipt_url) return uploaded;
+  return [
+    ...uploaded,
+    { id: `legacy-${transaction.id}`, url: transaction.receipt_url, file_name: 'Receipt link', mime_type: '', legacy: true },
+  ];
+};
@@ -0,0 +1,122 @@
+import { APP_TIME_ZONE, formatDisplayDate, getDateInAppZone, isDateInRange } from './dates';
+
+// =========================================================================
+// AUDIT TRAIL HELPERS
+// Entries are written by the write_audit_log database trigger; the client
+// only reads them.
+// =========================================================================
+
+export const AUDIT_ACTIONS = ['insert', 'update', 'delete'];
+export const AUDIT_ACTION_LABELS = { insert: 'Created', update: 'Changed', delete: 'Deleted' };
+export const AUDIT_TABLE_LABELS = { heads: 'Head', transactions: 'Transaction' };
+
+// Bookkeeping columns that say nothing to an auditor
+const HIDDEN_FIELDS = ['id', 'school_id', 'user_id', 'created_at'];
+
+const FIELD_LABELS = {
+  head_id: 'Head',
+  head_type: 'Head type',
+  receipt_url: 'Receipt URL',
+  approved_by: 'Approved by',
+  approved_at: 'Approved at',
+  rejection_reason: 'Rejection reason',
+  reconciled_at: 'Reconciled at',
+  student_id: 'Student',
+};
+
+export const getFieldLabel = (field) =>
+  FIELD_LABELS[field] || field.charAt(0).toUpperCase() + field.slice(1).replace(/_/g, ' ');
+
+// Calendar day of the change in the school's time zone
+export const getAuditDate = (entry) => getDateInAppZone(entry.changed_at);
+
+export const formatAuditTime = (entry) =>
+  `${formatDisplayDate(getAuditDate(entry))} ${new Intl.DateTimeFormat('en-IN', {
+    timeZone: APP_TIME_ZONE,
+    hour: '2-digit',
+    minute: '2-digit',
+  }).format(new Date(entry.changed_at))}`;
+
+const formatValue = (field, value, heads) => {
+  if (value === null || value === undefined || value === '') return '';
+  if (field === 'head_id') return heads.find(h => h.id === value)?.name || value;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Field-level changes of an entry as [{ field, label, oldValue, newValue }].
+ * Inserts list the initial values, deletes the values that were removed.
+ */
+export const describeChanges = (entry, heads = []) => {
+  const fields = entry.action === 'update'
+    ? entry.changed_fields
+    : Object.keys(entry.new_data || entry.old_data || {});
+
+  return fields
+    .filter(field => !HIDDEN_FIELDS.includes(field))
+    .map(field => ({
+      field,
+      label: getFieldLabel(field),
+      oldValue: formatValue(field, entry.old_data?.[field], heads),
+      newValue: formatValue(field, entry.new_data?.[field], heads),
+    }))
+    .filter(c => c.oldValue !== '' || c.newValue !== '');
+};
+
+/**
+ * Short name of the record an entry is about, e.g. "Electricity ₹1200.00 on 05/04/2026"
+ */
+export const describeRecord = (entry, heads = []) => {
+  const data = entry.new_data || entry.old_data || {};
+  if (entry.table_name === 'heads') return `${data.name} (${data.head_type})`;
+  const headName = heads.find(h => h.id === data.head_id)?.name || 'Unknown';
+  return `${headName} ₹${Number(data.amount || 0).toFixed(2)} on ${formatDisplayDate(data.date)}`;
+};
+
+export const getUserLabel = (entry, members = []) =>
+  entry.user_email || members.find(m => m.user_id === entry.user_id)?.email || 'System';
+
+/**
+ * filters: { startDate, endDate, table, action, userId, search }; blank values match everything
+ */
+export const filterAuditLog = (entries, filters, heads = []) => {
+  const search = (filters.search || '').trim().toLowerCase();
+  return entries
+    .filter(e => !filters.table || e.table_name === filters.table)
+    .filter(e => !filters.action || e.action === filters.action)
+    .filter(e => !filters.userId || e.user_id === filters.userId)
+    .filter(e => !filters.startDate || !filters.endDate || isDateInRange(getAuditDate(e), filters.startDate, filters.endDate))
+    .filter(e => !search || describeRecord(e, heads).toLowerCase().includes(search)
+      || describeChanges(e, heads).some(c => `${c.oldValue} ${c.newValue}`.toLowerCase().includes(search)))
+    .sort((a, b) => String(b.changed_at).localeCompare(String(a.changed_at)) || b.id - a.id);
+};
+
+/**
+ * One CSV row per changed field, so every old/new value is visible
+ */
+export const getAuditExportRows = (entries, heads = [], members = []) =>
+  entries.flatMap(e => {
+    const base = {
+      When: formatAuditTime(e),
+      User: getUserLabel(e, members),
+      Action: AUDIT_ACTION_LABELS[e.action],
+      Record: `${AUDIT_TABLE_LABELS[e.table_name] || e.table_name}: ${describeRecord(e, heads)}`,
+      RecordID: e.record_id,
+    };
+    const changes = describeChanges(e, heads);
+    if (changes.length === 0) return [{ ...base, Field: '', OldValue: '', NewValue: '' }];
+    return changes.map(c => ({ ...base, Field: c.label, OldValue: c.oldValue, NewValue: c.newValue }));
+  });
+
+/**
+ * Current heads plus heads known only from the log (deleted since), so old
+ * entries still show a head name instead of an id
+ */
+export const getAuditHeads = (heads, entries) => {
+  const known = new Set(heads.map(h => h.id));
+  const removed = entries
+    .filter(e => e.table_name === 'heads' && e.old_data && !known.has(e.record_id))
+    .map(e => ({ id: e.record_id, name: e.old_data.name, head_type: e.old_data.head_type }));
+  return [...heads, ...removed.filter((h, index) => removed.findIndex(r => r.id === h.id) === index)];
+};
@@ -0,0 +1,105 @@
+import { describePayment, getAccountEntries, getAccountName, getStartingBalance } from './accounts';
+import { isDateInRange } from './dates';
+
+// =========================================================================
+// CASH BOOK AND BANK BOOK
+// Day-wise receipts and payments of all cash accounts (Cash Book) or all bank
+// accounts (Bank Book). Transfers between accounts appear as contra entries.
+// =========================================================================
+
+export const BOOK_TITLES = { cash: 'Cash Book', bank: 'Bank Book' };
+
+const particularsOf = (entry, heads) => {
+  if (entry.kind === 'transfer') return `Contra: ${entry.description}`;
+  const head = heads.find(h => h.id === entry.head_id)?.name || 'Unknown';
+  return entry.description ? `${head} · ${entry.description}` : head;
+};
+
+/**
+ * Book of one account type for the period:
+ * { openingBalance, days, totalReceipts, totalPayments, closingBalance }
+ * Each day is { date, opening, receipts, payments, closing, entries } and each
+ * entry { date, account, particulars, payment, receipt, paymentOut }.
+ * Days without entries are left out.
+ */
+export const getDayBook = (accountType, accounts, transactions, transfers, heads, startDate, endDate) => {
+  const bookAccounts = accounts.filter(a => a.account_type === accountType);
+
+  const entries = bookAccounts
+    .flatMap(a => getAccountEntries(a.id, transactions, transfers, accounts).map(e => ({ ...e, accountId: a.id })))
+    .sort((a, b) => a.date.localeCompare(b.date) || String(a.created_at || '').localeCompare(String(b.created_at || '')));
+
+  const signed = (e) => (e.type === 'income' ? Number(e.amount) : -Number(e.amount));
+  const openingBalance = entries
+    .filter(e => e.date < startDate)
+    .reduce((acc, e) => acc + signed(e), bookAccounts.reduce((acc, a) => acc + getStartingBalance(a), 0));
+
+  const days = [];
+  let balance = openingBalance;
+  entries
+    .filter(e => isDateInRange(e.date, startDate, endDate))
+    .forEach(e => {
+      let day = days[days.length - 1];
+      if (!day || day.date !== e.date) {
+        day = { date: e.date, opening: balance, receipts: 0, payments: 0, closing: balance, entries: [] };
+        days.push(day);
+      }
+      const amount = Number(e.amount);
+      if (e.type === 'income') day.receipts += amount;
+      else day.payments += amount;
+      balance += signed(e);
+      day.closing = balance;
+      day.entries.push({
+        date: e.date,
+        account: getAccountName(accounts, e.accountId),
+        particulars: particularsOf(e, heads),
+        payment: e.kind === 'transfer' ? 'Contra' : describePayment(e),
+        receipt: e.type === 'income' ? amount : 0,
+        paymentOut: e.type === 'expense' ? amount : 0,
+      });
+    });
+
+  return {
+    openingBalance,
+    days,
+    totalReceipts: days.reduce((acc, d) => acc + d.receipts, 0),
+    totalPayments: days.reduce((acc, d) => acc + d.payments, 0),
+    closingBalance: balance,
+  };
+};
+
+/**
+ * Flattens a book into CSV rows: opening balance, each day's entries followed
+ * by the day's totals and closing balance, then the period totals
+ */
+export const getDayBookExportRows = (book, startDate, endDate) => {
+  const row = (fields) => ({ Date: '', Account: '', Particulars: '', Mode: '', Receipts: '', Payments: '', Balance: '', ...fields });
+
+  return [
+    row({ Date: startDate, Particulars: 'Opening balance', Balance: book.openingBalance.toFixed(2) }),
+    ...book.days.flatMap(day => [
+      ...day.entries.map(e => row({
+        Date: e.date,
+        Account: e.account,
+        Particulars: e.particulars,
+        Mode: e.payment,
+        Receipts: e.receipt ? e.receipt.toFixed(2) : '',
+        Payments: e.paymentOut ? e.paymentOut.toFixed(2) : '',
+      })),
+      row({
+        Date: day.date,
+        Particulars: 'Day total / closing balance',
+        Receipts: day.receipts.toFixed(2),
+        Payments: day.payments.toFixed(2),
+        Balance: day.closing.toFixed(2),
+      }),
+    ]),
+    row({
+      Date: endDate,
+      Particulars: 'Period total / closing balance',
+      Receipts: book.totalReceipts.toFixed(2),
+      Payments: book.totalPayments.toFixed(2),
+      Balance: book.closingBalance.toFixed(2),
+    }),
+  ];
+};
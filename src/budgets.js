@@ -0,0 +1,91 @@
+import { daysInMonth, getFinancialYearLabel, parseDate } from './dates';
+
+// =========================================================================
+// BUDGET HELPERS
+// Budgets are stored per head per financial year (April-March) with
+// month = 0 for the annual amount and 1-12 for an optional monthly split.
+// =========================================================================
+
+// Financial-year months in order, as calendar month numbers (April first)
+export const FY_MONTHS = [4, 5, 6, 7, 8, 9, 10, 11, 12, 1, 2, 3];
+
+export const MONTH_NAMES = ["", "Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+/**
+ * Budget amount for one head in one calendar month. A monthly figure wins
+ * over the annual one; otherwise the annual budget is spread evenly.
+ */
+export const getMonthlyBudget = (budgets, headId, year, month) => {
+  const fy = getFinancialYearLabel(year, month);
+  const headBudgets = budgets.filter(b => b.head_id === headId && b.financial_year === fy);
+
+  const monthly = headBudgets.find(b => b.month === month);
+  if (monthly) return Number(monthly.amount);
+
+  const hasMonthlySplit = headBudgets.some(b => b.month > 0);
+  const annual = headBudgets.find(b => b.month === 0);
+  if (annual && !hasMonthlySplit) return Number(annual.amount) / 12;
+
+  return 0;
+};
+
+/**
+ * Budget for a head over an arbitrary report period. Partial months are
+ * pro-rated by the number of days of the month that fall in the period.
+ */
+export const getBudgetForPeriod = (budgets, headId, startDate, endDate) => {
+  const start = parseDate(startDate);
+  const end = parseDate(endDate);
+  if (!start.year || !end.year) return 0;
+
+  let total = 0;
+  let year = start.year;
+  let month = start.month;
+
+  while (year < end.year || (year === end.year && month <= end.month)) {
+    const days = daysInMonth(year, month);
+    const firstDay = (year === start.year && month === start.month) ? start.day : 1;
+    const lastDay = (year === end.year && month === end.month) ? end.day : days;
+
+    if (lastDay >= firstDay) {
+      total += getMonthlyBudget(budgets, headId, year, month) * (lastDay - firstDay + 1) / days;
+    }
+
+    month += 1;
+    if (month > 12) {
+      month = 1;
+      year += 1;
+    }
+  }
+
+  return total;
+};
+
+/**
+ * Budget vs actual per head for the report period.
+ * Actual comes from the P&L summary rows (getPLSummaryData output).
+ * Variance is positive when favourable: under budget for expense heads,
+ * above budget for income heads.
+ */
+export const getBudgetVarianceData = (plSummary, headList, budgets, startDate, endDate) => {
+  return headList
+    .map(h => {
+      const budget = getBudgetForPeriod(budgets, h.id, startDate, endDate);
+      const summaryRow = plSummary.find(item => item.Head === h.name);
+      const actual = summaryRow
+        ? (h.head_type === 'income' ? summaryRow.Income : summaryRow.Expense)
+        : 0;
+      const variance = h.head_type === 'income' ? actual - budget : budget - actual;
+
+      return {
+        Head: h.name,
+        Type: h.head_type,
+        Budget: Math.round(budget * 100) / 100,
+        Actual: actual,
+        Variance: Math.round(variance * 100) / 100,
+        PercentUsed: budget > 0 ? Math.round((actual / budget) * 1000) / 10 : null,
+      };
+    })
+    .filter(item => item.Budget > 0 || item.Actual > 0)
+    .sort((a, b) => a.Head.localeCompare(b.Head));
+};
@@ -0,0 +1,106 @@
+import { addDays, getFinancialYear, getMonthEnd, makeDate, parseDate } from './dates';
+import { getPLTotals } from './reports';
+
+// =========================================================================
+// DASHBOARD CHART DATA
+// Worked out from the monthly P&L (getMonthlyPLSummaryData, or the
+// monthly_pl_summary database function) of the same transactions as the
+// P&L summary, so the charts and the tables always agree.
+// =========================================================================
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Slices of the expense breakdown before the rest is grouped as "Other"
+export const MAX_BREAKDOWN_SLICES = 6;
+
+/**
+ * Calendar months overlapping a period: [{ key: '2026-04', label: 'Apr 2026', startDate, endDate }]
+ */
+export const getMonthsInRange = (startDate, endDate) => {
+  const months = [];
+  let { year, month } = parseDate(startDate);
+  while (makeDate(year, month, 1) <= endDate) {
+    const monthStart = makeDate(year, month, 1);
+    months.push({ key: monthStart.slice(0, 7), label: `${MONTH_NAMES[month - 1]} ${year}`, startDate: monthStart, endDate: getMonthEnd(monthStart) });
+    month += 1;
+    if (month > 12) {
+      month = 1;
+      year += 1;
+    }
+  }
+  return months;
+};
+
+/**
+ * Income, expense and net per month of the period, from the monthly P&L
+ * (of the period's transactions, so part months only count their days in it)
+ */
+export const getMonthlyTotals = (monthlyRows, startDate, endDate) =>
+  getMonthsInRange(startDate, endDate).map(m => ({ ...m, ...getPLTotals(monthlyRows.filter(r => r.Month === m.key)) }));
+
+/**
+ * Net surplus month by month over the financial year the date falls in,
+ * with the running total since April: [{ ...month, net, cumulative }]
+ */
+export const getNetSurplusTrend = (monthlyRows, dateInYear) => {
+  const fy = getFinancialYear(dateInYear);
+  let cumulative = 0;
+  return getMonthlyTotals(monthlyRows, fy.startDate, fy.endDate).map(m => {
+    cumulative += m.net;
+    return { ...m, cumulative };
+  });
+};
+
+/**
+ * Expense per head, largest first, for the breakdown chart:
+ * [{ label, value, share, headId }]. Beyond maxSlices the smallest heads
+ * are added up as "Other" (headId null, like Uncategorized).
+ */
+export const getExpenseBreakdown = (plSummary, heads, maxSlices = MAX_BREAKDOWN_SLICES) => {
+  const rows = plSummary.filter(r => r.Expense > 0).sort((a, b) => b.Expense - a.Expense);
+  const total = rows.reduce((acc, r) => acc + r.Expense, 0);
+  const toSlice = (label, value, headId) => ({ label, value, share: total > 0 ? value / total : 0, headId });
+
+  const shown = rows.length > maxSlices ? rows.slice(0, maxSlices - 1) : rows;
+  const slices = shown.map(r => toSlice(r.Head, r.Expense, heads.find(h => h.name === r.Head)?.id || null));
+  if (rows.length > shown.length) {
+    slices.push(toSlice('Other', rows.slice(shown.length).reduce((acc, r) => acc + r.Expense, 0), null));
+  }
+  return slices;
+};
+
+/**
+ * The period of the same number of days just before this one
+ */
+export const getPreviousPeriod = (startDate, endDate) => {
+  const start = parseDate(startDate);
+  const end = parseDate(endDate);
+  const days = Math.round((Date.UTC(end.year, end.month - 1, end.day) - Date.UTC(start.year, start.month - 1, start.day)) / 86400000);
+  const previousEnd = addDays(startDate, -1);
+  return { startDate: addDays(previousEnd, -days), endDate: previousEnd };
+};
+
+/**
+ * Heads whose amount (income or expense, whichever the head takes) grew the
+ * most against the previous period: [{ label, headId, type, current,
+ * previous, change, percent }], percent null when there was nothing before
+ */
+export const getTopGrowingHeads = (plSummary, previousPlSummary, heads, limit = 5) =>
+  plSummary
+    .map(row => {
+      const before = previousPlSummary.find(r => r.Head === row.Head);
+      const current = row.Income + row.Expense;
+      const previous = before ? before.Income + before.Expense : 0;
+      return {
+        label: row.Head,
+        headId: heads.find(h => h.name === row.Head)?.id || null,
+        type: row.Type,
+        current,
+        previous,
+        change: current - previous,
+        percent: previous > 0 ? ((current - previous) / previous) * 100 : null,
+      };
+    })
+    .filter(row => row.change > 0)
+    .sort((a, b) => b.change - a.change)
+    .slice(0, limit);
@@ -0,0 +1,84 @@
+import { describe, expect, it } from 'vitest';
+import {
+  getExpenseBreakdown, getMonthlyTotals, getMonthsInRange, getNetSurplusTrend, getPreviousPeriod, getTopGrowingHeads,
+} from './charts';
+import { getMonthlyPLSummaryData, getPLSummaryData } from './reports';
+
+const heads = [
+  { id: 'fees', name: 'Tuition Fees', head_type: 'income' },
+  { id: 'salary', name: 'Salaries', head_type: 'expense' },
+  { id: 'diesel', name: 'Diesel', head_type: 'expense' },
+  { id: 'power', name: 'Electricity', head_type: 'expense' },
+];
+
+const transactions = [
+  { date: '2026-03-20', type: 'expense', head_id: 'diesel', amount: 500 },
+  { date: '2026-04-02', type: 'income', head_id: 'fees', amount: 10000 },
+  { date: '2026-04-15', type: 'expense', head_id: 'salary', amount: 6000 },
+  { date: '2026-05-05', type: 'expense', head_id: 'diesel', amount: 3000 },
+  { date: '2026-05-20', type: 'expense', head_id: 'power', amount: '1500' },
+  { date: '2026-06-30', type: 'income', head_id: 'fees', amount: 2000 },
+];
+
+describe('getMonthsInRange', () => {
+  it('lists every month the period touches, across the year end', () => {
+    expect(getMonthsInRange('2025-11-15', '2026-02-03').map(m => m.label)).toEqual(['Nov 2025', 'Dec 2025', 'Jan 2026', 'Feb 2026']);
+    expect(getMonthsInRange('2026-02-10', '2026-02-20')[0]).toEqual({ key: '2026-02', label: 'Feb 2026', startDate: '2026-02-01', endDate: '2026-02-28' });
+  });
+});
+
+describe('getMonthlyTotals', () => {
+  it('adds up income and expense per month of the period only', () => {
+    const months = getMonthlyTotals(getMonthlyPLSummaryData(transactions, heads), '2026-04-01', '2026-05-31');
+    expect(months.map(({ key, income, expense, net }) => ({ key, income, expense, net }))).toEqual([
+      { key: '2026-04', income: 10000, expense: 6000, net: 4000 },
+      { key: '2026-05', income: 0, expense: 4500, net: -4500 },
+    ]);
+  });
+});
+
+describe('getNetSurplusTrend', () => {
+  it('runs a total from April over the financial year of the date', () => {
+    const trend = getNetSurplusTrend(getMonthlyPLSummaryData(transactions, heads), '2026-05-10');
+    expect(trend).toHaveLength(12);
+    expect(trend[0].label).toBe('Apr 2026');
+    expect(trend.slice(0, 3).map(m => m.cumulative)).toEqual([4000, -500, 1500]);
+    expect(trend[11].cumulative).toBe(1500);
+  });
+});
+
+describe('getExpenseBreakdown', () => {
+  const summary = getPLSummaryData(transactions.filter(t => t.date >= '2026-04-01'), heads);
+
+  it('orders heads by expense with their share', () => {
+    expect(getExpenseBreakdown(summary, heads).map(s => [s.label, s.headId, Math.round(s.share * 1000)])).toEqual([
+      ['Salaries', 'salary', 571],
+      ['Diesel', 'diesel', 286],
+      ['Electricity', 'power', 143],
+    ]);
+  });
+
+  it('groups the smallest heads as Other', () => {
+    const slices = getExpenseBreakdown(summary, heads, 2);
+    expect(slices.map(s => [s.label, s.value, s.headId])).toEqual([['Salaries', 6000, 'salary'], ['Other', 4500, null]]);
+  });
+});
+
+describe('growth against the previous period', () => {
+  it('takes the same number of days just before the period', () => {
+    expect(getPreviousPeriod('2026-05-01', '2026-05-31')).toEqual({ startDate: '2026-03-31', endDate: '2026-04-30' });
+    expect(getPreviousPeriod('2026-04-01', '2027-03-31')).toEqual({ startDate: '2025-04-01', endDate: '2026-03-31' });
+  });
+
+  it('ranks heads by how much they grew', () => {
+    const current = getPLSummaryData(transactions.filter(t => t.date >= '2026-04-01'), heads);
+    const previous = getPLSummaryData(transactions.filter(t => t.date < '2026-04-01'), heads);
+
+    expect(getTopGrowingHeads(current, previous, heads).map(r => [r.label, r.change, r.percent])).toEqual([
+      ['Tuition Fees', 12000, null],
+      ['Salaries', 6000, null],
+      ['Diesel', 2500, 500],
+      ['Electricity', 1500, null],
+    ]);
+  });
+});
@@ -0,0 +1,154 @@
+import { getMonthsInRange } from './charts';
+import { addDays, getFinancialQuarter, getFinancialYear, getFinancialYearByStartYear } from './dates';
+import { getPLTotals, sumMonthlyPLSummary } from './reports';
+
+// =========================================================================
+// COMPARATIVE P&L
+// The P&L summary split into one column per month or quarter of the report
+// period, and this financial year set against the previous one. A head's
+// amount is what it took in or paid out (its income plus its expense, as a
+// head is one or the other); totals rows give income, expense and net.
+// Both are added up from the monthly P&L (getMonthlyPLSummaryData, or the
+// monthly_pl_summary database function).
+// =========================================================================
+
+export const COMPARATIVE_VIEWS = {
+  month: 'Month-wise',
+  quarter: 'Quarter-wise',
+  yoy: 'Year over Year',
+};
+
+/**
+ * Columns of the comparative report: calendar months, or quarters of the
+ * financial year (Q1 = Apr-Jun), cut to the period. [{ key, label, startDate, endDate }]
+ */
+export const getComparativeColumns = (startDate, endDate, view) => {
+  if (view === 'month') {
+    return getMonthsInRange(startDate, endDate).map(m => ({
+      ...m,
+      startDate: m.startDate < startDate ? startDate : m.startDate,
+      endDate: m.endDate > endDate ? endDate : m.endDate,
+    }));
+  }
+
+  const columns = [];
+  let date = startDate;
+  while (date <= endDate) {
+    const quarter = getFinancialQuarter(date);
+    const fy = getFinancialYear(quarter.startDate);
+    columns.push({
+      key: quarter.startDate,
+      label: `Q${quarter.quarter} ${fy.label}`,
+      startDate: date,
+      endDate: quarter.endDate < endDate ? quarter.endDate : endDate,
+    });
+    date = addDays(quarter.endDate, 1);
+  }
+  return columns;
+};
+
+const headAmount = (row) => (row ? row.Income + row.Expense : 0);
+
+const percentChange = (current, previous) => (previous !== 0 ? ((current - previous) * 100) / Math.abs(previous) : null);
+
+const monthOf = (date) => date.slice(0, 7);
+
+/**
+ * { columns, rows, totals }: rows are [{ Head, Type, <column label>: amount, ..., Total }]
+ * sorted income heads first; totals are the Total Income, Total Expense and
+ * Net Surplus rows in the same shape. monthlyRows: the monthly P&L of the
+ * period's transactions, so part months only count their days in it.
+ */
+export const getComparativePLData = (monthlyRows, startDate, endDate, view) => {
+  const columns = getComparativeColumns(startDate, endDate, view);
+  const summaries = columns.map(c => sumMonthlyPLSummary(monthlyRows, monthOf(c.startDate), monthOf(c.endDate)));
+  const periodSummary = sumMonthlyPLSummary(monthlyRows, monthOf(startDate), monthOf(endDate));
+
+  const rows = periodSummary
+    .map(row => ({
+      Head: row.Head,
+      Type: row.Type,
+      ...Object.fromEntries(columns.map((c, i) => [c.label, headAmount(summaries[i].find(r => r.Head === row.Head))])),
+      Total: headAmount(row),
+    }))
+    .sort((a, b) => (a.Type === b.Type ? a.Head.localeCompare(b.Head) : a.Type === 'income' ? -1 : 1));
+
+  const totalsRow = (label, pick) => ({
+    Head: label,
+    Type: '',
+    ...Object.fromEntries(columns.map((c, i) => [c.label, pick(getPLTotals(summaries[i]))])),
+    Total: pick(getPLTotals(periodSummary)),
+  });
+
+  return {
+    columns,
+    rows,
+    totals: [
+      totalsRow('Total Income', t => t.income),
+      totalsRow('Total Expense', t => t.expense),
+      totalsRow('Net Surplus', t => t.net),
+    ],
+  };
+};
+
+/**
+ * The two financial years the year-over-year report compares: the one the
+ * date falls in and the one before. { current, previous, startDate, endDate }
+ */
+export const getYearOverYearRange = (dateInYear) => {
+  const current = getFinancialYear(dateInYear);
+  const previous = getFinancialYearByStartYear(current.startYear - 1);
+  return { current, previous, startDate: previous.startDate, endDate: current.endDate };
+};
+
+/**
+ * This financial year (the one the date falls in) against the previous one:
+ * { current, previous, rows, totals } with rows
+ * [{ Head, Type, Current, Previous, Change, ChangePercent }]. ChangePercent is
+ * null when there was nothing the year before.
+ */
+export const getYearOverYearData = (monthlyRows, dateInYear) => {
+  const { current, previous } = getYearOverYearRange(dateInYear);
+  const summaryOf = (fy) => sumMonthlyPLSummary(monthlyRows, monthOf(fy.startDate), monthOf(fy.endDate));
+  const currentSummary = summaryOf(current);
+  const previousSummary = summaryOf(previous);
+
+  const compare = (Head, Type, now, before) => ({
+    Head, Type, Current: now, Previous: before, Change: now - before, ChangePercent: percentChange(now, before),
+  });
+
+  const names = [...new Set([...currentSummary, ...previousSummary].map(r => r.Head))];
+  const rows = names
+    .map(name => {
+      const now = currentSummary.find(r => r.Head === name);
+      const before = previousSummary.find(r => r.Head === name);
+      return compare(name, (now || before).Type, headAmount(now), headAmount(before));
+    })
+    .sort((a, b) => (a.Type === b.Type ? a.Head.localeCompare(b.Head) : a.Type === 'income' ? -1 : 1));
+
+  const nowTotals = getPLTotals(currentSummary);
+  const beforeTotals = getPLTotals(previousSummary);
+  return {
+    current,
+    previous,
+    rows,
+    totals: [
+      compare('Total Income', '', nowTotals.income, beforeTotals.income),
+      compare('Total Expense', '', nowTotals.expense, beforeTotals.expense),
+      compare('Net Surplus', '', nowTotals.net, beforeTotals.net),
+    ],
+  };
+};
+
+/**
+ * CSV rows of the year-over-year report, columns named after the years
+ */
+export const getYearOverYearExportRows = (report) =>
+  [...report.rows, ...report.totals].map(row => ({
+    Head: row.Head,
+    Type: row.Type,
+    [`FY ${report.current.label}`]: row.Current,
+    [`FY ${report.previous.label}`]: row.Previous,
+    Change: row.Change,
+    'Change %': row.ChangePercent === null ? '' : Number(row.ChangePercent.toFixed(1)),
+  }));
@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import { getComparativeColumns, getComparativePLData, getYearOverYearData, getYearOverYearExportRows } from './comparative';
+import { getMonthlyPLSummaryData } from './reports';
+
+const heads = [
+  { id: 'fees', name: 'Tuition Fees', head_type: 'income' },
+  { id: 'salary', name: 'Salaries', head_type: 'expense' },
+  { id: 'bus', name: 'Transport', head_type: 'expense' },
+];
+
+const transactions = [
+  { date: '2025-05-10', type: 'income', head_id: 'fees', amount: 40000 },
+  { date: '2025-05-31', type: 'expense', head_id: 'salary', amount: 30000 },
+  { date: '2026-04-10', type: 'income', head_id: 'fees', amount: 50000 },
+  { date: '2026-04-30', type: 'expense', head_id: 'salary', amount: 30000 },
+  { date: '2026-05-31', type: 'expense', head_id: 'salary', amount: 33000 },
+  { date: '2026-07-15', type: 'expense', head_id: 'bus', amount: '2500' },
+];
+
+const monthlyRows = getMonthlyPLSummaryData(transactions, heads);
+
+describe('getComparativeColumns', () => {
+  it('cuts months to the period', () => {
+    expect(getComparativeColumns('2026-04-15', '2026-06-10', 'month').map(c => [c.label, c.startDate, c.endDate])).toEqual([
+      ['Apr 2026', '2026-04-15', '2026-04-30'],
+      ['May 2026', '2026-05-01', '2026-05-31'],
+      ['Jun 2026', '2026-06-01', '2026-06-10'],
+    ]);
+  });
+
+  it('uses financial-year quarters across the year end', () => {
+    expect(getComparativeColumns('2026-02-01', '2026-08-31', 'quarter').map(c => [c.label, c.startDate, c.endDate])).toEqual([
+      ['Q4 2025-26', '2026-02-01', '2026-03-31'],
+      ['Q1 2026-27', '2026-04-01', '2026-06-30'],
+      ['Q2 2026-27', '2026-07-01', '2026-08-31'],
+    ]);
+  });
+});
+
+describe('getComparativePLData', () => {
+  it('puts each head in a column per month, income heads first, with totals', () => {
+    const report = getComparativePLData(monthlyRows, '2026-04-01', '2026-07-31', 'month');
+
+    expect(report.rows).toEqual([
+      { Head: 'Tuition Fees', Type: 'income', 'Apr 2026': 50000, 'May 2026': 0, 'Jun 2026': 0, 'Jul 2026': 0, Total: 50000 },
+      { Head: 'Salaries', Type: 'expense', 'Apr 2026': 30000, 'May 2026': 33000, 'Jun 2026': 0, 'Jul 2026': 0, Total: 63000 },
+      { Head: 'Transport', Type: 'expense', 'Apr 2026': 0, 'May 2026': 0, 'Jun 2026': 0, 'Jul 2026': 2500, Total: 2500 },
+    ]);
+    expect(report.totals[2]).toEqual({ Head: 'Net Surplus', Type: '', 'Apr 2026': 20000, 'May 2026': -33000, 'Jun 2026': 0, 'Jul 2026': -2500, Total: -15500 });
+  });
+
+  it('adds up quarters', () => {
+    const report = getComparativePLData(monthlyRows, '2026-04-01', '2026-09-30', 'quarter');
+    expect(report.totals[1]).toEqual({ Head: 'Total Expense', Type: '', 'Q1 2026-27': 63000, 'Q2 2026-27': 2500, Total: 65500 });
+  });
+});
+
+describe('getYearOverYearData', () => {
+  const report = getYearOverYearData(monthlyRows, '2026-06-01');
+
+  it('compares this financial year with the previous one per head', () => {
+    expect(report.current.label).toBe('2026-27');
+    expect(report.previous.label).toBe('2025-26');
+    expect(report.rows).toEqual([
+      { Head: 'Tuition Fees', Type: 'income', Current: 50000, Previous: 40000, Change: 10000, ChangePercent: 25 },
+      { Head: 'Salaries', Type: 'expense', Current: 63000, Previous: 30000, Change: 33000, ChangePercent: 110 },
+      { Head: 'Transport', Type: 'expense', Current: 2500, Previous: 0, Change: 2500, ChangePercent: null },
+    ]);
+  });
+
+  it('measures the change in net against the size of last year', () => {
+    // net went from +10000 to -15500
+    expect(report.totals[2]).toMatchObject({ Current: -15500, Previous: 10000, Change: -25500, ChangePercent: -255 });
+  });
+
+  it('names the CSV columns after the years', () => {
+    const rows = getYearOverYearExportRows(report);
+    expect(rows).toHaveLength(6);
+    expect(rows[2]).toEqual({ Head: 'Transport', Type: 'expense', 'FY 2026-27': 2500, 'FY 2025-26': 0, Change: 2500, 'Change %': '' });
+  });
+});
@@ -0,0 +1,61 @@
+// =========================================================================
+// CSV EXPORT
+// =========================================================================
+
+/**
+ * Converts an array of objects into a CSV string, using the keys of the
+ * first object as the header row.
+ */
+export const convertArrayOfObjectsToCSV = (array) => {
+  if (!array || array.length === 0) {
+    return "";
+  }
+
+  const keys = Object.keys(array[0]);
+  const csvHeader = keys.join(',') + '\n';
+
+  const csvRows = array.map(row => {
+    return keys.map(key => {
+      let cell = row[key] === null || row[key] === undefined ? '' : row[key];
+      cell = cell.toString().replace(/"/g, '""'); // Escape double quotes
+      if (cell.search(/("|,|\n)/g) >= 0) {
+        cell = `"${cell}"`; // Enclose in double quotes
+      }
+      return cell;
+    }).join(',');
+  }).join('\n');
+
+  return csvHeader + csvRows;
+};
+
+/**
+ * Triggers a browser download of a Blob (CSV text, an XLSX workbook, ...).
+ */
+export const downloadBlob = (blob, filename) => {
+  const link = document.createElement('a');
+
+  if (link.download !== undefined) {
+    const url = URL.createObjectURL(blob);
+    link.setAttribute('href', url);
+    link.setAttribute('download', filename);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  } else {
+      alert("Your browser does not support automatic downloads.");
+  }
+};
+
+/**
+ * Triggers a browser download for the given rows as a CSV file.
+ */
+export const downloadCSV = (data, filename) => {
+  const csvString = convertArrayOfObjectsToCSV(data);
+  if (!csvString) {
+      alert("No data to export.");
+      return;
+  }
+
+  downloadBlob(new Blob([csvString], { type: 'text/csv;charset=utf-8;' }), filename);
+};
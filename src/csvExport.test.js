@@ -0,0 +1,34 @@
+import { describe, expect, it } from 'vitest';
+import { convertArrayOfObjectsToCSV } from './csvExport';
+import { parseCSVToObjects } from './csvParser';
+
+describe('convertArrayOfObjectsToCSV', () => {
+  it('writes a header row from the first object and one line per row', () => {
+    const csv = convertArrayOfObjectsToCSV([
+      { Date: '2026-04-01', Head: 'Rent', Amount: 15000 },
+      { Date: '2026-04-02', Head: 'Fees', Amount: 2500.5 },
+    ]);
+    expect(csv).toBe('Date,Head,Amount\n2026-04-01,Rent,15000\n2026-04-02,Fees,2500.5');
+  });
+
+  it('quotes cells with commas, quotes or line breaks', () => {
+    const csv = convertArrayOfObjectsToCSV([{ Description: 'Chalk, dusters', Note: 'He said "paid"', Memo: 'two\nlines' }]);
+    expect(csv).toBe('Description,Note,Memo\n"Chalk, dusters","He said ""paid""","two\nlines"');
+  });
+
+  it('writes null and undefined as empty cells', () => {
+    expect(convertArrayOfObjectsToCSV([{ A: null, B: undefined, C: 0 }])).toBe('A,B,C\n,,0');
+  });
+
+  it('returns an empty string when there is nothing to export', () => {
+    expect(convertArrayOfObjectsToCSV([])).toBe('');
+    expect(convertArrayOfObjectsToCSV(null)).toBe('');
+  });
+
+  it('round-trips through the CSV import parser', () => {
+    const rows = [{ Date: '2026-04-01', Description: 'Books, "new"', Amount: '99.50' }];
+    const { headers, records } = parseCSVToObjects(convertArrayOfObjectsToCSV(rows));
+    expect(headers).toEqual(['Date', 'Description', 'Amount']);
+    expect(records).toEqual(rows);
+  });
+});
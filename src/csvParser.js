@@ -0,0 +1,85 @@
+// =========================================================================
+// CSV PARSING
+// Reads the same dialect convertArrayOfObjectsToCSV writes: comma separated,
+// fields optionally wrapped in double quotes, "" for a literal quote.
+// =========================================================================
+
+/**
+ * Parses CSV text into an array of rows (arrays of strings).
+ * Blank lines are skipped.
+ */
+export const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = String(text).replace(/^\uFEFF/, ''); // strip Excel's BOM
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        cell += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      if (row.some(c => c.trim() !== '')) rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+
+  row.push(cell);
+  if (row.some(c => c.trim() !== '')) rows.push(row);
+
+  return rows;
+};
+
+/**
+ * Parses CSV text with a header row into { headers, records } where each
+ * record is keyed by the (trimmed) header names.
+ */
+export const parseCSVToObjects = (text) => {
+  const [headerRow, ...dataRows] = parseCSV(text);
+  if (!headerRow) return { headers: [], records: [] };
+
+  const headers = headerRow.map(h => h.trim());
+  const records = dataRows.map(r =>
+    headers.reduce((acc, h, index) => ({ ...acc, [h]: (r[index] || '').trim() }), {})
+  );
+
+  return { headers, records };
+};
+
+/**
+ * Parses an amount cell such as "1,250.00", "₹ 500" or "(200.00)".
+ * Returns null for blank cells and NaN for anything unreadable.
+ */
+export const parseAmount = (value) => {
+  const raw = String(value ?? '').trim();
+  if (raw === '') return null;
+
+  const negative = /^\(.*\)$/.test(raw) || raw.startsWith('-');
+  const cleaned = raw.replace(/[₹,\s()]|Rs\.?|INR|Cr|Dr/gi, '').replace(/^-/, '');
+  if (cleaned === '') return null;
+
+  const amount = Number(cleaned);
+  return negative ? -amount : amount;
+};
@@ -0,0 +1,433 @@
+// =========================================================================
+// FINANCE DATA SERVICE
+// Every read and write of school data goes through a backend with this
+// contract (each method resolves to { data, error }, like supabase-js):
+//
+//   list(table, match, options)   rows whose fields equal every value in match
+//                                 (null matches empty); options: orderBy,
+//                                 ascending, thenBy (a second sort column),
+//                                 embed, filters: [{ column, op, value }]
+//                                 with op gte, lte, in or notNull (no
+//                                 value), page: { offset,
+//                                 limit } (without one, every row: never
+//                                 cut off by a server row limit), count
+//                                 (adds the matching total)
+//   insert(table, rows)           the inserted rows
+//   update(table, match, fields)  the updated rows
+//   remove(table, match)          nothing
+//   rpc(name, params)             the function's result
+//   uploadFile(bucket, path, file, options), removeFiles(bucket, paths),
+//   signUrls(bucket, paths, ttlSeconds) -> [{ path, signedUrl }]
+//   subscribe(table, match, onChange)  live changes made by anyone, as
+//                                 onChange({ event, row, old }) with event
+//                                 INSERT, UPDATE or DELETE; returns the
+//                                 unsubscribe function (not a promise)
+//
+// The data service adds subscribeWrites(listener): listener(table) after
+// each insert, update or remove made through it that did not fail.
+//
+// createSupabaseBackend talks to the database; createMemoryBackend keeps
+// tables in memory for tests and offline demos. Sign-in stays with the
+// Supabase client and is not part of the contract.
+// =========================================================================
+
+import { STATUS_PENDING } from './approvals';
+import { RECEIPT_BUCKET, SIGNED_URL_TTL_SECONDS } from './attachments';
+import { toMonthlyPLSummaryData, toPLSummaryData } from './reports';
+import { DEFAULT_SORT, toFilterParams } from './transactionFilters';
+
+/**
+ * embed: { table: 'col, col' } adds the row of `table` that the listed row
+ * points to through `<table without the s>_id`, e.g. schools via school_id
+ */
+const embedColumns = (embed = {}) =>
+  Object.entries(embed).map(([table, columns]) => `, ${table}(${columns})`).join('');
+
+const applyMatch = (query, match) =>
+  Object.entries(match).reduce((q, [column, value]) => (value === null ? q.is(column, null) : q.eq(column, value)), query);
+
+const applyFilters = (query, filters = []) =>
+  filters.reduce((q, { column, op, value }) => (op === 'notNull' ? q.not(column, 'is', null) : q[op](column, value)), query);
+
+// PostgREST answers at most this many rows per request (its max-rows
+// setting), so longer lists are read in chunks of this size
+export const LIST_CHUNK_SIZE = 1000;
+
+// Columns that order chunks the same way on every request; tables not
+// listed have an id
+const KEY_COLUMNS = {
+  school_members: ['school_id', 'user_id'],
+};
+
+export const createSupabaseBackend = (client) => {
+  const listQuery = (table, match, options) => {
+    const select = client.from(table).select(`*${embedColumns(options.embed)}`, options.count ? { count: 'exact' } : undefined);
+    let query = applyFilters(applyMatch(select, match), options.filters);
+    if (options.orderBy) query = query.order(options.orderBy, { ascending: options.ascending !== false });
+    if (options.thenBy) query = query.order(options.thenBy, { ascending: options.ascending !== false });
+    return query;
+  };
+
+  return {
+    list: async (table, match = {}, options = {}) => {
+      if (options.page) {
+        return listQuery(table, match, options).range(options.page.offset, options.page.offset + options.page.limit - 1);
+      }
+
+      // Without a page every row is wanted: read chunk after chunk until one comes back short
+      const rows = [];
+      for (let offset = 0; ; offset += LIST_CHUNK_SIZE) {
+        const query = (KEY_COLUMNS[table] || ['id']).reduce((q, column) => q.order(column), listQuery(table, match, options));
+        const { data, error, count } = await query.range(offset, offset + LIST_CHUNK_SIZE - 1);
+        if (error) return { data: null, error };
+        rows.push(...data);
+        if (data.length < LIST_CHUNK_SIZE) return { data: rows, error: null, ...(options.count && { count }) };
+      }
+    },
+    insert: (table, rows) => client.from(table).insert(rows).select(),
+    update: (table, match, fields) => applyMatch(client.from(table).update(fields), match).select(),
+    remove: (table, match) => applyMatch(client.from(table).delete(), match),
+    rpc: (name, params) => client.rpc(name, params),
+    uploadFile: (bucket, path, file, options) => client.storage.from(bucket).upload(path, file, options),
+    removeFiles: (bucket, paths) => client.storage.from(bucket).remove(paths),
+    signUrls: (bucket, paths, ttlSeconds) => client.storage.from(bucket).createSignedUrls(paths, ttlSeconds),
+
+    // Realtime filters on one column, so match must have a single entry
+    subscribe: (table, match, onChange) => {
+      const [column, value] = Object.entries(match)[0];
+      const channel = client
+        .channel(`${table}:${column}=${value}`)
+        .on('postgres_changes', { event: '*', schema: 'public', table, filter: `${column}=eq.${value}` },
+          (payload) => onChange({ event: payload.eventType, row: payload.new, old: payload.old }))
+        .subscribe();
+      return () => client.removeChannel(channel);
+    },
+  };
+};
+
+/**
+ * In-memory backend. seed: { table: [rows] }.
+ * options.unique: { table: [['school_id', 'name'], ...] } rejects inserts that
+ * repeat those columns with code 23505, like a unique index.
+ * options.rpc: { name: (params, tables) => data } for database functions.
+ * options.touch: stamp updated_at on every update, like the touch_updated_at trigger.
+ */
+export const createMemoryBackend = (seed = {}, options = {}) => {
+  const tables = Object.fromEntries(Object.entries(seed).map(([table, rows]) => [table, rows.map(r => ({ ...r }))]));
+  const files = new Map();
+  const subscribers = new Set();
+  let nextId = 1;
+  let nextVersion = 1;
+
+  const rowsOf = (table) => {
+    if (!tables[table]) tables[table] = [];
+    return tables[table];
+  };
+  const isMatch = (row, match) => Object.entries(match).every(([column, value]) =>
+    (value === null ? row[column] === null || row[column] === undefined : row[column] === value));
+  const passesFilters = (row, filters = []) => filters.every(({ column, op, value }) => {
+    if (op === 'gte') return row[column] >= value;
+    if (op === 'lte') return row[column] <= value;
+    if (op === 'notNull') return row[column] !== null && row[column] !== undefined;
+    return value.includes(row[column]);
+  });
+  const ok = (data) => Promise.resolve({ data, error: null });
+  const fail = (message, code) => Promise.resolve({ data: null, error: { message, code } });
+  const notify = (table, event, row, old) => subscribers.forEach(s => {
+    if (s.table === table && isMatch(row || old, s.match)) s.onChange({ event, row: row ? { ...row } : {}, old: old ? { id: old.id } : {} });
+  });
+
+  const withEmbeds = (row, embed = {}) => Object.entries(embed).reduce((acc, [table, columns]) => {
+    const related = rowsOf(table).find(r => r.id === row[`${table.replace(/s$/, '')}_id`]);
+    const picked = related && Object.fromEntries(columns.split(',').map(c => c.trim()).map(c => [c, related[c]]));
+    return { ...acc, [table]: picked || null };
+  }, { ...row });
+
+  const violatesUnique = (table, row, others) => (options.unique?.[table] || []).some(columns =>
+    others.some(other => columns.every(c => other[c] !== null && other[c] !== undefined && other[c] === row[c]))
+  );
+
+  return {
+    tables,
+    files,
+
+    list: (table, match = {}, listOptions = {}) => {
+      const rows = rowsOf(table)
+        .filter(r => isMatch(r, match) && passesFilters(r, listOptions.filters))
+        .map(r => withEmbeds(r, listOptions.embed));
+      if (listOptions.orderBy) {
+        const direction = listOptions.ascending === false ? -1 : 1;
+        const compare = (a, b, column) => String(a[column] ?? '').localeCompare(String(b[column] ?? '')) * direction;
+        rows.sort((a, b) => compare(a, b, listOptions.orderBy) || (listOptions.thenBy ? compare(a, b, listOptions.thenBy) : 0));
+      }
+      const { page, count } = listOptions;
+      const data = page ? rows.slice(page.offset, page.offset + page.limit) : rows;
+      return Promise.resolve({ data, error: null, ...(count && { count: rows.length }) });
+    },
+
+    insert: (table, rows) => {
+      const inserted = rows.map(r => ({ id: `mem-${nextId++}`, created_at: new Date().toISOString(), ...r }));
+      const existing = rowsOf(table);
+      if (inserted.some((row, index) => violatesUnique(table, row, [...existing, ...inserted.slice(0, index)]))) {
+        return fail(`duplicate key value violates unique constraint on ${table}`, '23505');
+      }
+      existing.push(...inserted);
+      inserted.forEach(r => notify(table, 'INSERT', r));
+      return ok(inserted.map(r => ({ ...r })));
+    },
+
+    update: (table, match, fields) => {
+      const updated = [];
+      tables[table] = rowsOf(table).map(r => {
+        if (!isMatch(r, match)) return r;
+        const next = { ...r, ...fields, ...(options.touch && { updated_at: `v${nextVersion++}` }) };
+        updated.push({ ...next });
+        return next;
+      });
+      updated.forEach(r => notify(table, 'UPDATE', r));
+      return ok(updated);
+    },
+
+    remove: (table, match) => {
+      const removed = rowsOf(table).filter(r => isMatch(r, match));
+      tables[table] = rowsOf(table).filter(r => !isMatch(r, match));
+      removed.forEach(r => notify(table, 'DELETE', null, r));
+      return ok(null);
+    },
+
+    rpc: (name, params) => {
+      const handler = options.rpc?.[name];
+      return handler ? ok(handler(params, tables)) : fail(`Function ${name} is not available`);
+    },
+
+    uploadFile: (bucket, path, file) => {
+      if (files.has(`${bucket}/${path}`)) return fail('The resource already exists', '409');
+      files.set(`${bucket}/${path}`, file);
+      return ok({ path });
+    },
+    removeFiles: (bucket, paths) => {
+      paths.forEach(p => files.delete(`${bucket}/${p}`));
+      return ok(paths.map(name => ({ name })));
+    },
+    signUrls: (bucket, paths) => ok(paths.map(path => ({ path, signedUrl: `memory://${bucket}/${path}` }))),
+
+    subscribe: (table, match, onChange) => {
+      const subscriber = { table, match, onChange };
+      subscribers.add(subscriber);
+      return () => subscribers.delete(subscriber);
+    },
+  };
+};
+
+// Tables loaded for the open school, keyed by the name App keeps them under
+const SCHOOL_TABLES = {
+  classes: 'classes',
+  students: 'students',
+  feeStructures: 'fee_structures',
+  feeInstallments: 'fee_installments',
+  budgets: 'budgets',
+  yearClosings: 'year_closings',
+  statementLines: 'bank_statement_lines',
+  accounts: 'accounts',
+  transfers: 'account_transfers',
+  recurringTemplates: 'recurring_templates',
+  members: 'school_members',
+};
+
+/**
+ * Domain operations on top of a backend. The generic methods pass straight
+ * through; the rest combine several calls the way the screens need them.
+ */
+export const createDataService = (backend) => {
+  const writeListeners = new Set();
+
+  // Runs a write on the backend, then tells the write listeners
+  const notifyingWrite = (method) => async (table, ...args) => {
+    const result = await backend[method](table, ...args);
+    if (!result.error) writeListeners.forEach(listener => listener(table));
+    return result;
+  };
+  const insert = notifyingWrite('insert');
+  const update = notifyingWrite('update');
+  const remove = notifyingWrite('remove');
+
+  /**
+   * Adds a signed_url to each attachment row (the receipts bucket is private)
+   */
+  const signAttachments = async (rows) => {
+    if (rows.length === 0) return rows;
+    const { data, error } = await backend.signUrls(RECEIPT_BUCKET, rows.map(a => a.file_path), SIGNED_URL_TTL_SECONDS);
+
+    if (error) {
+      console.error("Error signing attachment URLs:", error);
+      return rows;
+    }
+    return rows.map(a => ({ ...a, signed_url: data.find(d => d.path === a.file_path)?.signedUrl || "" }));
+  };
+
+  /**
+   * The transactions the screens hold: those dated from `from` on (every
+   * one without it), plus older ones still needed for what they link to:
+   * expenses waiting for approval, recurring postings, fee receipts and the
+   * trash. Each row once.
+   */
+  const listSchoolTransactions = async (schoolId, from) => {
+    const match = { school_id: schoolId };
+    const notNull = (column) => ({ filters: [{ column, op: 'notNull' }] });
+    const results = await Promise.all(from
+      ? [
+          backend.list('transactions', match, { filters: [{ column: 'date', op: 'gte', value: from }] }),
+          backend.list('transactions', { ...match, status: STATUS_PENDING, deleted_at: null }),
+          backend.list('transactions', match, notNull('recurring_template_id')),
+          backend.list('transactions', match, notNull('student_id')),
+          backend.list('transactions', match, notNull('deleted_at')),
+        ]
+      : [backend.list('transactions', match)]);
+
+    const error = results.find(r => r.error)?.error;
+    if (error) return { data: null, error };
+    const rows = new Map(results.flatMap(r => r.data).map(t => [t.id, t]));
+    return { data: [...rows.values()], error: null };
+  };
+
+  // Transactions per head and type, trashed ones included (head_usage)
+  const getHeadUsage = async (schoolId) => {
+    const { data, error } = await backend.rpc('head_usage', { p_school_id: schoolId });
+    return error ? { data: null, error } : { data: data.map(u => ({ ...u, transactions: Number(u.transactions) })), error: null };
+  };
+
+  // Approved money in and out per account before a date (account_totals_before)
+  const getAccountTotalsBefore = async (schoolId, date) => {
+    const { data, error } = await backend.rpc('account_totals_before', { p_school_id: schoolId, p_before: date });
+    if (error) return { data: null, error };
+    return { data: data.map(a => ({ accountId: a.account_id, moneyIn: Number(a.money_in), moneyOut: Number(a.money_out) })), error: null };
+  };
+
+  /**
+   * Everything a school's screens show, with trashed heads and transactions
+   * kept apart. options.from: the earliest date to hold transactions from
+   * (see listSchoolTransactions); what the older ones added to each account
+   * comes as earlierAccountTotals. Invitations are only visible to admins,
+   * so a failure there just means an empty list.
+   */
+  const loadSchoolData = async (schoolId, { from = null } = {}) => {
+    const match = { school_id: schoolId };
+    const [headsRes, transactionsRes, firstRes, usageRes, earlierRes, attachmentsRes, invitationsRes, ...tableResults] = await Promise.all([
+      backend.list('heads', match),
+      listSchoolTransactions(schoolId, from),
+      backend.list('transactions', { ...match, deleted_at: null }, { orderBy: 'date', page: { offset: 0, limit: 1 } }),
+      getHeadUsage(schoolId),
+      from ? getAccountTotalsBefore(schoolId, from) : { data: [], error: null },
+      backend.list('transaction_attachments', match),
+      backend.list('school_invitations', match),
+      ...Object.values(SCHOOL_TABLES).map(table => backend.list(table, match)),
+    ]);
+
+    const error = [headsRes, transactionsRes, firstRes, usageRes, earlierRes, attachmentsRes, ...tableResults].find(r => r.error)?.error;
+    if (error) return { data: null, error };
+
+    return {
+      data: {
+        heads: headsRes.data.filter(h => !h.deleted_at),
+        trashedHeads: headsRes.data.filter(h => h.deleted_at),
+        transactions: transactionsRes.data.filter(t => !t.deleted_at),
+        trashedTransactions: transactionsRes.data.filter(t => t.deleted_at),
+        firstTransactionDate: firstRes.data[0]?.date || null,
+        headUsage: usageRes.data,
+        earlierAccountTotals: earlierRes.data,
+        attachments: await signAttachments(attachmentsRes.data),
+        invitations: invitationsRes.data || [],
+        ...Object.fromEntries(Object.keys(SCHOOL_TABLES).map((key, index) => [key, tableResults[index].data])),
+      },
+      error: null,
+    };
+  };
+
+  // One page of the transactions list (see ledger.js for filter), worked
+  // out by the ledger_page database function
+  const listLedgerPage = async (schoolId, filter, page) => {
+    const sort = filter.sort || DEFAULT_SORT;
+    const { data, error } = await backend.rpc('ledger_page', {
+      p_school_id: schoolId,
+      p_start_date: filter.startDate,
+      p_end_date: filter.endDate,
+      p_include_pending: filter.includePending,
+      p_filter: toFilterParams(filter.criteria),
+      p_sort: sort.column,
+      p_ascending: sort.ascending,
+      p_offset: page.offset,
+      p_limit: page.limit,
+    });
+    return error ? { data: null, count: 0, error } : { data: data.rows, count: data.count, error: null };
+  };
+
+  return {
+    ...backend,
+    insert,
+    update,
+    remove,
+    signAttachments,
+    loadSchoolData,
+    getHeadUsage,
+    getAccountTotalsBefore,
+    listLedgerPage,
+
+    // listener(table) after every write that went through; returns the
+    // unsubscribe function
+    subscribeWrites: (listener) => {
+      writeListeners.add(listener);
+      return () => writeListeners.delete(listener);
+    },
+
+    // The schools a user belongs to, each row with its `schools` record
+    listMemberships: (userId) =>
+      backend.list('school_members', { user_id: userId }, { embed: { schools: 'id, name, approval_threshold, address, registration_number, logo_path' } }),
+
+    listAuditLog: (schoolId) =>
+      backend.list('audit_log', { school_id: schoolId }, { orderBy: 'changed_at', ascending: false }),
+
+    // Soft delete for heads and transactions: the row moves to the trash
+    moveToTrash: (table, id, userId) =>
+      update(table, { id }, { deleted_at: new Date().toISOString(), deleted_by: userId }),
+
+    restoreFromTrash: (table, id) =>
+      update(table, { id }, { deleted_at: null, deleted_by: null }),
+
+    // Every transaction of the list, for the exports: ledger_page read in
+    // chunks, so neither the browser's rows nor a row limit decide it
+    listFilteredTransactions: async (schoolId, filter) => {
+      const rows = [];
+      for (let offset = 0; ; offset += LIST_CHUNK_SIZE) {
+        const { data, count, error } = await listLedgerPage(schoolId, filter, { offset, limit: LIST_CHUNK_SIZE });
+        if (error) return { data: null, error };
+        rows.push(...data);
+        if (rows.length >= count || data.length === 0) return { data: rows, error: null };
+      }
+    },
+
+    // P&L per head worked out by the database; no dates means all time.
+    // criteria: as in transactionFilters.js
+    getPLSummary: async (schoolId, { startDate = null, endDate = null, includePending = false, criteria }) => {
+      const { data, error } = await backend.rpc('pl_summary', {
+        p_school_id: schoolId,
+        p_start_date: startDate,
+        p_end_date: endDate,
+        p_include_pending: includePending,
+        p_filter: toFilterParams(criteria),
+      });
+      return error ? { data: null, error } : { data: toPLSummaryData(data), error: null };
+    },
+
+    // The same P&L per calendar month (for the charts and comparative reports)
+    getMonthlyPLSummary: async (schoolId, { startDate, endDate, includePending = false, criteria }) => {
+      const { data, error } = await backend.rpc('monthly_pl_summary', {
+        p_school_id: schoolId,
+        p_start_date: startDate,
+        p_end_date: endDate,
+        p_include_pending: includePending,
+        p_filter: toFilterParams(criteria),
+      });
+      return error ? { data: null, error } : { data: toMonthlyPLSummaryData(data), error: null };
+    },
+  };
+};
@@ -0,0 +1,272 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { LIST_CHUNK_SIZE, createDataService, createMemoryBackend, createSupabaseBackend } from './dataService';
+import { getPLSummaryData } from './reports';
+
+const SCHOOL = 'school-1';
+const OTHER_SCHOOL = 'school-2';
+
+const seed = () => ({
+  schools: [
+    { id: SCHOOL, name: 'Green Valley School', approval_threshold: 10000 },
+    { id: OTHER_SCHOOL, name: 'Hill Side School', approval_threshold: null },
+  ],
+  school_members: [
+    { school_id: SCHOOL, user_id: 'user-1', role: 'admin' },
+    { school_id: OTHER_SCHOOL, user_id: 'user-2', role: 'admin' },
+  ],
+  heads: [
+    { id: 'fees', school_id: SCHOOL, name: 'Tuition Fees', head_type: 'income' },
+    { id: 'old', school_id: SCHOOL, name: 'Old Head', head_type: 'expense', deleted_at: '2026-04-01T00:00:00Z' },
+    { id: 'other', school_id: OTHER_SCHOOL, name: 'Fees', head_type: 'income' },
+  ],
+  transactions: [
+    { id: 't1', school_id: SCHOOL, head_id: 'fees', type: 'income', amount: 5000, date: '2026-04-05' },
+    { id: 't2', school_id: OTHER_SCHOOL, head_id: 'other', type: 'income', amount: 900, date: '2026-04-05' },
+  ],
+  transaction_attachments: [
+    { id: 'a1', school_id: SCHOOL, transaction_id: 't1', file_path: `${SCHOOL}/t1/receipt.jpg` },
+  ],
+});
+
+// The book_totals database functions, over the memory tables
+const bookTotals = {
+  head_usage: ({ p_school_id }, tables) => Object.values(tables.transactions
+    .filter(t => t.school_id === p_school_id && t.head_id)
+    .reduce((acc, t) => {
+      const key = `${t.head_id}|${t.type}`;
+      acc[key] = { head_id: t.head_id, type: t.type, transactions: (acc[key]?.transactions || 0) + 1 };
+      return acc;
+    }, {})),
+  account_totals_before: ({ p_school_id, p_before }, tables) => Object.values(tables.transactions
+    .filter(t => t.school_id === p_school_id && t.account_id && !t.deleted_at && (t.status || 'approved') === 'approved' && t.date < p_before)
+    .reduce((acc, t) => {
+      const totals = acc[t.account_id] || { account_id: t.account_id, money_in: 0, money_out: 0 };
+      acc[t.account_id] = { ...totals, [t.type === 'income' ? 'money_in' : 'money_out']: totals[t.type === 'income' ? 'money_in' : 'money_out'] + t.amount };
+      return acc;
+    }, {})),
+};
+
+describe('memory data service', () => {
+  let backend;
+  let db;
+
+  beforeEach(() => {
+    backend = createMemoryBackend(seed(), {
+      unique: { accounts: [['school_id', 'name']] },
+      rpc: { ...bookTotals, count_heads: ({ p_school_id }, tables) => tables.heads.filter(h => h.school_id === p_school_id).length },
+    });
+    db = createDataService(backend);
+  });
+
+  it('loads only the current school, with the trash kept apart', async () => {
+    const { data, error } = await db.loadSchoolData(SCHOOL);
+
+    expect(error).toBeNull();
+    expect(data.heads.map(h => h.id)).toEqual(['fees']);
+    expect(data.trashedHeads.map(h => h.id)).toEqual(['old']);
+    expect(data.transactions.map(t => t.id)).toEqual(['t1']);
+    expect(data.members).toHaveLength(1);
+    expect(data.accounts).toEqual([]);
+    expect(data.attachments[0].signed_url).toBe(`memory://receipts/${SCHOOL}/t1/receipt.jpg`);
+  });
+
+  it('loads transactions from a date, the older ones still linked to something, and the totals before', async () => {
+    await db.insert('transactions', [
+      { id: 'old-cash', school_id: SCHOOL, head_id: 'fees', account_id: 'cash', type: 'income', amount: 700, date: '2024-06-01' },
+      { id: 'old-bill', school_id: SCHOOL, head_id: 'fees', account_id: 'cash', type: 'expense', amount: 200, date: '2024-07-01' },
+      { id: 'old-pending', school_id: SCHOOL, head_id: 'fees', account_id: 'cash', type: 'expense', amount: 90000, date: '2024-07-02', status: 'pending' },
+      { id: 'old-rent', school_id: SCHOOL, head_id: 'fees', account_id: 'cash', type: 'expense', amount: 100, date: '2024-08-01', recurring_template_id: 'rent' },
+      { id: 'old-receipt', school_id: SCHOOL, head_id: 'fees', account_id: 'cash', type: 'income', amount: 50, date: '2024-09-01', student_id: 's1' },
+      { id: 'old-trashed', school_id: SCHOOL, head_id: 'fees', account_id: 'cash', type: 'income', amount: 9, date: '2024-10-01', deleted_at: '2026-04-01T00:00:00Z' },
+    ]);
+
+    const { data, error } = await db.loadSchoolData(SCHOOL, { from: '2025-04-01' });
+
+    expect(error).toBeNull();
+    expect(data.transactions.map(t => t.id).sort()).toEqual(['old-pending', 'old-receipt', 'old-rent', 't1']);
+    expect(data.trashedTransactions.map(t => t.id)).toEqual(['old-trashed']);
+    expect(data.firstTransactionDate).toBe('2024-06-01');
+    expect(data.earlierAccountTotals).toEqual([{ accountId: 'cash', moneyIn: 750, moneyOut: 300 }]);
+    expect(data.headUsage).toEqual([
+      { head_id: 'fees', type: 'income', transactions: 4 },
+      { head_id: 'fees', type: 'expense', transactions: 3 },
+    ]);
+  });
+
+  it('lists memberships with their school', async () => {
+    const { data } = await db.listMemberships('user-1');
+    expect(data).toHaveLength(1);
+    expect(data[0].role).toBe('admin');
+    expect(data[0].schools).toEqual({ id: SCHOOL, name: 'Green Valley School', approval_threshold: 10000 });
+  });
+
+  it('adds a head and a transaction, and the P&L picks them up', async () => {
+    const { data: heads } = await db.insert('heads', [{ school_id: SCHOOL, name: 'Electricity', head_type: 'expense' }]);
+    expect(heads[0].id).toBeTruthy();
+
+    await db.insert('transactions', [{ school_id: SCHOOL, head_id: heads[0].id, type: 'expense', amount: 1200, date: '2026-04-06' }]);
+
+    const { data } = await db.loadSchoolData(SCHOOL);
+    expect(getPLSummaryData(data.transactions, data.heads)).toEqual([
+      { Head: 'Electricity', Type: 'expense', Income: 0, Expense: 1200, Net: -1200 },
+      { Head: 'Tuition Fees', Type: 'income', Income: 5000, Expense: 0, Net: 5000 },
+    ]);
+  });
+
+  it('updates only the matching rows and returns them', async () => {
+    const { data, error } = await db.update('transactions', { id: 't1' }, { amount: 5500 });
+
+    expect(error).toBeNull();
+    expect(data).toEqual([expect.objectContaining({ id: 't1', amount: 5500 })]);
+    expect(backend.tables.transactions.find(t => t.id === 't2').amount).toBe(900);
+  });
+
+  it('reassigns every transaction of a head in one update', async () => {
+    await db.insert('transactions', [{ school_id: SCHOOL, head_id: 'fees', type: 'income', amount: 100, date: '2026-04-07' }]);
+    const { data } = await db.update('transactions', { head_id: 'fees' }, { head_id: 'new-fees' });
+    expect(data).toHaveLength(2);
+  });
+
+  it('moves a transaction to the trash and restores it', async () => {
+    await db.moveToTrash('transactions', 't1', 'user-1');
+    let { data } = await db.loadSchoolData(SCHOOL);
+    expect(data.transactions).toEqual([]);
+    expect(data.trashedTransactions[0]).toEqual(expect.objectContaining({ id: 't1', deleted_by: 'user-1' }));
+
+    await db.restoreFromTrash('transactions', 't1');
+    ({ data } = await db.loadSchoolData(SCHOOL));
+    expect(data.transactions.map(t => t.id)).toEqual(['t1']);
+    expect(data.trashedTransactions).toEqual([]);
+  });
+
+  it('deletes rows by a multi-column match', async () => {
+    await db.insert('budgets', [
+      { school_id: SCHOOL, head_id: 'fees', financial_year: '2026-27', month: 0, amount: 100 },
+      { school_id: SCHOOL, head_id: 'fees', financial_year: '2025-26', month: 0, amount: 90 },
+    ]);
+    await db.remove('budgets', { school_id: SCHOOL, head_id: 'fees', financial_year: '2026-27' });
+
+    const { data } = await db.list('budgets', { school_id: SCHOOL });
+    expect(data.map(b => b.financial_year)).toEqual(['2025-26']);
+  });
+
+  it('rejects duplicates like a unique index', async () => {
+    await db.insert('accounts', [{ school_id: SCHOOL, name: 'Cash in Hand', account_type: 'cash' }]);
+    const { data, error } = await db.insert('accounts', [{ school_id: SCHOOL, name: 'Cash in Hand', account_type: 'cash' }]);
+
+    expect(data).toBeNull();
+    expect(error.code).toBe('23505');
+    expect((await db.insert('accounts', [{ school_id: OTHER_SCHOOL, name: 'Cash in Hand', account_type: 'cash' }])).error).toBeNull();
+  });
+
+  it('orders the audit log newest first', async () => {
+    await db.insert('audit_log', [
+      { school_id: SCHOOL, changed_at: '2026-04-01T10:00:00Z' },
+      { school_id: SCHOOL, changed_at: '2026-04-03T10:00:00Z' },
+    ]);
+    const { data } = await db.listAuditLog(SCHOOL);
+    expect(data.map(e => e.changed_at)).toEqual(['2026-04-03T10:00:00Z', '2026-04-01T10:00:00Z']);
+  });
+
+  it('calls registered functions and reports unknown ones', async () => {
+    expect((await db.rpc('count_heads', { p_school_id: SCHOOL })).data).toBe(2);
+    expect((await db.rpc('create_school', { p_name: 'New' })).error.message).toMatch(/not available/);
+  });
+
+  it('stores and removes files', async () => {
+    await db.uploadFile('receipts', `${SCHOOL}/t1/bill.pdf`, { name: 'bill.pdf' });
+    expect((await db.uploadFile('receipts', `${SCHOOL}/t1/bill.pdf`, {})).error).not.toBeNull();
+
+    await db.removeFiles('receipts', [`${SCHOOL}/t1/bill.pdf`]);
+    expect(backend.files.size).toBe(0);
+  });
+
+  it('tells write listeners about writes that went through', async () => {
+    const written = [];
+    const unsubscribe = db.subscribeWrites(table => written.push(table));
+
+    await db.insert('transactions', [{ school_id: SCHOOL, head_id: 'fees', type: 'income', amount: 100, date: '2026-04-07' }]);
+    await db.moveToTrash('transactions', 't1', 'user-1');
+    await db.remove('transaction_attachments', { id: 'a1' });
+    await db.insert('accounts', [{ school_id: SCHOOL, name: 'Cash', account_type: 'cash' }]);
+    await db.insert('accounts', [{ school_id: SCHOOL, name: 'Cash', account_type: 'cash' }]);
+    await db.list('transactions', { school_id: SCHOOL });
+    unsubscribe();
+    await db.update('transactions', { id: 't1' }, { amount: 1 });
+
+    expect(written).toEqual(['transactions', 'transactions', 'transaction_attachments', 'accounts']);
+  });
+
+  it('reads the whole filtered list for exports in chunks of ledger_page', async () => {
+    const rows = Array.from({ length: LIST_CHUNK_SIZE + 5 }, (_, i) => ({ id: `t${i}` }));
+    const asked = [];
+    const paged = createDataService(createMemoryBackend({}, {
+      rpc: {
+        ledger_page: ({ p_offset, p_limit, p_sort }) => {
+          asked.push([p_offset, p_limit, p_sort]);
+          return { count: rows.length, rows: rows.slice(p_offset, p_offset + p_limit) };
+        },
+      },
+    }));
+
+    const { data, error } = await paged.listFilteredTransactions(SCHOOL, { startDate: '2026-04-01', endDate: '2027-03-31', includePending: false });
+
+    expect(error).toBeNull();
+    expect(data).toEqual(rows);
+    expect(asked).toEqual([[0, LIST_CHUNK_SIZE, 'date'], [LIST_CHUNK_SIZE, LIST_CHUNK_SIZE, 'date']]);
+  });
+
+  it('hands out copies, so callers cannot change stored rows', async () => {
+    const { data } = await db.list('transactions', { id: 't1' });
+    data[0].amount = 1;
+    expect(backend.tables.transactions.find(t => t.id === 't1').amount).toBe(5000);
+  });
+});
+
+describe('supabase backend', () => {
+  // A stand-in for supabase-js: records the query and answers each range
+  // from `rows`, as PostgREST would with its row cap
+  const fakeClient = (rows, requests) => ({
+    from: (table) => {
+      const request = { table, orders: [], range: null };
+      const query = {
+        select: () => query,
+        eq: () => query,
+        is: () => query,
+        order: (column) => {
+          request.orders.push(column);
+          return query;
+        },
+        range: (from, to) => {
+          request.range = [from, to];
+          requests.push(request);
+          return Promise.resolve({ data: rows.slice(from, to + 1), error: null, count: rows.length });
+        },
+      };
+      return query;
+    },
+  });
+
+  it('reads every row in chunks when no page is asked for', async () => {
+    const rows = Array.from({ length: LIST_CHUNK_SIZE * 2 + 5 }, (_, i) => ({ id: `t${i}` }));
+    const requests = [];
+    const { data, error } = await createSupabaseBackend(fakeClient(rows, requests)).list('transactions', { school_id: SCHOOL });
+
+    expect(error).toBeNull();
+    expect(data).toHaveLength(rows.length);
+    expect(requests.map(r => r.range)).toEqual([[0, 999], [1000, 1999], [2000, 2999]]);
+    expect(requests.every(r => r.orders.join() === 'id')).toBe(true);
+  });
+
+  it('orders chunks by the key of tables without an id, and reads one range for a page', async () => {
+    const requests = [];
+    const backend = createSupabaseBackend(fakeClient([{ school_id: SCHOOL, user_id: 'user-1' }], requests));
+    await backend.list('school_members', { user_id: 'user-1' });
+    await backend.list('transactions', {}, { orderBy: 'date', page: { offset: 50, limit: 50 } });
+
+    expect(requests).toEqual([
+      { table: 'school_members', orders: ['school_id', 'user_id'], range: [0, 999] },
+      { table: 'transactions', orders: ['date'], range: [50, 99] },
+    ]);
+  });
+});
@@ -0,0 +1,219 @@
+// =========================================================================
+// DATE & PERIOD HELPERS
+// All dates in the app are plain "YYYY-MM-DD" strings for the school's
+// local calendar day (IST). Never go through toISOString() for a date:
+// it converts to UTC and moves late-evening entries to the wrong day.
+// =========================================================================
+
+export const APP_TIME_ZONE = 'Asia/Kolkata';
+
+// Financial year runs April to March
+export const FY_START_MONTH = 4;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Builds a YYYY-MM-DD string from calendar parts
+ */
+export const makeDate = (year, month, day) => `${year}-${pad(month)}-${pad(day)}`;
+
+/**
+ * Splits a YYYY-MM-DD string into numbers without any time-zone conversion
+ */
+export const parseDate = (dateString) => {
+  const [year, month, day] = String(dateString).slice(0, 10).split('-').map(Number);
+  return { year, month, day };
+};
+
+/**
+ * Today's date in the school's time zone, as YYYY-MM-DD
+ */
+export const getTodayDate = () => {
+  // en-CA formats as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: APP_TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(new Date());
+};
+
+/**
+ * Calendar day (YYYY-MM-DD) of a timestamp in the school's time zone
+ */
+export const getDateInAppZone = (timestamp) => {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: APP_TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(new Date(timestamp));
+};
+
+/**
+ * Normalises a Date or date string to YYYY-MM-DD for input values.
+ * Strings that are already dates are returned untouched.
+ */
+export const formatDateForInput = (date) => {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}/.test(date)) {
+    return date.slice(0, 10);
+  }
+  const d = new Date(date);
+  return makeDate(d.getFullYear(), d.getMonth() + 1, d.getDate());
+};
+
+/**
+ * DD/MM/YYYY for tables, without shifting the day
+ */
+export const formatDisplayDate = (dateString) => {
+  if (!dateString) return '';
+  const { year, month, day } = parseDate(dateString);
+  return `${pad(day)}/${pad(month)}/${year}`;
+};
+
+export const daysInMonth = (year, month) => new Date(year, month, 0).getDate();
+
+/**
+ * Adds (or subtracts) whole days to a YYYY-MM-DD string
+ */
+export const addDays = (dateString, days) => {
+  const { year, month, day } = parseDate(dateString);
+  const d = new Date(year, month - 1, day + days);
+  return makeDate(d.getFullYear(), d.getMonth() + 1, d.getDate());
+};
+
+/**
+ * Inclusive range check on YYYY-MM-DD strings (they sort lexically)
+ */
+export const isDateInRange = (dateString, startDate, endDate) => {
+  if (!dateString) return false;
+  const d = String(dateString).slice(0, 10);
+  return d >= startDate && d <= endDate;
+};
+
+export const getMonthStart = (dateString) => {
+  const { year, month } = parseDate(dateString);
+  return makeDate(year, month, 1);
+};
+
+export const getMonthEnd = (dateString) => {
+  const { year, month } = parseDate(dateString);
+  return makeDate(year, month, daysInMonth(year, month));
+};
+
+// =========================================================================
+// FINANCIAL YEAR (April - March)
+// =========================================================================
+
+/**
+ * Financial year label ("2025-26") for a calendar year and month
+ */
+export const getFinancialYearLabel = (year, month) => {
+  const startYear = month >= FY_START_MONTH ? year : year - 1;
+  return `${startYear}-${pad((startYear + 1) % 100)}`;
+};
+
+/**
+ * Financial year containing the given date
+ */
+export const getFinancialYear = (dateString) => {
+  const { year, month } = parseDate(dateString);
+  const startYear = month >= FY_START_MONTH ? year : year - 1;
+  return getFinancialYearByStartYear(startYear);
+};
+
+export const getFinancialYearByStartYear = (startYear) => ({
+  label: `${startYear}-${pad((startYear + 1) % 100)}`,
+  startYear,
+  startDate: makeDate(startYear, FY_START_MONTH, 1),
+  endDate: makeDate(startYear + 1, FY_START_MONTH - 1, daysInMonth(startYear + 1, FY_START_MONTH - 1)),
+});
+
+/**
+ * Financial year from its label, e.g. "2025-26"
+ */
+export const getFinancialYearFromLabel = (label) => {
+  return getFinancialYearByStartYear(parseInt(String(label).slice(0, 4), 10));
+};
+
+/**
+ * Quarter of the financial year (Q1 = Apr-Jun) containing the date
+ */
+export const getFinancialQuarter = (dateString) => {
+  const { year, month } = parseDate(dateString);
+  const fyMonthIndex = (month - FY_START_MONTH + 12) % 12; // 0 = April
+  const quarter = Math.floor(fyMonthIndex / 3) + 1;
+  const startMonthIndex = (quarter - 1) * 3;
+  const startMonth = ((FY_START_MONTH - 1 + startMonthIndex) % 12) + 1;
+  const startYear = startMonth > month ? year - 1 : year;
+  const endMonth = ((startMonth + 1) % 12) + 1;
+  const endYear = endMonth < startMonth ? startYear + 1 : startYear;
+
+  return {
+    quarter,
+    startDate: makeDate(startYear, startMonth, 1),
+    endDate: makeDate(endYear, endMonth, daysInMonth(endYear, endMonth)),
+  };
+};
+
+/**
+ * Quick period presets for the report period selector
+ */
+export const getPeriodPresets = (today = getTodayDate()) => {
+  const lastMonthDate = addDays(getMonthStart(today), -1);
+  const quarter = getFinancialQuarter(today);
+  const currentFy = getFinancialYear(today);
+  const previousFy = getFinancialYearByStartYear(currentFy.startYear - 1);
+
+  return [
+    { key: 'this-month', label: 'This Month', startDate: getMonthStart(today), endDate: getMonthEnd(today) },
+    { key: 'last-month', label: 'Last Month', startDate: getMonthStart(lastMonthDate), endDate: getMonthEnd(lastMonthDate) },
+    { key: 'this-quarter', label: `This Quarter (Q${quarter.quarter})`, startDate: quarter.startDate, endDate: quarter.endDate },
+    { key: 'this-fy', label: `FY ${currentFy.label}`, startDate: currentFy.startDate, endDate: currentFy.endDate },
+    { key: 'previous-fy', label: `Previous FY (${previousFy.label})`, startDate: previousFy.startDate, endDate: previousFy.endDate },
+  ];
+};
+
+// =========================================================================
+// PARSING DATES FROM IMPORTED FILES
+// =========================================================================
+
+export const IMPORT_DATE_FORMATS = ['DD/MM/YYYY', 'DD-MM-YYYY', 'DD-MMM-YYYY', 'YYYY-MM-DD', 'MM/DD/YYYY'];
+
+const MONTH_ABBREVIATIONS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Reads a date cell written in one of IMPORT_DATE_FORMATS and returns
+ * YYYY-MM-DD, or null when it does not parse to a real calendar day.
+ * Two-digit years are taken as 20xx.
+ */
+export const parseDateWithFormat = (value, format) => {
+  const parts = String(value ?? '').trim().split(/[^0-9A-Za-z]+/).filter(Boolean);
+  if (parts.length < 3) return null;
+
+  let year;
+  let month;
+  let day;
+  switch (format) {
+    case 'YYYY-MM-DD':
+      [year, month, day] = parts;
+      break;
+    case 'MM/DD/YYYY':
+      [month, day, year] = parts;
+      break;
+    case 'DD-MMM-YYYY':
+      [day, month, year] = parts;
+      month = MONTH_ABBREVIATIONS.indexOf(month.slice(0, 3).toLowerCase()) + 1;
+      break;
+    default: // DD/MM/YYYY and DD-MM-YYYY
+      [day, month, year] = parts;
+  }
+
+  year = Number(year);
+  month = Number(month);
+  day = Number(day);
+  if (year < 100) year += 2000;
+
+  if (!year || !month || !day || month > 12 || day > daysInMonth(year, month)) return null;
+  return makeDate(year, month, day);
+};
@@ -0,0 +1,10 @@
+// src/db.js
+// The app's data service, backed by Supabase (see dataService.js). Reads
+// are cached in IndexedDB and heads/transactions edits made offline are
+// queued until the connection returns (see offlineSync.js).
+import { createDataService, createSupabaseBackend } from './dataService';
+import { createIndexedDbStore } from './offlineStore';
+import { createOfflineBackend } from './offlineSync';
+import { supabase } from './supabase';
+
+export const db = createDataService(createOfflineBackend(createSupabaseBackend(supabase), createIndexedDbStore()));
@@ -0,0 +1,124 @@
+import { isDateInRange } from './dates';
+
+// =========================================================================
+// STUDENT FEE HELPERS
+// Pure calculations over classes, students, fee structures and the
+// fee income rows in `transactions` (linked through student_id).
+// =========================================================================
+
+/**
+ * Display label for a class, e.g. "Class 5 - A"
+ */
+export const getClassLabel = (cls) => {
+  if (!cls) return "No Class";
+  return cls.section ? `${cls.name} - ${cls.section}` : cls.name;
+};
+
+/**
+ * All installments that apply to a class, across its fee structures,
+ * sorted by due date. Each installment carries its structure's head_id.
+ */
+export const getClassInstallments = (classId, feeStructures, feeInstallments) => {
+  const structures = feeStructures.filter(fs => fs.class_id === classId);
+
+  return feeInstallments
+    .filter(i => structures.some(fs => fs.id === i.fee_structure_id))
+    .map(i => {
+      const structure = structures.find(fs => fs.id === i.fee_structure_id);
+      return { ...i, head_id: structure.head_id, structure_name: structure.name };
+    })
+    .sort((a, b) => new Date(a.due_date) - new Date(b.due_date));
+};
+
+/**
+ * Fee payments recorded for a student, oldest first
+ */
+export const getStudentPayments = (studentId, transactions) => {
+  return transactions
+    .filter(t => t.student_id === studentId && t.type === 'income')
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+};
+
+/**
+ * Builds a student's ledger: installments are debits, payments are credits.
+ * Payments are allocated to installments oldest-first to work out the
+ * status of each installment.
+ */
+export const getStudentLedger = (student, feeStructures, feeInstallments, transactions) => {
+  const installments = getClassInstallments(student.class_id, feeStructures, feeInstallments);
+  const payments = getStudentPayments(student.id, transactions);
+
+  const totalPaid = payments.reduce((acc, t) => acc + t.amount, 0);
+  const totalCharged = installments.reduce((acc, i) => acc + Number(i.amount), 0);
+
+  // Allocate payments oldest-first
+  let remaining = totalPaid;
+  const installmentStatus = installments.map(i => {
+    const amount = Number(i.amount);
+    const paid = Math.min(amount, remaining);
+    remaining -= paid;
+    return { ...i, amount, paid, balance: amount - paid };
+  });
+
+  // Running ledger (charges and payments interleaved by date)
+  const entries = [
+    ...installments.map(i => ({
+      date: i.due_date,
+      particulars: `${i.structure_name} - ${i.term}`,
+      debit: Number(i.amount),
+      credit: 0,
+    })),
+    ...payments.map(t => ({
+      date: t.date,
+      particulars: t.description || 'Fee received',
+      debit: 0,
+      credit: t.amount,
+    })),
+  ].sort((a, b) => new Date(a.date) - new Date(b.date) || b.debit - a.debit);
+
+  let running = 0;
+  const ledger = entries.map(e => {
+    running += e.debit - e.credit;
+    return { ...e, balance: running };
+  });
+
+  return {
+    installments: installmentStatus,
+    ledger,
+    totalCharged,
+    totalPaid,
+    outstanding: totalCharged - totalPaid,
+  };
+};
+
+/**
+ * Class-wise "collected vs due" for the report period.
+ * Due = installments falling due within the period x active students in the class.
+ * Collected = fee income from the class's students within the period.
+ */
+export const getClassFeeReportData = (classes, students, feeStructures, feeInstallments, transactionList, startDate, endDate) => {
+  return classes
+    .map(cls => {
+      const classStudents = students.filter(s => s.class_id === cls.id && s.active);
+      const studentIds = new Set(students.filter(s => s.class_id === cls.id).map(s => s.id));
+
+      const duePerStudent = getClassInstallments(cls.id, feeStructures, feeInstallments)
+        .filter(i => isDateInRange(i.due_date, startDate, endDate))
+        .reduce((acc, i) => acc + Number(i.amount), 0);
+
+      const due = duePerStudent * classStudents.length;
+      const collected = transactionList
+        .filter(t => t.type === 'income' && studentIds.has(t.student_id))
+        .reduce((acc, t) => acc + t.amount, 0);
+
+      return {
+        Class: getClassLabel(cls),
+        Students: classStudents.length,
+        Due: due,
+        Collected: collected,
+        Outstanding: due - collected,
+      };
+    })
+    .filter(item => item.Due > 0 || item.Collected > 0)
+    .sort((a, b) => a.Class.localeCompare(b.Class));
+};
@@ -0,0 +1,45 @@
+import { isGroupHead } from './headTree';
+import { countHeadTransactions, getSelectableHeads } from './trash';
+
+// =========================================================================
+// RENAME, RETYPE AND MERGE CHECKS
+// The database enforces the type-change and merge rules (see the
+// head_editing migration); these give the user the reason before anything
+// is sent. Duplicate head names are only caught here.
+// =========================================================================
+
+/**
+ * Another head with the same name, ignoring case and spaces around it
+ */
+export const findDuplicateHeadName = (heads, name, exceptId = null) => {
+  const wanted = String(name).trim().toLowerCase();
+  return heads.find(h => h.id !== exceptId && h.name.trim().toLowerCase() === wanted);
+};
+
+/**
+ * Why the head's type cannot be switched, or null when it can.
+ * used: { headUsage (see countHeadTransactions), feeStructures, recurringTemplates }
+ */
+export const getTypeChangeBlocker = (head, heads, used) => {
+  const transactionCount = countHeadTransactions(used.headUsage, head.id, head.head_type);
+
+  if (transactionCount > 0) {
+    return `"${head.name}" has ${transactionCount} ${head.head_type} transactions. Merge it into another ${head.head_type} head instead.`;
+  }
+  if (head.parent_id || isGroupHead(heads, head.id)) {
+    return `"${head.name}" is part of a group. Move it out of the group first.`;
+  }
+  if (used.feeStructures.some(fs => fs.head_id === head.id)) {
+    return `"${head.name}" is used by fee structures.`;
+  }
+  if (used.recurringTemplates.some(rt => rt.head_id === head.id)) {
+    return `"${head.name}" is used by recurring templates.`;
+  }
+  return null;
+};
+
+/**
+ * Heads another head can be merged into: same type, not a group, not archived
+ */
+export const getMergeTargets = (heads, head) =>
+  isGroupHead(heads, head.id) ? [] : getSelectableHeads(heads, head.head_type).filter(h => h.id !== head.id);
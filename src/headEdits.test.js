@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+import { findDuplicateHeadName, getMergeTargets, getTypeChangeBlocker } from './headEdits';
+
+const heads = [
+  { id: 'elec', name: 'Electricity', head_type: 'expense' },
+  { id: 'elec-bill', name: 'Electricity Bill', head_type: 'expense' },
+  { id: 'old', name: 'Old Repairs', head_type: 'expense', archived: true },
+  { id: 'utilities', name: 'Utilities', head_type: 'expense' },
+  { id: 'water', name: 'Water', head_type: 'expense', parent_id: 'utilities' },
+  { id: 'fees', name: 'Tuition Fees', head_type: 'income' },
+];
+
+const unused = { headUsage: [], feeStructures: [], recurringTemplates: [] };
+
+describe('findDuplicateHeadName', () => {
+  it('matches names regardless of case and surrounding spaces', () => {
+    expect(findDuplicateHeadName(heads, '  electricity ')?.id).toBe('elec');
+  });
+
+  it('ignores the head being renamed', () => {
+    expect(findDuplicateHeadName(heads, 'Electricity', 'elec')).toBeUndefined();
+  });
+});
+
+describe('getTypeChangeBlocker', () => {
+  it('allows a head nothing depends on', () => {
+    expect(getTypeChangeBlocker(heads[1], heads, unused)).toBeNull();
+  });
+
+  it('blocks a head with transactions of its type, trashed ones included', () => {
+    const used = { ...unused, headUsage: [{ head_id: 'elec-bill', type: 'expense', transactions: 1 }, { head_id: 'elec', type: 'expense', transactions: 4 }] };
+    expect(getTypeChangeBlocker(heads[1], heads, used)).toMatch(/1 expense transactions/);
+  });
+
+  it('blocks heads inside a group tree and heads used elsewhere', () => {
+    expect(getTypeChangeBlocker(heads[3], heads, unused)).toMatch(/part of a group/);
+    expect(getTypeChangeBlocker(heads[4], heads, unused)).toMatch(/part of a group/);
+    expect(getTypeChangeBlocker(heads[5], heads, { ...unused, feeStructures: [{ head_id: 'fees' }] })).toMatch(/fee structures/);
+    expect(getTypeChangeBlocker(heads[1], heads, { ...unused, recurringTemplates: [{ head_id: 'elec-bill' }] })).toMatch(/recurring/);
+  });
+});
+
+describe('getMergeTargets', () => {
+  it('offers other active leaf heads of the same type', () => {
+    expect(getMergeTargets(heads, heads[1]).map(h => h.id)).toEqual(['elec', 'water']);
+  });
+
+  it('offers nothing for a group', () => {
+    expect(getMergeTargets(heads, heads[3])).toEqual([]);
+  });
+});
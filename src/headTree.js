@@ -0,0 +1,134 @@
+import { getPLTotals } from './reports';
+
+// =========================================================================
+// HEAD HIERARCHY
+// A head can sit under a group head (parent_id), to any depth, e.g.
+// Staff Costs → Teaching Salaries. Only heads without sub-heads take
+// entries; a group's P&L figures are the sum of everything below it.
+// A head whose parent is not in the list is shown at the top level.
+// =========================================================================
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+/**
+ * True when a head has sub-heads (and so cannot take entries)
+ */
+export const isGroupHead = (heads, headId) => heads.some(h => h.parent_id === headId);
+
+/**
+ * Heads in tree order with their depth: [{ head, depth }]
+ */
+export const getHeadTreeRows = (heads) => {
+  const ids = new Set(heads.map(h => h.id));
+  const visited = new Set();
+  const walk = (parentId, depth) => heads
+    .filter(h => (parentId === null ? !ids.has(h.parent_id) : h.parent_id === parentId) && !visited.has(h.id))
+    .sort(byName)
+    .flatMap(head => {
+      visited.add(head.id);
+      return [{ head, depth }, ...walk(head.id, depth + 1)];
+    });
+  return walk(null, 0);
+};
+
+/**
+ * "Staff Costs › Teaching Salaries"
+ */
+export const getHeadPath = (heads, headId) => {
+  const names = [];
+  const seen = new Set();
+  let head = heads.find(h => h.id === headId);
+  while (head && !seen.has(head.id)) {
+    seen.add(head.id);
+    names.unshift(head.name);
+    head = heads.find(h => h.id === head.parent_id);
+  }
+  return names.join(' › ');
+};
+
+/**
+ * Ids of every head below a head
+ */
+export const getDescendantIds = (heads, headId) => {
+  const found = [];
+  const queue = [headId];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    heads.filter(h => h.parent_id === current && !found.includes(h.id) && h.id !== headId).forEach(h => {
+      found.push(h.id);
+      queue.push(h.id);
+    });
+  }
+  return found;
+};
+
+/**
+ * Heads a head of `headType` can be placed under: same type, not the head
+ * itself or anything below it, and not a head that already has entries
+ * (isUsed(id)), since groups take none.
+ */
+export const getParentOptions = (heads, headType, headId, isUsed) => {
+  const excluded = headId ? [headId, ...getDescendantIds(heads, headId)] : [];
+  return getHeadTreeRows(heads).filter(({ head }) =>
+    head.head_type === headType && !excluded.includes(head.id) && !isUsed(head.id)
+  );
+};
+
+/**
+ * P&L summary rows (see getPLSummaryData) arranged under their groups:
+ * [{ key, Head, Type, Income, Expense, Net, depth, isGroup, children }].
+ * Groups carry the subtotal of everything below them and are left out when
+ * that is empty. Rows that match no head (Uncategorized) stay at the top.
+ */
+export const getPLTree = (plSummary, heads) => {
+  const rowsByName = new Map(plSummary.map(row => [row.Head, row]));
+  const placed = new Set();
+
+  const build = ({ head }, depth, rows) => {
+    const children = rows
+      .filter(r => r.depth === depth + 1 && r.head.parent_id === head.id)
+      .map(r => build(r, depth + 1, rows))
+      .filter(Boolean);
+    const own = rowsByName.get(head.name);
+    if (own) placed.add(head.name);
+    if (children.length === 0) return own ? { ...own, key: head.id, depth, isGroup: false, children } : null;
+
+    const sum = (field) => children.reduce((acc, c) => acc + c[field], own ? own[field] : 0);
+    const income = sum('Income');
+    const expense = sum('Expense');
+    return { key: head.id, Head: head.name, Type: head.head_type, Income: income, Expense: expense, Net: income - expense, depth, isGroup: true, children };
+  };
+
+  const treeRows = getHeadTreeRows(heads);
+  const roots = treeRows.filter(r => r.depth === 0).map(r => build(r, 0, treeRows)).filter(Boolean);
+  const unplaced = plSummary
+    .filter(row => !placed.has(row.Head))
+    .map(row => ({ ...row, key: `row:${row.Head}`, depth: 0, isGroup: false, children: [] }));
+
+  return [...roots, ...unplaced].sort((a, b) => a.Head.localeCompare(b.Head));
+};
+
+/**
+ * Visible rows of a P&L tree; the rows below collapsed groups (keys in
+ * `collapsed`) are hidden
+ */
+export const flattenPLTree = (nodes, collapsed = new Set()) =>
+  nodes.flatMap(node => [node, ...(collapsed.has(node.key) ? [] : flattenPLTree(node.children, collapsed))]);
+
+/**
+ * CSV rows of the P&L Head Summary: each group followed by what is under
+ * it, names indented by level and groups marked as subtotals, then TOTALS
+ */
+export const getPLTreeExportRows = (plSummary, heads) => {
+  const rows = flattenPLTree(getPLTree(plSummary, heads)).map(node => ({
+    Head: `${'    '.repeat(node.depth)}${node.Head}`,
+    Level: node.depth + 1,
+    Row: node.isGroup ? 'Subtotal' : 'Head',
+    Type: node.Type,
+    Income: node.Income,
+    Expense: node.Expense,
+    Net: node.Net,
+  }));
+  const totals = getPLTotals(plSummary);
+  return [...rows, { Head: "TOTALS", Level: "", Row: "Total", Type: "", Income: totals.income, Expense: totals.expense, Net: totals.net }];
+};
@@ -0,0 +1,102 @@
+import { describe, expect, it } from 'vitest';
+import {
+  flattenPLTree,
+  getDescendantIds,
+  getHeadPath,
+  getHeadTreeRows,
+  getParentOptions,
+  getPLTree,
+  getPLTreeExportRows,
+  isGroupHead,
+} from './headTree';
+import { getPLSummaryData } from './reports';
+import { getSelectableHeads } from './trash';
+
+const heads = [
+  { id: 'staff', name: 'Staff Costs', head_type: 'expense', parent_id: null },
+  { id: 'salaries', name: 'Salaries', head_type: 'expense', parent_id: 'staff' },
+  { id: 'teaching', name: 'Teaching Salaries', head_type: 'expense', parent_id: 'salaries' },
+  { id: 'nonteaching', name: 'Non-teaching Salaries', head_type: 'expense', parent_id: 'salaries' },
+  { id: 'pf', name: 'PF Contribution', head_type: 'expense', parent_id: 'staff' },
+  { id: 'rent', name: 'Rent', head_type: 'expense', parent_id: null },
+  { id: 'fees', name: 'Tuition Fees', head_type: 'income', parent_id: null },
+];
+
+const transactions = [
+  { head_id: 'teaching', type: 'expense', amount: 40000 },
+  { head_id: 'nonteaching', type: 'expense', amount: 15000 },
+  { head_id: 'pf', type: 'expense', amount: 4800 },
+  { head_id: 'fees', type: 'income', amount: 90000 },
+  { head_id: 'gone', type: 'expense', amount: 120 },
+];
+
+describe('head tree', () => {
+  it('lists heads in tree order with their depth', () => {
+    expect(getHeadTreeRows(heads).map(({ head, depth }) => `${depth}:${head.name}`)).toEqual([
+      '0:Rent',
+      '0:Staff Costs',
+      '1:PF Contribution',
+      '1:Salaries',
+      '2:Non-teaching Salaries',
+      '2:Teaching Salaries',
+      '0:Tuition Fees',
+    ]);
+  });
+
+  it('shows a head whose group is gone at the top level', () => {
+    const rows = getHeadTreeRows([{ id: 'x', name: 'Orphan', parent_id: 'trashed' }]);
+    expect(rows).toEqual([{ head: { id: 'x', name: 'Orphan', parent_id: 'trashed' }, depth: 0 }]);
+  });
+
+  it('knows groups, paths and descendants', () => {
+    expect(isGroupHead(heads, 'salaries')).toBe(true);
+    expect(isGroupHead(heads, 'teaching')).toBe(false);
+    expect(getHeadPath(heads, 'teaching')).toBe('Staff Costs › Salaries › Teaching Salaries');
+    expect(getDescendantIds(heads, 'staff').sort()).toEqual(['nonteaching', 'pf', 'salaries', 'teaching']);
+  });
+
+  it('offers only leaf heads for posting', () => {
+    expect(getSelectableHeads(heads, 'expense').map(h => h.id)).toEqual(['nonteaching', 'pf', 'rent', 'teaching']);
+  });
+
+  it('does not offer a head, its sub-heads or heads with entries as a parent', () => {
+    const used = new Set(['rent']);
+    const options = getParentOptions(heads, 'expense', 'salaries', id => used.has(id)).map(r => r.head.id);
+
+    expect(options).toEqual(['staff', 'pf']);
+  });
+});
+
+describe('P&L tree', () => {
+  const summary = getPLSummaryData(transactions, heads);
+
+  it('adds up every group level', () => {
+    const [staff] = getPLTree(summary, heads).filter(n => n.key === 'staff');
+    const salaries = staff.children.find(n => n.key === 'salaries');
+
+    expect(staff).toMatchObject({ isGroup: true, depth: 0, Expense: 59800, Net: -59800 });
+    expect(salaries).toMatchObject({ isGroup: true, depth: 1, Expense: 55000 });
+    expect(salaries.children.map(n => n.Head)).toEqual(['Non-teaching Salaries', 'Teaching Salaries']);
+  });
+
+  it('leaves out empty groups and keeps unknown heads at the top', () => {
+    const tree = getPLTree(summary, heads);
+    expect(tree.map(n => n.Head)).toEqual(['Staff Costs', 'Tuition Fees', 'Uncategorized']);
+  });
+
+  it('hides the rows below collapsed groups', () => {
+    const rows = flattenPLTree(getPLTree(summary, heads), new Set(['salaries']));
+    expect(rows.map(n => n.Head)).toEqual(['Staff Costs', 'PF Contribution', 'Salaries', 'Tuition Fees', 'Uncategorized']);
+  });
+
+  it('exports groups as indented subtotals with the leaf totals at the end', () => {
+    const rows = getPLTreeExportRows(summary, heads);
+
+    expect(rows.slice(0, 3).map(r => [r.Head, r.Level, r.Row])).toEqual([
+      ['Staff Costs', 1, 'Subtotal'],
+      ['    PF Contribution', 2, 'Head'],
+      ['    Salaries', 2, 'Subtotal'],
+    ]);
+    expect(rows[rows.length - 1]).toEqual({ Head: 'TOTALS', Level: '', Row: 'Total', Type: '', Income: 90000, Expense: 59920, Net: 30080 });
+  });
+});
@@ -0,0 +1,51 @@
+import { isCountedInReports } from './approvals';
+import { getPreviousPeriod } from './charts';
+import { getYearOverYearRange } from './comparative';
+import { getMonthStart, getTodayDate, isDateInRange } from './dates';
+import { DEFAULT_SORT, matchesCriteria, sortTransactions } from './transactionFilters';
+
+// =========================================================================
+// FILTERED TRANSACTIONS LIST
+// The list is read a page at a time from the database (db.listLedgerPage).
+// getLedgerPage gives the same page from transactions held in the browser,
+// for when the database cannot be asked (offline, or changes still queued).
+// filter: { startDate, endDate, includePending, criteria, sort }, with
+// criteria and sort as in transactionFilters.js (both optional)
+//
+// The browser holds the transactions from getLoadedRangeStart on, so the
+// fallback covers every report of the period; all-time figures need the
+// database.
+// =========================================================================
+
+export const LEDGER_PAGE_SIZE = 50;
+
+/**
+ * { rows, count }: the rows of the page, in sort order (newest first by
+ * default), and how many match. lookups: { heads, accounts, attachments }
+ * for sorting by name and the receipt criterion.
+ */
+export const getLedgerPage = (transactions, filter, page, lookups = {}) => {
+  const matching = transactions.filter(t =>
+    !t.deleted_at &&
+    isCountedInReports(t, filter.includePending) &&
+    isDateInRange(t.date, filter.startDate, filter.endDate) &&
+    (!filter.criteria || matchesCriteria(t, filter.criteria, lookups.attachments))
+  );
+  const rows = sortTransactions(matching, filter.sort || DEFAULT_SORT, lookups);
+
+  return { rows: rows.slice(page.offset, page.offset + page.limit), count: rows.length };
+};
+
+/**
+ * First day of the transactions the browser loads for a report period: the
+ * start of last financial year, or earlier when the period, the period
+ * before it (dashboard growth) or the FY before the period's (year over
+ * year) reaches back further. Always the first of a month.
+ */
+export const getLoadedRangeStart = (periodStart, periodEnd, today = getTodayDate()) => [
+  getYearOverYearRange(today).startDate,
+  getYearOverYearRange(periodStart).startDate,
+  getMonthStart(getPreviousPeriod(periodStart, periodEnd).startDate),
+].reduce((min, date) => (date < min ? date : min));
+
+export const getPageCount = (count, pageSize = LEDGER_PAGE_SIZE) => Math.max(1, Math.ceil(count / pageSize));
@@ -0,0 +1,172 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { createDataService, createMemoryBackend } from './dataService';
+import { LEDGER_PAGE_SIZE, getLedgerPage, getLoadedRangeStart, getPageCount } from './ledger';
+import { EMPTY_FILTERS, getFilterCriteria } from './transactionFilters';
+
+// The SQL of pl_summary, monthly_pl_summary and ledger_page is not run
+// here: these tests cover what the data service sends to them and how it
+// reads their answers, and the browser fallback in ledger.js on its own.
+
+const SCHOOL = 'school-1';
+
+const heads = [
+  { id: 'fees', school_id: SCHOOL, name: 'Tuition Fees', head_type: 'income' },
+  { id: 'salary', school_id: SCHOOL, name: 'Salaries', head_type: 'expense' },
+];
+
+// 120 transactions across two months, with pending, rejected and trashed ones
+const transactions = Array.from({ length: 120 }, (_, i) => ({
+  id: `t${i}`,
+  school_id: SCHOOL,
+  head_id: ['fees', 'salary'][i % 2],
+  type: i % 2 === 0 ? 'income' : 'expense',
+  amount: 100 + i * 10.25,
+  date: `2026-0${4 + (i % 2)}-${String(1 + (i % 28)).padStart(2, '0')}`,
+  created_at: `2026-04-01T00:00:${String(i % 60).padStart(2, '0')}.${String(i).padStart(3, '0')}Z`,
+  status: ['approved', 'approved', 'pending', 'rejected'][i % 4],
+  deleted_at: i % 17 === 0 ? '2026-06-01T00:00:00Z' : null,
+}));
+
+describe('ledger database calls', () => {
+  let calls;
+  let answers;
+  let db;
+
+  beforeEach(() => {
+    calls = [];
+    answers = {};
+    const record = (name) => (params) => {
+      calls.push({ name, params });
+      return answers[name];
+    };
+    db = createDataService(createMemoryBackend({}, { rpc: { pl_summary: record('pl_summary'), monthly_pl_summary: record('monthly_pl_summary'), ledger_page: record('ledger_page') } }));
+  });
+
+  it('sends the period, pending flag and filters to pl_summary', async () => {
+    answers.pl_summary = [];
+    const criteria = getFilterCriteria({ ...EMPTY_FILTERS, headIds: ['salary'], type: 'expense', minAmount: '100', search: 'Bus' }, heads);
+    await db.getPLSummary(SCHOOL, { startDate: '2026-04-01', endDate: '2026-04-30', includePending: true, criteria });
+
+    expect(calls).toEqual([{
+      name: 'pl_summary',
+      params: {
+        p_school_id: SCHOOL,
+        p_start_date: '2026-04-01',
+        p_end_date: '2026-04-30',
+        p_include_pending: true,
+        p_filter: { head_ids: ['salary'], type: 'expense', min_amount: 100, max_amount: null, search: 'bus', has_receipt: null },
+      },
+    }]);
+  });
+
+  it('asks for all time with no dates and no filters', async () => {
+    answers.pl_summary = [];
+    await db.getPLSummary(SCHOOL, {});
+
+    expect(calls[0].params).toMatchObject({ p_start_date: null, p_end_date: null, p_include_pending: false });
+    expect(Object.values(calls[0].params.p_filter).every(value => value === null)).toBe(true);
+  });
+
+  it('reads pl_summary rows as the P&L summary, numbers from numeric strings', async () => {
+    answers.pl_summary = [
+      { head_name: 'Tuition Fees', head_type: 'income', income: '5000.50', expense: '0' },
+      { head_name: 'Salaries', head_type: 'expense', income: '0', expense: '3000' },
+      { head_name: 'Unused', head_type: 'expense', income: '0', expense: '0' },
+    ];
+    const { data } = await db.getPLSummary(SCHOOL, {});
+
+    expect(data).toEqual([
+      { Head: 'Salaries', Type: 'expense', Income: 0, Expense: 3000, Net: -3000 },
+      { Head: 'Tuition Fees', Type: 'income', Income: 5000.5, Expense: 0, Net: 5000.5 },
+    ]);
+  });
+
+  it('asks monthly_pl_summary the same way and reads its rows by month', async () => {
+    answers.monthly_pl_summary = [
+      { month: '2026-05', head_name: 'Salaries', head_type: 'expense', income: '0', expense: '3000' },
+      { month: '2026-04', head_name: 'Salaries', head_type: 'expense', income: '0', expense: '2500.25' },
+    ];
+    const { data } = await db.getMonthlyPLSummary(SCHOOL, { startDate: '2026-04-01', endDate: '2026-05-31', includePending: true });
+
+    expect(calls[0]).toMatchObject({
+      name: 'monthly_pl_summary',
+      params: { p_school_id: SCHOOL, p_start_date: '2026-04-01', p_end_date: '2026-05-31', p_include_pending: true },
+    });
+    expect(data.map(r => [r.Month, r.Expense])).toEqual([['2026-04', 2500.25], ['2026-05', 3000]]);
+  });
+
+  it('sends the sort and page to ledger_page and unpacks { count, rows }', async () => {
+    answers.ledger_page = { count: 75, rows: [{ id: 't1' }, { id: 't2' }] };
+    const filter = { startDate: '2026-04-01', endDate: '2026-05-31', includePending: false, sort: { column: 'amount', ascending: true } };
+    const result = await db.listLedgerPage(SCHOOL, filter, { offset: 50, limit: 25 });
+
+    expect(calls[0].params).toMatchObject({
+      p_school_id: SCHOOL,
+      p_start_date: '2026-04-01',
+      p_end_date: '2026-05-31',
+      p_include_pending: false,
+      p_sort: 'amount',
+      p_ascending: true,
+      p_offset: 50,
+      p_limit: 25,
+    });
+    expect(result).toEqual({ data: [{ id: 't1' }, { id: 't2' }], count: 75, error: null });
+  });
+
+  it('sorts newest first when no sort is given', async () => {
+    answers.ledger_page = { count: 0, rows: [] };
+    await db.listLedgerPage(SCHOOL, { startDate: '2026-04-01', endDate: '2026-04-30', includePending: false }, { offset: 0, limit: 10 });
+
+    expect(calls[0].params).toMatchObject({ p_sort: 'date', p_ascending: false });
+  });
+
+  it('passes database errors through', async () => {
+    const failing = createDataService(createMemoryBackend());
+    expect((await failing.getPLSummary(SCHOOL, {})).error).toBeTruthy();
+    expect(await failing.listLedgerPage(SCHOOL, { startDate: '2026-04-01', endDate: '2026-04-30' }, { offset: 0, limit: 10 }))
+      .toMatchObject({ data: null, count: 0 });
+  });
+});
+
+describe('getLedgerPage (browser fallback)', () => {
+  const counted = (includePending) => transactions.filter(t =>
+    !t.deleted_at && (t.status === 'approved' || (includePending && t.status === 'pending')));
+
+  it('pages the counted transactions of the period, newest first', () => {
+    const filter = { startDate: '2026-04-01', endDate: '2026-05-31', includePending: true };
+    const expected = counted(true).sort((a, b) => b.date.localeCompare(a.date) || b.created_at.localeCompare(a.created_at));
+
+    const pages = [0, 1, 2].map(index => getLedgerPage(transactions, filter, { offset: index * 20, limit: 20 }));
+    expect(pages.every(page => page.count === expected.length)).toBe(true);
+    expect(pages.flatMap(page => page.rows).map(t => t.id)).toEqual(expected.slice(0, 60).map(t => t.id));
+  });
+
+  it('filters by head and date range', () => {
+    const filter = { startDate: '2026-05-01', endDate: '2026-05-10', includePending: false, criteria: getFilterCriteria({ ...EMPTY_FILTERS, headIds: ['salary'] }, heads) };
+    const { rows, count } = getLedgerPage(transactions, filter, { offset: 0, limit: LEDGER_PAGE_SIZE });
+
+    expect(count).toBe(counted(false).filter(t => t.head_id === 'salary' && t.date >= '2026-05-01' && t.date <= '2026-05-10').length);
+    expect(count).toBeGreaterThan(0);
+    expect(rows.every(t => t.head_id === 'salary' && t.date >= '2026-05-01' && t.date <= '2026-05-10' && t.status === 'approved')).toBe(true);
+  });
+});
+
+describe('getPageCount', () => {
+  it('has at least one page', () => {
+    expect(getPageCount(0)).toBe(1);
+    expect(getPageCount(LEDGER_PAGE_SIZE)).toBe(1);
+    expect(getPageCount(LEDGER_PAGE_SIZE + 1)).toBe(2);
+  });
+});
+
+describe('getLoadedRangeStart', () => {
+  it('starts at last financial year for a recent period', () => {
+    expect(getLoadedRangeStart('2026-10-01', '2026-10-19', '2026-10-19')).toBe('2025-04-01');
+  });
+
+  it('reaches back with the period, the period before it and the FY before the period', () => {
+    expect(getLoadedRangeStart('2024-06-15', '2024-06-30', '2026-10-19')).toBe('2023-04-01');
+    // Five years: the previous period starts in 2016
+    expect(getLoadedRangeStart('2021-04-01', '2026-03-31', '2026-10-19')).toBe('2016-04-01');
+  });
+});
@@ -0,0 +1,79 @@
+// =========================================================================
+// OFFLINE STORE
+// Keeps the last rows read from the server and the queue of writes made
+// while offline. Store contract (every method is async):
+//
+//   getCache(key)        { key, table, rows } or undefined
+//   putCache(record)
+//   listCache(table)     every cached record of a table
+//   listQueue()          queued operations, oldest first (each has a seq)
+//   addToQueue(op)       the op with its seq
+//   updateQueued(op)
+//   removeFromQueue(seq)
+// =========================================================================
+
+export const createMemoryStore = () => {
+  const cache = new Map();
+  const queue = new Map();
+  let nextSeq = 1;
+
+  return {
+    getCache: async (key) => cache.get(key),
+    putCache: async (record) => { cache.set(record.key, record); },
+    listCache: async (table) => [...cache.values()].filter(r => r.table === table),
+    listQueue: async () => [...queue.values()].sort((a, b) => a.seq - b.seq),
+    addToQueue: async (op) => {
+      const queued = { ...op, seq: nextSeq++ };
+      queue.set(queued.seq, queued);
+      return queued;
+    },
+    updateQueued: async (op) => { queue.set(op.seq, op); },
+    removeFromQueue: async (seq) => { queue.delete(seq); },
+  };
+};
+
+const DB_VERSION = 1;
+
+const openDatabase = (name) => new Promise((resolve, reject) => {
+  const request = indexedDB.open(name, DB_VERSION);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore('cache', { keyPath: 'key' });
+    request.result.createObjectStore('queue', { keyPath: 'seq', autoIncrement: true });
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * IndexedDB store (one database per browser profile). Falls back to memory
+ * where IndexedDB is unavailable, e.g. some private browsing modes.
+ */
+export const createIndexedDbStore = (name = 'school-finance-offline') => {
+  if (typeof indexedDB === 'undefined') return createMemoryStore();
+  let databasePromise = null;
+
+  // Runs one request in its own transaction and resolves with its result
+  const run = async (storeName, mode, action) => {
+    if (!databasePromise) databasePromise = openDatabase(name);
+    const database = await databasePromise;
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(storeName, mode);
+      const request = action(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  };
+
+  return {
+    getCache: (key) => run('cache', 'readonly', s => s.get(key)),
+    putCache: (record) => run('cache', 'readwrite', s => s.put(record)),
+    listCache: async (table) => (await run('cache', 'readonly', s => s.getAll())).filter(r => r.table === table),
+    listQueue: () => run('queue', 'readonly', s => s.getAll()),
+    addToQueue: async (op) => {
+      const seq = await run('queue', 'readwrite', s => s.add(op));
+      return { ...op, seq };
+    },
+    updateQueued: (op) => run('queue', 'readwrite', s => s.put(op)),
+    removeFromQueue: (seq) => run('queue', 'readwrite', s => s.delete(seq)),
+  };
+};
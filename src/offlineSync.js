@@ -0,0 +1,285 @@
+// =========================================================================
+// OFFLINE-FIRST BACKEND
+// Wraps another backend (see dataService.js) with the same contract:
+//  - every list result is cached, and served from the cache while offline
+//  - inserts and updates of heads and transactions made while offline are
+//    queued and replayed in order once the connection is back
+//  - updates that carry the row's updated_at only apply if nobody changed
+//    the row since; otherwise the queued edit becomes a conflict for the
+//    user to resolve (keep mine / keep theirs)
+//  - the database functions in CACHED_FUNCTIONS answer from the cache too
+// Other writes, functions and file storage need a connection.
+// =========================================================================
+
+export const QUEUED_TABLES = ['heads', 'transactions'];
+
+export const OP_PENDING = 'pending';
+export const OP_CONFLICT = 'conflict';
+export const OP_REJECTED = 'rejected';
+
+export const OFFLINE_ERROR = { message: 'You are offline. This change needs a connection.', code: 'OFFLINE' };
+
+// Read-only functions whose last answer is kept for offline use; the
+// screens have no other way to work these out
+export const CACHED_FUNCTIONS = ['head_usage', 'account_totals_before'];
+
+/**
+ * True for errors where the request never got an answer
+ */
+export const isNetworkError = (error) =>
+  Boolean(error) && /failed to fetch|networkerror|load failed|fetch failed|network request failed/i.test(`${error.message || ''} ${error.details || ''}`);
+
+/**
+ * Match for an update that must not overwrite someone else's newer edit
+ */
+export const getVersionMatch = (row) => (row.updated_at ? { id: row.id, updated_at: row.updated_at } : { id: row.id });
+
+const isMatch = (row, match) => Object.entries(match).every(([column, value]) =>
+  (value === null ? row[column] === null || row[column] === undefined : row[column] === value));
+const passesFilters = (row, filters = []) => filters.every(({ column, op, value }) => {
+  if (op === 'gte') return row[column] >= value;
+  if (op === 'lte') return row[column] <= value;
+  if (op === 'notNull') return row[column] !== null && row[column] !== undefined;
+  return value.includes(row[column]);
+});
+const withoutVersion = (match) => Object.fromEntries(Object.entries(match).filter(([column]) => column !== 'updated_at'));
+const cacheKey = (table, match, options) => JSON.stringify([table, match, options]);
+
+/**
+ * Rows as they will be once the pending operations reach the server.
+ * filters: as in list; queued inserts outside them are left out.
+ */
+export const applyPendingOps = (table, match, rows, queue, filters = []) => queue
+  .filter(op => op.table === table && op.state === OP_PENDING)
+  .reduce((acc, op) => {
+    if (op.kind === 'insert') {
+      return [...acc, ...op.rows.filter(r => isMatch(r, match) && passesFilters(r, filters) && !acc.some(a => a.id === r.id))];
+    }
+    return acc.map(r => (isMatch(r, withoutVersion(op.match)) ? { ...r, ...op.fields } : r));
+  }, rows);
+
+/**
+ * options.isOnline: () => boolean (defaults to navigator.onLine)
+ * options.newId: () => id for queued inserts (defaults to crypto.randomUUID)
+ */
+export const createOfflineBackend = (online, store, options = {}) => {
+  const isOnline = options.isOnline || (() => typeof navigator === 'undefined' || navigator.onLine);
+  const newId = options.newId || (() => crypto.randomUUID());
+  const listeners = new Set();
+  let status = { online: isOnline(), syncing: false, pending: 0, conflicts: [], rejected: [] };
+
+  const refreshStatus = async (changes = {}) => {
+    const queue = await store.listQueue();
+    status = {
+      ...status,
+      ...changes,
+      pending: queue.filter(op => op.state === OP_PENDING).length,
+      conflicts: queue.filter(op => op.state === OP_CONFLICT),
+      rejected: queue.filter(op => op.state === OP_REJECTED),
+    };
+    listeners.forEach(listener => listener(status));
+  };
+
+  // Runs a call against the wrapped backend; null means "no connection"
+  const tryOnline = async (call) => {
+    if (!isOnline()) {
+      if (status.online) await refreshStatus({ online: false });
+      return null;
+    }
+    let result;
+    try {
+      result = await call();
+    } catch (error) {
+      result = { data: null, error };
+    }
+    if (isNetworkError(result.error)) {
+      await refreshStatus({ online: false });
+      return null;
+    }
+    if (!status.online) await refreshStatus({ online: true });
+    return result;
+  };
+
+  const cachedRows = async (table) => {
+    const rows = (await store.listCache(table)).flatMap(record => record.rows);
+    return rows.filter((row, index) => rows.findIndex(r => r.id === row.id) === index);
+  };
+
+  const queue = async (op) => {
+    await store.addToQueue({ ...op, state: OP_PENDING, queued_at: new Date().toISOString() });
+    await refreshStatus();
+  };
+
+  // Replays one queued operation; returns false when the connection dropped
+  const replay = async (op, versions) => {
+    if (op.kind === 'insert') {
+      const { error } = await online.insert(op.table, op.rows);
+      if (isNetworkError(error)) return false;
+      if (error && error.code === '23505') {
+        // Already on the server when an earlier attempt lost its answer
+        const found = await Promise.all(op.rows.map(r => online.list(op.table, { id: r.id })));
+        if (found.some(r => isNetworkError(r.error))) return false;
+        if (found.every(r => r.data?.length > 0)) {
+          await store.removeFromQueue(op.seq);
+          return true;
+        }
+      }
+      if (error) await store.updateQueued({ ...op, state: OP_REJECTED, error: error.message });
+      else await store.removeFromQueue(op.seq);
+      return true;
+    }
+
+    // Later offline edits of a row were based on the same version as the
+    // first one; point them at the version that edit produced
+    let match = op.match;
+    const version = match.id && versions.get(match.id);
+    if (version && match.updated_at === version.from) match = { ...match, updated_at: version.to };
+
+    const { data, error } = await online.update(op.table, match, op.fields);
+    if (isNetworkError(error)) return false;
+    if (error) {
+      await store.updateQueued({ ...op, state: OP_REJECTED, error: error.message });
+      return true;
+    }
+    if (data.length === 0) {
+      // Either someone saved a newer version or the row is gone
+      const current = await online.list(op.table, { id: match.id });
+      if (isNetworkError(current.error)) return false;
+      const theirs = current.data?.[0];
+      await store.updateQueued(theirs
+        ? { ...op, state: OP_CONFLICT, theirs }
+        : { ...op, state: OP_REJECTED, error: 'The record no longer exists.' });
+      return true;
+    }
+    data.forEach(row => {
+      if (op.match.updated_at && row.updated_at) {
+        versions.set(row.id, { from: versions.get(row.id)?.from || op.match.updated_at, to: row.updated_at });
+      }
+    });
+    await store.removeFromQueue(op.seq);
+    return true;
+  };
+
+  let syncing = null;
+
+  /**
+   * Sends the queued operations in order. Resolves true when anything
+   * reached the server (the caller should reload), false otherwise.
+   */
+  const sync = () => {
+    if (syncing) return syncing;
+    syncing = (async () => {
+      const pending = (await store.listQueue()).filter(op => op.state === OP_PENDING);
+      if (pending.length === 0 || !isOnline()) return false;
+
+      await refreshStatus({ syncing: true });
+      const versions = new Map();
+      let replayed = 0;
+      let connected = true;
+      for (const op of pending) {
+        connected = await replay(op, versions);
+        if (!connected) break;
+        replayed += 1;
+      }
+      await refreshStatus({ syncing: false, online: connected });
+      return replayed > 0;
+    })().finally(() => { syncing = null; });
+    return syncing;
+  };
+
+  return {
+    list: async (table, match = {}, listOptions = {}) => {
+      const key = cacheKey(table, match, listOptions);
+      const result = await tryOnline(() => online.list(table, match, listOptions));
+      let record;
+      if (result) {
+        if (result.error) return result;
+        record = { key, table, rows: result.data, count: result.count };
+        await store.putCache(record);
+      } else {
+        record = await store.getCache(key);
+        if (!record) return { data: null, error: OFFLINE_ERROR };
+      }
+      // Pages are returned as last seen; queued changes only show in reads
+      // of every matching row
+      const queue = listOptions.page ? [] : await store.listQueue();
+      return { data: applyPendingOps(table, match, record.rows, queue, listOptions.filters), error: null, count: record.count };
+    },
+
+    insert: async (table, rows) => {
+      if (!QUEUED_TABLES.includes(table)) {
+        return (await tryOnline(() => online.insert(table, rows))) || { data: null, error: OFFLINE_ERROR };
+      }
+      // Ids are made here so a replayed insert cannot create a second copy
+      const withIds = rows.map(r => ({ id: newId(), ...r }));
+      const result = await tryOnline(() => online.insert(table, withIds));
+      if (result) return result;
+
+      const createdAt = new Date().toISOString();
+      const queuedRows = withIds.map(r => ({ created_at: createdAt, ...r }));
+      await queue({ kind: 'insert', table, rows: queuedRows });
+      return { data: queuedRows, error: null, queued: true };
+    },
+
+    update: async (table, match, fields) => {
+      const result = await tryOnline(() => online.update(table, match, fields));
+      if (result) return result;
+      if (!QUEUED_TABLES.includes(table)) return { data: null, error: OFFLINE_ERROR };
+
+      const known = applyPendingOps(table, {}, await cachedRows(table), await store.listQueue());
+      const updated = known.filter(r => isMatch(r, match)).map(r => ({ ...r, ...fields }));
+      await queue({ kind: 'update', table, match, fields });
+      return { data: updated, error: null, queued: true };
+    },
+
+    remove: async (table, match) => (await tryOnline(() => online.remove(table, match))) || { data: null, error: OFFLINE_ERROR },
+    rpc: async (name, params) => {
+      const result = await tryOnline(() => online.rpc(name, params));
+      if (!CACHED_FUNCTIONS.includes(name)) return result || { data: null, error: OFFLINE_ERROR };
+
+      const key = cacheKey(`rpc:${name}`, params, {});
+      if (result) {
+        if (!result.error) await store.putCache({ key, table: `rpc:${name}`, rows: result.data });
+        return result;
+      }
+      const record = await store.getCache(key);
+      return record ? { data: record.rows, error: null } : { data: null, error: OFFLINE_ERROR };
+    },
+    uploadFile: async (...args) => (await tryOnline(() => online.uploadFile(...args))) || { data: null, error: OFFLINE_ERROR },
+    removeFiles: async (...args) => (await tryOnline(() => online.removeFiles(...args))) || { data: null, error: OFFLINE_ERROR },
+    signUrls: async (...args) => (await tryOnline(() => online.signUrls(...args))) || { data: null, error: OFFLINE_ERROR },
+    subscribe: (...args) => online.subscribe(...args),
+
+    sync,
+    getSyncStatus: () => status,
+
+    // listener(status) on every change; returns the unsubscribe function
+    subscribeSync: (listener) => {
+      listeners.add(listener);
+      refreshStatus();
+      return () => listeners.delete(listener);
+    },
+
+    // Keep mine: apply the queued edit over the other device's version
+    // Keep theirs: drop the queued edit
+    resolveConflict: async (seq, keepMine) => {
+      const op = (await store.listQueue()).find(o => o.seq === seq);
+      if (!op) return false;
+      if (keepMine) {
+        const { theirs: _theirs, ...rest } = op;
+        await store.updateQueued({ ...rest, match: withoutVersion(op.match), state: OP_PENDING });
+        await refreshStatus();
+        return sync();
+      }
+      await store.removeFromQueue(seq);
+      await refreshStatus();
+      return false;
+    },
+
+    // Forgets an operation the server refused
+    dismissRejected: async (seq) => {
+      await store.removeFromQueue(seq);
+      await refreshStatus();
+    },
+  };
+};
@@ -0,0 +1,205 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { createMemoryBackend } from './dataService';
+import { createMemoryStore } from './offlineStore';
+import { OP_CONFLICT, OP_REJECTED, createOfflineBackend, getVersionMatch } from './offlineSync';
+
+const SCHOOL = 'school-1';
+const NETWORK_ERROR = { message: 'TypeError: Failed to fetch' };
+
+const seed = () => ({
+  heads: [{ id: 'fees', school_id: SCHOOL, name: 'Tuition Fees', head_type: 'income' }],
+  transactions: [
+    { id: 't1', school_id: SCHOOL, head_id: 'fees', type: 'income', amount: 5000, description: 'April fees', date: '2026-04-05', updated_at: 'v0' },
+  ],
+});
+
+describe('offline backend', () => {
+  let server;
+  let online;
+  let offline;
+  let ids;
+
+  beforeEach(async () => {
+    server = createMemoryBackend(seed(), {
+      touch: true,
+      unique: { transactions: [['id']] },
+      rpc: { head_usage: ({ p_school_id }, tables) => [{ head_id: 'fees', type: 'income', transactions: tables.transactions.filter(t => t.school_id === p_school_id).length }] },
+    });
+    online = true;
+    ids = 0;
+    offline = createOfflineBackend(server, createMemoryStore(), {
+      isOnline: () => online,
+      newId: () => `local-${++ids}`,
+    });
+    // Warm the cache the way the app's first load does
+    await offline.list('transactions', { school_id: SCHOOL });
+    await offline.list('heads', { school_id: SCHOOL });
+  });
+
+  it('serves cached rows while offline', async () => {
+    online = false;
+    const { data, error } = await offline.list('transactions', { school_id: SCHOOL });
+
+    expect(error).toBeNull();
+    expect(data.map(t => t.id)).toEqual(['t1']);
+    expect(offline.getSyncStatus().online).toBe(false);
+  });
+
+  it('fails reads that were never cached and writes that cannot be queued', async () => {
+    online = false;
+
+    expect((await offline.list('budgets', { school_id: SCHOOL })).error.code).toBe('OFFLINE');
+    expect((await offline.insert('budgets', [{ school_id: SCHOOL }])).error.code).toBe('OFFLINE');
+    expect((await offline.remove('transactions', { id: 't1' })).error.code).toBe('OFFLINE');
+  });
+
+  it('queues offline entries and edits, shows them locally and replays them in order', async () => {
+    online = false;
+    const inserted = await offline.insert('transactions', [{ school_id: SCHOOL, head_id: 'fees', type: 'income', amount: 300, date: '2026-04-06' }]);
+    await offline.update('transactions', { id: inserted.data[0].id }, { amount: 350 });
+
+    expect(inserted.queued).toBe(true);
+    expect(offline.getSyncStatus().pending).toBe(2);
+    const local = await offline.list('transactions', { school_id: SCHOOL });
+    expect(local.data.find(t => t.id === 'local-1').amount).toBe(350);
+    expect(server.tables.transactions).toHaveLength(1);
+
+    online = true;
+    expect(await offline.sync()).toBe(true);
+
+    expect(server.tables.transactions.find(t => t.id === 'local-1').amount).toBe(350);
+    expect(offline.getSyncStatus()).toMatchObject({ online: true, pending: 0, conflicts: [], rejected: [] });
+  });
+
+  it('does not post an entry twice when an earlier attempt already landed', async () => {
+    online = false;
+    await offline.insert('transactions', [{ school_id: SCHOOL, head_id: 'fees', type: 'income', amount: 300, date: '2026-04-06' }]);
+    // The request reached the server but the answer was lost
+    server.tables.transactions.push({ id: 'local-1', school_id: SCHOOL, amount: 300 });
+
+    online = true;
+    await offline.sync();
+
+    expect(server.tables.transactions.filter(t => t.id === 'local-1')).toHaveLength(1);
+    expect(offline.getSyncStatus().pending).toBe(0);
+    expect(offline.getSyncStatus().rejected).toEqual([]);
+  });
+
+  it('chains several offline edits of one row without a false conflict', async () => {
+    online = false;
+    const t1 = (await offline.list('transactions', { school_id: SCHOOL })).data[0];
+    await offline.update('transactions', getVersionMatch(t1), { amount: 5100 });
+    await offline.update('transactions', getVersionMatch(t1), { description: 'April fees (revised)' });
+
+    online = true;
+    await offline.sync();
+
+    expect(server.tables.transactions[0]).toMatchObject({ amount: 5100, description: 'April fees (revised)' });
+    expect(offline.getSyncStatus().conflicts).toEqual([]);
+  });
+
+  describe('when another device edited the same transaction', () => {
+    beforeEach(async () => {
+      online = false;
+      await offline.update('transactions', { id: 't1', updated_at: 'v0' }, { amount: 5100 });
+      // Saved from another device in the meantime
+      server.tables.transactions[0] = { ...server.tables.transactions[0], amount: 5200, updated_at: 'v-other' };
+      online = true;
+      await offline.sync();
+    });
+
+    it('holds the edit back as a conflict', () => {
+      const [conflict] = offline.getSyncStatus().conflicts;
+
+      expect(conflict.state).toBe(OP_CONFLICT);
+      expect(conflict.fields).toEqual({ amount: 5100 });
+      expect(conflict.theirs.amount).toBe(5200);
+      expect(server.tables.transactions[0].amount).toBe(5200);
+    });
+
+    it('applies my edit when I keep mine', async () => {
+      const [conflict] = offline.getSyncStatus().conflicts;
+      await offline.resolveConflict(conflict.seq, true);
+
+      expect(server.tables.transactions[0].amount).toBe(5100);
+      expect(offline.getSyncStatus().conflicts).toEqual([]);
+    });
+
+    it('drops my edit when I keep theirs', async () => {
+      const [conflict] = offline.getSyncStatus().conflicts;
+      await offline.resolveConflict(conflict.seq, false);
+
+      expect(server.tables.transactions[0].amount).toBe(5200);
+      expect(offline.getSyncStatus()).toMatchObject({ pending: 0, conflicts: [] });
+    });
+  });
+
+  it('rejects an edit of a row deleted elsewhere and lets it be dismissed', async () => {
+    online = false;
+    await offline.update('transactions', { id: 't1', updated_at: 'v0' }, { amount: 5100 });
+    server.tables.transactions = [];
+
+    online = true;
+    await offline.sync();
+    const [rejected] = offline.getSyncStatus().rejected;
+    expect(rejected.state).toBe(OP_REJECTED);
+
+    await offline.dismissRejected(rejected.seq);
+    expect(offline.getSyncStatus().rejected).toEqual([]);
+  });
+
+  it('stops replaying when the connection drops and resumes later', async () => {
+    online = false;
+    await offline.insert('heads', [{ school_id: SCHOOL, name: 'Transport', head_type: 'expense' }]);
+    await offline.insert('heads', [{ school_id: SCHOOL, name: 'Library', head_type: 'expense' }]);
+
+    online = true;
+    const insert = server.insert;
+    let calls = 0;
+    server.insert = (table, rows) => (++calls === 2 ? Promise.resolve({ data: null, error: NETWORK_ERROR }) : insert(table, rows));
+
+    expect(await offline.sync()).toBe(true);
+    expect(offline.getSyncStatus()).toMatchObject({ online: false, pending: 1 });
+    expect(server.tables.heads.map(h => h.name)).toEqual(['Tuition Fees', 'Transport']);
+
+    await offline.sync();
+    expect(server.tables.heads.map(h => h.name)).toEqual(['Tuition Fees', 'Transport', 'Library']);
+    expect(offline.getSyncStatus()).toMatchObject({ online: true, pending: 0 });
+  });
+
+  it('shows queued entries in filtered reads when they pass the filters', async () => {
+    const fromApril = { filters: [{ column: 'date', op: 'gte', value: '2026-04-01' }] };
+    await offline.list('transactions', { school_id: SCHOOL }, fromApril);
+    online = false;
+    await offline.insert('transactions', [
+      { school_id: SCHOOL, head_id: 'fees', type: 'income', amount: 300, date: '2026-04-06' },
+      { school_id: SCHOOL, head_id: 'fees', type: 'income', amount: 200, date: '2026-03-28' },
+    ]);
+
+    const { data } = await offline.list('transactions', { school_id: SCHOOL }, fromApril);
+    expect(data.map(t => t.id)).toEqual(['t1', 'local-1']);
+  });
+
+  it('answers cached functions from the last answer while offline, and no others', async () => {
+    await offline.rpc('head_usage', { p_school_id: SCHOOL });
+    online = false;
+
+    expect((await offline.rpc('head_usage', { p_school_id: SCHOOL })).data).toEqual([{ head_id: 'fees', type: 'income', transactions: 1 }]);
+    expect((await offline.rpc('head_usage', { p_school_id: 'school-2' })).error.code).toBe('OFFLINE');
+    expect((await offline.rpc('pl_summary', { p_school_id: SCHOOL })).error.code).toBe('OFFLINE');
+  });
+
+  it('notifies subscribers of status changes', async () => {
+    const seen = [];
+    const unsubscribe = offline.subscribeSync(status => seen.push(status.pending));
+    online = false;
+    await offline.insert('heads', [{ school_id: SCHOOL, name: 'Transport', head_type: 'expense' }]);
+    unsubscribe();
+    const count = seen.length;
+    online = true;
+    await offline.sync();
+
+    expect(seen).toContain(1);
+    expect(seen).toHaveLength(count);
+  });
+});
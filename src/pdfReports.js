@@ -0,0 +1,197 @@
+import { describePayment, getAccountName } from './accounts';
+import { formatDisplayDate, getTodayDate } from './dates';
+
+// =========================================================================
+// PDF REPORTS
+// Printable reports on the school's letterhead (name, logo, address and
+// registration number from School Settings), made in the browser with
+// jsPDF. The built-in PDF fonts have no ₹ sign, so amounts read "Rs.".
+// A table is { head, body, foot } in jspdf-autotable's row format.
+// =========================================================================
+
+export const LETTERHEAD_BUCKET = 'letterheads';
+
+export const SIGNATORIES = ['Accountant', 'Principal'];
+
+export const MAX_LOGO_BYTES = 2 * 1024 * 1024;
+
+const MARGIN = 14; // mm
+const HEADER_HEIGHT = 36;
+
+/**
+ * Storage path <school_id>/logo-<timestamp>-<safe file name>; the storage
+ * policies read the school id from the first folder
+ */
+export const buildLogoPath = (schoolId, fileName, now = Date.now()) => {
+  const safeName = String(fileName).replace(/[^A-Za-z0-9._-]+/g, '_').slice(-80) || 'logo';
+  return `${schoolId}/logo-${now}-${safeName}`;
+};
+
+/**
+ * Returns an error message for a logo that cannot be used, or null
+ */
+export const validateLogoFile = (file) => {
+  if (file.type !== 'image/png' && file.type !== 'image/jpeg') return `${file.name}: the logo must be a PNG or JPEG image`;
+  if (file.size > MAX_LOGO_BYTES) return `${file.name}: larger than ${MAX_LOGO_BYTES / (1024 * 1024)} MB`;
+  return null;
+};
+
+export const formatPdfAmount = (value) =>
+  `Rs. ${Number(value).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * Lines under the school name: the address as entered, then the registration number
+ */
+export const getLetterheadLines = (school) => [
+  ...String(school.address || '').split('\n').map(line => line.trim()).filter(Boolean),
+  ...(school.registration_number ? [`Reg. No. ${school.registration_number}`] : []),
+];
+
+const right = (content, styles = {}) => ({ content, styles: { halign: 'right', ...styles } });
+
+/**
+ * P&L Head Summary from getPLTreeExportRows: groups in bold as subtotals,
+ * TOTALS in the footer
+ */
+export const getPLSummaryPdfTable = (exportRows) => {
+  const cells = (r, styles = {}) => [
+    { content: r.Head, styles },
+    { content: r.Type, styles },
+    ...[r.Income, r.Expense, r.Net].map(value => right(formatPdfAmount(value), styles)),
+  ];
+  const totals = exportRows.find(r => r.Row === 'Total');
+
+  return {
+    head: [['Head', 'Type', 'Income', 'Expense', 'Net']],
+    body: exportRows.filter(r => r.Row !== 'Total').map(r => cells(r, r.Row === 'Subtotal' ? { fontStyle: 'bold' } : {})),
+    foot: totals ? [cells(totals)] : [],
+  };
+};
+
+/**
+ * Transactions in date order with income, expense and net totals
+ */
+export const getTransactionsPdfTable = (transactions, heads, accounts) => {
+  const sorted = [...transactions].sort((a, b) => String(a.date).localeCompare(String(b.date)));
+  const income = sorted.filter(t => t.type === 'income').reduce((acc, t) => acc + Number(t.amount), 0);
+  const expense = sorted.filter(t => t.type !== 'income').reduce((acc, t) => acc + Number(t.amount), 0);
+  const totalRow = (label, value) => [{ content: label, colSpan: 5, styles: { halign: 'right' } }, right(formatPdfAmount(value))];
+
+  return {
+    head: [['Date', 'Head', 'Account', 'Description', 'Payment', 'Amount']],
+    body: sorted.map(t => [
+      formatDisplayDate(t.date),
+      heads.find(h => h.id === t.head_id)?.name || 'Unknown',
+      getAccountName(accounts, t.account_id),
+      t.description || '',
+      t.payment_mode ? describePayment(t) : '',
+      right(`${t.type === 'income' ? '' : '-'}${formatPdfAmount(t.amount)}`),
+    ]),
+    foot: [totalRow('Total Income', income), totalRow('Total Expense', expense), totalRow('Net', income - expense)],
+  };
+};
+
+/**
+ * Reads an image (e.g. the signed logo URL) as a data URL for jsPDF, or
+ * null when it cannot be fetched
+ */
+export const readImageAsDataUrl = async (url) => {
+  if (!url) return null;
+  try {
+    const response = await fetch(url);
+    if (!response.ok) return null;
+    const blob = await response.blob();
+    return await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  } catch (error) {
+    console.error("Error loading letterhead logo:", error);
+    return null;
+  }
+};
+
+/**
+ * Builds the PDF (a jsPDF document): letterhead and report title on every
+ * page, the table, signature lines for SIGNATORIES and "Page x of y".
+ * report: { title, period, table }; logo: a data URL or null.
+ */
+export const buildReportPdf = async (school, logo, report) => {
+  const [{ jsPDF }, { autoTable }] = await Promise.all([import('jspdf'), import('jspdf-autotable')]);
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+
+  const drawLetterhead = () => {
+    let textX = MARGIN;
+    if (logo) {
+      const { width, height } = doc.getImageProperties(logo);
+      const logoHeight = 20;
+      const logoWidth = Math.min((width / height) * logoHeight, 40);
+      doc.addImage(logo, MARGIN, 8, logoWidth, logoHeight);
+      textX = MARGIN + logoWidth + 4;
+    }
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(14);
+    doc.text(school.name || '', textX, 13);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    getLetterheadLines(school).slice(0, 3).forEach((line, i) => doc.text(line, textX, 18 + i * 3.5));
+
+    doc.setDrawColor(150);
+    doc.line(MARGIN, 30, pageWidth - MARGIN, 30);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(11);
+    doc.text(report.title, MARGIN, HEADER_HEIGHT - 1);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.text(report.period, pageWidth - MARGIN, HEADER_HEIGHT - 1, { align: 'right' });
+  };
+
+  autoTable(doc, {
+    ...report.table,
+    startY: HEADER_HEIGHT + 4,
+    margin: { top: HEADER_HEIGHT + 4, left: MARGIN, right: MARGIN, bottom: 16 },
+    theme: 'grid',
+    styles: { fontSize: 8, cellPadding: 1.5 },
+    headStyles: { fillColor: [229, 231, 235], textColor: 20 },
+    footStyles: { fillColor: [209, 213, 219], textColor: 20, fontStyle: 'bold' },
+    showFoot: 'lastPage',
+    willDrawPage: drawLetterhead,
+  });
+
+  // Signature lines, on a new page when they do not fit under the table
+  let y = (doc.lastAutoTable?.finalY || HEADER_HEIGHT) + 30;
+  if (y > pageHeight - 24) {
+    doc.addPage();
+    drawLetterhead();
+    y = HEADER_HEIGHT + 30;
+  }
+  const blockWidth = (pageWidth - MARGIN * 2) / SIGNATORIES.length;
+  doc.setFontSize(9);
+  SIGNATORIES.forEach((title, i) => {
+    const x = MARGIN + blockWidth * i;
+    doc.line(x, y, x + blockWidth - 20, y);
+    doc.text(title, x, y + 5);
+    doc.text('Date:', x, y + 10);
+  });
+
+  const pageCount = doc.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page += 1) {
+    doc.setPage(page);
+    doc.setFontSize(8);
+    doc.text(`Generated on ${formatDisplayDate(getTodayDate())}`, MARGIN, pageHeight - 8);
+    doc.text(`Page ${page} of ${pageCount}`, pageWidth - MARGIN, pageHeight - 8, { align: 'right' });
+  }
+  return doc;
+};
+
+/**
+ * Builds the report and downloads it as `filename`
+ */
+export const downloadReportPdf = async (school, logo, report, filename) => {
+  const doc = await buildReportPdf(school, logo, report);
+  doc.save(filename);
+};
@@ -0,0 +1,93 @@
+import { describe, expect, it } from 'vitest';
+import { getPLTreeExportRows } from './headTree';
+import {
+  MAX_LOGO_BYTES,
+  buildLogoPath,
+  formatPdfAmount,
+  getLetterheadLines,
+  getPLSummaryPdfTable,
+  getTransactionsPdfTable,
+  validateLogoFile,
+} from './pdfReports';
+
+const heads = [
+  { id: 'fees', name: 'Fees', head_type: 'income', parent_id: null },
+  { id: 'tuition', name: 'Tuition', head_type: 'income', parent_id: 'fees' },
+  { id: 'salary', name: 'Salaries', head_type: 'expense', parent_id: null },
+];
+
+const accounts = [{ id: 'cash', name: 'Cash in Hand' }];
+
+describe('formatPdfAmount', () => {
+  it('uses Indian digit grouping with two decimals', () => {
+    expect(formatPdfAmount(1234567.5)).toBe('Rs. 12,34,567.50');
+    expect(formatPdfAmount('250')).toBe('Rs. 250.00');
+  });
+});
+
+describe('getLetterheadLines', () => {
+  it('lists the address lines, then the registration number', () => {
+    expect(getLetterheadLines({ address: '12 MG Road\n\n  Pune 411001 ', registration_number: 'MH/2019/123' })).toEqual([
+      '12 MG Road',
+      'Pune 411001',
+      'Reg. No. MH/2019/123',
+    ]);
+  });
+
+  it('is empty when neither is set', () => {
+    expect(getLetterheadLines({ address: '', registration_number: '' })).toEqual([]);
+    expect(getLetterheadLines({})).toEqual([]);
+  });
+});
+
+describe('getPLSummaryPdfTable', () => {
+  it('puts group subtotals in bold and the totals in the footer', () => {
+    const summary = [
+      { Head: 'Tuition', Type: 'income', Income: 50000, Expense: 0, Net: 50000 },
+      { Head: 'Salaries', Type: 'expense', Income: 0, Expense: 30000, Net: -30000 },
+    ];
+    const table = getPLSummaryPdfTable(getPLTreeExportRows(summary, heads));
+
+    expect(table.head).toEqual([['Head', 'Type', 'Income', 'Expense', 'Net']]);
+    const fees = table.body.find(row => row[0].content === 'Fees');
+    expect(fees[0].styles.fontStyle).toBe('bold');
+    expect(fees[2]).toEqual({ content: 'Rs. 50,000.00', styles: { halign: 'right', fontStyle: 'bold' } });
+    expect(table.body.find(row => row[0].content.trim() === 'Tuition')[0].styles).toEqual({});
+    expect(table.body.some(row => row[0].content === 'TOTALS')).toBe(false);
+    expect(table.foot[0].map(cell => cell.content)).toEqual(['TOTALS', '', 'Rs. 50,000.00', 'Rs. 30,000.00', 'Rs. 20,000.00']);
+  });
+});
+
+describe('getTransactionsPdfTable', () => {
+  it('lists transactions by date, expenses negative, with income, expense and net totals', () => {
+    const table = getTransactionsPdfTable([
+      { date: '2026-05-02', type: 'expense', head_id: 'salary', account_id: 'cash', amount: 30000, description: 'May salaries', payment_mode: 'cheque', reference_number: '881' },
+      { date: '2026-04-10', type: 'income', head_id: 'tuition', account_id: 'cash', amount: '50000' },
+    ], heads, accounts);
+
+    expect(table.body.map(row => row.slice(0, 4))).toEqual([
+      ['10/04/2026', 'Tuition', 'Cash in Hand', ''],
+      ['02/05/2026', 'Salaries', 'Cash in Hand', 'May salaries'],
+    ]);
+    expect(table.body[1][4]).toBe('Cheque #881');
+    expect(table.body[1][5].content).toBe('-Rs. 30,000.00');
+    expect(table.foot.map(row => [row[0].content, row[1].content])).toEqual([
+      ['Total Income', 'Rs. 50,000.00'],
+      ['Total Expense', 'Rs. 30,000.00'],
+      ['Net', 'Rs. 20,000.00'],
+    ]);
+    expect(table.foot[0][0].colSpan).toBe(5);
+  });
+});
+
+describe('logo files', () => {
+  it('keeps the school id as the first folder and a safe file name', () => {
+    expect(buildLogoPath('school-1', 'My Logo (final).png', 1700000000000)).toBe('school-1/logo-1700000000000-My_Logo_final_.png');
+  });
+
+  it('accepts PNG and JPEG up to the size limit', () => {
+    expect(validateLogoFile({ name: 'logo.png', type: 'image/png', size: 1000 })).toBeNull();
+    expect(validateLogoFile({ name: 'logo.gif', type: 'image/gif', size: 1000 })).toMatch(/PNG or JPEG/);
+    expect(validateLogoFile({ name: 'logo.jpg', type: 'image/jpeg', size: MAX_LOGO_BYTES + 1 })).toMatch(/larger than 2 MB/);
+  });
+});
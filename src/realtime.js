@@ -0,0 +1,42 @@
+// =========================================================================
+// LIVE UPDATES
+// Changes to heads and transactions arrive as { event, row, old } (see
+// db.subscribe). The app keeps active and trashed rows in separate lists,
+// so each list takes the rows it should hold.
+// =========================================================================
+
+// How long a row changed by someone else stays highlighted
+export const HIGHLIGHT_MS = 6000;
+
+// Id of the row a change is about
+export const getChangedId = (change) => (change.event === 'DELETE' ? change.old.id : change.row.id);
+
+/**
+ * The list after the change. belongs(row) says whether a row goes in this
+ * list (e.g. not trashed); an updated row keeps its place.
+ */
+export const applyRealtimeChange = (rows, change, belongs = () => true) => {
+  const id = getChangedId(change);
+  const index = rows.findIndex(r => r.id === id);
+  const keep = change.event !== 'DELETE' && belongs(change.row);
+
+  if (!keep) return index === -1 ? rows : rows.filter(r => r.id !== id);
+  if (index === -1) return [...rows, change.row];
+  return rows.map((r, i) => (i === index ? change.row : r));
+};
+
+const isSameRow = (local, incoming) => {
+  if (local.updated_at && incoming.updated_at) return local.updated_at === incoming.updated_at;
+  return Object.keys(incoming).every(key => JSON.stringify(local[key]) === JSON.stringify(incoming[key]));
+};
+
+/**
+ * Whether the change came from someone else rather than echoing a write
+ * this screen already applied. rows: every row of the table held locally.
+ */
+export const isChangeFromOthers = (rows, change, userId) => {
+  const local = rows.find(r => r.id === getChangedId(change));
+  if (change.event === 'DELETE') return Boolean(local);
+  if (change.event === 'INSERT') return !local && change.row.user_id !== userId;
+  return !local || !isSameRow(local, change.row);
+};
@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest';
+import { createMemoryBackend } from './dataService';
+import { applyRealtimeChange, isChangeFromOthers } from './realtime';
+
+const isActive = (row) => !row.deleted_at;
+const isTrashed = (row) => Boolean(row.deleted_at);
+
+const rows = [
+  { id: 't1', user_id: 'me', amount: 100, updated_at: 'v1' },
+  { id: 't2', user_id: 'them', amount: 200, updated_at: 'v1' },
+];
+
+describe('applyRealtimeChange', () => {
+  it('adds inserted rows and replaces updated ones in place', () => {
+    const inserted = applyRealtimeChange(rows, { event: 'INSERT', row: { id: 't3', amount: 300 } });
+    expect(inserted.map(r => r.id)).toEqual(['t1', 't2', 't3']);
+
+    const updated = applyRealtimeChange(rows, { event: 'UPDATE', row: { ...rows[0], amount: 150 } });
+    expect(updated.map(r => r.amount)).toEqual([150, 200]);
+  });
+
+  it('removes deleted rows and ignores unknown ones', () => {
+    expect(applyRealtimeChange(rows, { event: 'DELETE', old: { id: 't1' } }).map(r => r.id)).toEqual(['t2']);
+    expect(applyRealtimeChange(rows, { event: 'DELETE', old: { id: 'nope' } })).toBe(rows);
+  });
+
+  it('moves a trashed row from the active list to the trash', () => {
+    const change = { event: 'UPDATE', row: { ...rows[1], deleted_at: '2026-10-19T10:00:00Z' } };
+
+    expect(applyRealtimeChange(rows, change, isActive).map(r => r.id)).toEqual(['t1']);
+    expect(applyRealtimeChange([], change, isTrashed).map(r => r.id)).toEqual(['t2']);
+  });
+});
+
+describe('isChangeFromOthers', () => {
+  it('ignores echoes of changes this screen already applied', () => {
+    expect(isChangeFromOthers(rows, { event: 'INSERT', row: rows[0] }, 'me')).toBe(false);
+    expect(isChangeFromOthers(rows, { event: 'INSERT', row: { id: 't9', user_id: 'me' } }, 'me')).toBe(false);
+    expect(isChangeFromOthers(rows, { event: 'UPDATE', row: rows[1] }, 'me')).toBe(false);
+    expect(isChangeFromOthers(rows, { event: 'DELETE', old: { id: 't9' } }, 'me')).toBe(false);
+  });
+
+  it('flags inserts, edits and deletes made elsewhere', () => {
+    expect(isChangeFromOthers(rows, { event: 'INSERT', row: { id: 't9', user_id: 'them' } }, 'me')).toBe(true);
+    expect(isChangeFromOthers(rows, { event: 'UPDATE', row: { ...rows[0], amount: 90, updated_at: 'v2' } }, 'me')).toBe(true);
+    expect(isChangeFromOthers(rows, { event: 'DELETE', old: { id: 't2' } }, 'me')).toBe(true);
+  });
+
+  it('compares every field for rows without a version stamp', () => {
+    const heads = [{ id: 'h1', name: 'Fees' }];
+
+    expect(isChangeFromOthers(heads, { event: 'UPDATE', row: { id: 'h1', name: 'Fees' } }, 'me')).toBe(false);
+    expect(isChangeFromOthers(heads, { event: 'UPDATE', row: { id: 'h1', name: 'Tuition Fees' } }, 'me')).toBe(true);
+  });
+});
+
+describe('memory backend subscriptions', () => {
+  it('delivers changes of the subscribed school until unsubscribed', async () => {
+    const backend = createMemoryBackend({ heads: [] });
+    const changes = [];
+    const unsubscribe = backend.subscribe('heads', { school_id: 's1' }, change => changes.push(change));
+
+    const { data } = await backend.insert('heads', [{ school_id: 's1', name: 'Fees' }, { school_id: 's2', name: 'Other' }]);
+    await backend.update('heads', { id: data[0].id }, { name: 'Tuition Fees' });
+    await backend.remove('heads', { id: data[0].id });
+    unsubscribe();
+    await backend.insert('heads', [{ school_id: 's1', name: 'Late' }]);
+
+    expect(changes.map(c => c.event)).toEqual(['INSERT', 'UPDATE', 'DELETE']);
+    expect(changes[1].row.name).toBe('Tuition Fees');
+    expect(changes[2].old).toEqual({ id: data[0].id });
+  });
+});
@@ -0,0 +1,182 @@
+import { parseAmount } from './csvParser';
+import { addDays, isDateInRange, parseDate, parseDateWithFormat } from './dates';
+
+// =========================================================================
+// BANK RECONCILIATION HELPERS
+// =========================================================================
+
+/**
+ * Turns parsed CSV records into statement lines using the user's column
+ * mapping ({ date, narration, debit, credit, balance } -> header name).
+ * Returns { lines, errors } where errors carry the 1-based data row number.
+ */
+export const mapStatementRecords = (records, mapping, dateFormat) => {
+  const lines = [];
+  const errors = [];
+
+  records.forEach((record, index) => {
+    const rowNumber = index + 1;
+    const txnDate = parseDateWithFormat(record[mapping.date], dateFormat);
+    const debit = parseAmount(record[mapping.debit]);
+    const credit = parseAmount(record[mapping.credit]);
+    const balance = mapping.balance ? parseAmount(record[mapping.balance]) : null;
+
+    if (!txnDate) {
+      errors.push({ row: rowNumber, message: `Unreadable date "${record[mapping.date] || ''}"` });
+      return;
+    }
+    if (Number.isNaN(debit) || Number.isNaN(credit) || Number.isNaN(balance)) {
+      errors.push({ row: rowNumber, message: 'Unreadable amount' });
+      return;
+    }
+    if (!debit && !credit) {
+      // Opening/closing balance rows and blank lines carry no movement
+      return;
+    }
+
+    lines.push({
+      txn_date: txnDate,
+      narration: record[mapping.narration] || '',
+      debit: Math.abs(debit || 0),
+      credit: Math.abs(credit || 0),
+      balance,
+    });
+  });
+
+  return { lines, errors };
+};
+
+// Identity of a statement line, used to skip lines imported before
+const lineKey = (line) =>
+  [line.txn_date, line.narration.trim().toLowerCase(), Number(line.debit).toFixed(2), Number(line.credit).toFixed(2)].join('|');
+
+/**
+ * Drops lines that were already imported
+ */
+export const removeDuplicateLines = (newLines, existingLines) => {
+  const seen = new Set(existingLines.map(lineKey));
+  return newLines.filter(line => {
+    const key = lineKey(line);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// Money leaving the bank is an expense in the books, money coming in is income
+export const getLineType = (line) => (Number(line.debit) > 0 ? 'expense' : 'income');
+export const getLineAmount = (line) => Number(line.debit) > 0 ? Number(line.debit) : Number(line.credit);
+
+// A line is matched either to a transaction or to one leg of a transfer
+export const getMatchedEntryId = (line) => line.matched_transaction_id || line.matched_transfer_id || null;
+
+const dayDistance = (a, b) => {
+  const da = parseDate(a);
+  const db = parseDate(b);
+  return Math.abs(Date.UTC(da.year, da.month - 1, da.day) - Date.UTC(db.year, db.month - 1, db.day)) / 86400000;
+};
+
+/**
+ * Suggests a book entry (transaction or transfer leg of the account) for each
+ * unmatched statement line: same type and amount, dated within `windowDays`
+ * of the bank date, not reconciled and not already suggested for another
+ * line. The closest date wins.
+ * Returns a map of line id -> entry.
+ */
+export const suggestMatches = (lines, transactions, windowDays = 3) => {
+  const matchedIds = new Set(lines.map(getMatchedEntryId).filter(Boolean));
+  const available = transactions.filter(t => !t.reconciled && !matchedIds.has(t.id));
+  const used = new Set();
+  const suggestions = {};
+
+  lines
+    .filter(l => !getMatchedEntryId(l))
+    .forEach(line => {
+      const type = getLineType(line);
+      const amount = getLineAmount(line);
+      const from = addDays(line.txn_date, -windowDays);
+      const to = addDays(line.txn_date, windowDays);
+
+      const candidate = available
+        .filter(t => !used.has(t.id) && t.type === type && Math.abs(t.amount - amount) < 0.005 && isDateInRange(t.date, from, to))
+        .sort((a, b) => dayDistance(a.date, line.txn_date) - dayDistance(b.date, line.txn_date))[0];
+
+      if (candidate) {
+        used.add(candidate.id);
+        suggestions[line.id] = candidate;
+      }
+    });
+
+  return suggestions;
+};
+
+/**
+ * Bank reconciliation statement as on a date.
+ * Book balance comes from the transactions, bank balance from the last
+ * statement line with a running balance. Outstanding items are book entries
+ * not yet seen on the statement, and statement lines not yet in the books.
+ */
+export const getReconciliationSummary = (transactions, lines, asOfDate, openingBalance = 0) => {
+  const bookTransactions = transactions.filter(t => t.date && t.date <= asOfDate);
+  const bookBalance = openingBalance + bookTransactions.reduce((acc, t) => acc + (t.type === 'income' ? t.amount : -t.amount), 0);
+
+  const statementLines = lines
+    .filter(l => l.txn_date <= asOfDate)
+    .sort((a, b) => a.txn_date.localeCompare(b.txn_date) || String(a.created_at || '').localeCompare(String(b.created_at || '')));
+  const lastWithBalance = [...statementLines].reverse().find(l => l.balance !== null && l.balance !== undefined);
+  const bankBalance = lastWithBalance ? Number(lastWithBalance.balance) : 0;
+
+  const unreconciled = bookTransactions.filter(t => !t.reconciled);
+  const receiptsNotCredited = unreconciled.filter(t => t.type === 'income');
+  const paymentsNotDebited = unreconciled.filter(t => t.type === 'expense');
+
+  const unmatchedLines = statementLines.filter(l => !getMatchedEntryId(l));
+  const creditsNotInBooks = unmatchedLines.filter(l => Number(l.credit) > 0);
+  const debitsNotInBooks = unmatchedLines.filter(l => Number(l.debit) > 0);
+
+  const sum = (items, amountOf) => items.reduce((acc, item) => acc + amountOf(item), 0);
+  const totals = {
+    receiptsNotCredited: sum(receiptsNotCredited, t => t.amount),
+    paymentsNotDebited: sum(paymentsNotDebited, t => t.amount),
+    creditsNotInBooks: sum(creditsNotInBooks, l => Number(l.credit)),
+    debitsNotInBooks: sum(debitsNotInBooks, l => Number(l.debit)),
+  };
+
+  const adjustedBankBalance = bankBalance + totals.receiptsNotCredited - totals.paymentsNotDebited;
+  const adjustedBookBalance = bookBalance + totals.creditsNotInBooks - totals.debitsNotInBooks;
+
+  return {
+    asOfDate,
+    bookBalance,
+    bankBalance,
+    receiptsNotCredited,
+    paymentsNotDebited,
+    creditsNotInBooks,
+    debitsNotInBooks,
+    totals,
+    adjustedBankBalance,
+    adjustedBookBalance,
+    difference: adjustedBookBalance - adjustedBankBalance,
+  };
+};
+
+/**
+ * Flattens the summary into rows for CSV export
+ */
+export const getReconciliationExportRows = (summary, heads) => {
+  const headName = (t) => heads.find(h => h.id === t.head_id)?.name || 'Unknown';
+  const describeEntry = (t) => t.kind === 'transfer' ? t.description : `${headName(t)} ${t.description || ''}`.trim();
+  const row = (section, date, particulars, amount) => ({ Section: section, Date: date, Particulars: particulars, Amount: amount });
+
+  return [
+    row('Balance as per books', summary.asOfDate, '', summary.bookBalance),
+    row('Balance as per bank statement', summary.asOfDate, '', summary.bankBalance),
+    ...summary.receiptsNotCredited.map(t => row('Add: Receipts not yet credited by bank', t.date, describeEntry(t), t.amount)),
+    ...summary.paymentsNotDebited.map(t => row('Less: Payments not yet debited by bank', t.date, describeEntry(t), t.amount)),
+    row('Adjusted bank balance', summary.asOfDate, '', summary.adjustedBankBalance),
+    ...summary.creditsNotInBooks.map(l => row('Add: Bank credits not in books', l.txn_date, l.narration, Number(l.credit))),
+    ...summary.debitsNotInBooks.map(l => row('Less: Bank debits not in books', l.txn_date, l.narration, Number(l.debit))),
+    row('Adjusted book balance', summary.asOfDate, '', summary.adjustedBookBalance),
+    row('Difference', summary.asOfDate, '', summary.difference),
+  ];
+};
@@ -0,0 +1,66 @@
+import { daysInMonth, getMonthEnd, makeDate, parseDate } from './dates';
+
+// =========================================================================
+// RECURRING TRANSACTIONS
+// A template describes an entry that repeats every 1, 3, 6 or 12 months on
+// a day of the month. Each occurrence is posted once, as a transaction that
+// carries recurring_template_id and occurrence_date.
+// =========================================================================
+
+export const FREQUENCIES = ['monthly', 'quarterly', 'half_yearly', 'yearly'];
+export const FREQUENCY_LABELS = { monthly: 'Monthly', quarterly: 'Quarterly', half_yearly: 'Half-yearly', yearly: 'Yearly' };
+const FREQUENCY_MONTHS = { monthly: 1, quarterly: 3, half_yearly: 6, yearly: 12 };
+
+/**
+ * Occurrence dates of a template from its start up to and including
+ * `upToDate`. Day 31 falls on the last day of shorter months.
+ */
+export const getOccurrenceDates = (template, upToDate) => {
+  const step = FREQUENCY_MONTHS[template.frequency];
+  if (!step || !template.start_date) return [];
+
+  const lastDate = template.end_date && template.end_date < upToDate ? template.end_date : upToDate;
+  const start = parseDate(template.start_date);
+  const dates = [];
+
+  for (let offset = 0; ; offset += step) {
+    const monthIndex = start.month - 1 + offset;
+    const year = start.year + Math.floor(monthIndex / 12);
+    const month = (monthIndex % 12) + 1;
+    const date = makeDate(year, month, Math.min(Number(template.day_of_month), daysInMonth(year, month)));
+    if (date > lastDate) break;
+    if (date >= template.start_date) dates.push(date);
+  }
+  return dates;
+};
+
+/**
+ * Whether the occurrence already has a transaction (trashed ones included,
+ * so a trashed posting is restored rather than posted again)
+ */
+export const isOccurrencePosted = (transactions, templateId, occurrenceDate) =>
+  transactions.some(t => t.recurring_template_id === templateId && t.occurrence_date === occurrenceDate);
+
+/**
+ * Unposted occurrences of the active templates up to the end of the month
+ * of `today`, oldest first: [{ template, occurrenceDate, overdue }]
+ */
+export const getDueOccurrences = (templates, transactions, today) => {
+  const monthEnd = getMonthEnd(today);
+  return templates
+    .filter(t => t.active)
+    .flatMap(template =>
+      getOccurrenceDates(template, monthEnd)
+        .filter(date => !isOccurrencePosted(transactions, template.id, date))
+        .map(occurrenceDate => ({ template, occurrenceDate, overdue: occurrenceDate < today }))
+    )
+    .sort((a, b) => a.occurrenceDate.localeCompare(b.occurrenceDate));
+};
+
+/**
+ * Next occurrence on or after `today`, or null when the template has ended
+ */
+export const getNextOccurrence = (template, today) => {
+  const { year } = parseDate(today);
+  return getOccurrenceDates(template, makeDate(year + 2, 12, 31)).find(d => d >= today) || null;
+};
@@ -0,0 +1,145 @@
+import { PAYMENT_MODE_LABELS, getAccountName } from './accounts';
+
+// =========================================================================
+// SHARED REPORT CALCULATIONS
+// Work on rows as stored in the database (head_id, head_type).
+// =========================================================================
+
+/**
+ * P&L summary per head: [{ Head, Type, Income, Expense, Net }] sorted by head,
+ * heads without any amount left out. Transactions whose head no longer exists
+ * are grouped under "Uncategorized".
+ */
+export const getPLSummaryData = (transactionList, headList) => {
+  const summary = {};
+
+  // Initialize summary with all known heads
+  headList.forEach(h => {
+    summary[h.name] = { income: 0, expense: 0, type: h.head_type };
+  });
+
+  // Process transactions
+  transactionList.forEach(t => {
+    const head = headList.find(h => h.id === t.head_id);
+    const headName = head ? head.name : 'Uncategorized';
+
+    if (!summary[headName]) {
+      summary[headName] = { income: 0, expense: 0, type: t.type };
+    }
+
+    if (t.type === 'income') {
+      summary[headName].income += Number(t.amount);
+    } else {
+      summary[headName].expense += Number(t.amount);
+    }
+  });
+
+  return Object.keys(summary).map(headName => ({
+    Head: headName,
+    Type: summary[headName].type,
+    Income: summary[headName].income,
+    Expense: summary[headName].expense,
+    Net: summary[headName].income - summary[headName].expense,
+  }))
+  .filter(item => item.Income > 0 || item.Expense > 0)
+  .sort((a, b) => a.Head.localeCompare(b.Head));
+};
+
+/**
+ * P&L summary per calendar month: [{ Month: 'YYYY-MM', Head, Type, Income,
+ * Expense, Net }], month by month as getPLSummaryData has it
+ */
+export const getMonthlyPLSummaryData = (transactionList, headList) => {
+  const monthOf = (t) => String(t.date).slice(0, 7);
+  return [...new Set(transactionList.map(monthOf))]
+    .sort()
+    .flatMap(month => getPLSummaryData(transactionList.filter(t => monthOf(t) === month), headList).map(row => ({ Month: month, ...row })));
+};
+
+/**
+ * Adds monthly rows up into one P&L summary (the shape of getPLSummaryData)
+ * for the months fromMonth to toMonth ('YYYY-MM', both included)
+ */
+export const sumMonthlyPLSummary = (monthlyRows, fromMonth, toMonth) => {
+  const summary = {};
+  monthlyRows
+    .filter(r => r.Month >= fromMonth && r.Month <= toMonth)
+    .forEach(r => {
+      summary[r.Head] = summary[r.Head] || { Head: r.Head, Type: r.Type, Income: 0, Expense: 0 };
+      summary[r.Head].Income += r.Income;
+      summary[r.Head].Expense += r.Expense;
+    });
+
+  return Object.values(summary)
+    .map(r => ({ ...r, Net: r.Income - r.Expense }))
+    .filter(item => item.Income > 0 || item.Expense > 0)
+    .sort((a, b) => a.Head.localeCompare(b.Head));
+};
+
+/**
+ * Rows of the pl_summary database function in the shape of getPLSummaryData
+ */
+export const toPLSummaryData = (rows) => rows
+  .map(r => ({
+    Head: r.head_name,
+    Type: r.head_type,
+    Income: Number(r.income),
+    Expense: Number(r.expense),
+    Net: Number(r.income) - Number(r.expense),
+  }))
+  .filter(item => item.Income > 0 || item.Expense > 0)
+  .sort((a, b) => a.Head.localeCompare(b.Head));
+
+/**
+ * Rows of the monthly_pl_summary database function in the shape of
+ * getMonthlyPLSummaryData
+ */
+export const toMonthlyPLSummaryData = (rows) => rows
+  .map(r => ({
+    Month: r.month,
+    Head: r.head_name,
+    Type: r.head_type,
+    Income: Number(r.income),
+    Expense: Number(r.expense),
+    Net: Number(r.income) - Number(r.expense),
+  }))
+  .filter(item => item.Income > 0 || item.Expense > 0)
+  .sort((a, b) => a.Month.localeCompare(b.Month) || a.Head.localeCompare(b.Head));
+
+/**
+ * Income, expense and net totals of P&L summary rows
+ */
+export const getPLTotals = (plSummary) => {
+  const income = plSummary.reduce((acc, item) => acc + item.Income, 0);
+  const expense = plSummary.reduce((acc, item) => acc + item.Expense, 0);
+  return { income, expense, net: income - expense };
+};
+
+/**
+ * Summary rows followed by a TOTALS row, as the CSV exports write them
+ */
+export const withTotalsRow = (plSummary) => {
+  const totals = getPLTotals(plSummary);
+  return [...plSummary, { Head: "TOTALS", Type: "", Income: totals.income, Expense: totals.expense, Net: totals.net }];
+};
+
+/**
+ * Rows of the "Filtered Transactions List" export in date order (the columns
+ * the bulk import reads back)
+ */
+export const getTransactionExportRows = (transactionList, headList, accounts) => [...transactionList]
+  .sort((a, b) => new Date(a.date) - new Date(b.date))
+  .map(t => {
+    const head = headList.find(h => h.id === t.head_id);
+    return {
+      Date: t.date,
+      Type: t.type,
+      Head: head ? head.name : "Unknown",
+      Account: getAccountName(accounts, t.account_id),
+      Description: t.description || "",
+      Amount: t.amount,
+      PaymentMode: PAYMENT_MODE_LABELS[t.payment_mode] || "",
+      Reference: t.reference_number || "",
+      ReceiptURL: t.receipt_url || ""
+    };
+  });
@@ -0,0 +1,94 @@
+import { describe, expect, it } from 'vitest';
+import {
+  getMonthlyPLSummaryData, getPLSummaryData, getPLTotals, sumMonthlyPLSummary, toMonthlyPLSummaryData, withTotalsRow,
+} from './reports';
+
+const heads = [
+  { id: 'fees', name: 'Tuition Fees', head_type: 'income' },
+  { id: 'salary', name: 'Salaries', head_type: 'expense' },
+  { id: 'rent', name: 'Rent', head_type: 'expense' },
+];
+
+const transactions = [
+  { head_id: 'fees', type: 'income', amount: 50000 },
+  { head_id: 'fees', type: 'income', amount: 2500.5 },
+  { head_id: 'salary', type: 'expense', amount: 30000 },
+  { head_id: 'gone', type: 'expense', amount: 120 },
+];
+
+describe('getPLSummaryData', () => {
+  it('sums income and expense per head, sorted by head name', () => {
+    expect(getPLSummaryData(transactions, heads)).toEqual([
+      { Head: 'Salaries', Type: 'expense', Income: 0, Expense: 30000, Net: -30000 },
+      { Head: 'Tuition Fees', Type: 'income', Income: 52500.5, Expense: 0, Net: 52500.5 },
+      { Head: 'Uncategorized', Type: 'expense', Income: 0, Expense: 120, Net: -120 },
+    ]);
+  });
+
+  it('leaves out heads without transactions', () => {
+    const summary = getPLSummaryData(transactions, heads);
+    expect(summary.find(item => item.Head === 'Rent')).toBeUndefined();
+  });
+
+  it('accepts amounts that arrive as strings', () => {
+    const summary = getPLSummaryData([{ head_id: 'rent', type: 'expense', amount: '1500.25' }], heads);
+    expect(summary[0].Expense).toBe(1500.25);
+  });
+
+  it('returns an empty summary when there are no transactions', () => {
+    expect(getPLSummaryData([], heads)).toEqual([]);
+  });
+});
+
+describe('getPLTotals', () => {
+  it('adds up the summary rows', () => {
+    expect(getPLTotals(getPLSummaryData(transactions, heads))).toEqual({
+      income: 52500.5,
+      expense: 30120,
+      net: 22380.5,
+    });
+  });
+});
+
+describe('withTotalsRow', () => {
+  it('appends a TOTALS row matching the export layout', () => {
+    const rows = withTotalsRow(getPLSummaryData(transactions, heads));
+    expect(rows).toHaveLength(4);
+    expect(rows[3]).toEqual({ Head: 'TOTALS', Type: '', Income: 52500.5, Expense: 30120, Net: 22380.5 });
+  });
+});
+
+describe('monthly P&L', () => {
+  const dated = [
+    { date: '2026-04-02', head_id: 'fees', type: 'income', amount: 50000 },
+    { date: '2026-04-20', head_id: 'salary', type: 'expense', amount: 30000 },
+    { date: '2026-05-05', head_id: 'fees', type: 'income', amount: '2500.5' },
+  ];
+
+  it('splits the summary by calendar month', () => {
+    expect(getMonthlyPLSummaryData(dated, heads)).toEqual([
+      { Month: '2026-04', Head: 'Salaries', Type: 'expense', Income: 0, Expense: 30000, Net: -30000 },
+      { Month: '2026-04', Head: 'Tuition Fees', Type: 'income', Income: 50000, Expense: 0, Net: 50000 },
+      { Month: '2026-05', Head: 'Tuition Fees', Type: 'income', Income: 2500.5, Expense: 0, Net: 2500.5 },
+    ]);
+  });
+
+  it('adds months back up to the summary of the whole range', () => {
+    const monthly = getMonthlyPLSummaryData(dated, heads);
+    expect(sumMonthlyPLSummary(monthly, '2026-04', '2026-05')).toEqual(getPLSummaryData(dated, heads));
+    expect(sumMonthlyPLSummary(monthly, '2026-05', '2026-05')).toEqual([
+      { Head: 'Tuition Fees', Type: 'income', Income: 2500.5, Expense: 0, Net: 2500.5 },
+    ]);
+  });
+
+  it('reads monthly_pl_summary rows in the same shape', () => {
+    expect(toMonthlyPLSummaryData([
+      { month: '2026-05', head_name: 'Tuition Fees', head_type: 'income', income: '2500.50', expense: '0' },
+      { month: '2026-04', head_name: 'Salaries', head_type: 'expense', income: '0', expense: '30000' },
+      { month: '2026-04', head_name: 'Empty', head_type: 'expense', income: '0', expense: '0' },
+    ])).toEqual([
+      { Month: '2026-04', Head: 'Salaries', Type: 'expense', Income: 0, Expense: 30000, Net: -30000 },
+      { Month: '2026-05', Head: 'Tuition Fees', Type: 'income', Income: 2500.5, Expense: 0, Net: 2500.5 },
+    ]);
+  });
+});
@@ -0,0 +1,18 @@
+// =========================================================================
+// SCHOOL WORKSPACE ROLES
+// Mirrors the row-level policies in supabase/migrations (school_role()).
+// =========================================================================
+
+export const ROLES = ['admin', 'accountant', 'viewer'];
+
+export const ROLE_LABELS = {
+  admin: 'Admin',
+  accountant: 'Accountant',
+  viewer: 'Viewer',
+};
+
+// Admins and accountants can record heads, transactions, students and fees
+export const canRecord = (role) => role === 'admin' || role === 'accountant';
+
+// Only admins manage members, budgets and year-end closing
+export const isAdmin = (role) => role === 'admin';
@@ -0,0 +1,116 @@
+import { getDescendantIds } from './headTree';
+
+// =========================================================================
+// TRANSACTION FILTERS
+// On top of the report period, the transactions list, the summary cards,
+// the P&L Head Summary and their exports can be narrowed down by the
+// filters below (as the inputs hold them). getFilterCriteria turns them
+// into criteria that the browser (matchesCriteria) and the database
+// (toFilterParams, for the filtered_transactions function) apply alike.
+// =========================================================================
+
+export const EMPTY_FILTERS = {
+  headIds: [],
+  type: '',
+  minAmount: '',
+  maxAmount: '',
+  search: '',
+  receipt: '', // 'with', 'without' or '' for either
+};
+
+// sort: { column, ascending } with column date, head, account, description or amount
+export const DEFAULT_SORT = { column: 'date', ascending: false };
+
+const toAmount = (value) => {
+  const amount = parseFloat(value);
+  return isNaN(amount) ? null : amount;
+};
+
+/**
+ * { headIds, type, minAmount, maxAmount, search, hasReceipt }, each null when
+ * it does not narrow anything. A group head stands for everything below it.
+ */
+export const getFilterCriteria = (filters, heads) => {
+  const search = filters.search.trim().toLowerCase();
+  return {
+    headIds: filters.headIds.length > 0
+      ? [...new Set(filters.headIds.flatMap(id => [id, ...getDescendantIds(heads, id)]))]
+      : null,
+    type: filters.type || null,
+    minAmount: toAmount(filters.minAmount),
+    maxAmount: toAmount(filters.maxAmount),
+    search: search || null,
+    hasReceipt: filters.receipt ? filters.receipt === 'with' : null,
+  };
+};
+
+export const hasActiveCriteria = (criteria) => Object.values(criteria).some(value => value !== null);
+
+/**
+ * True when the transaction has an uploaded file or a legacy receipt_url
+ */
+export const hasReceipt = (transaction, attachments) =>
+  Boolean(transaction.receipt_url) || attachments.some(a => a.transaction_id === transaction.id);
+
+export const matchesCriteria = (transaction, criteria, attachments = []) =>
+  (!criteria.headIds || criteria.headIds.includes(transaction.head_id)) &&
+  (!criteria.type || transaction.type === criteria.type) &&
+  (criteria.minAmount === null || Number(transaction.amount) >= criteria.minAmount) &&
+  (criteria.maxAmount === null || Number(transaction.amount) <= criteria.maxAmount) &&
+  (!criteria.search || String(transaction.description || '').toLowerCase().includes(criteria.search)) &&
+  (criteria.hasReceipt === null || hasReceipt(transaction, attachments) === criteria.hasReceipt);
+
+/**
+ * The p_filter argument of the database functions
+ */
+export const toFilterParams = (criteria = {}) => ({
+  head_ids: criteria.headIds ?? null,
+  type: criteria.type ?? null,
+  min_amount: criteria.minAmount ?? null,
+  max_amount: criteria.maxAmount ?? null,
+  search: criteria.search ?? null,
+  has_receipt: criteria.hasReceipt ?? null,
+});
+
+/**
+ * Compares by code point, as Postgres does under collate "C", rather than
+ * by UTF-16 unit or locale
+ */
+const compareCodePoints = (a, b) => {
+  const left = Array.from(a);
+  const right = Array.from(b);
+  for (let i = 0; i < Math.min(left.length, right.length); i += 1) {
+    const diff = left[i].codePointAt(0) - right[i].codePointAt(0);
+    if (diff !== 0) return diff;
+  }
+  return left.length - right.length;
+};
+
+/**
+ * The transactions in list order: by the sort column (names for head and
+ * account, lower-cased and compared by code point), then newest first, then
+ * by id, the same keys as the ledger_page function. `heads` holds the heads
+ * not in the trash, so a trashed head sorts as no head there too.
+ */
+export const sortTransactions = (transactions, sort, { heads = [], accounts = [] } = {}) => {
+  const nameOf = (list, id) => (list.find(item => item.id === id)?.name || '').toLowerCase();
+  const sortValue = {
+    head: (t) => nameOf(heads, t.head_id),
+    account: (t) => nameOf(accounts, t.account_id),
+    description: (t) => String(t.description || '').toLowerCase(),
+  }[sort.column];
+
+  const newestFirst = (a, b) =>
+    String(b.date).localeCompare(String(a.date)) ||
+    String(b.created_at || '').localeCompare(String(a.created_at || '')) ||
+    compareCodePoints(String(a.id), String(b.id));
+  const direction = sort.ascending ? 1 : -1;
+  const bySortColumn = (a, b) => {
+    if (sort.column === 'amount') return (Number(a.amount) - Number(b.amount)) * direction;
+    if (sortValue) return compareCodePoints(sortValue(a), sortValue(b)) * direction;
+    if (sort.column === 'date' && sort.ascending) return String(a.date).localeCompare(String(b.date));
+    return 0;
+  };
+
+  return [...transactions].sort((a, b) => bySortColumn(a, b) || newestFirst(a, b));
+};
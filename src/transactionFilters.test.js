@@ -0,0 +1,101 @@
+import { describe, expect, it } from 'vitest';
+import { getLedgerPage } from './ledger';
+import {
+  DEFAULT_SORT, EMPTY_FILTERS, getFilterCriteria, hasActiveCriteria, hasReceipt, matchesCriteria, sortTransactions, toFilterParams,
+} from './transactionFilters';
+
+const heads = [
+  { id: 'transport', name: 'Transport', head_type: 'expense', parent_id: null },
+  { id: 'diesel', name: 'Diesel', head_type: 'expense', parent_id: 'transport' },
+  { id: 'repairs', name: 'bus repairs', head_type: 'expense', parent_id: 'transport' },
+  { id: 'fees', name: 'Tuition Fees', head_type: 'income', parent_id: null },
+];
+
+const accounts = [
+  { id: 'cash', name: 'Cash Box' },
+  { id: 'bank', name: 'Bank of India' },
+];
+
+const transactions = [
+  { id: 't1', date: '2026-04-02', created_at: '1', type: 'expense', head_id: 'diesel', account_id: 'bank', amount: 6200, description: 'Diesel for bus contractor', status: 'approved' },
+  { id: 't2', date: '2026-04-03', created_at: '2', type: 'expense', head_id: 'diesel', account_id: 'cash', amount: 1800, description: 'diesel top-up', status: 'approved' },
+  { id: 't3', date: '2026-04-03', created_at: '3', type: 'expense', head_id: 'repairs', account_id: 'bank', amount: 9000, description: 'Gearbox', status: 'approved', receipt_url: 'https://example.com/r.jpg' },
+  { id: 't4', date: '2026-04-05', created_at: '4', type: 'income', head_id: 'fees', account_id: 'bank', amount: 25000, description: 'Term fees', status: 'approved' },
+];
+
+const attachments = [{ id: 'a1', transaction_id: 't1' }];
+
+const criteriaFor = (filters) => getFilterCriteria({ ...EMPTY_FILTERS, ...filters }, heads);
+const idsMatching = (filters) => transactions.filter(t => matchesCriteria(t, criteriaFor(filters), attachments)).map(t => t.id);
+
+describe('getFilterCriteria', () => {
+  it('does not narrow anything when the filters are empty', () => {
+    const criteria = criteriaFor({});
+    expect(hasActiveCriteria(criteria)).toBe(false);
+    expect(toFilterParams(criteria)).toEqual({ head_ids: null, type: null, min_amount: null, max_amount: null, search: null, has_receipt: null });
+    expect(idsMatching({})).toEqual(['t1', 't2', 't3', 't4']);
+  });
+
+  it('takes the heads below a selected group', () => {
+    expect(criteriaFor({ headIds: ['transport'] }).headIds).toEqual(['transport', 'diesel', 'repairs']);
+    expect(idsMatching({ headIds: ['transport'] })).toEqual(['t1', 't2', 't3']);
+  });
+
+  it('finds diesel payments over an amount, ignoring case', () => {
+    const filters = { search: '  DIESEL ', minAmount: '5000' };
+    expect(toFilterParams(criteriaFor(filters))).toMatchObject({ search: 'diesel', min_amount: 5000 });
+    expect(idsMatching(filters)).toEqual(['t1']);
+  });
+
+  it('filters by type, amount range and receipts', () => {
+    expect(idsMatching({ type: 'income' })).toEqual(['t4']);
+    expect(idsMatching({ minAmount: '1800', maxAmount: '6200' })).toEqual(['t1', 't2']);
+    expect(idsMatching({ receipt: 'with' })).toEqual(['t1', 't3']);
+    expect(idsMatching({ receipt: 'without' })).toEqual(['t2', 't4']);
+    expect(hasReceipt(transactions[2], [])).toBe(true);
+  });
+});
+
+describe('sortTransactions', () => {
+  const order = (sort) => sortTransactions(transactions, sort, { heads, accounts }).map(t => t.id);
+
+  it('lists newest first by default', () => {
+    expect(order(DEFAULT_SORT)).toEqual(['t4', 't3', 't2', 't1']);
+    expect(order({ column: 'date', ascending: true })).toEqual(['t1', 't3', 't2', 't4']);
+  });
+
+  it('sorts by amount and by names, ignoring case', () => {
+    expect(order({ column: 'amount', ascending: false })).toEqual(['t4', 't3', 't1', 't2']);
+    expect(order({ column: 'head', ascending: true })).toEqual(['t3', 't2', 't1', 't4']);
+    expect(order({ column: 'account', ascending: true })).toEqual(['t4', 't3', 't1', 't2']);
+  });
+
+  it('uses the ledger_page keys: code point order, trashed heads as none, then id', () => {
+    const named = [
+      { id: 'zebra', name: 'Zebra Crossing Paint' },
+      { id: 'eclair', name: 'Éclairs for Sports Day' },
+      { id: 'art', name: 'art supplies' },
+    ];
+    const rows = [
+      { id: 'b', head_id: 'eclair', date: '2026-04-01', created_at: '1' },
+      { id: 'a', head_id: 'eclair', date: '2026-04-01', created_at: '1' },
+      { id: 'c', head_id: 'zebra', date: '2026-04-01', created_at: '1' },
+      { id: 'd', head_id: 'trashed', date: '2026-04-01', created_at: '1' },
+      { id: 'e', head_id: 'art', date: '2026-04-01', created_at: '1' },
+    ];
+
+    // A locale sort would put "éclairs" before "zebra"; collate "C" does not
+    expect(sortTransactions(rows, { column: 'head', ascending: true }, { heads: named }).map(t => t.id))
+      .toEqual(['d', 'e', 'c', 'a', 'b']);
+    expect(sortTransactions(rows, { column: 'head', ascending: false }, { heads: named }).map(t => t.id))
+      .toEqual(['a', 'b', 'c', 'e', 'd']);
+  });
+
+  it('pages the filtered, sorted list in the browser', () => {
+    const filter = { startDate: '2026-04-01', endDate: '2026-04-30', includePending: false, criteria: criteriaFor({ type: 'expense' }), sort: { column: 'amount', ascending: true } };
+    const { rows, count } = getLedgerPage(transactions, filter, { offset: 1, limit: 1 }, { heads, accounts, attachments });
+
+    expect(count).toBe(3);
+    expect(rows.map(t => t.id)).toEqual(['t1']);
+  });
+});
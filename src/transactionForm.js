@@ -0,0 +1,111 @@
+import { isGroupHead } from './headTree';
+import { isArchivedHead } from './trash';
+
+// =========================================================================
+// TRANSACTION FORM VALUES
+// The record form, the edit dialog and "Duplicate" share one set of form
+// values (strings, as the inputs hold them):
+// { date, amount, type, headId, accountId, paymentMode, referenceNumber, description }
+// =========================================================================
+
+export const EMPTY_ENTRY = {
+  date: '',
+  amount: '',
+  type: 'expense',
+  headId: '',
+  accountId: '',
+  paymentMode: '',
+  referenceNumber: '',
+  description: '',
+};
+
+/**
+ * Form values of an existing transaction
+ */
+export const getEntryFromTransaction = (t) => ({
+  date: t.date ? String(t.date).slice(0, 10) : '',
+  amount: String(t.amount ?? ''),
+  type: t.type || 'expense',
+  headId: t.head_id || '',
+  accountId: t.account_id || '',
+  paymentMode: t.payment_mode || '',
+  referenceNumber: t.reference_number || '',
+  description: t.description || '',
+});
+
+/**
+ * Form values for a copy of a transaction dated today. A head or account
+ * archived since is left empty, so it has to be chosen again.
+ */
+export const getDuplicateEntry = (t, heads, accounts, today) => {
+  const entry = { ...getEntryFromTransaction(t), date: today };
+  if (isArchivedHead(heads.find(h => h.id === entry.headId))) entry.headId = '';
+  if (accounts.find(a => a.id === entry.accountId)?.archived) entry.accountId = '';
+  return entry;
+};
+
+/**
+ * What is wrong with the values, or null when they can be saved. kept: the
+ * head and account an edited transaction already has, which stay allowed
+ * after being archived ({ headId, accountId }).
+ */
+export const validateEntry = (entry, heads, accounts = [], kept = {}) => {
+  if (!entry.amount || !entry.headId || !entry.date || !entry.accountId || !entry.paymentMode) {
+    return "Please fill out Amount, Head, Account, Payment Mode and Date.";
+  }
+  const amount = parseFloat(entry.amount);
+  if (isNaN(amount) || amount <= 0) return "Please enter a valid, positive amount.";
+
+  const head = heads.find(h => h.id === entry.headId);
+  if (!head || head.head_type !== entry.type) return `Please choose an ${entry.type} head.`;
+  if (isGroupHead(heads, head.id)) return `"${head.name}" is a group; choose one of its sub-heads.`;
+  if (isArchivedHead(head) && head.id !== kept.headId) return `"${head.name}" is archived; choose another head.`;
+
+  const account = accounts.find(a => a.id === entry.accountId);
+  if (account?.archived && account.id !== kept.accountId) return `"${account.name}" is archived; choose another account.`;
+  return null;
+};
+
+/**
+ * Records a new entry with onSubmit(entry, files) and gives the values to
+ * show next: { saved, entry }, with the per-entry fields cleared once saved
+ * (date, type, account and payment mode stay for the next one) and the same
+ * values when the save failed, so nothing typed is lost
+ */
+export const submitRecordEntry = async (entry, files, onSubmit) => {
+  const saved = Boolean(await onSubmit(entry, files));
+  return { saved, entry: saved ? { ...entry, amount: '', headId: '', description: '', referenceNumber: '' } : entry };
+};
+
+/**
+ * Why the transaction cannot be edited, or null. A transaction matched to a
+ * bank statement line has to be unmatched first, or the match would no
+ * longer agree with the statement.
+ */
+export const getEditBlocker = (transaction) =>
+  transaction.reconciled ? "This transaction is matched to a bank statement line. Unmatch it before editing." : null;
+
+/**
+ * Columns of the transactions table for the values
+ */
+export const getEntryFields = (entry) => ({
+  date: entry.date,
+  amount: parseFloat(entry.amount),
+  type: entry.type,
+  head_id: entry.headId,
+  account_id: entry.accountId,
+  payment_mode: entry.paymentMode,
+  reference_number: entry.paymentMode === 'cash' ? '' : entry.referenceNumber.trim(),
+  description: entry.description,
+});
+
+/**
+ * The fields whose value differs from the transaction's
+ */
+export const getChangedFields = (transaction, fields) =>
+  Object.fromEntries(Object.entries(fields).filter(([column, value]) => {
+    const current = transaction[column];
+    if (column === 'amount') return Number(current) !== value;
+    if (column === 'date') return String(current || '').slice(0, 10) !== value;
+    return (current ?? '') !== value;
+  }));
@@ -0,0 +1,99 @@
+import { describe, expect, it } from 'vitest';
+import { EMPTY_ENTRY, getChangedFields, getDuplicateEntry, getEditBlocker, getEntryFields, getEntryFromTransaction, submitRecordEntry, validateEntry } from './transactionForm';
+
+const heads = [
+  { id: 'h1', name: 'Fees', head_type: 'income', parent_id: null },
+  { id: 'h2', name: 'Staff Costs', head_type: 'expense', parent_id: null },
+  { id: 'h3', name: 'Teaching Salaries', head_type: 'expense', parent_id: 'h2' },
+];
+
+const transaction = {
+  id: 't1',
+  date: '2026-04-05',
+  amount: 1200,
+  type: 'expense',
+  head_id: 'h3',
+  account_id: 'a1',
+  payment_mode: 'cheque',
+  reference_number: '000123',
+  description: 'April salary',
+};
+
+describe('transaction form values', () => {
+  it('round-trips a transaction through the form values', () => {
+    const entry = getEntryFromTransaction(transaction);
+    expect(entry).toEqual({
+      date: '2026-04-05', amount: '1200', type: 'expense', headId: 'h3',
+      accountId: 'a1', paymentMode: 'cheque', referenceNumber: '000123', description: 'April salary',
+    });
+    expect(getChangedFields(transaction, getEntryFields(entry))).toEqual({});
+  });
+
+  it('collects every changed field for a single update', () => {
+    const entry = { ...getEntryFromTransaction(transaction), amount: '1500.50', paymentMode: 'cash', description: 'April salary (revised)' };
+    expect(getChangedFields(transaction, getEntryFields(entry))).toEqual({
+      amount: 1500.5,
+      payment_mode: 'cash',
+      reference_number: '',
+      description: 'April salary (revised)',
+    });
+  });
+
+  it('treats missing columns as empty', () => {
+    const row = { ...transaction, reference_number: null, description: null };
+    const entry = getEntryFromTransaction(row);
+    expect(getChangedFields(row, getEntryFields(entry))).toEqual({});
+  });
+
+  it('validates the values before saving', () => {
+    const entry = getEntryFromTransaction(transaction);
+    expect(validateEntry(entry, heads)).toBeNull();
+    expect(validateEntry({ ...EMPTY_ENTRY, date: '2026-04-05' }, heads)).toMatch(/Please fill out/);
+    expect(validateEntry({ ...entry, amount: '-5' }, heads)).toMatch(/positive amount/);
+    expect(validateEntry({ ...entry, type: 'income' }, heads)).toMatch(/income head/);
+    expect(validateEntry({ ...entry, headId: 'h2' }, heads)).toMatch(/is a group/);
+  });
+
+  it('does not let a new entry use an archived head or account', () => {
+    const archivedHeads = [...heads, { id: 'h4', name: 'Old Salaries', head_type: 'expense', parent_id: null, archived: true }];
+    const accounts = [{ id: 'a1', name: 'Bank', archived: false }, { id: 'a2', name: 'Old Bank', archived: true }];
+    const entry = getEntryFromTransaction(transaction);
+
+    expect(validateEntry({ ...entry, headId: 'h4' }, archivedHeads, accounts)).toMatch(/"Old Salaries" is archived/);
+    expect(validateEntry({ ...entry, accountId: 'a2' }, archivedHeads, accounts)).toMatch(/"Old Bank" is archived/);
+    // An edited transaction may keep what it already has
+    expect(validateEntry({ ...entry, headId: 'h4', accountId: 'a2' }, archivedHeads, accounts, { headId: 'h4', accountId: 'a2' })).toBeNull();
+  });
+
+  it('duplicates as of today, leaving out an archived head or account', () => {
+    const accounts = [{ id: 'a1', name: 'Old Bank', archived: true }];
+    expect(getDuplicateEntry(transaction, heads, [{ id: 'a1', name: 'Bank' }], '2026-10-19')).toEqual({
+      ...getEntryFromTransaction(transaction), date: '2026-10-19',
+    });
+    const archivedHead = heads.map(h => (h.id === 'h3' ? { ...h, archived: true } : h));
+    expect(getDuplicateEntry(transaction, archivedHead, accounts, '2026-10-19')).toMatchObject({ headId: '', accountId: '', amount: '1200' });
+  });
+
+  it('refuses to edit a transaction matched to a bank statement line', () => {
+    expect(getEditBlocker(transaction)).toBeNull();
+    expect(getEditBlocker({ ...transaction, reconciled: false })).toBeNull();
+    expect(getEditBlocker({ ...transaction, reconciled: true })).toMatch(/Unmatch it before editing/);
+  });
+
+  it('clears the per-entry fields of a recorded entry only once it is saved', async () => {
+    const entry = getEntryFromTransaction(transaction);
+    const files = [{ name: 'bill.pdf' }];
+    const submitted = [];
+    const saving = (result) => async (...args) => { submitted.push(args); return result; };
+
+    expect(await submitRecordEntry(entry, files, saving({ id: 't9' }))).toEqual({
+      saved: true,
+      entry: { ...entry, amount: '', headId: '', description: '', referenceNumber: '' },
+    });
+    expect(submitted[0]).toEqual([entry, files]);
+
+    // A failed add keeps everything that was typed
+    expect(await submitRecordEntry(entry, files, saving(undefined))).toEqual({ saved: false, entry });
+    expect(await submitRecordEntry(entry, files, saving(false))).toEqual({ saved: false, entry });
+  });
+});
@@ -0,0 +1,190 @@
+import { PAYMENT_MODES, PAYMENT_MODE_LABELS } from './accounts';
+import { parseAmount, parseCSVToObjects } from './csvParser';
+import { makeDate, parseDateWithFormat } from './dates';
+import { isGroupHead } from './headTree';
+import { isArchivedHead } from './trash';
+import { isDateInClosedYear } from './yearEnd';
+
+// =========================================================================
+// BULK TRANSACTION IMPORT
+// Accepts the columns the "Filtered Transactions List" export writes, so an
+// exported file can be imported straight back.
+// =========================================================================
+
+export const IMPORT_COLUMNS = ['Date', 'Type', 'Head', 'Account', 'Description', 'Amount', 'PaymentMode', 'Reference', 'ReceiptURL'];
+export const REQUIRED_COLUMNS = ['Date', 'Type', 'Head', 'Amount'];
+
+// Excel stores dates without a zone; exceljs hands them back as UTC midnight
+const excelCellToText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) {
+    return makeDate(value.getUTCFullYear(), value.getUTCMonth() + 1, value.getUTCDate());
+  }
+  if (typeof value === 'object') {
+    // Hyperlinks, formulas and rich text
+    if (value.hyperlink) return value.hyperlink;
+    if (value.result !== undefined) return excelCellToText(value.result);
+    if (value.richText) return value.richText.map(r => r.text).join('');
+    if (value.text !== undefined) return String(value.text);
+  }
+  return String(value);
+};
+
+const readWorkbook = async (file) => {
+  const { default: ExcelJS } = await import('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await file.arrayBuffer());
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return { headers: [], records: [] };
+
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, col) => {
+    headers[col - 1] = excelCellToText(cell.value).trim();
+  });
+
+  const records = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const record = headers.reduce((acc, h, index) => ({ ...acc, [h]: excelCellToText(row.getCell(index + 1).value).trim() }), {});
+    if (Object.values(record).some(v => v !== '')) records.push(record);
+  });
+
+  return { headers: headers.filter(Boolean), records };
+};
+
+/**
+ * Reads a .csv or .xlsx file into { headers, records }
+ */
+export const readImportFile = async (file) => {
+  if (/\.xlsx$/i.test(file.name)) {
+    return readWorkbook(file);
+  }
+  return parseCSVToObjects(await file.text());
+};
+
+// Export writes YYYY-MM-DD; hand-made registers often use DD/MM/YYYY
+const parseImportDate = (value) =>
+  /^\d{4}/.test(String(value ?? '').trim())
+    ? parseDateWithFormat(value, 'YYYY-MM-DD')
+    : parseDateWithFormat(value, 'DD/MM/YYYY');
+
+// Accepts the mode ("neft") or its label ("NEFT / RTGS"); undefined when unknown
+const parsePaymentMode = (value) => {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (!text) return null;
+  return PAYMENT_MODES.find(m => m === text || PAYMENT_MODE_LABELS[m].toLowerCase() === text);
+};
+
+/**
+ * Identity of a head by type and case-insensitive name
+ */
+export const headKey = (name, type) => `${type}|${String(name).trim().toLowerCase()}`;
+
+const duplicateKey = (date, type, headId, amount, description) =>
+  [date, type, headId, Number(amount).toFixed(2), String(description || '').trim().toLowerCase()].join('|');
+
+/**
+ * Validates every record against the heads and existing transactions.
+ * Returns { rows, unknownHeads, missingColumns }:
+ *  - rows: one entry per record with parsed values, `errors` and `duplicate`
+ *  - unknownHeads: { name, type } pairs that do not exist yet
+ * Rows whose only problem is an unknown head have `unknownHead` set so they
+ * become valid once that head is created.
+ * Rows without an Account use defaultAccountId.
+ */
+export const validateImportRecords = (headers, records, heads, existingTransactions, closings = [], accounts = [], defaultAccountId = '') => {
+  const missingColumns = REQUIRED_COLUMNS.filter(c => !headers.includes(c));
+  if (missingColumns.length > 0) {
+    return { rows: [], unknownHeads: [], missingColumns };
+  }
+
+  const headsByKey = new Map(heads.map(h => [headKey(h.name, h.head_type), h]));
+  const headNames = new Map(heads.map(h => [String(h.name).trim().toLowerCase(), h]));
+  const accountsByName = new Map(accounts.filter(a => !a.archived).map(a => [String(a.name).trim().toLowerCase(), a]));
+  const existingKeys = new Set(existingTransactions.map(t => duplicateKey(t.date, t.type, t.head_id, t.amount, t.description)));
+  const unknownHeads = new Map();
+
+  const rows = records.map((record, index) => {
+    const errors = [];
+    const date = parseImportDate(record.Date);
+    const type = String(record.Type || '').trim().toLowerCase();
+    const headName = String(record.Head || '').trim();
+    const amount = parseAmount(record.Amount);
+    const description = record.Description || '';
+    const receiptUrl = record.ReceiptURL || '';
+    const accountName = String(record.Account || '').trim();
+    const accountId = accountName ? accountsByName.get(accountName.toLowerCase())?.id || null : defaultAccountId || null;
+    const paymentMode = parsePaymentMode(record.PaymentMode);
+    const referenceNumber = paymentMode === 'cash' ? '' : String(record.Reference || '').trim();
+
+    if (!date) errors.push(`Invalid date "${record.Date || ''}"`);
+    else if (isDateInClosedYear(closings, date)) errors.push('Date falls in a closed financial year');
+    if (type !== 'income' && type !== 'expense') errors.push(`Type must be income or expense, got "${record.Type || ''}"`);
+    if (amount === null || Number.isNaN(amount) || amount <= 0) errors.push(`Invalid amount "${record.Amount || ''}"`);
+    if (!headName) errors.push('Head is missing');
+    if (accountName && !accountId) errors.push(`Unknown account "${accountName}"`);
+    else if (!accountId) errors.push('Account is missing');
+    if (paymentMode === undefined) errors.push(`Unknown payment mode "${record.PaymentMode}"`);
+
+    let head = null;
+    let unknownHead = false;
+    if (headName && (type === 'income' || type === 'expense')) {
+      head = headsByKey.get(headKey(headName, type)) || null;
+      if (isArchivedHead(head)) {
+        errors.push(`Head "${head.name}" is archived`);
+      } else if (head && isGroupHead(heads, head.id)) {
+        errors.push(`Head "${head.name}" is a group; use one of its sub-heads`);
+      } else if (!head) {
+        const otherType = headNames.get(headName.toLowerCase());
+        if (otherType) {
+          errors.push(`Head "${otherType.name}" is an ${otherType.head_type} head`);
+        } else {
+          unknownHead = true;
+          unknownHeads.set(headKey(headName, type), { name: headName, type });
+        }
+      }
+    }
+
+    const duplicate = Boolean(head && date && amount > 0 && existingKeys.has(duplicateKey(date, type, head.id, amount, description)));
+
+    return {
+      rowNumber: index + 2, // header is row 1
+      date,
+      type,
+      headName,
+      headId: head?.id || null,
+      accountId,
+      paymentMode: paymentMode || null,
+      referenceNumber,
+      description,
+      amount,
+      receiptUrl,
+      errors,
+      unknownHead,
+      duplicate,
+    };
+  });
+
+  return { rows, unknownHeads: [...unknownHeads.values()], missingColumns };
+};
+
+/**
+ * First and last date of the validated rows, to read the transactions
+ * already recorded in between; null when no row has a valid date
+ */
+export const getImportDateRange = (rows) => {
+  const dates = rows.map(r => r.date).filter(Boolean).sort();
+  return dates.length > 0 ? { startDate: dates[0], endDate: dates[dates.length - 1] } : null;
+};
+
+/**
+ * Whether a validated row can be inserted, given which unknown heads the
+ * user chose to create (a Set of headKey values)
+ */
+export const isRowImportable = (row, headsToCreate, skipDuplicates) => {
+  if (row.errors.length > 0) return false;
+  if (row.duplicate && skipDuplicates) return false;
+  if (row.unknownHead) return headsToCreate.has(headKey(row.headName, row.type));
+  return true;
+};
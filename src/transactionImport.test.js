@@ -0,0 +1,134 @@
+import { describe, expect, it } from 'vitest';
+import { convertArrayOfObjectsToCSV } from './csvExport';
+import { parseCSVToObjects } from './csvParser';
+import { getTransactionExportRows } from './reports';
+import { IMPORT_COLUMNS, getImportDateRange, headKey, isRowImportable, validateImportRecords } from './transactionImport';
+
+const heads = [
+  { id: 'fees', name: 'Tuition Fees', head_type: 'income', parent_id: null },
+  { id: 'staff', name: 'Staff Costs', head_type: 'expense', parent_id: null },
+  { id: 'salary', name: 'Salaries', head_type: 'expense', parent_id: 'staff' },
+  { id: 'old', name: 'Old Repairs', head_type: 'expense', parent_id: null, archived: true },
+];
+
+const accounts = [
+  { id: 'cash', name: 'Cash Box', account_type: 'cash' },
+  { id: 'bank', name: 'Bank of India', account_type: 'bank' },
+];
+
+const record = (values) => ({ Date: '2026-04-10', Type: 'income', Head: 'Tuition Fees', Account: 'Cash Box', Amount: '500', ...values });
+const validate = (records, existing = [], closings = []) =>
+  validateImportRecords(IMPORT_COLUMNS, records, heads, existing, closings, accounts);
+
+describe('validateImportRecords', () => {
+  it('reports missing required columns and reads nothing', () => {
+    expect(validateImportRecords(['Date', 'Head'], [record({})], heads, [])).toEqual({
+      rows: [], unknownHeads: [], missingColumns: ['Type', 'Amount'],
+    });
+  });
+
+  it('reads export dates and DD/MM/YYYY, and refuses bad or closed-year dates', () => {
+    const { rows } = validate(
+      [record({ Date: '10/04/2026' }), record({ Date: '31/02/2026' }), record({ Date: 'next week' }), record({ Date: '2025-05-01' })],
+      [],
+      [{ financial_year: '2025-26' }]
+    );
+
+    expect(rows[0]).toMatchObject({ date: '2026-04-10', errors: [] });
+    expect(rows[1].errors).toEqual(['Invalid date "31/02/2026"']);
+    expect(rows[2].errors).toEqual(['Invalid date "next week"']);
+    expect(rows[3].errors).toEqual(['Date falls in a closed financial year']);
+  });
+
+  it('lists unknown heads once, and rows using them become importable when created', () => {
+    const { rows, unknownHeads } = validate([
+      record({ Head: 'Sports Day', Type: 'expense' }),
+      record({ Head: ' Sports Day ', Type: 'expense', Amount: '250' }),
+    ]);
+
+    expect(unknownHeads).toEqual([{ name: 'Sports Day', type: 'expense' }]);
+    expect(rows.every(r => r.unknownHead && r.errors.length === 0 && r.headId === null)).toBe(true);
+    expect(isRowImportable(rows[0], new Set(), false)).toBe(false);
+    expect(isRowImportable(rows[0], new Set([headKey('Sports Day', 'expense')]), false)).toBe(true);
+  });
+
+  it('refuses heads of the other type, groups and archived heads, and a bad type', () => {
+    const { rows, unknownHeads } = validate([
+      record({ Head: 'Salaries', Type: 'income' }),
+      record({ Head: 'Staff Costs', Type: 'expense' }),
+      record({ Head: 'Old Repairs', Type: 'expense' }),
+      record({ Type: 'refund' }),
+    ]);
+
+    expect(rows[0].errors).toEqual(['Head "Salaries" is an expense head']);
+    expect(rows[1].errors).toEqual(['Head "Staff Costs" is a group; use one of its sub-heads']);
+    expect(rows[2].errors).toEqual(['Head "Old Repairs" is archived']);
+    expect(rows[3].errors).toEqual(['Type must be income or expense, got "refund"']);
+    expect(unknownHeads).toEqual([]);
+  });
+
+  it('refuses bad amounts, unknown accounts and payment modes', () => {
+    const { rows } = validate([
+      record({ Amount: '-50' }),
+      record({ Amount: 'lots' }),
+      record({ Account: 'Piggy Bank' }),
+      record({ PaymentMode: 'barter' }),
+    ]);
+
+    expect(rows.map(r => r.errors)).toEqual([
+      ['Invalid amount "-50"'],
+      ['Invalid amount "lots"'],
+      ['Unknown account "Piggy Bank"'],
+      ['Unknown payment mode "barter"'],
+    ]);
+  });
+
+  it('flags rows already in the books, ignoring case and spaces in the description', () => {
+    const existing = [{ date: '2026-04-10', type: 'income', head_id: 'fees', amount: '500.00', description: 'Term 1 fees' }];
+    const { rows } = validate([
+      record({ Description: ' term 1 FEES ' }),
+      record({ Description: 'Term 1 fees', Amount: '500.01' }),
+    ], existing);
+
+    expect(rows.map(r => r.duplicate)).toEqual([true, false]);
+    expect(isRowImportable(rows[0], new Set(), true)).toBe(false);
+    expect(isRowImportable(rows[0], new Set(), false)).toBe(true);
+  });
+
+  it('gives the date range to look for duplicates in, skipping bad dates', () => {
+    const { rows } = validate([record({ Date: '2026-05-02' }), record({ Date: 'soon' }), record({ Date: '09/04/2026' })]);
+    expect(getImportDateRange(rows)).toEqual({ startDate: '2026-04-09', endDate: '2026-05-02' });
+    expect(getImportDateRange(validate([record({ Date: 'soon' })]).rows)).toBeNull();
+  });
+});
+
+describe('export and import round trip', () => {
+  it('imports an exported list back unchanged', () => {
+    const transactions = [
+      { id: 't1', date: '2026-05-02', type: 'expense', head_id: 'salary', account_id: 'bank', amount: 30000.5, description: 'May salaries, teaching "A" block', payment_mode: 'cheque', reference_number: '000881', receipt_url: '' },
+      { id: 't2', date: '2026-04-10', type: 'income', head_id: 'fees', account_id: 'cash', amount: 1250, description: 'Term 1 fees', payment_mode: 'cash', reference_number: '', receipt_url: 'https://example.com/r/1.pdf' },
+      { id: 't3', date: '2026-04-15', type: 'income', head_id: 'fees', account_id: 'bank', amount: 800, description: '', payment_mode: 'neft', reference_number: 'UTR991', receipt_url: '' },
+    ];
+
+    const csv = convertArrayOfObjectsToCSV(getTransactionExportRows(transactions, heads, accounts));
+    const { headers, records } = parseCSVToObjects(csv);
+    const { rows, unknownHeads, missingColumns } = validateImportRecords(headers, records, heads, [], [], accounts);
+
+    expect(missingColumns).toEqual([]);
+    expect(unknownHeads).toEqual([]);
+    expect(rows.every(r => r.errors.length === 0 && !r.duplicate)).toBe(true);
+    const imported = rows.map(r => ({
+      date: r.date, type: r.type, head_id: r.headId, account_id: r.accountId, amount: r.amount,
+      description: r.description, payment_mode: r.paymentMode, reference_number: r.referenceNumber, receipt_url: r.receiptUrl,
+    }));
+    // The export is in date order
+    expect(imported).toEqual(['t2', 't3', 't1'].map(id => {
+      const { id: _id, ...fields } = transactions.find(t => t.id === id);
+      return fields;
+    }));
+
+    // Imported a second time, every row is a duplicate
+    const again = validateImportRecords(headers, records, heads, transactions, [], accounts);
+    expect(again.rows.every(r => r.duplicate)).toBe(true);
+  });
+});
@@ -0,0 +1,34 @@
+import { isGroupHead } from './headTree';
+
+// =========================================================================
+// TRASH & ARCHIVE HELPERS
+// Deleted heads and transactions keep their row with deleted_at set until
+// an admin empties them from the trash. Archived heads stay in reports but
+// are no longer offered when recording.
+// =========================================================================
+
+export const isArchivedHead = (head) => Boolean(head?.archived);
+
+/**
+ * Heads that can be picked for new entries (groups take none)
+ */
+export const getSelectableHeads = (heads, type) =>
+  heads
+    .filter(h => !isArchivedHead(h) && (!type || h.head_type === type) && !isGroupHead(heads, h.id))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+/**
+ * How many transactions (live and trashed) still point at a head, of one
+ * type when given. headUsage: [{ head_id, type, transactions }] from
+ * db.getHeadUsage, as older transactions are not loaded.
+ */
+export const countHeadTransactions = (headUsage, headId, type = null) =>
+  headUsage
+    .filter(u => u.head_id === headId && (!type || u.type === type))
+    .reduce((acc, u) => acc + u.transactions, 0);
+
+/**
+ * Trash contents, newest deletion first
+ */
+export const sortByDeletedAt = (rows) =>
+  [...rows].sort((a, b) => String(b.deleted_at || '').localeCompare(String(a.deleted_at || '')));
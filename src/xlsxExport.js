@@ -0,0 +1,174 @@
+import { downloadBlob } from './csvExport';
+import { parseDate } from './dates';
+
+// =========================================================================
+// EXCEL (XLSX) WORKBOOK EXPORT
+// Several reports in one workbook, one sheet each, from the same rows as the
+// CSV exports. Dates and amounts are written as typed cells, headers stay
+// frozen and the totals are SUMIF formulas, so they follow edits made in Excel.
+// =========================================================================
+
+export const DATE_FORMAT = 'dd/mm/yyyy';
+export const CURRENCY_FORMAT = '"₹"#,##0.00;[Red]-"₹"#,##0.00';
+
+// Excel's limit, and the characters it does not allow in sheet names
+const MAX_SHEET_NAME_LENGTH = 31;
+const INVALID_SHEET_NAME_CHARS = /[\\/?*[\]:]/g;
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const TRANSACTION_COLUMNS = [
+  { key: 'Date', type: 'date', width: 12 },
+  { key: 'Type', type: 'text', width: 10 },
+  { key: 'Head', type: 'text', width: 24 },
+  { key: 'Account', type: 'text', width: 18 },
+  { key: 'Description', type: 'text', width: 36 },
+  { key: 'Amount', type: 'currency', width: 16 },
+  { key: 'PaymentMode', type: 'text', width: 14 },
+  { key: 'Reference', type: 'text', width: 14 },
+  { key: 'ReceiptURL', type: 'text', width: 30 },
+];
+
+const PL_SUMMARY_COLUMNS = [
+  { key: 'Head', type: 'text', width: 32 },
+  { key: 'Level', type: 'number', width: 8 },
+  { key: 'Row', type: 'text', width: 10 },
+  { key: 'Type', type: 'text', width: 10 },
+  { key: 'Income', type: 'currency', width: 16 },
+  { key: 'Expense', type: 'currency', width: 16 },
+  { key: 'Net', type: 'currency', width: 16 },
+];
+
+/**
+ * A cell value of the column's type: 'date' turns YYYY-MM-DD into a Date at
+ * UTC midnight (Excel dates have no zone), 'currency' and 'number' into
+ * numbers; empty values stay empty
+ */
+export const toCellValue = (value, type) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (type === 'date') {
+    const { year, month, day } = parseDate(value);
+    return new Date(Date.UTC(year, month - 1, day));
+  }
+  if (type === 'currency' || type === 'number') return Number(value);
+  return String(value);
+};
+
+/**
+ * A valid sheet name not already in usedNames (compared case-insensitively,
+ * as Excel does): invalid characters become "-", long names are cut and
+ * repeats get " (2)", " (3)"...
+ */
+export const getSheetName = (name, usedNames) => {
+  const base = String(name).replace(INVALID_SHEET_NAME_CHARS, '-').replace(/^'+|'+$/g, '').trim() || 'Sheet';
+  const taken = new Set(usedNames.map(n => n.toLowerCase()));
+  let candidate = base.slice(0, MAX_SHEET_NAME_LENGTH);
+  for (let n = 2; taken.has(candidate.toLowerCase()); n += 1) {
+    const suffix = ` (${n})`;
+    candidate = `${base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length)}${suffix}`;
+  }
+  return candidate;
+};
+
+/**
+ * Sheet of transactions (getTransactionExportRows) with Total Income, Total
+ * Expense and Net under the Amount column
+ */
+export const getTransactionsSheet = (name, rows) => {
+  const sumOfType = (type) => (range) => `SUMIF(${range('Type')},"${type}",${range('Amount')})`;
+  return {
+    name,
+    columns: TRANSACTION_COLUMNS,
+    rows,
+    labelKey: 'Description',
+    totals: [
+      { label: 'Total Income', formulas: { Amount: sumOfType('income') } },
+      { label: 'Total Expense', formulas: { Amount: sumOfType('expense') } },
+      { label: 'Net', formulas: { Amount: (range) => `${sumOfType('income')(range)}-${sumOfType('expense')(range)}` } },
+    ],
+  };
+};
+
+/**
+ * Sheet of a P&L Head Summary (getPLTreeExportRows). Its TOTALS row becomes
+ * formulas adding up the top-level rows only: a group's subtotal already
+ * holds the rows below it and the group head's own postings, which have no
+ * row of their own.
+ */
+export const getPLSummarySheet = (name, exportRows) => {
+  const sumOfHeads = (key) => (range) => `SUMIF(${range('Level')},1,${range(key)})`;
+  return {
+    name,
+    columns: PL_SUMMARY_COLUMNS,
+    rows: exportRows.filter(r => r.Row !== 'Total'),
+    labelKey: 'Head',
+    totals: [
+      { label: 'TOTALS', formulas: { Income: sumOfHeads('Income'), Expense: sumOfHeads('Expense'), Net: sumOfHeads('Net') } },
+    ],
+  };
+};
+
+/**
+ * One transactions sheet per head, in head order
+ */
+export const getHeadSheets = (transactionRows) =>
+  [...new Set(transactionRows.map(r => r.Head))]
+    .sort((a, b) => a.localeCompare(b))
+    .map(head => getTransactionsSheet(head, transactionRows.filter(r => r.Head === head)));
+
+/**
+ * Builds an exceljs Workbook from sheet definitions:
+ * { name, columns: [{ key, type, width }], rows, labelKey, totals }, where
+ * each total is { label, formulas: { key: range => formula } } and range(key)
+ * gives that column's data cells (e.g. F2:F40)
+ */
+export const buildWorkbook = async (sheets) => {
+  const { default: ExcelJS } = await import('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  workbook.calcProperties.fullCalcOnLoad = true;
+
+  const usedNames = [];
+  sheets.forEach(sheet => {
+    const sheetName = getSheetName(sheet.name, usedNames);
+    usedNames.push(sheetName);
+
+    const worksheet = workbook.addWorksheet(sheetName, { views: [{ state: 'frozen', ySplit: 1 }] });
+    worksheet.columns = sheet.columns.map(c => ({
+      header: c.key,
+      key: c.key,
+      width: c.width,
+      style: c.type === 'date' ? { numFmt: DATE_FORMAT } : c.type === 'currency' ? { numFmt: CURRENCY_FORMAT } : {},
+    }));
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: sheet.columns.length } };
+
+    sheet.rows.forEach(row => {
+      worksheet.addRow(Object.fromEntries(sheet.columns.map(c => [c.key, toCellValue(row[c.key], c.type)])));
+    });
+
+    const lastDataRow = sheet.rows.length + 1;
+    const range = (key) => {
+      const letter = worksheet.getColumn(key).letter;
+      return `${letter}2:${letter}${lastDataRow}`;
+    };
+    sheet.totals.forEach(total => {
+      const totalRow = worksheet.addRow({ [sheet.labelKey]: total.label });
+      Object.entries(total.formulas).forEach(([key, formula]) => {
+        // With no data rows the range would point at the totals themselves
+        totalRow.getCell(key).value = sheet.rows.length > 0 ? { formula: formula(range) } : 0;
+      });
+      totalRow.font = { bold: true };
+    });
+  });
+
+  return workbook;
+};
+
+/**
+ * Builds the workbook and downloads it as `filename`
+ */
+export const downloadWorkbook = async (sheets, filename) => {
+  const workbook = await buildWorkbook(sheets);
+  const buffer = await workbook.xlsx.writeBuffer();
+  downloadBlob(new Blob([buffer], { type: XLSX_MIME_TYPE }), filename);
+};
@@ -0,0 +1,107 @@
+import { describe, expect, it } from 'vitest';
+import { getPLTreeExportRows } from './headTree';
+import { getPLTotals, getTransactionExportRows } from './reports';
+import {
+  CURRENCY_FORMAT,
+  DATE_FORMAT,
+  buildWorkbook,
+  getHeadSheets,
+  getPLSummarySheet,
+  getSheetName,
+  getTransactionsSheet,
+  toCellValue,
+} from './xlsxExport';
+
+const heads = [
+  { id: 'fees', name: 'Fees', head_type: 'income', parent_id: null },
+  { id: 'tuition', name: 'Tuition', head_type: 'income', parent_id: 'fees' },
+  { id: 'salary', name: 'Salaries', head_type: 'expense', parent_id: null },
+];
+
+const accounts = [{ id: 'cash', name: 'Cash in Hand' }];
+
+const transactionRows = getTransactionExportRows([
+  { date: '2026-05-02', type: 'expense', head_id: 'salary', account_id: 'cash', amount: '30000', payment_mode: 'cheque' },
+  { date: '2026-04-10', type: 'income', head_id: 'tuition', account_id: 'cash', amount: 50000 },
+], heads, accounts);
+
+describe('toCellValue', () => {
+  it('types dates and amounts, leaving empty values empty', () => {
+    expect(toCellValue('2026-04-10', 'date')).toEqual(new Date(Date.UTC(2026, 3, 10)));
+    expect(toCellValue('30000.50', 'currency')).toBe(30000.5);
+    expect(toCellValue(2, 'text')).toBe('2');
+    expect(toCellValue('', 'currency')).toBeNull();
+    expect(toCellValue(undefined, 'date')).toBeNull();
+  });
+});
+
+describe('getSheetName', () => {
+  it('replaces characters Excel does not allow and cuts to 31 characters', () => {
+    expect(getSheetName('Books / Stationery [new]', [])).toBe('Books - Stationery -new-');
+    expect(getSheetName('A very long head name for the sports day events', [])).toHaveLength(31);
+  });
+
+  it('keeps names unique, ignoring case', () => {
+    expect(getSheetName('transactions', ['Transactions'])).toBe('transactions (2)');
+    expect(getSheetName('Transactions', ['Transactions', 'Transactions (2)'])).toBe('Transactions (3)');
+    expect(getSheetName('A very long head name for the sports day events', ['A very long head name for the s'])).toBe('A very long head name for t (2)');
+  });
+});
+
+describe('sheet definitions', () => {
+  it('drops the precomputed P&L totals row in favour of formulas over top-level rows', () => {
+    const summary = [
+      { Head: 'Tuition', Type: 'income', Income: 50000, Expense: 0, Net: 50000 },
+      { Head: 'Salaries', Type: 'expense', Income: 0, Expense: 30000, Net: -30000 },
+    ];
+    const sheet = getPLSummarySheet('P&L Summary', getPLTreeExportRows(summary, heads));
+    expect(sheet.rows.map(r => r.Row)).toEqual(['Subtotal', 'Head', 'Head']);
+    expect(sheet.totals[0].formulas.Income((key) => `<${key}>`)).toBe('SUMIF(<Level>,1,<Income>)');
+  });
+
+  it('totals the same as getPLTotals when a group head has postings of its own', () => {
+    const summary = [
+      { Head: 'Fees', Type: 'income', Income: 7000, Expense: 500, Net: 6500 },
+      { Head: 'Tuition', Type: 'income', Income: 50000, Expense: 0, Net: 50000 },
+      { Head: 'Salaries', Type: 'expense', Income: 0, Expense: 30000, Net: -30000 },
+    ];
+    const sheet = getPLSummarySheet('P&L Summary', getPLTreeExportRows(summary, heads));
+    // What SUMIF(Level,1,...) adds up in Excel
+    const sumTopLevel = (key) => sheet.rows.filter(r => r.Level === 1).reduce((acc, r) => acc + r[key], 0);
+    const totals = getPLTotals(summary);
+
+    expect(sheet.rows.filter(r => r.Row === 'Head').map(r => r.Head.trim())).not.toContain('Fees');
+    expect([sumTopLevel('Income'), sumTopLevel('Expense'), sumTopLevel('Net')]).toEqual([totals.income, totals.expense, totals.net]);
+  });
+
+  it('makes one transactions sheet per head', () => {
+    expect(getHeadSheets(transactionRows).map(s => [s.name, s.rows.length])).toEqual([['Salaries', 1], ['Tuition', 1]]);
+  });
+});
+
+describe('buildWorkbook', () => {
+  it('writes typed cells, frozen headers and formula totals', async () => {
+    const workbook = await buildWorkbook([
+      getTransactionsSheet('Transactions', transactionRows),
+      getTransactionsSheet('transactions', []),
+    ]);
+    const [sheet, empty] = workbook.worksheets;
+
+    expect(workbook.worksheets.map(s => s.name)).toEqual(['Transactions', 'transactions (2)']);
+    expect(sheet.views[0]).toMatchObject({ state: 'frozen', ySplit: 1 });
+    expect(sheet.getRow(1).values.slice(1, 7)).toEqual(['Date', 'Type', 'Head', 'Account', 'Description', 'Amount']);
+
+    expect(sheet.getCell('A2').value).toEqual(new Date(Date.UTC(2026, 3, 10)));
+    expect(sheet.getCell('A2').numFmt).toBe(DATE_FORMAT);
+    expect(sheet.getCell('F3').value).toBe(30000);
+    expect(sheet.getCell('F3').numFmt).toBe(CURRENCY_FORMAT);
+    expect(sheet.getCell('G3').value).toBe('Cheque');
+
+    expect(sheet.getCell('E4').value).toBe('Total Income');
+    expect(sheet.getCell('F4').value).toEqual({ formula: 'SUMIF(B2:B3,"income",F2:F3)' });
+    expect(sheet.getCell('F6').value).toEqual({ formula: 'SUMIF(B2:B3,"income",F2:F3)-SUMIF(B2:B3,"expense",F2:F3)' });
+
+    // No rows: plain zeros rather than formulas over the totals themselves
+    expect(empty.getCell('F2').value).toBe(0);
+  });
+});
@@ -0,0 +1,62 @@
+import { getFinancialYear, getFinancialYearByStartYear, getFinancialYearFromLabel, isDateInRange } from './dates';
+
+// =========================================================================
+// YEAR-END CLOSING HELPERS
+// =========================================================================
+
+/**
+ * Closing balance carried forward from the year before `financialYear`
+ * (0 when that year was never closed)
+ */
+export const getOpeningBalance = (closings, financialYear) => {
+  const { startYear } = getFinancialYearFromLabel(financialYear);
+  const previous = getFinancialYearByStartYear(startYear - 1).label;
+  const closing = closings.find(c => c.financial_year === previous);
+  return closing ? Number(closing.closing_balance) : 0;
+};
+
+/**
+ * Years must be closed in order: the one after the last closing, or the
+ * year of the first transaction (firstDate) when nothing has been closed yet
+ */
+export const getNextYearToClose = (firstDate, closings) => {
+  if (closings.length > 0) {
+    const lastStartYear = Math.max(...closings.map(c => getFinancialYearFromLabel(c.financial_year).startYear));
+    return getFinancialYearByStartYear(lastStartYear + 1);
+  }
+  return firstDate ? getFinancialYear(firstDate) : null;
+};
+
+/**
+ * Income, expense and surplus for a financial year, with the opening
+ * balance brought forward and the resulting closing balance.
+ * totals: { income, expense } of the year's P&L (see getPLTotals)
+ */
+export const getFinancialYearSummary = (totals, closings, financialYear) => {
+  const fy = getFinancialYearFromLabel(financialYear);
+  const totalIncome = totals.income;
+  const totalExpense = totals.expense;
+  const netSurplus = totalIncome - totalExpense;
+  const openingBalance = getOpeningBalance(closings, financialYear);
+
+  return {
+    financialYear: fy.label,
+    startDate: fy.startDate,
+    endDate: fy.endDate,
+    totalIncome,
+    totalExpense,
+    netSurplus,
+    openingBalance,
+    closingBalance: openingBalance + netSurplus,
+  };
+};
+
+/**
+ * True when the date falls inside a financial year that has been closed
+ */
+export const isDateInClosedYear = (closings, dateString) => {
+  return closings.some(c => {
+    const fy = getFinancialYearFromLabel(c.financial_year);
+    return isDateInRange(dateString, fy.startDate, fy.endDate);
+  });
+};
@@ -0,0 +1,64 @@
+-- Students, classes and fee structures.
+-- Fee collection is recorded as a normal income row in `transactions`,
+-- linked back to the student through `transactions.student_id`.
+
+create table if not exists public.classes (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  name text not null,
+  section text not null default '',
+  created_at timestamptz not null default now(),
+  unique (user_id, name, section)
+);
+
+create table if not exists public.students (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  class_id uuid references public.classes (id) on delete set null,
+  admission_no text not null,
+  name text not null,
+  guardian_name text not null default '',
+  phone text not null default '',
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  unique (user_id, admission_no)
+);
+
+-- One fee structure per class and income head (e.g. "Tuition Fees" for Class 5 A)
+create table if not exists public.fee_structures (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  class_id uuid not null references public.classes (id) on delete cascade,
+  head_id uuid not null references public.heads (id) on delete restrict,
+  name text not null,
+  created_at timestamptz not null default now()
+);
+
+-- Term-wise installments of a fee structure
+create table if not exists public.fee_installments (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  fee_structure_id uuid not null references public.fee_structures (id) on delete cascade,
+  term text not null,
+  due_date date not null,
+  amount numeric(12, 2) not null check (amount > 0)
+);
+
+alter table public.transactions
+  add column if not exists student_id uuid references public.students (id) on delete set null;
+
+create index if not exists transactions_student_id_idx on public.transactions (student_id);
+
+alter table public.classes enable row level security;
+alter table public.students enable row level security;
+alter table public.fee_structures enable row level security;
+alter table public.fee_installments enable row level security;
+
+create policy "Own classes" on public.classes
+  for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
+create policy "Own students" on public.students
+  for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
+create policy "Own fee structures" on public.fee_structures
+  for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
+create policy "Own fee installments" on public.fee_installments
+  for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
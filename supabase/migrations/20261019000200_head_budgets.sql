@@ -0,0 +1,19 @@
+-- Budget amounts per P&L head per financial year (April-March).
+-- month = 0 holds the annual budget; months 1-12 hold an optional
+-- month-wise split (calendar month numbers, so April = 4).
+
+create table if not exists public.budgets (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  head_id uuid not null references public.heads (id) on delete cascade,
+  financial_year text not null check (financial_year ~ '^[0-9]{4}-[0-9]{2}$'),
+  month smallint not null default 0 check (month between 0 and 12),
+  amount numeric(12, 2) not null check (amount >= 0),
+  created_at timestamptz not null default now(),
+  unique (user_id, head_id, financial_year, month)
+);
+
+alter table public.budgets enable row level security;
+
+create policy "Own budgets" on public.budgets
+  for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
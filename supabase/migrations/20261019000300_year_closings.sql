@@ -0,0 +1,21 @@
+-- Year-end closing of April-March financial years.
+-- The closing balance of a year becomes the opening balance of the next,
+-- and transactions dated inside a closed year are locked in the app.
+
+create table if not exists public.year_closings (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  financial_year text not null check (financial_year ~ '^[0-9]{4}-[0-9]{2}$'),
+  total_income numeric(14, 2) not null default 0,
+  total_expense numeric(14, 2) not null default 0,
+  net_surplus numeric(14, 2) not null default 0,
+  opening_balance numeric(14, 2) not null default 0,
+  closing_balance numeric(14, 2) not null default 0,
+  closed_at timestamptz not null default now(),
+  unique (user_id, financial_year)
+);
+
+alter table public.year_closings enable row level security;
+
+create policy "Own year closings" on public.year_closings
+  for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
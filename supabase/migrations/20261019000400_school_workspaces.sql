@@ -0,0 +1,241 @@
+-- School workspaces with roles.
+-- A school owns all finance data; users see it through their membership.
+--   admin      : everything, including members, budgets and year-end closing
+--   accountant : records heads, transactions, students and fees
+--   viewer     : read-only access to reports
+-- `user_id` on data rows is kept as "created by".
+
+create table if not exists public.schools (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  created_by uuid references auth.users (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.school_members (
+  school_id uuid not null references public.schools (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  email text not null default '',
+  role text not null check (role in ('admin', 'accountant', 'viewer')),
+  created_at timestamptz not null default now(),
+  primary key (school_id, user_id)
+);
+
+create table if not exists public.school_invitations (
+  id uuid primary key default gen_random_uuid(),
+  school_id uuid not null references public.schools (id) on delete cascade,
+  email text not null,
+  role text not null check (role in ('admin', 'accountant', 'viewer')),
+  invited_by uuid references auth.users (id) on delete set null,
+  accepted_at timestamptz,
+  created_at timestamptz not null default now(),
+  unique (school_id, email)
+);
+
+-- Role of the signed-in user in a school (null when not a member)
+create or replace function public.school_role(p_school_id uuid)
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select role from public.school_members
+  where school_id = p_school_id and user_id = auth.uid()
+$$;
+
+-- ---------------------------------------------------------------------------
+-- Move existing per-user data into one school per user
+-- ---------------------------------------------------------------------------
+
+alter table public.heads add column if not exists school_id uuid references public.schools (id) on delete cascade;
+alter table public.transactions add column if not exists school_id uuid references public.schools (id) on delete cascade;
+alter table public.classes add column if not exists school_id uuid references public.schools (id) on delete cascade;
+alter table public.students add column if not exists school_id uuid references public.schools (id) on delete cascade;
+alter table public.fee_structures add column if not exists school_id uuid references public.schools (id) on delete cascade;
+alter table public.fee_installments add column if not exists school_id uuid references public.schools (id) on delete cascade;
+alter table public.budgets add column if not exists school_id uuid references public.schools (id) on delete cascade;
+alter table public.year_closings add column if not exists school_id uuid references public.schools (id) on delete cascade;
+
+do $$
+declare
+  owner record;
+  new_school_id uuid;
+  tbl text;
+begin
+  for owner in
+    -- Everyone who owns a row in any of the tables moved below
+    select distinct d.user_id, u.email
+    from (
+      select user_id from public.heads
+      union select user_id from public.transactions
+      union select user_id from public.classes
+      union select user_id from public.students
+      union select user_id from public.fee_structures
+      union select user_id from public.fee_installments
+      union select user_id from public.budgets
+      union select user_id from public.year_closings
+    ) d
+    join auth.users u on u.id = d.user_id
+  loop
+    insert into public.schools (name, created_by)
+    values ('My School', owner.user_id)
+    returning id into new_school_id;
+
+    insert into public.school_members (school_id, user_id, email, role)
+    values (new_school_id, owner.user_id, coalesce(owner.email, ''), 'admin');
+
+    foreach tbl in array array['heads', 'transactions', 'classes', 'students', 'fee_structures',
+                               'fee_installments', 'budgets', 'year_closings']
+    loop
+      execute format('update public.%I set school_id = $1 where user_id = $2 and school_id is null', tbl)
+        using new_school_id, owner.user_id;
+    end loop;
+  end loop;
+end $$;
+
+alter table public.heads alter column school_id set not null;
+alter table public.transactions alter column school_id set not null;
+alter table public.classes alter column school_id set not null;
+alter table public.students alter column school_id set not null;
+alter table public.fee_structures alter column school_id set not null;
+alter table public.fee_installments alter column school_id set not null;
+alter table public.budgets alter column school_id set not null;
+alter table public.year_closings alter column school_id set not null;
+
+create index if not exists heads_school_id_idx on public.heads (school_id);
+create index if not exists transactions_school_id_idx on public.transactions (school_id);
+
+-- Uniqueness is now per school rather than per user
+alter table public.classes drop constraint if exists classes_user_id_name_section_key;
+alter table public.classes add constraint classes_school_id_name_section_key unique (school_id, name, section);
+alter table public.students drop constraint if exists students_user_id_admission_no_key;
+alter table public.students add constraint students_school_id_admission_no_key unique (school_id, admission_no);
+alter table public.budgets drop constraint if exists budgets_user_id_head_id_financial_year_month_key;
+alter table public.budgets add constraint budgets_school_id_head_id_financial_year_month_key unique (school_id, head_id, financial_year, month);
+alter table public.year_closings drop constraint if exists year_closings_user_id_financial_year_key;
+alter table public.year_closings add constraint year_closings_school_id_financial_year_key unique (school_id, financial_year);
+
+-- ---------------------------------------------------------------------------
+-- Row-level security
+-- ---------------------------------------------------------------------------
+
+-- Drop the old per-user policies
+do $$
+declare
+  pol record;
+begin
+  for pol in
+    select policyname, tablename from pg_policies
+    where schemaname = 'public'
+      and tablename in ('heads', 'transactions', 'classes', 'students', 'fee_structures',
+                        'fee_installments', 'budgets', 'year_closings')
+  loop
+    execute format('drop policy %I on public.%I', pol.policyname, pol.tablename);
+  end loop;
+end $$;
+
+alter table public.heads enable row level security;
+alter table public.transactions enable row level security;
+
+-- Any member can read; admins and accountants can record
+do $$
+declare
+  tbl text;
+begin
+  foreach tbl in array array['heads', 'transactions', 'classes', 'students', 'fee_structures', 'fee_installments']
+  loop
+    execute format('create policy "Members read" on public.%I for select using (public.school_role(school_id) is not null)', tbl);
+    execute format('create policy "Recorders insert" on public.%I for insert with check (public.school_role(school_id) in (''admin'', ''accountant''))', tbl);
+    execute format('create policy "Recorders update" on public.%I for update using (public.school_role(school_id) in (''admin'', ''accountant'')) with check (public.school_role(school_id) in (''admin'', ''accountant''))', tbl);
+    execute format('create policy "Recorders delete" on public.%I for delete using (public.school_role(school_id) in (''admin'', ''accountant''))', tbl);
+  end loop;
+
+  -- Budgets and year-end closing are admin decisions
+  foreach tbl in array array['budgets', 'year_closings']
+  loop
+    execute format('create policy "Members read" on public.%I for select using (public.school_role(school_id) is not null)', tbl);
+    execute format('create policy "Admins write" on public.%I for all using (public.school_role(school_id) = ''admin'') with check (public.school_role(school_id) = ''admin'')', tbl);
+  end loop;
+end $$;
+
+alter table public.schools enable row level security;
+alter table public.school_members enable row level security;
+alter table public.school_invitations enable row level security;
+
+create policy "Members read school" on public.schools
+  for select using (public.school_role(id) is not null);
+create policy "Admins rename school" on public.schools
+  for update using (public.school_role(id) = 'admin') with check (public.school_role(id) = 'admin');
+
+create policy "Members read members" on public.school_members
+  for select using (public.school_role(school_id) is not null);
+create policy "Admins update members" on public.school_members
+  for update using (public.school_role(school_id) = 'admin') with check (public.school_role(school_id) = 'admin');
+create policy "Admins remove members" on public.school_members
+  for delete using (public.school_role(school_id) = 'admin');
+
+create policy "Admins manage invitations" on public.school_invitations
+  for all using (public.school_role(school_id) = 'admin') with check (public.school_role(school_id) = 'admin');
+
+-- ---------------------------------------------------------------------------
+-- RPCs (memberships are only ever created through these)
+-- ---------------------------------------------------------------------------
+
+-- Creates a school with the caller as its admin
+create or replace function public.create_school(p_name text)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  new_school_id uuid;
+begin
+  if auth.uid() is null then
+    raise exception 'Not signed in';
+  end if;
+
+  insert into public.schools (name, created_by)
+  values (p_name, auth.uid())
+  returning id into new_school_id;
+
+  insert into public.school_members (school_id, user_id, email, role)
+  values (new_school_id, auth.uid(), coalesce(auth.jwt() ->> 'email', ''), 'admin');
+
+  return new_school_id;
+end;
+$$;
+
+-- Joins every school that has invited the caller's email address
+create or replace function public.accept_pending_invitations()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  caller_email text := lower(coalesce(auth.jwt() ->> 'email', ''));
+  accepted integer;
+begin
+  if auth.uid() is null or caller_email = '' then
+    return 0;
+  end if;
+
+  insert into public.school_members (school_id, user_id, email, role)
+  select school_id, auth.uid(), caller_email, role
+  from public.school_invitations
+  where lower(email) = caller_email and accepted_at is null
+  on conflict (school_id, user_id) do nothing;
+
+  update public.school_invitations
+  set accepted_at = now()
+  where lower(email) = caller_email and accepted_at is null;
+
+  get diagnostics accepted = row_count;
+  return accepted;
+end;
+$$;
+
+grant execute on function public.create_school(text) to authenticated;
+grant execute on function public.accept_pending_invitations() to authenticated;
@@ -0,0 +1,73 @@
+-- Expense approval workflow.
+-- Expenses above the school's approval threshold are recorded as 'pending'
+-- and only count in reports once an admin approves them. Rejections keep
+-- a reason. Existing rows are treated as approved.
+
+alter table public.schools
+  add column if not exists approval_threshold numeric(12, 2) check (approval_threshold is null or approval_threshold >= 0);
+
+alter table public.transactions
+  add column if not exists status text not null default 'approved'
+    check (status in ('approved', 'pending', 'rejected')),
+  add column if not exists approved_by uuid references auth.users (id) on delete set null,
+  add column if not exists approved_at timestamptz,
+  add column if not exists rejection_reason text;
+
+create index if not exists transactions_status_idx on public.transactions (school_id, status);
+
+-- Enforces the workflow regardless of what the client sends:
+--  * new expenses over the threshold start as pending
+--  * only admins can approve or reject
+--  * a non-admin raising an expense above the threshold sends it back to pending
+create or replace function public.enforce_expense_approval()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  threshold numeric;
+  caller_role text := public.school_role(new.school_id);
+begin
+  select approval_threshold into threshold from public.schools where id = new.school_id;
+
+  if tg_op = 'INSERT' then
+    new.approved_by := null;
+    new.approved_at := null;
+    new.rejection_reason := null;
+    if new.type = 'expense' and threshold is not null and new.amount > threshold then
+      new.status := 'pending';
+    else
+      new.status := 'approved';
+    end if;
+    return new;
+  end if;
+
+  if new.status is distinct from old.status then
+    if caller_role is distinct from 'admin' then
+      raise exception 'Only admins can approve or reject expenses';
+    end if;
+    if new.status = 'rejected' and coalesce(trim(new.rejection_reason), '') = '' then
+      raise exception 'A reason is required to reject an expense';
+    end if;
+    new.approved_by := auth.uid();
+    new.approved_at := now();
+    return new;
+  end if;
+
+  if caller_role is distinct from 'admin'
+     and new.type = 'expense' and threshold is not null and new.amount > threshold
+     and (new.amount is distinct from old.amount or new.type is distinct from old.type) then
+    new.status := 'pending';
+    new.approved_by := null;
+    new.approved_at := null;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists transactions_expense_approval on public.transactions;
+create trigger transactions_expense_approval
+  before insert or update on public.transactions
+  for each row execute function public.enforce_expense_approval();
@@ -0,0 +1,34 @@
+-- Bank statement import and reconciliation.
+-- Imported statement lines are matched one-to-one against transactions;
+-- a matched transaction is flagged as reconciled.
+
+create table if not exists public.bank_statement_lines (
+  id uuid primary key default gen_random_uuid(),
+  school_id uuid not null references public.schools (id) on delete cascade,
+  user_id uuid references auth.users (id) on delete set null,
+  txn_date date not null,
+  narration text not null default '',
+  debit numeric(14, 2) not null default 0 check (debit >= 0),
+  credit numeric(14, 2) not null default 0 check (credit >= 0),
+  balance numeric(14, 2),
+  matched_transaction_id uuid unique references public.transactions (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists bank_statement_lines_school_date_idx on public.bank_statement_lines (school_id, txn_date);
+
+alter table public.transactions
+  add column if not exists reconciled boolean not null default false,
+  add column if not exists reconciled_at timestamptz;
+
+alter table public.bank_statement_lines enable row level security;
+
+create policy "Members read" on public.bank_statement_lines
+  for select using (public.school_role(school_id) is not null);
+create policy "Recorders insert" on public.bank_statement_lines
+  for insert with check (public.school_role(school_id) in ('admin', 'accountant'));
+create policy "Recorders update" on public.bank_statement_lines
+  for update using (public.school_role(school_id) in ('admin', 'accountant'))
+  with check (public.school_role(school_id) in ('admin', 'accountant'));
+create policy "Recorders delete" on public.bank_statement_lines
+  for delete using (public.school_role(school_id) in ('admin', 'accountant'));
@@ -0,0 +1,48 @@
+-- Receipt attachments stored in Supabase Storage.
+-- Files live in the private "receipts" bucket under <school_id>/<transaction_id>/,
+-- so storage access follows school membership like the tables do.
+-- transactions.receipt_url is kept for receipts linked before this change.
+
+insert into storage.buckets (id, name, public)
+values ('receipts', 'receipts', false)
+on conflict (id) do nothing;
+
+create table if not exists public.transaction_attachments (
+  id uuid primary key default gen_random_uuid(),
+  school_id uuid not null references public.schools (id) on delete cascade,
+  transaction_id uuid not null references public.transactions (id) on delete cascade,
+  user_id uuid references auth.users (id) on delete set null,
+  file_path text not null unique,
+  file_name text not null default '',
+  mime_type text not null default '',
+  size_bytes bigint not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists transaction_attachments_transaction_idx on public.transaction_attachments (transaction_id);
+
+alter table public.transaction_attachments enable row level security;
+
+create policy "Members read" on public.transaction_attachments
+  for select using (public.school_role(school_id) is not null);
+create policy "Recorders insert" on public.transaction_attachments
+  for insert with check (public.school_role(school_id) in ('admin', 'accountant'));
+create policy "Recorders delete" on public.transaction_attachments
+  for delete using (public.school_role(school_id) in ('admin', 'accountant'));
+
+-- The first folder of the object path is the school id
+create policy "Members read receipts" on storage.objects
+  for select using (
+    bucket_id = 'receipts'
+    and public.school_role(((storage.foldername(name))[1])::uuid) is not null
+  );
+create policy "Recorders upload receipts" on storage.objects
+  for insert with check (
+    bucket_id = 'receipts'
+    and public.school_role(((storage.foldername(name))[1])::uuid) in ('admin', 'accountant')
+  );
+create policy "Recorders delete receipts" on storage.objects
+  for delete using (
+    bucket_id = 'receipts'
+    and public.school_role(((storage.foldername(name))[1])::uuid) in ('admin', 'accountant')
+  );
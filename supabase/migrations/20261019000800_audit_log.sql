@@ -0,0 +1,75 @@
+-- Append-only audit trail for heads and transactions.
+-- Rows are written only by the trigger below (security definer); members can
+-- read their school's history but no client role can insert, update or delete.
+
+create table if not exists public.audit_log (
+  id bigint generated always as identity primary key,
+  school_id uuid not null references public.schools (id) on delete cascade,
+  table_name text not null,
+  record_id uuid not null,
+  action text not null check (action in ('insert', 'update', 'delete')),
+  old_data jsonb,
+  new_data jsonb,
+  changed_fields text[] not null default '{}',
+  user_id uuid references auth.users (id) on delete set null,
+  user_email text not null default '',
+  changed_at timestamptz not null default now()
+);
+
+create index if not exists audit_log_school_time_idx on public.audit_log (school_id, changed_at desc);
+create index if not exists audit_log_record_idx on public.audit_log (record_id);
+
+alter table public.audit_log enable row level security;
+
+create policy "Members read" on public.audit_log
+  for select using (public.school_role(school_id) is not null);
+
+revoke insert, update, delete, truncate on public.audit_log from anon, authenticated;
+
+create or replace function public.write_audit_log()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_old jsonb := case when tg_op in ('UPDATE', 'DELETE') then to_jsonb(old) end;
+  v_new jsonb := case when tg_op in ('INSERT', 'UPDATE') then to_jsonb(new) end;
+  v_changed text[] := '{}';
+begin
+  if tg_op = 'UPDATE' then
+    select coalesce(array_agg(n.key order by n.key), '{}') into v_changed
+    from jsonb_each(v_new) n
+    where n.value is distinct from v_old -> n.key;
+
+    if array_length(v_changed, 1) is null then
+      return new;
+    end if;
+  end if;
+
+  insert into public.audit_log (school_id, table_name, record_id, action, old_data, new_data, changed_fields, user_id, user_email)
+  values (
+    coalesce(v_new ->> 'school_id', v_old ->> 'school_id')::uuid,
+    tg_table_name,
+    coalesce(v_new ->> 'id', v_old ->> 'id')::uuid,
+    lower(tg_op),
+    v_old,
+    v_new,
+    v_changed,
+    auth.uid(),
+    coalesce(auth.jwt() ->> 'email', '')
+  );
+
+  return coalesce(new, old);
+end;
+$$;
+
+drop trigger if exists audit_heads on public.heads;
+create trigger audit_heads
+  after insert or update or delete on public.heads
+  for each row execute function public.write_audit_log();
+
+drop trigger if exists audit_transactions on public.transactions;
+create trigger audit_transactions
+  after insert or update or delete on public.transactions
+  for each row execute function public.write_audit_log();
@@ -0,0 +1,41 @@
+-- Soft delete for heads and transactions.
+-- Deleting sets deleted_at and moves the row to the trash, where it can be
+-- restored. Heads can also be archived: kept for reports, hidden from pickers.
+
+alter table public.heads
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_by uuid references auth.users (id) on delete set null,
+  add column if not exists archived boolean not null default false;
+
+alter table public.transactions
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_by uuid references auth.users (id) on delete set null;
+
+create index if not exists transactions_school_deleted_idx on public.transactions (school_id, deleted_at);
+
+-- A head still referenced by any transaction (trashed ones included) cannot be
+-- removed for good; its transactions must be moved to another head first.
+create or replace function public.prevent_head_delete_in_use()
+returns trigger
+language plpgsql
+as $$
+begin
+  if exists (select 1 from public.transactions where head_id = old.id) then
+    raise exception 'Head "%" still has transactions. Reassign them before deleting it.', old.name;
+  end if;
+  return old;
+end;
+$$;
+
+drop trigger if exists heads_prevent_delete_in_use on public.heads;
+create trigger heads_prevent_delete_in_use
+  before delete on public.heads
+  for each row execute function public.prevent_head_delete_in_use();
+
+-- Emptying the trash is an admin decision
+drop policy if exists "Recorders delete" on public.heads;
+drop policy if exists "Recorders delete" on public.transactions;
+create policy "Admins delete" on public.heads
+  for delete using (public.school_role(school_id) = 'admin' and deleted_at is not null);
+create policy "Admins delete" on public.transactions
+  for delete using (public.school_role(school_id) = 'admin' and deleted_at is not null);
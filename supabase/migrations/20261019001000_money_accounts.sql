@@ -0,0 +1,124 @@
+-- Money accounts (cash in hand, bank accounts, petty cash) and transfers.
+-- Every transaction hits exactly one account. Transfers move money between
+-- accounts and live in their own table, so they never touch income/expense.
+-- Existing rows are moved into a "Main Account" per school.
+
+create table if not exists public.accounts (
+  id uuid primary key default gen_random_uuid(),
+  school_id uuid not null references public.schools (id) on delete cascade,
+  user_id uuid references auth.users (id) on delete set null,
+  name text not null,
+  account_type text not null check (account_type in ('cash', 'bank')),
+  opening_balance numeric(14, 2) not null default 0,
+  archived boolean not null default false,
+  created_at timestamptz not null default now(),
+  unique (school_id, name)
+);
+
+create table if not exists public.account_transfers (
+  id uuid primary key default gen_random_uuid(),
+  school_id uuid not null references public.schools (id) on delete cascade,
+  user_id uuid references auth.users (id) on delete set null,
+  from_account_id uuid not null references public.accounts (id) on delete restrict,
+  to_account_id uuid not null references public.accounts (id) on delete restrict,
+  amount numeric(14, 2) not null check (amount > 0),
+  date date not null,
+  description text not null default '',
+  created_at timestamptz not null default now(),
+  check (from_account_id <> to_account_id)
+);
+
+create index if not exists account_transfers_school_date_idx on public.account_transfers (school_id, date);
+
+alter table public.transactions
+  add column if not exists account_id uuid references public.accounts (id) on delete restrict;
+
+-- Statement lines belong to a bank account and can match a transfer leg
+alter table public.bank_statement_lines
+  add column if not exists account_id uuid references public.accounts (id) on delete cascade,
+  add column if not exists matched_transfer_id uuid references public.account_transfers (id) on delete set null;
+
+create unique index if not exists bank_statement_lines_transfer_leg_idx
+  on public.bank_statement_lines (account_id, matched_transfer_id)
+  where matched_transfer_id is not null;
+
+-- ---------------------------------------------------------------------------
+-- Backfill: one "Main Account" per school that already has data
+-- ---------------------------------------------------------------------------
+
+insert into public.accounts (school_id, name, account_type)
+select s.id, 'Main Account', 'bank'
+from public.schools s
+where exists (select 1 from public.transactions t where t.school_id = s.id)
+   or exists (select 1 from public.bank_statement_lines l where l.school_id = s.id)
+on conflict (school_id, name) do nothing;
+
+update public.transactions t
+set account_id = a.id
+from public.accounts a
+where t.account_id is null and a.school_id = t.school_id and a.name = 'Main Account';
+
+update public.bank_statement_lines l
+set account_id = a.id
+from public.accounts a
+where l.account_id is null and a.school_id = l.school_id and a.name = 'Main Account';
+
+alter table public.transactions alter column account_id set not null;
+alter table public.bank_statement_lines alter column account_id set not null;
+
+-- ---------------------------------------------------------------------------
+-- Row level security and audit
+-- ---------------------------------------------------------------------------
+
+alter table public.accounts enable row level security;
+alter table public.account_transfers enable row level security;
+
+create policy "Members read" on public.accounts
+  for select using (public.school_role(school_id) is not null);
+create policy "Admins write" on public.accounts
+  for all using (public.school_role(school_id) = 'admin') with check (public.school_role(school_id) = 'admin');
+
+create policy "Members read" on public.account_transfers
+  for select using (public.school_role(school_id) is not null);
+create policy "Recorders insert" on public.account_transfers
+  for insert with check (public.school_role(school_id) in ('admin', 'accountant'));
+create policy "Recorders delete" on public.account_transfers
+  for delete using (public.school_role(school_id) in ('admin', 'accountant'));
+
+drop trigger if exists audit_accounts on public.accounts;
+create trigger audit_accounts
+  after insert or update or delete on public.accounts
+  for each row execute function public.write_audit_log();
+
+drop trigger if exists audit_account_transfers on public.account_transfers;
+create trigger audit_account_transfers
+  after insert or update or delete on public.account_transfers
+  for each row execute function public.write_audit_log();
+
+-- New schools start with a cash account
+create or replace function public.create_school(p_name text)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  new_school_id uuid;
+begin
+  if auth.uid() is null then
+    raise exception 'Not signed in';
+  end if;
+
+  insert into public.schools (name, created_by)
+  values (p_name, auth.uid())
+  returning id into new_school_id;
+
+  insert into public.school_members (school_id, user_id, email, role)
+  values (new_school_id, auth.uid(), coalesce(auth.jwt() ->> 'email', ''), 'admin');
+
+  insert into public.accounts (school_id, user_id, name, account_type)
+  values (new_school_id, auth.uid(), 'Cash in Hand', 'cash');
+
+  return new_school_id;
+end;
+$$;
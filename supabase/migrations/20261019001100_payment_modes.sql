@@ -0,0 +1,12 @@
+-- How each receipt or payment was made (cash, UPI, cheque, NEFT, card) and
+-- the cheque / UTR number. Rows recorded before this stay without a mode,
+-- except those in cash accounts, which can only have been cash.
+
+alter table public.transactions
+  add column if not exists payment_mode text check (payment_mode in ('cash', 'upi', 'cheque', 'neft', 'card')),
+  add column if not exists reference_number text not null default '';
+
+update public.transactions t
+set payment_mode = 'cash'
+from public.accounts a
+where t.payment_mode is null and a.id = t.account_id and a.account_type = 'cash';
@@ -0,0 +1,47 @@
+-- Recurring templates (salaries, rent, subscriptions). Each occurrence is
+-- posted as an ordinary transaction that remembers its template and the
+-- occurrence date, and an occurrence can be posted only once.
+
+create table if not exists public.recurring_templates (
+  id uuid primary key default gen_random_uuid(),
+  school_id uuid not null references public.schools (id) on delete cascade,
+  user_id uuid references auth.users (id) on delete set null,
+  type text not null check (type in ('income', 'expense')),
+  head_id uuid not null references public.heads (id) on delete restrict,
+  account_id uuid not null references public.accounts (id) on delete restrict,
+  payment_mode text check (payment_mode in ('cash', 'upi', 'cheque', 'neft', 'card')),
+  amount numeric(14, 2) not null check (amount > 0),
+  description text not null default '',
+  frequency text not null check (frequency in ('monthly', 'quarterly', 'half_yearly', 'yearly')),
+  day_of_month integer not null check (day_of_month between 1 and 31),
+  start_date date not null,
+  end_date date,
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  check (end_date is null or end_date >= start_date)
+);
+
+alter table public.transactions
+  add column if not exists recurring_template_id uuid references public.recurring_templates (id) on delete set null,
+  add column if not exists occurrence_date date;
+
+-- Trashed postings still hold their occurrence; restore them instead of reposting
+create unique index if not exists transactions_recurring_occurrence_idx
+  on public.transactions (recurring_template_id, occurrence_date)
+  where recurring_template_id is not null;
+
+alter table public.recurring_templates enable row level security;
+
+create policy "Members read" on public.recurring_templates
+  for select using (public.school_role(school_id) is not null);
+create policy "Recorders insert" on public.recurring_templates
+  for insert with check (public.school_role(school_id) in ('admin', 'accountant'));
+create policy "Recorders update" on public.recurring_templates
+  for update using (public.school_role(school_id) in ('admin', 'accountant'));
+create policy "Recorders delete" on public.recurring_templates
+  for delete using (public.school_role(school_id) in ('admin', 'accountant'));
+
+drop trigger if exists audit_recurring_templates on public.recurring_templates;
+create trigger audit_recurring_templates
+  after insert or update or delete on public.recurring_templates
+  for each row execute function public.write_audit_log();
@@ -0,0 +1,65 @@
+-- Version stamp for transactions so edits queued offline (or made on two
+-- devices at once) can tell whether the row changed since it was read.
+-- Clients update with "where id = ? and updated_at = <what they saw>"; no
+-- row back means someone else changed it first.
+
+alter table public.transactions
+  add column if not exists updated_at timestamptz not null default now();
+
+create or replace function public.touch_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new is distinct from old then
+    new.updated_at := now();
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists touch_transactions_updated_at on public.transactions;
+create trigger touch_transactions_updated_at
+  before update on public.transactions
+  for each row execute function public.touch_updated_at();
+
+-- The stamp changes on every edit; leave it out of the audit trail's list of
+-- changed fields so no-op updates are still skipped
+create or replace function public.write_audit_log()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_old jsonb := case when tg_op in ('UPDATE', 'DELETE') then to_jsonb(old) end;
+  v_new jsonb := case when tg_op in ('INSERT', 'UPDATE') then to_jsonb(new) end;
+  v_changed text[] := '{}';
+begin
+  if tg_op = 'UPDATE' then
+    select coalesce(array_agg(n.key order by n.key), '{}') into v_changed
+    from jsonb_each(v_new) n
+    where n.value is distinct from v_old -> n.key
+      and n.key <> 'updated_at';
+
+    if array_length(v_changed, 1) is null then
+      return new;
+    end if;
+  end if;
+
+  insert into public.audit_log (school_id, table_name, record_id, action, old_data, new_data, changed_fields, user_id, user_email)
+  values (
+    coalesce(v_new ->> 'school_id', v_old ->> 'school_id')::uuid,
+    tg_table_name,
+    coalesce(v_new ->> 'id', v_old ->> 'id')::uuid,
+    lower(tg_op),
+    v_old,
+    v_new,
+    v_changed,
+    auth.uid(),
+    coalesce(auth.jwt() ->> 'email', '')
+  );
+
+  return coalesce(new, old);
+end;
+$$;
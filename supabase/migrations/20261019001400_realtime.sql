@@ -0,0 +1,23 @@
+-- Broadcast changes to heads and transactions so open dashboards update
+-- live. Realtime applies the tables' RLS policies, so members only receive
+-- rows of their own schools.
+-- Filtered subscriptions (school_id=eq.<id>) do not receive hard deletes;
+-- the app soft deletes, which arrives as an update of deleted_at.
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'heads'
+  ) then
+    alter publication supabase_realtime add table public.heads;
+  end if;
+
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'transactions'
+  ) then
+    alter publication supabase_realtime add table public.transactions;
+  end if;
+end;
+$$;
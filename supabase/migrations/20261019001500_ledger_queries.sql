@@ -0,0 +1,44 @@
+-- Reports and the transactions list are answered by the database instead
+-- of filtering every transaction in the browser.
+--   pl_summary: income and expense per head for a period, grouped the same
+--   way as getPLSummaryData in src/reports.js (trashed heads and missing
+--   heads fall under 'Uncategorized'; only counted statuses are included).
+-- Runs with the caller's rights, so the transactions RLS policies apply.
+
+create index if not exists transactions_school_date_idx
+  on public.transactions (school_id, date desc, created_at desc)
+  where deleted_at is null;
+
+create index if not exists transactions_school_head_date_idx
+  on public.transactions (school_id, head_id, date)
+  where deleted_at is null;
+
+create or replace function public.pl_summary(
+  p_school_id uuid,
+  p_start_date date default null,
+  p_end_date date default null,
+  p_include_pending boolean default false
+)
+returns table (head_name text, head_type text, income numeric, expense numeric)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  select
+    coalesce(h.name, 'Uncategorized') as head_name,
+    coalesce(min(h.head_type), min(t.type)) as head_type,
+    coalesce(sum(t.amount) filter (where t.type = 'income'), 0) as income,
+    coalesce(sum(t.amount) filter (where t.type <> 'income'), 0) as expense
+  from public.transactions t
+  left join public.heads h on h.id = t.head_id and h.deleted_at is null
+  where t.school_id = p_school_id
+    and t.deleted_at is null
+    and (t.status = 'approved' or (p_include_pending and t.status = 'pending'))
+    and (p_start_date is null or t.date::date >= p_start_date)
+    and (p_end_date is null or t.date::date <= p_end_date)
+  group by coalesce(h.name, 'Uncategorized')
+  having sum(t.amount) > 0
+$$;
+
+grant execute on function public.pl_summary(uuid, date, date, boolean) to authenticated;
@@ -0,0 +1,73 @@
+-- Heads can be grouped to any depth (Staff Costs -> Teaching Salaries).
+-- A group has no entries of its own: transactions post to heads without
+-- sub-heads, and the P&L adds each group up from the heads below it.
+
+alter table public.heads
+  add column if not exists parent_id uuid references public.heads (id) on delete restrict;
+
+alter table public.heads drop constraint if exists heads_parent_not_self;
+alter table public.heads add constraint heads_parent_not_self check (parent_id is null or parent_id <> id);
+
+create index if not exists heads_parent_id_idx on public.heads (parent_id);
+
+-- The parent must be a head of the same school and type, must not sit below
+-- the head itself, and must not have transactions (it becomes a group)
+create or replace function public.check_head_parent()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.parent_id is null then
+    return new;
+  end if;
+
+  if not exists (
+    select 1 from public.heads p
+    where p.id = new.parent_id and p.school_id = new.school_id and p.head_type = new.head_type
+  ) then
+    raise exception 'A sub-head must be placed under a group of the same school and type.';
+  end if;
+
+  if tg_op = 'UPDATE' and exists (
+    with recursive ancestors (id, parent_id) as (
+      select id, parent_id from public.heads where id = new.parent_id
+      union
+      select h.id, h.parent_id from public.heads h join ancestors a on h.id = a.parent_id
+    )
+    select 1 from ancestors where id = new.id
+  ) then
+    raise exception 'A head cannot be placed under itself or one of its sub-heads.';
+  end if;
+
+  if exists (select 1 from public.transactions where head_id = new.parent_id) then
+    raise exception 'Head "%" has transactions, so it cannot become a group.',
+      (select name from public.heads where id = new.parent_id);
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists heads_check_parent on public.heads;
+create trigger heads_check_parent
+  before insert or update of parent_id on public.heads
+  for each row execute function public.check_head_parent();
+
+-- Entries post to heads without sub-heads only
+create or replace function public.check_transaction_leaf_head()
+returns trigger
+language plpgsql
+as $$
+begin
+  if (tg_op = 'INSERT' or new.head_id is distinct from old.head_id)
+    and exists (select 1 from public.heads where parent_id = new.head_id and deleted_at is null) then
+    raise exception 'Entries can only be posted to heads without sub-heads.';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists transactions_leaf_head on public.transactions;
+create trigger transactions_leaf_head
+  before insert or update of head_id on public.transactions
+  for each row execute function public.check_transaction_leaf_head();
@@ -0,0 +1,89 @@
+-- Renaming, retyping and merging heads.
+--   A head's type can only change while none of its transactions has the
+--   other type, while no fee structure or recurring template uses it, and
+--   never for a head inside a group tree (a group and its sub-heads share
+--   one type).
+--   merge_heads moves everything that points at one head (transactions,
+--   trashed ones too, fee structures, recurring templates and budgets) to
+--   another head of the same type, then moves the emptied head to the trash.
+-- Runs with the caller's rights, so only recorders of the school can merge.
+
+create or replace function public.check_head_type_change()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.head_type is distinct from old.head_type then
+    if exists (select 1 from public.transactions where head_id = new.id and type <> new.head_type) then
+      raise exception 'Head "%" has % transactions; it cannot become an % head.', new.name, old.head_type, new.head_type;
+    end if;
+    if new.parent_id is not null or exists (select 1 from public.heads where parent_id = new.id) then
+      raise exception 'Head "%" is part of a group; move it out before changing its type.', new.name;
+    end if;
+    if exists (select 1 from public.fee_structures where head_id = new.id) then
+      raise exception 'Head "%" is used by fee structures; its type cannot change.', new.name;
+    end if;
+    if exists (select 1 from public.recurring_templates where head_id = new.id) then
+      raise exception 'Head "%" is used by recurring templates; its type cannot change.', new.name;
+    end if;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists heads_check_type_change on public.heads;
+create trigger heads_check_type_change
+  before update of head_type on public.heads
+  for each row execute function public.check_head_type_change();
+
+create or replace function public.merge_heads(p_from_head_id uuid, p_into_head_id uuid)
+returns integer
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  v_from public.heads;
+  v_into public.heads;
+  v_moved integer;
+begin
+  select * into v_from from public.heads where id = p_from_head_id and deleted_at is null;
+  select * into v_into from public.heads where id = p_into_head_id and deleted_at is null;
+
+  if v_from.id is null or v_into.id is null or v_from.id = v_into.id then
+    raise exception 'Choose two different heads to merge.';
+  end if;
+  if v_from.school_id <> v_into.school_id or v_from.head_type <> v_into.head_type then
+    raise exception 'Only heads of the same school and type can be merged.';
+  end if;
+  if exists (select 1 from public.heads where parent_id in (v_from.id, v_into.id) and deleted_at is null) then
+    raise exception 'Group heads cannot be merged; merge their sub-heads instead.';
+  end if;
+
+  update public.transactions set head_id = v_into.id where head_id = v_from.id;
+  get diagnostics v_moved = row_count;
+
+  update public.fee_structures set head_id = v_into.id where head_id = v_from.id;
+  update public.recurring_templates set head_id = v_into.id where head_id = v_from.id;
+
+  -- Budgets for the same year and month are added together
+  update public.budgets b
+  set amount = b.amount + s.amount
+  from public.budgets s
+  where s.head_id = v_from.id and b.head_id = v_into.id
+    and b.financial_year = s.financial_year and b.month = s.month;
+  delete from public.budgets s
+  where s.head_id = v_from.id
+    and exists (
+      select 1 from public.budgets b
+      where b.head_id = v_into.id and b.financial_year = s.financial_year and b.month = s.month
+    );
+  update public.budgets set head_id = v_into.id where head_id = v_from.id;
+
+  update public.heads set deleted_at = now(), deleted_by = auth.uid() where id = v_from.id;
+
+  return v_moved;
+end;
+$$;
+
+grant execute on function public.merge_heads(uuid, uuid) to authenticated;
@@ -0,0 +1,126 @@
+-- Filters on the transactions list, the P&L summary and their exports.
+--   filtered_transactions: the counted transactions of a period that match
+--   p_filter, a JSON object built by toFilterParams in
+--   src/transactionFilters.js; a null or missing key does not filter:
+--     head_ids (array of ids), type, min_amount, max_amount,
+--     search (lower-case text found in the description),
+--     has_receipt (an uploaded file or a legacy receipt_url)
+--   pl_summary: now takes p_filter as well
+--   ledger_page: one sorted page of the list and how many match, as
+--   { "count": n, "rows": [transactions] }
+-- All run with the caller's rights, so the RLS policies apply.
+
+create or replace function public.filtered_transactions(
+  p_school_id uuid,
+  p_start_date date default null,
+  p_end_date date default null,
+  p_include_pending boolean default false,
+  p_filter jsonb default '{}'::jsonb
+)
+returns setof public.transactions
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  select t.*
+  from public.transactions t
+  where t.school_id = p_school_id
+    and t.deleted_at is null
+    and (t.status = 'approved' or (p_include_pending and t.status = 'pending'))
+    and (p_start_date is null or t.date::date >= p_start_date)
+    and (p_end_date is null or t.date::date <= p_end_date)
+    and (p_filter->'head_ids' is null or jsonb_typeof(p_filter->'head_ids') <> 'array'
+         or t.head_id::text in (select jsonb_array_elements_text(p_filter->'head_ids')))
+    and (p_filter->>'type' is null or t.type = (p_filter->>'type'))
+    and (p_filter->>'min_amount' is null or t.amount >= (p_filter->>'min_amount')::numeric)
+    and (p_filter->>'max_amount' is null or t.amount <= (p_filter->>'max_amount')::numeric)
+    and (p_filter->>'search' is null
+         or position((p_filter->>'search') in lower(coalesce(t.description, ''))) > 0)
+    and (p_filter->>'has_receipt' is null
+         or (p_filter->>'has_receipt')::boolean = (
+              coalesce(t.receipt_url, '') <> ''
+              or exists (select 1 from public.transaction_attachments a where a.transaction_id = t.id)
+            ))
+$$;
+
+drop function if exists public.pl_summary(uuid, date, date, boolean);
+
+create or replace function public.pl_summary(
+  p_school_id uuid,
+  p_start_date date default null,
+  p_end_date date default null,
+  p_include_pending boolean default false,
+  p_filter jsonb default '{}'::jsonb
+)
+returns table (head_name text, head_type text, income numeric, expense numeric)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  select
+    coalesce(h.name, 'Uncategorized') as head_name,
+    coalesce(min(h.head_type), min(t.type)) as head_type,
+    coalesce(sum(t.amount) filter (where t.type = 'income'), 0) as income,
+    coalesce(sum(t.amount) filter (where t.type <> 'income'), 0) as expense
+  from public.filtered_transactions(p_school_id, p_start_date, p_end_date, p_include_pending, p_filter) t
+  left join public.heads h on h.id = t.head_id and h.deleted_at is null
+  group by coalesce(h.name, 'Uncategorized')
+  having sum(t.amount) > 0
+$$;
+
+-- Sorted by p_sort (date, head, account, description or amount; names
+-- ignore case), then newest first, like sortTransactions in the browser
+create or replace function public.ledger_page(
+  p_school_id uuid,
+  p_start_date date,
+  p_end_date date,
+  p_include_pending boolean,
+  p_filter jsonb,
+  p_sort text,
+  p_ascending boolean,
+  p_offset integer,
+  p_limit integer
+)
+returns jsonb
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  with matched as (
+    select
+      t,
+      row_number() over (
+        order by
+          case when p_sort = 'amount' and p_ascending then t.amount end asc,
+          case when p_sort = 'amount' and not p_ascending then t.amount end desc,
+          case when p_sort in ('head', 'account', 'description') and p_ascending then
+            case p_sort when 'head' then lower(coalesce(h.name, '')) when 'account' then lower(coalesce(acc.name, '')) else lower(coalesce(t.description, '')) end
+          end asc,
+          case when p_sort in ('head', 'account', 'description') and not p_ascending then
+            case p_sort when 'head' then lower(coalesce(h.name, '')) when 'account' then lower(coalesce(acc.name, '')) else lower(coalesce(t.description, '')) end
+          end desc,
+          case when p_sort = 'date' and p_ascending then t.date end asc,
+          t.date desc,
+          t.created_at desc
+      ) as position
+    from public.filtered_transactions(p_school_id, p_start_date, p_end_date, p_include_pending, p_filter) t
+    left join public.heads h on h.id = t.head_id
+    left join public.accounts acc on acc.id = t.account_id
+  )
+  select jsonb_build_object(
+    'count', (select count(*) from matched),
+    'rows', coalesce(
+      (select jsonb_agg(to_jsonb(m.t) order by m.position)
+       from matched m
+       where m.position > p_offset and m.position <= p_offset + p_limit),
+      '[]'::jsonb
+    )
+  )
+$$;
+
+grant execute on function public.filtered_transactions(uuid, date, date, boolean, jsonb) to authenticated;
+grant execute on function public.pl_summary(uuid, date, date, boolean, jsonb) to authenticated;
+grant execute on function public.ledger_page(uuid, date, date, boolean, jsonb, text, boolean, integer, integer) to authenticated;
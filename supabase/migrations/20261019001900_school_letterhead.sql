@@ -0,0 +1,29 @@
+-- Letterhead details for printed (PDF) reports, edited on the School
+-- Settings page by admins. The logo lives in the private "letterheads"
+-- bucket under <school_id>/, like receipts, and schools.logo_path points to it.
+
+alter table public.schools
+  add column if not exists address text not null default '',
+  add column if not exists registration_number text not null default '',
+  add column if not exists logo_path text;
+
+insert into storage.buckets (id, name, public)
+values ('letterheads', 'letterheads', false)
+on conflict (id) do nothing;
+
+-- The first folder of the object path is the school id
+create policy "Members read letterheads" on storage.objects
+  for select using (
+    bucket_id = 'letterheads'
+    and public.school_role(((storage.foldername(name))[1])::uuid) is not null
+  );
+create policy "Admins upload letterheads" on storage.objects
+  for insert with check (
+    bucket_id = 'letterheads'
+    and public.school_role(((storage.foldername(name))[1])::uuid) = 'admin'
+  );
+create policy "Admins delete letterheads" on storage.objects
+  for delete using (
+    bucket_id = 'letterheads'
+    and public.school_role(((storage.foldername(name))[1])::uuid) = 'admin'
+  );
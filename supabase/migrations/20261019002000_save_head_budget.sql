@@ -0,0 +1,38 @@
+-- Saves one head's budget for a financial year in a single transaction:
+-- the given months are inserted or updated on the
+-- (school_id, head_id, financial_year, month) key and months no longer in
+-- the list are deleted, so a failed save leaves the old budget in place.
+-- p_rows: [{ "month": 0-12, "amount": number }]. Returns the head's rows.
+-- Runs with the caller's rights, so only admins of the school can save.
+
+create or replace function public.save_head_budget(
+  p_school_id uuid,
+  p_head_id uuid,
+  p_financial_year text,
+  p_rows jsonb
+)
+returns setof public.budgets
+language plpgsql
+security invoker
+set search_path = public
+as $$
+begin
+  delete from public.budgets
+  where school_id = p_school_id
+    and head_id = p_head_id
+    and financial_year = p_financial_year
+    and month not in (select (r ->> 'month')::smallint from jsonb_array_elements(p_rows) r);
+
+  insert into public.budgets (school_id, user_id, head_id, financial_year, month, amount)
+  select p_school_id, auth.uid(), p_head_id, p_financial_year, (r ->> 'month')::smallint, (r ->> 'amount')::numeric
+  from jsonb_array_elements(p_rows) r
+  on conflict (school_id, head_id, financial_year, month)
+  do update set amount = excluded.amount;
+
+  return query
+    select * from public.budgets
+    where school_id = p_school_id and head_id = p_head_id and financial_year = p_financial_year;
+end;
+$$;
+
+grant execute on function public.save_head_budget(uuid, uuid, text, jsonb) to authenticated;
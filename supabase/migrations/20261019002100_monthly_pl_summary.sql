@@ -0,0 +1,33 @@
+-- The P&L per head per calendar month, for the dashboard charts and the
+-- comparative (month-wise, quarter-wise, year-over-year) reports, so they
+-- come from the same filtered_transactions as pl_summary instead of from
+-- rows loaded into the browser. month is 'YYYY-MM'; a month cut by the
+-- period only counts its days inside it.
+-- Runs with the caller's rights, so the RLS policies apply.
+
+create or replace function public.monthly_pl_summary(
+  p_school_id uuid,
+  p_start_date date,
+  p_end_date date,
+  p_include_pending boolean default false,
+  p_filter jsonb default '{}'::jsonb
+)
+returns table (month text, head_name text, head_type text, income numeric, expense numeric)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  select
+    to_char(t.date::date, 'YYYY-MM') as month,
+    coalesce(h.name, 'Uncategorized') as head_name,
+    coalesce(min(h.head_type), min(t.type)) as head_type,
+    coalesce(sum(t.amount) filter (where t.type = 'income'), 0) as income,
+    coalesce(sum(t.amount) filter (where t.type <> 'income'), 0) as expense
+  from public.filtered_transactions(p_school_id, p_start_date, p_end_date, p_include_pending, p_filter) t
+  left join public.heads h on h.id = t.head_id and h.deleted_at is null
+  group by to_char(t.date::date, 'YYYY-MM'), coalesce(h.name, 'Uncategorized')
+  having sum(t.amount) > 0
+$$;
+
+grant execute on function public.monthly_pl_summary(uuid, date, date, boolean, jsonb) to authenticated;
@@ -0,0 +1,66 @@
+-- ledger_page sorts by the same keys as sortTransactions in
+-- src/transactionFilters.js, so a page from the database and one from the
+-- browser fallback come out in the same order:
+--   names are lower-cased, then compared by code point (collate "C")
+--   rather than by the database's locale;
+--   a trashed head sorts as no head, as it is not in the browser's list;
+--   ties go newest first, then by transaction id.
+-- Runs with the caller's rights, so the RLS policies apply.
+
+create or replace function public.ledger_page(
+  p_school_id uuid,
+  p_start_date date,
+  p_end_date date,
+  p_include_pending boolean,
+  p_filter jsonb,
+  p_sort text,
+  p_ascending boolean,
+  p_offset integer,
+  p_limit integer
+)
+returns jsonb
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  with keyed as (
+    select
+      t,
+      case p_sort
+        when 'head' then lower(coalesce(h.name, ''))
+        when 'account' then lower(coalesce(acc.name, ''))
+        when 'description' then lower(coalesce(t.description, ''))
+      end collate "C" as name_key
+    from public.filtered_transactions(p_school_id, p_start_date, p_end_date, p_include_pending, p_filter) t
+    left join public.heads h on h.id = t.head_id and h.deleted_at is null
+    left join public.accounts acc on acc.id = t.account_id
+  ),
+  matched as (
+    select
+      k.t,
+      row_number() over (
+        order by
+          case when p_sort = 'amount' and p_ascending then (k.t).amount end asc,
+          case when p_sort = 'amount' and not p_ascending then (k.t).amount end desc,
+          case when p_ascending then k.name_key end asc,
+          case when not p_ascending then k.name_key end desc,
+          case when p_sort = 'date' and p_ascending then (k.t).date end asc,
+          (k.t).date desc,
+          (k.t).created_at desc,
+          (k.t).id asc
+      ) as position
+    from keyed k
+  )
+  select jsonb_build_object(
+    'count', (select count(*) from matched),
+    'rows', coalesce(
+      (select jsonb_agg(to_jsonb(m.t) order by m.position)
+       from matched m
+       where m.position > p_offset and m.position <= p_offset + p_limit),
+      '[]'::jsonb
+    )
+  )
+$$;
+
+grant execute on function public.ledger_page(uuid, date, date, boolean, jsonb, text, boolean, integer, integer) to authenticated;
@@ -0,0 +1,61 @@
+-- Deleting a head in one database transaction.
+--   delete_head moves the head to the trash. A head with transactions
+--   (trashed ones too) needs p_reassign_to_id, another head of the same
+--   school and type, and they are moved there first; if anything fails,
+--   nothing is moved. Group heads and heads used by fee structures or
+--   recurring templates are refused, as in the app.
+--   Returns the trashed head.
+-- Runs with the caller's rights, so only recorders of the school can delete.
+
+create or replace function public.delete_head(p_head_id uuid, p_reassign_to_id uuid default null)
+returns setof public.heads
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  v_head public.heads;
+  v_into public.heads;
+begin
+  select * into v_head from public.heads where id = p_head_id and deleted_at is null;
+
+  if v_head.id is null then
+    raise exception 'This head no longer exists.';
+  end if;
+  if exists (select 1 from public.heads where parent_id = v_head.id and deleted_at is null) then
+    raise exception 'Head "%" has sub-heads. Move or delete them first.', v_head.name;
+  end if;
+  if exists (select 1 from public.fee_structures where head_id = v_head.id) then
+    raise exception 'Head "%" is used by fee structures. Archive it instead.', v_head.name;
+  end if;
+  if exists (select 1 from public.recurring_templates where head_id = v_head.id) then
+    raise exception 'Head "%" is used by recurring templates. Change or delete them first, or archive the head.', v_head.name;
+  end if;
+
+  if exists (select 1 from public.transactions where head_id = v_head.id) then
+    if p_reassign_to_id is null then
+      raise exception 'Head "%" has transactions. Reassign them to another head or archive it.', v_head.name;
+    end if;
+
+    select * into v_into from public.heads where id = p_reassign_to_id and deleted_at is null;
+    if v_into.id is null or v_into.id = v_head.id then
+      raise exception 'Choose another head to move the transactions to.';
+    end if;
+    if v_into.school_id <> v_head.school_id or v_into.head_type <> v_head.head_type then
+      raise exception 'Transactions can only move to a head of the same school and type.';
+    end if;
+    if exists (select 1 from public.heads where parent_id = v_into.id and deleted_at is null) then
+      raise exception 'Head "%" is a group; choose one of its sub-heads.', v_into.name;
+    end if;
+
+    update public.transactions set head_id = v_into.id where head_id = v_head.id;
+  end if;
+
+  return query
+    update public.heads set deleted_at = now(), deleted_by = auth.uid()
+    where id = v_head.id
+    returning *;
+end;
+$$;
+
+grant execute on function public.delete_head(uuid, uuid) to authenticated;
@@ -0,0 +1,44 @@
+-- Adds a fee structure and its installments in a single transaction, so a
+-- failed installment never leaves a structure behind without them.
+-- p_installments: [{ "term": text, "due_date": "YYYY-MM-DD", "amount": number }].
+-- Returns { "structure": fee_structure, "installments": [fee_installment] }.
+-- Runs with the caller's rights, so only recorders of the school can add.
+
+create or replace function public.add_fee_structure(
+  p_school_id uuid,
+  p_class_id uuid,
+  p_head_id uuid,
+  p_name text,
+  p_installments jsonb
+)
+returns jsonb
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  v_structure public.fee_structures;
+begin
+  if jsonb_array_length(coalesce(p_installments, '[]'::jsonb)) = 0 then
+    raise exception 'A fee structure needs at least one installment.';
+  end if;
+
+  insert into public.fee_structures (school_id, user_id, class_id, head_id, name)
+  values (p_school_id, auth.uid(), p_class_id, p_head_id, p_name)
+  returning * into v_structure;
+
+  insert into public.fee_installments (school_id, user_id, fee_structure_id, term, due_date, amount)
+  select p_school_id, auth.uid(), v_structure.id, i ->> 'term', (i ->> 'due_date')::date, (i ->> 'amount')::numeric
+  from jsonb_array_elements(p_installments) i;
+
+  return jsonb_build_object(
+    'structure', to_jsonb(v_structure),
+    'installments', coalesce(
+      (select jsonb_agg(to_jsonb(fi)) from public.fee_installments fi where fi.fee_structure_id = v_structure.id),
+      '[]'::jsonb
+    )
+  );
+end;
+$$;
+
+grant execute on function public.add_fee_structure(uuid, uuid, uuid, text, jsonb) to authenticated;
@@ -0,0 +1,59 @@
+-- Locks the transactions of closed financial years in the database, not
+-- only in the app: adding, changing or deleting a transaction dated inside
+-- an April-March year with a year_closings row is refused, whatever the
+-- client sends. Matching a transaction to a bank statement line (reconciled,
+-- reconciled_at) is still allowed, as statements arrive after the year end.
+-- Reopening the year (deleting its closing) unlocks them again.
+
+create or replace function public.closed_financial_year(p_school_id uuid, p_date date)
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select c.financial_year
+  from public.year_closings c
+  where c.school_id = p_school_id
+    and left(c.financial_year, 4)::integer = extract(year from p_date - interval '3 months')::integer
+  limit 1
+$$;
+
+create or replace function public.enforce_closed_year_lock()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  closed_year text;
+begin
+  if tg_op = 'UPDATE'
+     and (to_jsonb(new) - 'reconciled' - 'reconciled_at' - 'updated_at')
+         = (to_jsonb(old) - 'reconciled' - 'reconciled_at' - 'updated_at') then
+    return new;
+  end if;
+
+  if tg_op in ('UPDATE', 'DELETE') then
+    closed_year := public.closed_financial_year(old.school_id, old.date::date);
+    if closed_year is not null then
+      raise exception 'FY % is closed. Reopen it to make changes.', closed_year;
+    end if;
+  end if;
+
+  if tg_op in ('INSERT', 'UPDATE') then
+    closed_year := public.closed_financial_year(new.school_id, new.date::date);
+    if closed_year is not null then
+      raise exception 'FY % is closed. Reopen it to make changes.', closed_year;
+    end if;
+    return new;
+  end if;
+
+  return old;
+end;
+$$;
+
+drop trigger if exists transactions_closed_year_lock on public.transactions;
+create trigger transactions_closed_year_lock
+  before insert or update or delete on public.transactions
+  for each row execute function public.enforce_closed_year_lock();
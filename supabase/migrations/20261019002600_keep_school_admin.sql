@@ -0,0 +1,37 @@
+-- Every school keeps at least one admin: demoting or removing the last
+-- admin of a school is refused, so nobody is left who can manage members.
+-- The school's row is locked first, so two admins demoting each other at
+-- the same time cannot both succeed. Deleting the school itself (which
+-- removes its members) is not affected.
+
+create or replace function public.keep_school_admin()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  leaves_admins boolean := old.role = 'admin'
+    and (tg_op = 'DELETE' or new.role <> 'admin' or new.school_id <> old.school_id);
+begin
+  if leaves_admins then
+    perform 1 from public.schools where id = old.school_id for update;
+    if found and not exists (
+      select 1 from public.school_members
+      where school_id = old.school_id and role = 'admin' and user_id <> old.user_id
+    ) then
+      raise exception 'A school needs at least one admin. Make another member an admin first.';
+    end if;
+  end if;
+
+  if tg_op = 'DELETE' then
+    return old;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists school_members_keep_admin on public.school_members;
+create trigger school_members_keep_admin
+  before update or delete on public.school_members
+  for each row execute function public.keep_school_admin();
@@ -0,0 +1,47 @@
+-- Totals for the transactions the app no longer loads. It holds the
+-- transactions of this financial year and the one before (further back when
+-- the report period reaches there); the rest stay in the database.
+--   account_totals_before: approved money in and out per account before
+--   p_before, brought forward into the balances and the Cash/Bank Books.
+--   Transfers are not in it: they are all loaded.
+--   head_usage: how many transactions use each head with each type,
+--   trashed ones included, for the checks before a head is retyped, merged
+--   or deleted.
+-- Both run with the caller's rights, so the RLS policies apply.
+
+create or replace function public.account_totals_before(p_school_id uuid, p_before date)
+returns table (account_id uuid, money_in numeric, money_out numeric)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  select
+    t.account_id,
+    coalesce(sum(t.amount) filter (where t.type = 'income'), 0) as money_in,
+    coalesce(sum(t.amount) filter (where t.type <> 'income'), 0) as money_out
+  from public.transactions t
+  where t.school_id = p_school_id
+    and t.account_id is not null
+    and t.deleted_at is null
+    and t.status = 'approved'
+    and t.date::date < p_before
+  group by t.account_id
+$$;
+
+create or replace function public.head_usage(p_school_id uuid)
+returns table (head_id uuid, type text, transactions bigint)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  select t.head_id, t.type, count(*) as transactions
+  from public.transactions t
+  where t.school_id = p_school_id
+    and t.head_id is not null
+  group by t.head_id, t.type
+$$;
+
+grant execute on function public.account_totals_before(uuid, date) to authenticated;
+grant execute on function public.head_usage(uuid) to authenticated;